@@ -71,7 +71,76 @@ async function bundleBackgroundScript() {
   }
 }
 
-async function copyFiles(source, destination) {
+async function bundleSidePanelScript() {
+  console.log('📦 Bundling side panel script with esbuild...');
+
+  try {
+    await esbuild.build({
+      entryPoints: [path.join(srcDir, 'sidepanel/sidepanel.js')],
+      bundle: true,
+      outfile: path.join(distDir, 'sidepanel/sidepanel.js'),
+      format: 'iife', // Loaded as a classic <script> from sidepanel/index.html
+      target: 'chrome114', // Target Chrome 114+ for extension compatibility
+      platform: 'browser',
+      minify: false, // Keep readable for development
+      sourcemap: false,
+      logLevel: 'info'
+    });
+
+    console.log('✓ Side panel script bundled successfully');
+  } catch (error) {
+    console.error('✗ Side panel script bundling failed:', error);
+    throw error;
+  }
+}
+
+async function bundleOptionsScript() {
+  console.log('📦 Bundling options script with esbuild...');
+
+  try {
+    await esbuild.build({
+      entryPoints: [path.join(srcDir, 'options/options.js')],
+      bundle: true,
+      outfile: path.join(distDir, 'options/options.js'),
+      format: 'iife', // Loaded as a classic <script> from options/index.html
+      target: 'chrome114', // Target Chrome 114+ for extension compatibility
+      platform: 'browser',
+      minify: false, // Keep readable for development
+      sourcemap: false,
+      logLevel: 'info'
+    });
+
+    console.log('✓ Options script bundled successfully');
+  } catch (error) {
+    console.error('✗ Options script bundling failed:', error);
+    throw error;
+  }
+}
+
+async function bundleWelcomeScript() {
+  console.log('📦 Bundling welcome script with esbuild...');
+
+  try {
+    await esbuild.build({
+      entryPoints: [path.join(srcDir, 'welcome/welcome.js')],
+      bundle: true,
+      outfile: path.join(distDir, 'welcome/welcome.js'),
+      format: 'iife', // Loaded as a classic <script> from welcome/index.html
+      target: 'chrome114', // Target Chrome 114+ for extension compatibility
+      platform: 'browser',
+      minify: false, // Keep readable for development
+      sourcemap: false,
+      logLevel: 'info'
+    });
+
+    console.log('✓ Welcome script bundled successfully');
+  } catch (error) {
+    console.error('✗ Welcome script bundling failed:', error);
+    throw error;
+  }
+}
+
+async function copyFiles(source, destination, exclude = []) {
   const entries = await fs.readdir(source, { withFileTypes: true });
 
   await fs.mkdir(destination, { recursive: true });
@@ -80,6 +149,10 @@ async function copyFiles(source, destination) {
     const srcPath = path.join(source, entry.name);
     const destPath = path.join(destination, entry.name);
 
+    if (exclude.includes(entry.name)) {
+      continue;
+    }
+
     if (entry.isDirectory()) {
       await copyFiles(srcPath, destPath);
     } else {
@@ -99,10 +172,11 @@ async function copyFilesSelectively() {
     path.join(distDir, 'manifest.json')
   );
 
-  // Copy side panel (entire directory)
+  // Copy side panel (sidepanel.js is bundled by bundleSidePanelScript())
   await copyFiles(
     path.join(srcDir, 'sidepanel'),
-    path.join(distDir, 'sidepanel')
+    path.join(distDir, 'sidepanel'),
+    ['sidepanel.js']
   );
 
   // Copy test panel (entire directory)
@@ -111,16 +185,18 @@ async function copyFilesSelectively() {
     path.join(distDir, 'test-panel')
   );
 
-  // Copy options page
+  // Copy options page (options.js is bundled by bundleOptionsScript())
   await copyFiles(
     path.join(srcDir, 'options'),
-    path.join(distDir, 'options')
+    path.join(distDir, 'options'),
+    ['options.js']
   );
 
-  // Copy welcome page
+  // Copy welcome page (welcome.js is bundled by bundleWelcomeScript())
   await copyFiles(
     path.join(srcDir, 'welcome'),
-    path.join(distDir, 'welcome')
+    path.join(distDir, 'welcome'),
+    ['welcome.js']
   );
 
   // Copy content/ui (needed for design-tokens.css used by welcome page)
@@ -237,6 +313,9 @@ async function build() {
     // Bundle scripts with esbuild
     await bundleContentScript();
     await bundleBackgroundScript();
+    await bundleSidePanelScript();
+    await bundleOptionsScript();
+    await bundleWelcomeScript();
 
     // Copy other files
     await copyFilesSelectively();
@@ -259,7 +338,7 @@ async function build() {
     console.log('1. Open Chrome and go to chrome://extensions/');
     console.log('2. Enable "Developer mode"');
     console.log('3. Click "Load unpacked" and select the dist folder');
-    console.log('4. Test the extension on Amazon or Walmart product pages');
+    console.log('4. Test the extension on Amazon, Walmart, or Target product pages');
     console.log('5. Press Option+Shift+W (Mac) or Alt+Shift+W (Windows/Linux) to open the side panel');
 
   } catch (error) {
@@ -1,6 +1,8 @@
 // Shop Well Background Automation Module
 // Handles headless browser automation for extracting hidden product content
 
+import { getRetailerForUrl, getRetailerBySite } from './content/parsers/index.js';
+
 console.log('Shop Well: Background automation module loaded');
 
 /**
@@ -129,12 +131,10 @@ async function waitForPageLoad(tabId, timeout = 10000) {
 /**
  * Detect site type from URL
  * @param {string} url - Product URL
- * @returns {string} - 'amazon' | 'walmart' | 'unknown'
+ * @returns {string} - Registered site id (e.g., 'amazon') or 'unknown'
  */
 function detectSiteFromUrl(url) {
-  if (url.includes('amazon.com')) return 'amazon';
-  if (url.includes('walmart.com')) return 'walmart';
-  return 'unknown';
+  return getRetailerForUrl(url)?.site || 'unknown';
 }
 
 /**
@@ -142,7 +142,7 @@ function detectSiteFromUrl(url) {
  * Uses site-specific selectors to click "Show More" buttons, tabs, etc.
  *
  * @param {number} tabId - Chrome tab ID
- * @param {string} site - Site type ('amazon' | 'walmart')
+ * @param {string} site - Registered site id
  */
 async function expandAllSections(tabId, site) {
   // Inject content script to click expandable elements
@@ -168,89 +168,9 @@ async function expandAllSections(tabId, site) {
  * @returns {Object} - { func: Function, args: Array }
  */
 function getExpandScript(site) {
-  if (site === 'walmart') {
-    return {
-      func: () => {
-        // Walmart-specific expandable selectors
-        const selectors = [
-          // Description "Show More" button
-          'button[data-automation-id="product-description-show-more"]',
-          '.show-more-button',
-          '[aria-label*="Show more"]',
-
-          // Product details accordions
-          '.product-details-accordion button',
-          '[data-testid="accordion-header"]',
-
-          // Nutrition facts / Ingredients
-          'button[data-testid="nutrition-button"]',
-          '[aria-label*="Nutrition"]',
-          '[aria-label*="Ingredients"]'
-        ];
-
-        let clickCount = 0;
-        selectors.forEach(selector => {
-          const elements = document.querySelectorAll(selector);
-          elements.forEach(el => {
-            try {
-              // Check if element is visible and clickable
-              if (el.offsetParent !== null) {
-                el.click();
-                clickCount++;
-              }
-            } catch (err) {
-              console.warn('Failed to click element:', selector, err);
-            }
-          });
-        });
-
-        console.log(`Walmart: Clicked ${clickCount} expandable elements`);
-        return clickCount;
-      }
-    };
-  } else if (site === 'amazon') {
-    return {
-      func: () => {
-        // Amazon-specific expandable selectors
-        const selectors = [
-          // Description "See more" / expander
-          '#productDescription .a-expander-prompt',
-          '.a-expander-prompt',
-
-          // Feature bullets expanders
-          '#feature-bullets .a-expander-prompt',
-
-          // Product details expanders
-          '.prodDetTable .a-expander-prompt',
-          '#detailBullets_feature_div .a-expander-prompt',
-
-          // Ingredients section
-          '#ingredients .a-expander-prompt',
-          '[data-feature-name="ingredients"] .a-expander-prompt',
-
-          // Important information
-          '#important-information .a-expander-prompt'
-        ];
-
-        let clickCount = 0;
-        selectors.forEach(selector => {
-          const elements = document.querySelectorAll(selector);
-          elements.forEach(el => {
-            try {
-              if (el.offsetParent !== null) {
-                el.click();
-                clickCount++;
-              }
-            } catch (err) {
-              console.warn('Failed to click element:', selector, err);
-            }
-          });
-        });
-
-        console.log(`Amazon: Clicked ${clickCount} expandable elements`);
-        return clickCount;
-      }
-    };
+  const retailer = getRetailerBySite(site);
+  if (retailer?.expandScript) {
+    return { func: retailer.expandScript };
   }
 
   // Default: try common patterns
@@ -316,148 +236,9 @@ async function extractFullContent(tabId, site) {
  * @returns {Object} - { func: Function, args: Array }
  */
 function getExtractionScript(site) {
-  if (site === 'walmart') {
-    return {
-      func: () => {
-        // Helper to get text from selectors
-        const getText = (selectors) => {
-          const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
-          for (const selector of selectorArray) {
-            const el = document.querySelector(selector);
-            if (el && el.textContent) {
-              return el.textContent.trim();
-            }
-          }
-          return '';
-        };
-
-        const getTextArray = (selectors, limit = 10) => {
-          const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
-          for (const selector of selectorArray) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-              return Array.from(elements)
-                .map(el => el.textContent?.trim())
-                .filter(text => text && text.length > 3)
-                .slice(0, limit);
-            }
-          }
-          return [];
-        };
-
-        return {
-          site: 'walmart',
-          url: window.location.href,
-          title: getText([
-            'h1[itemprop="name"]',
-            'h1[data-automation-id="product-title"]',
-            'h1'
-          ]),
-          bullets: getTextArray([
-            '[data-testid="product-highlights"] li',
-            '.product-highlights li',
-            '[itemprop="description"] li'
-          ]),
-          description: getText([
-            '[data-testid="product-description"]',
-            '[itemprop="description"]',
-            '.about-product-description',
-            '.product-description'
-          ]),
-          ingredients: getText([
-            '[data-testid="ingredients"]',
-            '.prod-ProductIngredients',
-            '.nutrition-facts .ingredients',
-            '[aria-label*="Ingredients"]',
-            '*:contains("Ingredients:")'
-          ]),
-          specifications: getTextArray([
-            '.product-specification tr',
-            '[data-testid="specification"] tr',
-            '.product-details tr'
-          ], 20),
-          price: getText([
-            '[itemprop="price"]',
-            '[data-automation-id="product-price"]',
-            '.price-characteristic'
-          ]),
-          reviews: getTextArray([
-            '[data-testid="review-text"]',
-            '.review-text'
-          ], 5)
-        };
-      }
-    };
-  } else if (site === 'amazon') {
-    return {
-      func: () => {
-        const getText = (selectors) => {
-          const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
-          for (const selector of selectorArray) {
-            const el = document.querySelector(selector);
-            if (el && el.textContent) {
-              return el.textContent.trim();
-            }
-          }
-          return '';
-        };
-
-        const getTextArray = (selectors, limit = 10) => {
-          const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
-          for (const selector of selectorArray) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-              return Array.from(elements)
-                .map(el => el.textContent?.trim())
-                .filter(text => text && text.length > 3)
-                .slice(0, limit);
-            }
-          }
-          return [];
-        };
-
-        return {
-          site: 'amazon',
-          url: window.location.href,
-          title: getText([
-            '#productTitle',
-            'h1.a-size-large',
-            'h1'
-          ]),
-          bullets: getTextArray([
-            '#feature-bullets ul li span',
-            '#feature-bullets li',
-            '.a-unordered-list.a-vertical li'
-          ]),
-          description: getText([
-            '#productDescription p',
-            '#productDescription',
-            '#aplus_feature_div'
-          ]),
-          ingredients: getText([
-            '[data-feature-name="ingredients"]',
-            '#ingredients',
-            '.ingredients',
-            '#detailBullets_feature_div .ingredients'
-          ]),
-          specifications: getTextArray([
-            '#productDetails_detailBullets_sections1 tr',
-            '#detailBullets_feature_div li',
-            '.prodDetTable tr'
-          ], 20),
-          price: getText([
-            '.a-price.apexPriceToPay .a-offscreen',
-            '#corePrice_feature_div .a-price .a-offscreen',
-            '#priceblock_dealprice',
-            '#priceblock_ourprice'
-          ]),
-          reviews: getTextArray([
-            '[data-hook="review-body"] span',
-            '.review-text-content span'
-          ], 5)
-        };
-      }
-    };
+  const retailer = getRetailerBySite(site);
+  if (retailer?.extractionScript) {
+    return { func: retailer.extractionScript };
   }
 
   // Generic extraction for unknown sites
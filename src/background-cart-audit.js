@@ -0,0 +1,97 @@
+// Shop Well Background Cart Audit Module
+// Fetches the product page of every cart line item for the side panel's cart audit.
+// Pages are fetched a few at a time and streamed to the side panel as they arrive,
+// so analysis of the first items starts while the rest are still loading.
+
+import { ScreenQueue } from './content/utils/screen.js';
+
+console.log('Shop Well: Background cart audit module loaded');
+
+const FETCH_CONCURRENCY = 2;
+const FETCH_INTERVAL_MS = 750;
+
+// Audit id → { queue, resolve } for audits still fetching
+const runningAudits = new Map();
+
+/**
+ * Fetch every line item's product page and send each one to the side panel
+ * Sends { type: 'cart-audit-item', auditId, index, ok, html, error } per item,
+ * then { type: 'cart-audit-fetched', auditId } once all items were attempted.
+ *
+ * @param {string} auditId - Id of the side panel's audit run
+ * @param {Array<Object>} items - Cart line items ({ url, ... }) from the retailer parser
+ * @returns {Promise<void>} - Resolves when every item was fetched or the audit was cancelled
+ */
+export function runCartAudit(auditId, items) {
+  cancelCartAudit(auditId);
+  console.log(`Shop Well Cart Audit: Fetching ${items.length} items for audit`, auditId);
+
+  return new Promise(resolve => {
+    let remaining = items.length;
+
+    const finish = () => {
+      if (!runningAudits.has(auditId)) return;
+      runningAudits.delete(auditId);
+      sendToSidePanel({ type: 'cart-audit-fetched', auditId });
+      console.log('Shop Well Cart Audit: All items fetched for audit', auditId);
+      resolve();
+    };
+
+    const queue = new ScreenQueue(async ({ item, index }) => {
+      try {
+        const response = await fetch(item.url, { credentials: 'omit' });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const html = await response.text();
+
+        if (runningAudits.get(auditId)?.queue === queue) {
+          await sendToSidePanel({ type: 'cart-audit-item', auditId, index, ok: true, html });
+        }
+      } catch (error) {
+        console.warn('Shop Well Cart Audit: Item fetch failed:', item.url, error);
+        if (runningAudits.get(auditId)?.queue === queue) {
+          await sendToSidePanel({ type: 'cart-audit-item', auditId, index, ok: false, error: String(error) });
+        }
+      } finally {
+        remaining--;
+        if (remaining === 0) finish();
+      }
+    }, { concurrency: FETCH_CONCURRENCY, interval: FETCH_INTERVAL_MS });
+
+    runningAudits.set(auditId, { queue, resolve });
+
+    if (items.length === 0) {
+      finish();
+      return;
+    }
+    queue.enqueue(items.map((item, index) => ({ item, index })));
+  });
+}
+
+/**
+ * Stop fetching for an audit (items already in flight are dropped when they arrive)
+ * @param {string} auditId - Id of the side panel's audit run
+ */
+export function cancelCartAudit(auditId) {
+  const audit = runningAudits.get(auditId);
+  if (!audit) return;
+
+  audit.queue.clear();
+  runningAudits.delete(auditId);
+  audit.resolve();
+  console.log('Shop Well Cart Audit: Audit cancelled', auditId);
+}
+
+/**
+ * Send a message to the side panel, ignoring the error when the panel has been closed
+ * @param {Object} message - Message for the side panel
+ * @returns {Promise<void>}
+ */
+async function sendToSidePanel(message) {
+  try {
+    await chrome.runtime.sendMessage(message);
+  } catch (error) {
+    console.warn('Shop Well Cart Audit: Side panel not reachable:', error.message);
+  }
+}
@@ -2,6 +2,9 @@
 // Handles keyboard shortcuts, side panel management, and message routing
 
 import { automateProductExtraction } from './background-automation.js';
+import { runCartAudit, cancelCartAudit } from './background-cart-audit.js';
+import { isSupportedUrl } from './content/parsers/index.js';
+import { loadProfile } from './content/utils/profile-store.js';
 
 console.log('Shop Well background service worker initialized');
 
@@ -62,8 +65,7 @@ chrome.commands.onCommand.addListener(async (command) => {
       });
 
       // Check if tab is valid and on a supported site
-      if (!activeTab.url ||
-          (!activeTab.url.includes('amazon.com') && !activeTab.url.includes('walmart.com'))) {
+      if (!isSupportedUrl(activeTab.url)) {
         console.log('Shop Well: Not on a supported site');
 
         // Still open side panel to show welcome message
@@ -123,7 +125,7 @@ chrome.action.onClicked.addListener(async (tab) => {
     await chrome.sidePanel.open({ windowId: tab.windowId });
 
     // If on a supported site, extract product data
-    if (tab.url && (tab.url.includes('amazon.com') || tab.url.includes('walmart.com'))) {
+    if (isSupportedUrl(tab.url)) {
       chrome.tabs.sendMessage(
         tab.id,
         { command: 'extract-product-data' },
@@ -218,20 +220,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep message channel open for async response
   }
 
+  // Side panel asks for the product pages of a cart audit (pages are streamed back as they arrive)
+  if (message.type === 'START_CART_AUDIT') {
+    runCartAudit(message.auditId, message.items || []);
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  if (message.type === 'CANCEL_CART_AUDIT') {
+    cancelCartAudit(message.auditId);
+    sendResponse({ ok: true });
+    return true;
+  }
+
   // Handle side panel ready signal
   if (message.type === 'sidepanel-ready') {
     console.log('Shop Well: Side panel is ready');
 
     // If there's a pending analysis request, deliver it now
     if (pendingAnalysisRequest) {
-      console.log('Shop Well: Delivering queued analysis request:', pendingAnalysisRequest.type);
+      // Keep a reference: the queue is cleared before the reset callback runs
+      const { forceReset, reason, ...request } = pendingAnalysisRequest;
+      console.log('Shop Well: Delivering queued analysis request:', request.type);
 
       // Check if we need to force-reset first
-      if (pendingAnalysisRequest.forceReset) {
+      if (forceReset) {
         console.log('Shop Well: Sending force-reset before analysis');
         chrome.runtime.sendMessage({
           type: 'force-reset-state',
-          reason: pendingAnalysisRequest.reason || 'queued-analysis'
+          reason: reason || 'queued-analysis'
         }, (resetResponse) => {
           if (chrome.runtime.lastError) {
             console.warn('Shop Well: Force-reset failed:', chrome.runtime.lastError.message);
@@ -239,10 +256,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
           // Send the actual analysis request after a small delay for reset to process
           setTimeout(() => {
-            chrome.runtime.sendMessage({
-              type: pendingAnalysisRequest.type,
-              productData: pendingAnalysisRequest.productData
-            }, (response) => {
+            chrome.runtime.sendMessage(request, (response) => {
               if (chrome.runtime.lastError) {
                 console.warn('Shop Well: Failed to deliver queued message:', chrome.runtime.lastError.message);
               } else {
@@ -253,7 +267,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
       } else {
         // No reset needed, send directly
-        chrome.runtime.sendMessage(pendingAnalysisRequest, (response) => {
+        chrome.runtime.sendMessage(request, (response) => {
           if (chrome.runtime.lastError) {
             console.warn('Shop Well: Failed to deliver queued message:', chrome.runtime.lastError.message);
           } else {
@@ -326,6 +340,39 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Will send response asynchronously
   }
 
+  if (message.type === 'audit-cart' && message.cart) {
+    // "Audit cart" button was clicked on a cart page
+    console.log('Shop Well: Cart audit requested:', message.cart.items.length, 'items');
+
+    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+      const activeTab = tabs[0];
+      if (!activeTab) {
+        sendResponse({ success: false, error: 'No active tab found' });
+        return;
+      }
+
+      // Queue the audit (delivered when the side panel is ready, like listing analyses)
+      pendingAnalysisRequest = {
+        type: 'audit-cart',
+        cart: message.cart,
+        forceReset: true,
+        reason: 'cart-audit-requested'
+      };
+
+      const panelOpened = await forceOpenSidePanel(activeTab.windowId);
+      if (!panelOpened) {
+        console.error('Shop Well: Could not open side panel for cart audit');
+        pendingAnalysisRequest = null;
+        sendResponse({ success: false, error: 'Failed to open side panel' });
+        return;
+      }
+
+      sendResponse({ success: true });
+    });
+
+    return true; // Will send response asynchronously
+  }
+
   if (message.command === 'extract-product-data') {
     // This is handled by the content script
     return false;
@@ -361,7 +408,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status !== 'complete') return;
 
   // Check if it's a supported site
-  if (tab.url && (tab.url.includes('amazon.com') || tab.url.includes('walmart.com'))) {
+  if (isSupportedUrl(tab.url)) {
     console.log('Shop Well: Navigated to supported site:', tab.url);
 
     // Enable side panel for this tab
@@ -385,11 +432,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
     // Set default settings on first install
     await chrome.storage.local.set({
-      condition: 'POTS',
       autoshow: true,
-      allergies: [],
-      customAllergies: [],
-      customCondition: '',
       languagePreference: 'auto',
       welcomeCompleted: false
     });
@@ -404,6 +447,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   } else if (details.reason === 'update') {
     console.log('Shop Well: Extension updated to version', chrome.runtime.getManifest().version);
 
+    // Move conditions/allergies saved by older versions into the structured profile
+    await loadProfile();
+
     // Check if user has completed welcome flow
     const { welcomeCompleted } = await chrome.storage.local.get(['welcomeCompleted']);
 
@@ -416,6 +462,18 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   }
 });
 
+/* =============================================================================
+   RE-CHECK NOTIFICATIONS
+   ============================================================================= */
+
+// Past products flagged after a profile change - open the options page with the full list
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith('shop-well-rescreen-')) {
+    chrome.runtime.openOptionsPage();
+    chrome.notifications.clear(notificationId);
+  }
+});
+
 /* =============================================================================
    SIDE PANEL CLOSE DETECTION
    ============================================================================= */
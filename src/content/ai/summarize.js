@@ -1,5 +1,6 @@
 // Chrome Built-in AI Summarizer Implementation
 import { getUserLanguage } from '../utils/language.js';
+import { findAllergens } from '../utils/allergens.js';
 
 /**
  * Extract structured wellness facts from product data using Chrome's Summarizer API
@@ -170,27 +171,8 @@ function parseStructuredFacts(summary, productData) {
     facts.ergonomic_design = true;
   }
 
-  // Allergen detection (basic patterns)
-  const allergenPatterns = {
-    'peanuts': ['peanut', 'groundnut'],
-    'tree-nuts': ['almond', 'walnut', 'pecan', 'cashew', 'hazelnut'],
-    'milk': ['milk', 'dairy', 'cheese', 'whey', 'casein'],
-    'eggs': ['egg', 'albumin'],
-    'wheat': ['wheat', 'flour'],
-    'soy': ['soy', 'soybean'],
-    'fish': ['fish', 'salmon', 'tuna'],
-    'shellfish': ['shrimp', 'crab', 'lobster'],
-    'sesame': ['sesame', 'tahini']
-  };
-
-  for (const [allergen, patterns] of Object.entries(allergenPatterns)) {
-    for (const pattern of patterns) {
-      if (ingredientsLower.includes(pattern) || summaryLower.includes(pattern)) {
-        facts.allergen_warnings.push(allergen);
-        break;
-      }
-    }
-  }
+  // Allergen detection (shared allergen knowledge base)
+  facts.allergen_warnings.push(...findAllergens([ingredientsLower, summaryLower].join('\n')));
 
   // Confidence assessment
   if (productData.ingredients || productData.bullets.length >= 3) {
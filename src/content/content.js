@@ -1,9 +1,17 @@
 // Shop Well Content Script
-// Simplified: Only extracts product data from Amazon/Walmart pages
+// Simplified: Only extracts product data from registered retailer pages (see parsers/index.js)
 // AI analysis now happens in the side panel
 
-import { AmazonParser } from './parsers/amazon.js';
-import { WalmartParser } from './parsers/walmart.js';
+import { detectPage, getProductCardSelector, parseProductDocument } from './parsers/index.js';
+import { getVariantKey, describeVariant, isSameVariantFamily } from './utils/variants.js';
+import { findIngredientsElement, highlightElement } from './utils/dom.js';
+import { screenProduct, ScreenQueue } from './utils/screen.js';
+import { PROFILE_STORAGE_KEY, loadProfile, getProfileSelections } from './utils/profile-store.js';
+import { ListingToolbar } from './ui/listing-toolbar.js';
+import { CartAuditButton } from './ui/cart-audit-button.js';
+
+// Product card selectors for every registered retailer's listing pages
+const PRODUCT_CARD_SELECTOR = getProductCardSelector();
 
 // Debounce utility to prevent excessive processing during rapid DOM changes
 function debounce(func, wait) {
@@ -21,13 +29,23 @@ function debounce(func, wait) {
 class ProductExtractor {
   constructor() {
     this.parser = null;
+    this.retailer = null; // Registry entry for the current site
     this.isProductPage = false;
-    this.pageType = null; // 'pdp' or 'listing'
+    this.pageType = null; // 'pdp', 'listing' or 'cart'
     this.listingProducts = []; // Array of products on listing page
     this.mutationObserver = null; // Observer for dynamic content
     this.urlPoller = null; // Interval ID for URL polling
     this.lastUrl = window.location.href; // Track last known URL
     this.isAnalyzing = false; // Global flag to prevent concurrent analyses
+    this.variantObserver = null; // Observer for variant picker changes on PDPs
+    this.analyzedVariants = null; // Variants of the product data last sent for analysis
+    this.notifiedVariantKey = null; // Last variant switch reported to the side panel
+    this.preScan = null; // { enabled, allergies, conditions } - opt-in listing pre-scan settings
+    this.screenQueue = null; // Rate-limited queue of listing products to pre-scan
+    this.screenQueued = new Set(); // Product ids queued on the current listing page
+    this.screenResults = new Map(); // Product id → { status, reasons, allergens, score }
+    this.listingToolbar = null; // Hide/dim/sort toolbar shown while pre-scan is on
+    this.cartAuditButton = null; // Floating "Audit cart" button on cart pages
   }
 
   init() {
@@ -37,17 +55,18 @@ class ProductExtractor {
     this.isProductPage = this.detectProductPage();
 
     if (this.pageType === 'pdp') {
-      const parserName = this.parser === WalmartParser ? 'Walmart' :
-                         this.parser === AmazonParser ? 'Amazon' : 'unknown';
+      const parserName = this.retailer?.name || 'unknown';
       console.log(`Shop Well: Detected ${parserName} detail page`);
       // Set up message listener for PDP
       this.setupMessageListener();
     } else if (this.pageType === 'listing') {
-      const parserName = this.parser === WalmartParser ? 'Walmart' :
-                         this.parser === AmazonParser ? 'Amazon' : 'unknown';
+      const parserName = this.retailer?.name || 'unknown';
       console.log(`Shop Well: Detected ${parserName} listing page`);
       // Initialize listing mode with badges
       this.initListingMode();
+    } else if (this.pageType === 'cart') {
+      console.log(`Shop Well: Detected ${this.retailer?.name || 'unknown'} cart page`);
+      this.initCartMode();
     } else {
       console.log('Shop Well: Not a supported page type');
     }
@@ -78,9 +97,23 @@ class ProductExtractor {
       this.mutationObserver = null;
     }
 
+    if (this.variantObserver) {
+      this.variantObserver.disconnect();
+      this.variantObserver = null;
+    }
+
+    // Drop pre-scans queued for the previous page (results are kept by product id)
+    this.screenQueue?.clear();
+    this.screenQueued.clear();
+    this.listingToolbar?.destroy();
+    this.listingToolbar = null;
+    this.cartAuditButton?.destroy();
+    this.cartAuditButton = null;
+
     // Clear existing state
     this.listingProducts = [];
     this.parser = null;
+    this.retailer = null;
     this.isProductPage = false;
     this.pageType = null;
 
@@ -88,16 +121,23 @@ class ProductExtractor {
     this.isProductPage = this.detectProductPage();
 
     if (this.pageType === 'pdp') {
-      const parserName = this.parser === WalmartParser ? 'Walmart' :
-                         this.parser === AmazonParser ? 'Amazon' : 'unknown';
+      const parserName = this.retailer?.name || 'unknown';
       console.log(`Shop Well: Re-detected ${parserName} detail page`);
       // PDP message listener is already set up globally, no need to re-add
+
+      // Variant switches that change the URL (e.g. Amazon replaceState to the new ASIN) land here
+      if (this.analyzedVariants?.length) {
+        this.setupVariantWatcher();
+        setTimeout(() => this.checkVariantChange(), 1000);
+      }
     } else if (this.pageType === 'listing') {
-      const parserName = this.parser === WalmartParser ? 'Walmart' :
-                         this.parser === AmazonParser ? 'Amazon' : 'unknown';
+      const parserName = this.retailer?.name || 'unknown';
       console.log(`Shop Well: Re-detected ${parserName} listing page`);
       // Initialize listing mode with badges
       this.initListingMode();
+    } else if (this.pageType === 'cart') {
+      console.log(`Shop Well: Re-detected ${this.retailer?.name || 'unknown'} cart page`);
+      this.initCartMode();
     } else {
       console.log('Shop Well: Not a supported page type after navigation');
     }
@@ -148,44 +188,20 @@ class ProductExtractor {
   detectProductPage() {
     console.log('Shop Well: detectProductPage() called for URL:', window.location.href);
 
-    // Check for Product Detail Page (PDP) first
-    console.log('Shop Well: Checking AmazonParser.isPDP()...');
-    if (AmazonParser.isPDP()) {
-      this.parser = AmazonParser;
-      this.pageType = 'pdp';
-      console.log('Shop Well: Detected Amazon PDP');
-      return true;
-    }
-
-    console.log('Shop Well: Checking WalmartParser.isPDP()...');
-    if (WalmartParser.isPDP()) {
-      this.parser = WalmartParser;
-      this.pageType = 'pdp';
-      console.log('Shop Well: Detected Walmart PDP');
-      return true;
-    }
-
-    // Check for Search/Listing Page
-    console.log('Shop Well: Checking AmazonParser.isSearchPage()...');
-    if (AmazonParser.isSearchPage()) {
-      this.parser = AmazonParser;
-      this.pageType = 'listing';
-      console.log('Shop Well: Detected Amazon search page');
-      return true;
-    }
-
-    console.log('Shop Well: Checking WalmartParser.isSearchPage()...');
-    if (WalmartParser.isSearchPage()) {
-      this.parser = WalmartParser;
-      this.pageType = 'listing';
-      console.log('Shop Well: Detected Walmart search page');
-      return true;
+    const page = detectPage();
+    if (!page) {
+      console.log('Shop Well: No supported page type detected');
+      return false;
     }
 
-    console.log('Shop Well: No supported page type detected');
-    return false;
+    this.retailer = page.retailer;
+    this.parser = page.retailer.parser;
+    this.pageType = page.pageType;
+    console.log(`Shop Well: Detected ${page.retailer.name} ${{ pdp: 'PDP', listing: 'search page', cart: 'cart' }[page.pageType]}`);
+    return true;
   }
 
+
   async expandAllSections() {
     console.log('Shop Well: Expanding all collapsible sections...');
 
@@ -255,9 +271,17 @@ class ProductExtractor {
         hasIngredients: !!productData.ingredients,
         ingredientsLength: productData.ingredients?.length || 0,
         bulletCount: productData.bullets?.length || 0,
-        price: productData.price
+        price: productData.price,
+        variant: describeVariant(productData.variants)
       });
 
+      // Remember which variant is being analyzed so switches can be reported
+      this.analyzedVariants = productData.variants || [];
+      this.notifiedVariantKey = null;
+      if (this.analyzedVariants.length > 0 && !this.variantObserver) {
+        this.setupVariantWatcher();
+      }
+
       return productData;
 
     } catch (error) {
@@ -266,6 +290,75 @@ class ProductExtractor {
     }
   }
 
+  setupVariantWatcher() {
+    const variantSelector = this.retailer?.variantSelector;
+    if (!variantSelector) {
+      return;
+    }
+
+    if (this.variantObserver) {
+      this.variantObserver.disconnect();
+    }
+
+    // Wait for the retailer to finish swapping ingredients/price before re-extracting
+    const handleVariantMutation = debounce(() => this.checkVariantChange(), 800);
+
+    this.variantObserver = new MutationObserver((mutations) => {
+      const touchesVariantPicker = mutations.some(mutation => {
+        const element = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+        return !!element?.closest(variantSelector);
+      });
+
+      if (touchesVariantPicker) {
+        handleVariantMutation();
+      }
+    });
+
+    this.variantObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'aria-checked', 'aria-current', 'aria-pressed', 'selected']
+    });
+
+    console.log('Shop Well: Watching variant picker for flavor/size switches');
+  }
+
+  checkVariantChange() {
+    if (this.pageType !== 'pdp' || !this.parser || !this.analyzedVariants?.length) {
+      return;
+    }
+
+    const productData = this.parser.parse();
+    const variants = productData?.variants || [];
+    const analyzedKey = getVariantKey(this.analyzedVariants);
+    const currentKey = getVariantKey(variants);
+
+    if (!currentKey || currentKey === analyzedKey || currentKey === this.notifiedVariantKey) {
+      return;
+    }
+
+    // A different product family means the shopper navigated away, not switched variants
+    if (!isSameVariantFamily(this.analyzedVariants, variants)) {
+      return;
+    }
+
+    console.log('Shop Well: Variant switched:', analyzedKey, '→', currentKey);
+    this.notifiedVariantKey = currentKey;
+
+    chrome.runtime.sendMessage({
+      type: 'variant-changed',
+      productData: productData,
+      previousVariant: describeVariant(this.analyzedVariants),
+      variant: describeVariant(variants)
+    }, () => {
+      if (chrome.runtime.lastError) {
+        // Side panel not open - nothing to update
+        console.log('Shop Well: Variant change not delivered:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+
   initListingMode() {
     // Extract all products from search results
     this.listingProducts = this.parser.extractSearchProducts();
@@ -284,16 +377,202 @@ class ProductExtractor {
     // ALWAYS set up MutationObserver to watch for dynamically loaded products
     // This is critical for SPAs where products load asynchronously
     this.setupDynamicBadgeInjection();
+
+    // Opt-in: screen every listed product in the background and color its badge
+    this.setupPreScan();
+  }
+
+  /**
+   * Show the "Audit cart" button (line items are read when it is clicked, after the cart has rendered)
+   */
+  initCartMode() {
+    this.cartAuditButton = new CartAuditButton(() => this.requestCartAudit());
+    this.cartAuditButton.create();
+  }
+
+  /**
+   * Read the cart line items and ask the background worker to run the audit in the side panel
+   */
+  requestCartAudit() {
+    const items = this.parser.extractCartItems();
+    if (items.length === 0) {
+      console.warn('Shop Well: No cart items found');
+      this.cartAuditButton?.reset('No items found in your cart');
+      return;
+    }
+
+    if (!chrome.runtime?.id) {
+      console.warn('Shop Well: Extension context invalidated. Please refresh the page.');
+      this.cartAuditButton?.reset('Refresh the page to audit your cart');
+      return;
+    }
+
+    this.cartAuditButton?.setBusy(`Auditing ${items.length} items...`);
+
+    chrome.runtime.sendMessage({
+      type: 'audit-cart',
+      cart: {
+        site: this.retailer.site,
+        url: window.location.href,
+        items
+      }
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        console.error('Shop Well: Cart audit request failed:', chrome.runtime.lastError?.message || response?.error);
+        this.cartAuditButton?.reset('Could not open Shop Well - try again');
+        return;
+      }
+
+      // The report lives in the side panel; the button is free for another run
+      this.cartAuditButton?.reset();
+    });
+  }
+
+  /**
+   * Load the pre-scan setting and the user's allergies/conditions, and follow changes from the options page
+   */
+  async setupPreScan() {
+    if (!this.preScan) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        const keys = ['listingPreScan', PROFILE_STORAGE_KEY];
+        if (areaName !== 'local' || !keys.some(key => key in changes)) return;
+
+        console.log('Shop Well: Pre-scan settings changed, rescanning listing');
+        this.screenQueue?.clear();
+        this.screenQueued.clear();
+        this.screenResults.clear();
+        this.resetScreenBadges();
+        this.loadPreScanSettings().then(() => this.queuePreScan());
+      });
+    }
+
+    await this.loadPreScanSettings();
+    this.queuePreScan();
+  }
+
+  async loadPreScanSettings() {
+    try {
+      const { listingPreScan } = await chrome.storage.local.get(['listingPreScan']);
+      const { allAllergies, allConditions, allergySettings } = getProfileSelections(await loadProfile());
+      this.preScan = {
+        enabled: listingPreScan === true,
+        allergies: allAllergies,
+        conditions: allConditions,
+        allergySettings
+      };
+    } catch (error) {
+      console.warn('Shop Well: Could not load pre-scan settings:', error);
+      this.preScan = { enabled: false, allergies: [], conditions: [] };
+    }
+  }
+
+  /**
+   * Queue listing products that have not been screened yet
+   */
+  queuePreScan() {
+    if (!this.preScan?.enabled || this.pageType !== 'listing') {
+      this.listingToolbar?.destroy();
+      this.listingToolbar = null;
+      return;
+    }
+
+    if (!this.listingToolbar) {
+      this.listingToolbar = new ListingToolbar(() => this.applyListingToolbar());
+      this.listingToolbar.create().then(() => this.applyListingToolbar());
+    }
+
+    if (!this.screenQueue) {
+      // Two product pages at a time, at most one new request per second, to stay gentle on the retailer
+      this.screenQueue = new ScreenQueue(product => this.screenListingProduct(product), {
+        concurrency: 2,
+        interval: 1000
+      });
+    }
+
+    const products = this.listingProducts.filter(product =>
+      product.url && !this.screenQueued.has(product.id) && !this.screenResults.has(product.id));
+    products.forEach(product => {
+      this.screenQueued.add(product.id);
+      this.setScreenBadge(product.id, { status: 'pending', reasons: ['Checking ingredients...'] });
+    });
+
+    if (products.length > 0) {
+      console.log(`Shop Well: Pre-scanning ${products.length} listing products`);
+      this.screenQueue.enqueue(products);
+    }
+  }
+
+  /**
+   * Fetch one listing product's page, quick-screen it and update its badge
+   * @param {Object} product - Listing product from extractSearchProducts()
+   */
+  async screenListingProduct(product) {
+    if (!this.screenQueued.has(product.id) || !chrome.runtime?.id) {
+      return;
+    }
+
+    let productData = { title: product.title };
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'FETCH_PRODUCT_HTML', url: product.url });
+      if (response?.ok) {
+        const doc = new DOMParser().parseFromString(response.html, 'text/html');
+        productData = parseProductDocument(doc, product.url) || productData;
+      } else {
+        console.warn('Shop Well: Pre-scan fetch failed for', product.id, response?.error);
+      }
+    } catch (error) {
+      console.warn('Shop Well: Pre-scan fetch failed for', product.id, error);
+    }
+
+    // The listing card title is reliable even when the product page fetch was blocked
+    productData.title = productData.title || product.title;
+
+    const result = screenProduct(productData, this.preScan);
+    this.screenResults.set(product.id, result);
+    this.setScreenBadge(product.id, result);
+    this.applyListingToolbar();
+  }
+
+  /**
+   * Re-apply the toolbar's hide/dim/sort options to every listing card (including newly loaded ones)
+   */
+  applyListingToolbar() {
+    this.listingToolbar?.apply(this.listingProducts, this.screenResults);
+  }
+
+  /**
+   * Color a listing badge with its pre-scan result
+   * @param {string} productId - Product id on the badge
+   * @param {Object} result - { status: 'pending'|'green'|'amber'|'red', reasons }
+   */
+  setScreenBadge(productId, result) {
+    const badge = document.querySelector(`.shop-well-badge[data-product-asin="${productId}"]`);
+    if (!badge) return;
+
+    badge.classList.remove('screen-pending', 'screen-green', 'screen-amber', 'screen-red');
+    badge.classList.add(`screen-${result.status}`);
+    badge.dataset.screenReason = result.reasons.join('\n');
+    if (!badge.classList.contains('analyzing')) {
+      badge.title = badge.dataset.screenReason;
+    }
+  }
+
+  resetScreenBadges() {
+    document.querySelectorAll('.shop-well-badge').forEach(badge => {
+      badge.classList.remove('screen-pending', 'screen-green', 'screen-amber', 'screen-red');
+      delete badge.dataset.screenReason;
+      badge.title = '';
+    });
   }
 
   setupDynamicBadgeInjection() {
     console.log('Shop Well: Setting up dynamic badge injection...');
 
-    // Walmart-specific retry logic for delayed product loading
-    if (this.listingProducts.length === 0 && this.parser === WalmartParser) {
-      console.log('Shop Well: No Walmart products found initially, scheduling retry in 1 second...');
+    // Retry logic for client-rendered listings (Walmart, Target) where products load late
+    if (this.listingProducts.length === 0) {
+      console.log(`Shop Well: No ${this.retailer?.name} products found initially, scheduling retry in 1 second...`);
       setTimeout(() => {
-        console.log('Shop Well: Retrying Walmart product extraction...');
+        console.log(`Shop Well: Retrying ${this.retailer?.name} product extraction...`);
         const retryProducts = this.parser.extractSearchProducts();
 
         if (retryProducts.length > 0) {
@@ -301,6 +580,7 @@ class ProductExtractor {
           this.listingProducts = retryProducts;
           this.injectListingBadges();
           this.setupListingMessageListener();
+          this.queuePreScan();
         } else {
           console.warn('Shop Well: Retry failed - still no products found');
         }
@@ -322,6 +602,8 @@ class ProductExtractor {
 
         this.listingProducts = newProducts;
         this.injectListingBadges();
+        this.queuePreScan();
+        this.applyListingToolbar();
 
         // Set up message listener if this is the first time we have products
         if (isFirstProducts) {
@@ -339,7 +621,7 @@ class ProductExtractor {
       searchContainer = firstProductCard.parentElement;
       while (searchContainer && searchContainer !== document.body) {
         // Look for container with multiple product cards
-        const productCards = searchContainer.querySelectorAll('[data-item-id], [data-component-type="s-search-result"]');
+        const productCards = searchContainer.querySelectorAll(PRODUCT_CARD_SELECTOR);
         if (productCards.length > 1) {
           break;
         }
@@ -352,6 +634,7 @@ class ProductExtractor {
         '[data-testid="search-results"], ' +         // Generic test ID
         '#searchProductResult, ' +                   // Amazon
         '#search-result-main-content, ' +            // Walmart search
+        '[data-test="product-grid"], ' +             // Target search
         '[class*="search-result"], ' +               // Walmart variations
         '[class*="SearchResult"], ' +                // Walmart capitalized
         '[class*="product-list"], ' +                // Generic product list
@@ -375,9 +658,9 @@ class ProductExtractor {
         return Array.from(mutation.addedNodes).some(node => {
           if (node.nodeType === Node.ELEMENT_NODE) {
             // Check if added node is a product card or contains product cards
-            return node.hasAttribute?.('data-item-id') ||
+            return node.matches?.(PRODUCT_CARD_SELECTOR) ||
                    node.hasAttribute?.('data-component-type') ||
-                   node.querySelector?.('[data-item-id], [data-component-type="s-search-result"]');
+                   node.querySelector?.(PRODUCT_CARD_SELECTOR);
           }
           return false;
         });
@@ -445,6 +728,11 @@ class ProductExtractor {
         card.appendChild(badge);
         injectedCount++;
 
+        // Keep the pre-scan color when the retailer re-renders the card
+        if (this.screenResults.has(product.id)) {
+          this.setScreenBadge(product.id, this.screenResults.get(product.id));
+        }
+
         // Debug: Verify badge visibility (only log first 3 to avoid spam)
         if (index < 3) {
           setTimeout(() => {
@@ -486,8 +774,7 @@ class ProductExtractor {
     style.id = 'shop-well-badge-styles';
     style.textContent = `
       /* Ensure all badged product cards have proper positioning */
-      [data-item-id][data-shop-well-badged],
-      [data-component-type="s-search-result"][data-shop-well-badged] {
+      [data-shop-well-badged] {
         position: relative !important;
         overflow: visible !important;
       }
@@ -585,6 +872,38 @@ class ProductExtractor {
       .shop-well-badge.refresh::before {
         content: '🔄';
       }
+
+      /* Pre-scan results (opt-in) - colors the idle badge, analysis states above still win */
+      .shop-well-badge.screen-pending:not(.analyzing):not(.completed)::before {
+        content: '⏳';
+      }
+
+      .shop-well-badge.screen-green:not(.analyzing):not(.completed) {
+        background: #E3F2E6;
+        border-color: #6BAF7A;
+      }
+
+      .shop-well-badge.screen-green:not(.analyzing):not(.completed)::before {
+        content: '✅';
+      }
+
+      .shop-well-badge.screen-amber:not(.analyzing):not(.completed) {
+        background: #FCF1CF;
+        border-color: #F2C94C;
+      }
+
+      .shop-well-badge.screen-amber:not(.analyzing):not(.completed)::before {
+        content: '⚠️';
+      }
+
+      .shop-well-badge.screen-red:not(.analyzing):not(.completed) {
+        background: #FFE3DE;
+        border-color: #FF8674;
+      }
+
+      .shop-well-badge.screen-red:not(.analyzing):not(.completed)::before {
+        content: '⛔';
+      }
     `;
     document.head.appendChild(style);
   }
@@ -709,7 +1028,7 @@ class ProductExtractor {
           badge.classList.add('completed');
           badge.textContent = 'Look!';
           badge.style.background = ''; // Reset to CSS default
-          badge.title = ''; // Clear any timeout message
+          badge.title = badge.dataset.screenReason || ''; // Back to the pre-scan reason, if any
           console.log(`Shop Well: Badge for product ${message.productId} marked as completed`);
         } else {
           console.warn(`Shop Well: Could not find badge for product ${message.productId}`);
@@ -730,7 +1049,7 @@ class ProductExtractor {
           badge.classList.remove('analyzing', 'completed');
           badge.textContent = 'Analyze';
           badge.style.background = ''; // Reset to CSS default
-          badge.title = ''; // Clear any timeout message
+          badge.title = badge.dataset.screenReason || ''; // Back to the pre-scan reason, if any
           console.log(`Shop Well: Badge for product ${message.productId} reverted to normal state`);
         }
 
@@ -757,7 +1076,7 @@ class ProductExtractor {
           badge.classList.remove('analyzing', 'completed');
           badge.textContent = 'Analyze';
           badge.style.background = ''; // Reset to CSS default
-          badge.title = ''; // Clear any messages
+          badge.title = badge.dataset.screenReason || ''; // Back to the pre-scan reason, if any
         });
 
         // Reset global analyzing flag to allow new analyses
@@ -829,6 +1148,20 @@ class ProductExtractor {
         return true;
       }
 
+      if (message.command === 'highlight-ingredients') {
+        // "Show on page" from the side panel: scroll to the ingredient list and mark the matched words
+        const element = findIngredientsElement();
+        if (!element) {
+          sendResponse({ success: false, error: 'Ingredient list not found on this page' });
+          return false;
+        }
+
+        const marked = highlightElement(element, '#F2C94C', { terms: message.terms || [], scroll: true, duration: 8000 });
+        console.log(`Shop Well: Highlighted ${marked} ingredient matches on the page`);
+        sendResponse({ success: true, marked });
+        return false;
+      }
+
       return false;
     });
 
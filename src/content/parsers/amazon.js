@@ -1,8 +1,56 @@
 // Amazon Product Page Parser
 
-import { getText, getTextArray, extractPrice, extractIngredients } from '../utils/dom.js';
+import { getText, getTextArray, cleanText, extractPrice, parsePriceText, extractIngredients, extractNutritionFacts, extractImageUrls, extractImageAltText } from '../utils/dom.js';
+import { registerRetailer } from './registry.js';
+import { detectCertifications } from '../utils/certifications.js';
+import { buildPriceModel } from '../utils/price.js';
+import { createVariantDimension } from '../utils/variants.js';
+import { extractJsonLdProduct, resolveProductFields } from '../utils/structured-data.js';
+
+/**
+ * Supported Amazon storefronts (hostname suffix → page locale and currency)
+ */
+export const AMAZON_STOREFRONTS = {
+  'amazon.com': { locale: 'en-US', currency: 'USD' },
+  'amazon.ca': { locale: 'en-CA', currency: 'CAD' },
+  'amazon.co.uk': { locale: 'en-GB', currency: 'GBP' },
+  'amazon.de': { locale: 'de-DE', currency: 'EUR' },
+  'amazon.fr': { locale: 'fr-FR', currency: 'EUR' },
+  'amazon.es': { locale: 'es-ES', currency: 'EUR' },
+  'amazon.co.jp': { locale: 'ja-JP', currency: 'JPY' }
+};
 
 export class AmazonParser {
+  /**
+   * Get the storefront for a URL (falls back to amazon.com)
+   * @param {string} url - Page or product URL (default: current page URL)
+   * @returns {{domain: string, locale: string, currency: string}}
+   */
+  static getStorefront(url = window.location.href) {
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      // Fall through to amazon.com
+    }
+
+    const domain = Object.keys(AMAZON_STOREFRONTS).find(suffix =>
+      hostname === suffix || hostname.endsWith('.' + suffix)
+    ) || 'amazon.com';
+
+    return { domain, ...AMAZON_STOREFRONTS[domain] };
+  }
+
+  /**
+   * Get the Amazon product id (ASIN) from a product URL (/dp/B00I8GQUAC, /gp/product/B00I8GQUAC)
+   * @param {string} url - Product URL (default: current page URL)
+   * @returns {string|null}
+   */
+  static getProductId(url = window.location.href) {
+    const match = url.match(/\/(?:dp|gp\/product|product)\/([A-Z0-9]{10})(?:[/?#]|$)/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+
   /**
    * Check if current page is an Amazon Product Detail Page
    * @returns {boolean}
@@ -27,23 +75,64 @@ export class AmazonParser {
            pathname.match(/\/[^/]+\/s\?k=/);  // Pattern like /milk/s?k=milk
   }
 
+  /**
+   * Check if current page is the Amazon shopping cart
+   * @returns {boolean}
+   */
+  static isCartPage() {
+    const pathname = window.location.pathname;
+    return pathname.startsWith('/gp/cart/') ||
+           pathname === '/cart' ||
+           pathname.startsWith('/cart/');
+  }
+
   /**
    * Extract product data from Amazon PDP
+   * @param {Document} root - Document to parse (default: the live page; the side panel passes fetched HTML)
+   * @param {string} url - Product URL (default: current page URL)
    * @returns {Object|null} Parsed product data or null if extraction fails
    */
-  static parse() {
+  static parse(root = document, url = window.location.href) {
     try {
-      console.log('Shop Well: Parsing Amazon product page...');
+      const storefront = this.getStorefront(url);
+      console.log('Shop Well: Parsing Amazon product page...', storefront.domain);
+
+      // Structured data first, selector chains only for fields it doesn't cover
+      const jsonLd = extractJsonLdProduct(root);
+      const { fields, provenance } = resolveProductFields(
+        [{ source: 'json-ld', data: jsonLd }],
+        {
+          title: () => this.extractTitle(root),
+          bullets: () => this.extractBullets(root),
+          description: () => this.extractDescription(root),
+          ingredients: () => this.extractIngredients(root),
+          nutrition: () => this.extractNutrition(root),
+          images: () => this.extractImages(root),
+          price: () => this.extractPrice(root, storefront.locale),
+          listPrice: () => this.extractListPrice(root, storefront.locale),
+          pricePerUnit: () => this.extractPricePerUnit(root),
+          reviews: () => this.extractReviews(root),
+          variants: () => this.extractVariants(root, url)
+        }
+      );
 
       const data = {
         site: 'amazon',
-        url: window.location.href,
-        title: this.extractTitle(),
-        bullets: this.extractBullets(),
-        description: this.extractDescription(),
-        ingredients: this.extractIngredients(),
-        price: this.extractPrice(),
-        reviews: this.extractReviews()
+        url: url,
+        locale: storefront.locale,
+        currency: storefront.currency,
+        ...fields,
+        pricing: buildPriceModel({
+          price: fields.price,
+          listPrice: fields.listPrice,
+          unitPrice: fields.pricePerUnit
+        }, storefront.locale),
+        // Seals and third-party certifications (each claim records its own source)
+        certifications: detectCertifications(fields, {
+          structured: jsonLd?.certifications,
+          imageAlt: extractImageAltText(root)
+        }),
+        provenance
       };
 
       console.log('Shop Well: Amazon data extracted:', data);
@@ -57,9 +146,10 @@ export class AmazonParser {
 
   /**
    * Extract product title
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractTitle() {
+  static extractTitle(root = document) {
     const titleSelectors = [
       '#productTitle',
       'h1.a-size-large',
@@ -68,16 +158,17 @@ export class AmazonParser {
       'h1'
     ];
 
-    const title = getText(titleSelectors);
+    const title = getText(titleSelectors, root);
     console.log('Shop Well: Amazon title:', title);
     return title;
   }
 
   /**
    * Extract product feature bullets
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string[]}
    */
-  static extractBullets() {
+  static extractBullets(root = document) {
     const bulletSelectors = [
       '#feature-bullets ul li span',
       '#feature-bullets li',
@@ -86,16 +177,17 @@ export class AmazonParser {
       '[data-feature-name="featurebullets"] li'
     ];
 
-    const bullets = getTextArray(bulletSelectors, 10);
+    const bullets = getTextArray(bulletSelectors, 10, root);
     console.log('Shop Well: Amazon bullets:', bullets);
     return bullets;
   }
 
   /**
    * Extract product description
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractDescription() {
+  static extractDescription(root = document) {
     const descriptionSelectors = [
       '#productDescription p',
       '#productDescription',
@@ -105,16 +197,17 @@ export class AmazonParser {
       '.a-expander-content'
     ];
 
-    const description = getText(descriptionSelectors);
+    const description = getText(descriptionSelectors, root);
     console.log('Shop Well: Amazon description length:', description.length);
     return description.substring(0, 1000); // Limit for AI processing
   }
 
   /**
    * Extract ingredients (critical for allergen detection)
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractIngredients() {
+  static extractIngredients(root = document) {
     // Amazon-specific ingredient selectors (valid CSS only)
     const ingredientSelectors = [
       // Direct feature selectors
@@ -144,21 +237,21 @@ export class AmazonParser {
     ];
 
     // First try the generic extractor (has fallback logic)
-    let ingredients = extractIngredients();
+    let ingredients = extractIngredients(root);
     if (ingredients) {
       console.log('Shop Well: Amazon ingredients found via generic extractor');
       return ingredients;
     }
 
     // Try Amazon-specific selectors
-    ingredients = getText(ingredientSelectors);
+    ingredients = getText(ingredientSelectors, root);
     if (ingredients) {
       console.log('Shop Well: Amazon ingredients found via specific selectors');
       return ingredients;
     }
 
     // Fallback: Search for table rows containing "Ingredients" label
-    ingredients = this.extractIngredientsFromTable();
+    ingredients = this.extractIngredientsFromTable(root);
     if (ingredients) {
       console.log('Shop Well: Amazon ingredients found in table');
       return ingredients;
@@ -170,12 +263,13 @@ export class AmazonParser {
 
   /**
    * Extract ingredients from product details tables
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractIngredientsFromTable() {
+  static extractIngredientsFromTable(root = document) {
     try {
       // Look for tables in product details sections
-      const tables = document.querySelectorAll(
+      const tables = root.querySelectorAll(
         '#detailBullets_feature_div table, ' +
         '[data-feature-name="productDetails"] table, ' +
         '#productDetails_feature_div table, ' +
@@ -191,7 +285,7 @@ export class AmazonParser {
             const contentCell = cells[1];
 
             const label = labelCell.textContent?.trim().toLowerCase() || '';
-            if (label.includes('ingredient')) {
+            if (/ingr[eé]dient|zutaten|原材料/.test(label)) {
               const content = contentCell.textContent?.trim() || '';
               if (content.length > 10) {
                 return content;
@@ -207,11 +301,56 @@ export class AmazonParser {
     return '';
   }
 
+  /**
+   * Extract the Nutrition Facts panel (sodium, sugars, etc. with % DV)
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {Object|null}
+   */
+  static extractNutrition(root = document) {
+    const nutrition = extractNutritionFacts(root);
+    console.log('Shop Well: Amazon nutrition facts:', nutrition ? 'found' : 'not found');
+    return nutrition;
+  }
+
+  /**
+   * Extract product gallery image URLs (label photos are read when the page has no ingredient text)
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string[]}
+   */
+  static extractImages(root = document) {
+    const imageSelectors = [
+      '#landingImage',
+      '#imgTagWrapperId img',
+      '#altImages li.imageThumbnail img',
+      '#altImages li.item img',
+      '#main-image-container img'
+    ];
+
+    // Thumbnails are the full image with a size modifier ("41abc._AC_US40_.jpg" → "41abc.jpg")
+    const images = extractImageUrls(imageSelectors, root, 20)
+      .map(url => url.replace(/\._[^/]*_\.(jpe?g|png|webp)$/i, '.$1'));
+
+    // The gallery's hi-res images are also listed in an inline script (the thumbnails are lazy-built)
+    for (const script of root.querySelectorAll('script:not([src])')) {
+      const text = script.textContent || '';
+      if (!text.includes('"hiRes"')) continue;
+      for (const match of text.matchAll(/"hiRes"\s*:\s*"(https?:\/\/[^"]+)"/g)) {
+        images.push(match[1]);
+      }
+    }
+
+    const unique = [...new Set(images)].slice(0, 10);
+    console.log('Shop Well: Amazon gallery images:', unique.length);
+    return unique;
+  }
+
   /**
    * Extract product price
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @param {string} locale - Storefront locale, used to read "12,99 €" style prices (default: current storefront)
    * @returns {string}
    */
-  static extractPrice() {
+  static extractPrice(root = document, locale = this.getStorefront().locale) {
     // Ultra-specific selectors targeting ONLY the main product price display
     // Ordered from most specific to most general
     const priceSelectors = [
@@ -240,16 +379,54 @@ export class AmazonParser {
       '.a-price .a-offscreen'  // Most broad - will be filtered aggressively
     ];
 
-    const price = extractPrice(priceSelectors);
+    const price = extractPrice(priceSelectors, root, locale);
     console.log('Shop Well: Amazon final extracted price:', price);
     return price;
   }
 
+  /**
+   * Extract the list price shown struck through next to a deal price
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @param {string} locale - Storefront locale (default: current storefront)
+   * @returns {string}
+   */
+  static extractListPrice(root = document, locale = this.getStorefront().locale) {
+    const listPriceSelectors = [
+      '#corePriceDisplay_desktop_feature_div .basisPrice .a-offscreen',
+      '#corePriceDisplay_desktop_feature_div .a-price[data-a-strike="true"] .a-offscreen',
+      '#corePrice_desktop .a-price[data-a-strike="true"] .a-offscreen',
+      '#corePrice_feature_div .a-price[data-a-strike="true"] .a-offscreen'
+    ];
+
+    return extractPrice(listPriceSelectors, root, locale);
+  }
+
+  /**
+   * Extract price per unit (e.g., "$0.17 / Ounce")
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractPricePerUnit(root = document) {
+    const unitPriceSelectors = [
+      '#corePriceDisplay_desktop_feature_div .pricePerUnit',
+      '#corePrice_feature_div .pricePerUnit',
+      '#apex_desktop .pricePerUnit'
+    ];
+
+    // Amazon renders unit prices as "($0.17$0.17 / Ounce)": a visible and an offscreen copy of the amount
+    const text = getText(unitPriceSelectors, root);
+    const match = text.match(/\(?\s*(.*?)\s*\)?$/);
+    const unitPrice = match ? match[1].replace(/^(.+?)\1(?=\s*\/)/, '$1') : '';
+    console.log('Shop Well: Amazon unit price:', unitPrice || 'not found');
+    return unitPrice;
+  }
+
   /**
    * Extract sample reviews (for sentiment/themes)
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string[]}
    */
-  static extractReviews() {
+  static extractReviews(root = document) {
     const reviewSelectors = [
       '[data-hook="review-body"] span',
       '.review-text-content span',
@@ -258,11 +435,75 @@ export class AmazonParser {
       '[data-testid="review-text"]'
     ];
 
-    const reviews = getTextArray(reviewSelectors, 5);
+    const reviews = getTextArray(reviewSelectors, 5, root);
     console.log('Shop Well: Amazon reviews found:', reviews.length);
     return reviews;
   }
 
+  /**
+   * Enumerate the variation selector ("twister") options: flavor, size, count, etc.
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @param {string} url - Product URL, used to build option URLs (default: current page URL)
+   * @returns {Array<Object>} - [{ dimension, label, options: [{ label, id, url, selected, available }] }]
+   */
+  static extractVariants(root = document, url = window.location.href) {
+    const variants = [];
+    const origin = new URL(url).origin;
+
+    try {
+      // Classic twister rows (#variation_flavor_name) and the newer inline twister (#inline-twister-row-flavor_name)
+      const rows = root.querySelectorAll('#twister [id^="variation_"], [id^="inline-twister-row-"]');
+
+      for (const row of rows) {
+        const key = row.id.replace(/^variation_|^inline-twister-row-/, '');
+        const name = cleanText(row.querySelector('.a-form-label, [id^="inline-twister-dim-title"] .a-text-bold')?.textContent || '') || key;
+
+        // Swatch/button options
+        let options = Array.from(row.querySelectorAll('li[data-asin], li[data-defaultasin]')).map(item => {
+          const asin = item.getAttribute('data-asin') || item.getAttribute('data-defaultasin') || '';
+          const label = cleanText(
+            item.querySelector('.swatch-title-text-display, .twisterTextDiv')?.textContent ||
+            item.getAttribute('title')?.replace(/^click to select\s*/i, '') ||
+            item.querySelector('img')?.getAttribute('alt') ||
+            item.textContent || ''
+          );
+
+          return {
+            label,
+            id: asin || null,
+            url: asin ? `${origin}/dp/${asin}` : null,
+            selected: item.classList.contains('swatchSelect') || !!item.querySelector('.a-button-selected, [aria-checked="true"]'),
+            available: !item.classList.contains('swatchUnavailable') && !item.querySelector('.a-button-unavailable')
+          };
+        });
+
+        // Dropdown options ("2,B07XYZ1234" values)
+        if (options.length === 0) {
+          options = Array.from(row.querySelectorAll('select option')).filter(option => option.value !== '-1').map(option => {
+            const asin = option.value.split(',')[1] || '';
+            return {
+              label: cleanText(option.getAttribute('data-a-html-content') || option.textContent || ''),
+              id: asin || null,
+              url: asin ? `${origin}/dp/${asin}` : null,
+              selected: option.selected,
+              available: !option.classList.contains('dropdownUnavailable')
+            };
+          });
+        }
+
+        const dimension = createVariantDimension(name, options);
+        if (dimension) {
+          variants.push(dimension);
+        }
+      }
+    } catch (error) {
+      console.warn('Shop Well: Error extracting Amazon variants:', error);
+    }
+
+    console.log('Shop Well: Amazon variant dimensions found:', variants.map(variant => `${variant.dimension} (${variant.options.length})`));
+    return variants;
+  }
+
   /**
    * Get debugging information about found elements
    * @returns {Object}
@@ -273,6 +514,7 @@ export class AmazonParser {
       bullets: this.extractBullets().length,
       description: !!this.extractDescription(),
       ingredients: !!this.extractIngredients(),
+      nutrition: !!this.extractNutrition(),
       price: !!this.extractPrice(),
       reviews: this.extractReviews().length,
       url: window.location.href
@@ -281,14 +523,17 @@ export class AmazonParser {
 
   /**
    * Extract product cards from Amazon search/listing page
+   * @param {Document|Element} root - Root to search (default: current document; fetched pages need a <base> URL)
    * @returns {Array} Array of product objects with basic info
    */
-  static extractSearchProducts() {
+  static extractSearchProducts(root = document) {
     const products = [];
+    const pageUrl = root.baseURI || window.location.href;
+    const storefront = this.getStorefront(pageUrl);
 
     try {
       // Amazon search results use data-component-type="s-search-result" attribute
-      const productCards = document.querySelectorAll('[data-component-type="s-search-result"]');
+      const productCards = root.querySelectorAll('[data-component-type="s-search-result"]');
       console.log(`Shop Well: Found ${productCards.length} Amazon product cards`);
 
       productCards.forEach((card, index) => {
@@ -336,16 +581,15 @@ export class AmazonParser {
           // Strategy 1: Use .a-offscreen which contains the full price text (most reliable)
           const offscreenPrice = card.querySelector('.a-price:not([data-a-strike="true"]) .a-offscreen')?.textContent?.trim();
           if (offscreenPrice && !offscreenPrice.includes('/') && !offscreenPrice.toLowerCase().includes('per')) {
-            // Parse the price value to check if it's reasonable
-            const priceMatch = offscreenPrice.match(/\$[\d,]+\.?\d*/);
-            if (priceMatch) {
-              const priceValue = parseFloat(priceMatch[0].replace(/[$,]/g, ''));
+            // Parse the price value to check if it's reasonable ("$12.99", "12,99 €", "￥1,280")
+            const parsedPrice = parsePriceText(offscreenPrice, storefront.locale);
+            if (parsedPrice) {
               // Skip suspiciously low prices (likely unit prices like $0.02)
-              if (priceValue >= 0.99 || priceValue === 0) {
-                price = priceMatch[0];
+              if (parsedPrice.amount >= 0.99 || parsedPrice.amount === 0) {
+                price = parsedPrice.display;
                 console.log(`Shop Well: Search card price (offscreen): ${price}`);
               } else {
-                console.log(`Shop Well: Rejected low price from offscreen: ${priceMatch[0]} (likely unit price)`);
+                console.log(`Shop Well: Rejected low price from offscreen: ${parsedPrice.display} (likely unit price)`);
               }
             }
           }
@@ -357,7 +601,7 @@ export class AmazonParser {
             const priceSymbol = card.querySelector('.a-price:not([data-a-strike="true"]) .a-price-symbol')?.textContent || '$';
             if (priceWhole) {
               const constructedPrice = `${priceSymbol}${priceWhole}${priceFraction || ''}`.trim();
-              const priceValue = parseFloat(priceWhole.replace(/,/g, ''));
+              const priceValue = parsePriceText(`${priceSymbol}${priceWhole}${priceFraction || ''}`, storefront.locale)?.amount ?? NaN;
               // Skip suspiciously low prices
               if (priceValue >= 0.99 || priceValue === 0) {
                 price = constructedPrice;
@@ -381,8 +625,9 @@ export class AmazonParser {
               id: asin,
               title: title || 'Unknown Product',
               price: price,
+              pricing: buildPriceModel({ price }, storefront.locale),
               image: image,
-              url: linkHref || `https://www.amazon.com/dp/${asin}`,
+              url: linkHref || `${new URL(pageUrl).origin}/dp/${asin}`,
               rating: rating,
               position: index,
               source: 'amazon_search',
@@ -409,4 +654,218 @@ export class AmazonParser {
 
     return products;
   }
-}
\ No newline at end of file
+
+  /**
+   * Extract line items from the Amazon cart (active items only, not "Saved for later")
+   * @param {Document|Element} root - Root to search (default: current document)
+   * @returns {Array} Array of { id, title, url, price, pricing, quantity }
+   */
+  static extractCartItems(root = document) {
+    const items = [];
+    const pageUrl = root.baseURI || window.location.href;
+    const storefront = this.getStorefront(pageUrl);
+
+    try {
+      const activeList = root.querySelector('[data-name="Active Items"], #sc-active-cart') || root;
+      const rows = activeList.querySelectorAll('.sc-list-item[data-asin], [data-asin][data-itemtype="active"]');
+      console.log(`Shop Well: Found ${rows.length} Amazon cart rows`);
+
+      rows.forEach(row => {
+        const asin = row.getAttribute('data-asin');
+        if (!asin || items.some(item => item.id === asin)) return;
+
+        const title = getText([
+          '.sc-product-title .a-truncate-full',
+          '.sc-product-title',
+          '.sc-product-link'
+        ], row);
+        const link = row.querySelector('a.sc-product-link[href], a[href*="/dp/"], a[href*="/gp/product/"]');
+
+        // data-price is a plain number; the visible price keeps the storefront format
+        const priceText = getText(['.sc-product-price', '.sc-price'], row) ||
+          (row.dataset.price ? String(row.dataset.price) : '');
+        const price = parsePriceText(priceText, storefront.locale)?.display || null;
+
+        items.push({
+          id: asin,
+          title: title || 'Unknown Product',
+          url: link?.href || `${new URL(pageUrl).origin}/dp/${asin}`,
+          price,
+          pricing: buildPriceModel({ price }, storefront.locale),
+          quantity: parseInt(row.dataset.quantity, 10) || 1
+        });
+      });
+
+      console.log(`Shop Well: Extracted ${items.length} Amazon cart items`);
+    } catch (error) {
+      console.error('Shop Well: Amazon cart extraction failed:', error);
+    }
+
+    return items;
+  }
+
+  /**
+   * Extract previously bought products from the "Buy again" or "Your Orders" page
+   * @param {Document|Element} root - Root to search (default: current document; fetched pages need a <base> URL)
+   * @returns {Array} Array of { id, title, url }
+   */
+  static extractOrderHistoryItems(root = document) {
+    const items = [];
+    const origin = new URL(root.baseURI || window.location.href).origin;
+
+    try {
+      root.querySelectorAll('a[href*="/dp/"], a[href*="/gp/product/"]').forEach(link => {
+        const asin = this.getProductId(link.href);
+        if (!asin) return;
+
+        // Image and title links point to the same product; keep the first one with a title
+        const title = cleanText(link.textContent) || link.querySelector('img[alt]')?.getAttribute('alt') || '';
+        const existing = items.find(item => item.id === asin);
+        if (existing) {
+          existing.title = existing.title || title;
+          return;
+        }
+
+        items.push({ id: asin, title, url: `${origin}/dp/${asin}` });
+      });
+
+      console.log(`Shop Well: Extracted ${items.length} Amazon previously bought products`);
+    } catch (error) {
+      console.error('Shop Well: Amazon order history extraction failed:', error);
+    }
+
+    return items;
+  }
+}
+
+/**
+ * Click Amazon "See more" expanders in a background tab before extraction.
+ * Injected via chrome.scripting, so it must stay self-contained (no imports or outer variables).
+ * @returns {number} - Number of elements clicked
+ */
+function expandAmazonSections() {
+  // Amazon-specific expandable selectors
+  const selectors = [
+    // Description "See more" / expander
+    '#productDescription .a-expander-prompt',
+    '.a-expander-prompt',
+
+    // Feature bullets expanders
+    '#feature-bullets .a-expander-prompt',
+
+    // Product details expanders
+    '.prodDetTable .a-expander-prompt',
+    '#detailBullets_feature_div .a-expander-prompt',
+
+    // Ingredients section
+    '#ingredients .a-expander-prompt',
+    '[data-feature-name="ingredients"] .a-expander-prompt',
+
+    // Important information
+    '#important-information .a-expander-prompt'
+  ];
+
+  let clickCount = 0;
+  selectors.forEach(selector => {
+    const elements = document.querySelectorAll(selector);
+    elements.forEach(el => {
+      try {
+        if (el.offsetParent !== null) {
+          el.click();
+          clickCount++;
+        }
+      } catch (err) {
+        console.warn('Failed to click element:', selector, err);
+      }
+    });
+  });
+
+  console.log(`Amazon: Clicked ${clickCount} expandable elements`);
+  return clickCount;
+}
+
+/**
+ * Extract Amazon product content from a fully expanded background tab.
+ * Injected via chrome.scripting, so it must stay self-contained (no imports or outer variables).
+ * @returns {Object} - Product data
+ */
+function extractAmazonContent() {
+  const getText = (selectors) => {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of selectorArray) {
+      const el = document.querySelector(selector);
+      if (el && el.textContent) {
+        return el.textContent.trim();
+      }
+    }
+    return '';
+  };
+
+  const getTextArray = (selectors, limit = 10) => {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of selectorArray) {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length > 0) {
+        return Array.from(elements)
+          .map(el => el.textContent?.trim())
+          .filter(text => text && text.length > 3)
+          .slice(0, limit);
+      }
+    }
+    return [];
+  };
+
+  return {
+    site: 'amazon',
+    url: window.location.href,
+    title: getText([
+      '#productTitle',
+      'h1.a-size-large',
+      'h1'
+    ]),
+    bullets: getTextArray([
+      '#feature-bullets ul li span',
+      '#feature-bullets li',
+      '.a-unordered-list.a-vertical li'
+    ]),
+    description: getText([
+      '#productDescription p',
+      '#productDescription',
+      '#aplus_feature_div'
+    ]),
+    ingredients: getText([
+      '[data-feature-name="ingredients"]',
+      '#ingredients',
+      '.ingredients',
+      '#detailBullets_feature_div .ingredients'
+    ]),
+    specifications: getTextArray([
+      '#productDetails_detailBullets_sections1 tr',
+      '#detailBullets_feature_div li',
+      '.prodDetTable tr'
+    ], 20),
+    price: getText([
+      '.a-price.apexPriceToPay .a-offscreen',
+      '#corePrice_feature_div .a-price .a-offscreen',
+      '#priceblock_dealprice',
+      '#priceblock_ourprice'
+    ]),
+    reviews: getTextArray([
+      '[data-hook="review-body"] span',
+      '.review-text-content span'
+    ], 5)
+  };
+}
+
+registerRetailer({
+  site: 'amazon',
+  name: 'Amazon',
+  hostPatterns: [/(^|\.)amazon\.(com|ca|co\.uk|de|fr|es|co\.jp)$/],
+  parser: AmazonParser,
+  cardSelector: '[data-component-type="s-search-result"]',
+  variantSelector: '#twister_feature_div, #twister, [id^="inline-twister-row-"]',
+  expandScript: expandAmazonSections,
+  extractionScript: extractAmazonContent,
+  buildSearchUrl: (query, url) => `${new URL(url).origin}/s?k=${encodeURIComponent(query)}`,
+  buildOrderHistoryUrl: (url) => `${new URL(url).origin}/gp/buyagain`
+});
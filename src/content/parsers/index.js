@@ -0,0 +1,22 @@
+// Shop Well Retailer Parsers
+// Importing a parser module registers it with the registry. To add a retailer,
+// create its parser file (which calls registerRetailer) and import it here.
+
+import './amazon.js';
+import './walmart.js';
+import './target.js';
+
+export {
+  getRetailers,
+  getRetailerForUrl,
+  getRetailerBySite,
+  isSupportedUrl,
+  detectPage,
+  getProductCardSelector,
+  getProductId,
+  getSearchUrl,
+  parseSearchDocument,
+  getOrderHistoryUrl,
+  parseOrderHistoryDocument,
+  parseProductDocument
+} from './registry.js';
@@ -0,0 +1,201 @@
+// Shop Well Retailer Parser Registry
+// Each retailer parser registers itself here. The content script, background worker,
+// automation module and side panel all resolve the retailer for a page or URL through
+// this module instead of hard-coding site checks.
+
+const retailers = [];
+
+/**
+ * Register a retailer parser
+ * @param {Object} retailer - Retailer definition
+ * @param {string} retailer.site - Site id stored on product data (e.g., 'amazon')
+ * @param {string} retailer.name - Display name (e.g., 'Amazon')
+ * @param {RegExp[]} retailer.hostPatterns - Hostname patterns this retailer handles
+ * @param {Function} retailer.parser - Parser class with static isPDP, isSearchPage, getProductId(url),
+ *   parse(root, url), extractSearchProducts and getDebugInfo; parsers that support cart audits also
+ *   have static isCartPage and extractCartItems(root), and those with order history re-screening
+ *   have static extractOrderHistoryItems(root)
+ * @param {string} retailer.cardSelector - CSS selector matching a listing page product card
+ * @param {Function} retailer.expandScript - Self-contained function injected to open collapsed sections
+ * @param {Function} retailer.extractionScript - Self-contained function injected to extract product content
+ * @param {string} [retailer.variantSelector] - CSS selector of the PDP variant picker, watched for flavor/size switches
+ * @param {Function} retailer.buildSearchUrl - (query, productUrl) => search results URL on the same storefront
+ * @param {Function} [retailer.buildOrderHistoryUrl] - (productUrl) => "Buy again" / order history URL on the same storefront
+ */
+export function registerRetailer(retailer) {
+  if (retailers.some(existing => existing.site === retailer.site)) {
+    console.warn('Shop Well: Retailer already registered:', retailer.site);
+    return;
+  }
+
+  retailers.push(retailer);
+}
+
+/**
+ * Get all registered retailers
+ * @returns {Object[]}
+ */
+export function getRetailers() {
+  return [...retailers];
+}
+
+/**
+ * Find the retailer that handles a URL
+ * @param {string} url - Page or product URL
+ * @returns {Object|null} - Retailer definition or null if unsupported
+ */
+export function getRetailerForUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  return retailers.find(retailer =>
+    retailer.hostPatterns.some(pattern => pattern.test(hostname))
+  ) || null;
+}
+
+/**
+ * Find a retailer by site id
+ * @param {string} site - Site id (e.g., 'walmart')
+ * @returns {Object|null}
+ */
+export function getRetailerBySite(site) {
+  return retailers.find(retailer => retailer.site === site) || null;
+}
+
+/**
+ * Check whether a URL belongs to a supported retailer
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export function isSupportedUrl(url) {
+  return !!(url && getRetailerForUrl(url));
+}
+
+/**
+ * Detect the retailer and page type of the current page
+ * @returns {{retailer: Object, pageType: string}|null} - pageType is 'pdp', 'listing' or 'cart'
+ */
+export function detectPage() {
+  const retailer = getRetailerForUrl(window.location.href);
+  if (!retailer) {
+    return null;
+  }
+
+  if (retailer.parser.isPDP()) {
+    return { retailer, pageType: 'pdp' };
+  }
+
+  if (retailer.parser.isSearchPage()) {
+    return { retailer, pageType: 'listing' };
+  }
+
+  if (retailer.parser.isCartPage?.()) {
+    return { retailer, pageType: 'cart' };
+  }
+
+  return null;
+}
+
+/**
+ * Selector matching product cards of every registered retailer
+ * @returns {string}
+ */
+export function getProductCardSelector() {
+  return retailers.map(retailer => retailer.cardSelector).join(', ');
+}
+
+/**
+ * Get the retailer's product id (ASIN, Walmart item id, TCIN) for a product URL
+ * @param {string} url - Product URL
+ * @returns {string|null}
+ */
+export function getProductId(url) {
+  return getRetailerForUrl(url)?.parser.getProductId(url) || null;
+}
+
+/**
+ * Build a search results URL on the same retailer (and storefront) as a product
+ * @param {string} url - Product URL
+ * @param {string} query - Search terms
+ * @returns {string|null} - Search URL or null if the URL is unsupported
+ */
+export function getSearchUrl(url, query) {
+  return getRetailerForUrl(url)?.buildSearchUrl(query, url) || null;
+}
+
+/**
+ * Parse fetched search results HTML with the retailer's listing parser
+ * @param {Document} doc - Parsed document (e.g., from DOMParser)
+ * @param {string} url - Search page URL
+ * @returns {Array<Object>} - Listing products (empty if the URL is unsupported)
+ */
+export function parseSearchDocument(doc, url) {
+  const retailer = getRetailerForUrl(url);
+  if (!retailer) {
+    console.warn('Shop Well: Unknown site, cannot parse search results:', url);
+    return [];
+  }
+
+  setDocumentBase(doc, url);
+  return retailer.parser.extractSearchProducts(doc);
+}
+
+/**
+ * Build the "Buy again" / order history URL on the same retailer (and storefront) as a URL
+ * @param {string} url - Any page or product URL on the retailer
+ * @returns {string|null} - Order history URL, or null if the retailer has none
+ */
+export function getOrderHistoryUrl(url) {
+  return getRetailerForUrl(url)?.buildOrderHistoryUrl?.(url) || null;
+}
+
+/**
+ * Parse fetched "Buy again" / order history HTML with the retailer's parser
+ * @param {Document} doc - Parsed document (e.g., from DOMParser)
+ * @param {string} url - Order history page URL
+ * @returns {Array<Object>} - Previously bought products ({ id, title, url }), empty if unsupported
+ */
+export function parseOrderHistoryDocument(doc, url) {
+  const retailer = getRetailerForUrl(url);
+  if (!retailer?.parser.extractOrderHistoryItems) {
+    console.warn('Shop Well: No order history parser for:', url);
+    return [];
+  }
+
+  setDocumentBase(doc, url);
+  return retailer.parser.extractOrderHistoryItems(doc);
+}
+
+/**
+ * Parse fetched product HTML with the retailer's DOM parser
+ * @param {Document} doc - Parsed document (e.g., from DOMParser)
+ * @param {string} url - Product URL
+ * @returns {Object|null} - Product data or null if the URL is unsupported
+ */
+export function parseProductDocument(doc, url) {
+  const retailer = getRetailerForUrl(url);
+  if (!retailer) {
+    console.warn('Shop Well: Unknown site, cannot parse:', url);
+    return null;
+  }
+
+  return retailer.parser.parse(doc, url);
+}
+
+/**
+ * Resolve relative links in a fetched document against its page URL,
+ * not the extension page that parsed it
+ * @param {Document} doc - Parsed document
+ * @param {string} url - Page URL the HTML was fetched from
+ */
+function setDocumentBase(doc, url) {
+  if (!doc.querySelector('base')) {
+    const base = doc.createElement('base');
+    base.href = url;
+    doc.head.prepend(base);
+  }
+}
@@ -0,0 +1,510 @@
+// Target Product Page Parser
+
+import { getText, getTextArray, extractPrice, extractIngredients, extractNutritionFacts, extractImageUrls, extractImageAltText } from '../utils/dom.js';
+import { registerRetailer } from './registry.js';
+import { detectCertifications } from '../utils/certifications.js';
+import { buildPriceModel } from '../utils/price.js';
+import { extractJsonLdProduct, resolveProductFields } from '../utils/structured-data.js';
+
+export class TargetParser {
+  /**
+   * Get the Target product id (TCIN) from a product URL (/p/product-name/-/A-12345678)
+   * @param {string} url - Product URL (default: current page URL)
+   * @returns {string|null}
+   */
+  static getProductId(url = window.location.href) {
+    const match = url.match(/\/A-(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Check if current page is a Target Product Detail Page
+   * Target PDP URLs look like /p/product-name/-/A-12345678
+   * @returns {boolean}
+   */
+  static isPDP() {
+    const pathname = window.location.pathname;
+    return pathname.includes('/p/') && /\/A-\d+/.test(pathname);
+  }
+
+  /**
+   * Check if current page is a Target Search/Listing Page
+   * @returns {boolean}
+   */
+  static isSearchPage() {
+    const pathname = window.location.pathname;
+    const search = window.location.search;
+
+    return (
+      // Search results: /s?searchTerm=protein+bars
+      (pathname === '/s' || pathname.startsWith('/s/')) ||
+      search.includes('searchTerm=') ||
+
+      // Category pages: /c/snacks/-/N-5xsy9
+      pathname.startsWith('/c/')
+    );
+  }
+
+  /**
+   * Extract product data from Target PDP
+   * @param {Document} root - Document to parse (default: the live page; the side panel passes fetched HTML)
+   * @param {string} url - Product URL (default: current page URL)
+   * @returns {Object|null} Parsed product data or null if extraction fails
+   */
+  static parse(root = document, url = window.location.href) {
+    try {
+      console.log('Shop Well: Parsing Target product page...');
+
+      // Structured data first, selector chains only for fields it doesn't cover
+      const jsonLd = extractJsonLdProduct(root);
+      const { fields, provenance } = resolveProductFields(
+        [{ source: 'json-ld', data: jsonLd }],
+        {
+          title: () => this.extractTitle(root),
+          bullets: () => this.extractBullets(root),
+          description: () => this.extractDescription(root),
+          ingredients: () => this.extractIngredients(root),
+          nutrition: () => this.extractNutrition(root),
+          images: () => this.extractImages(root),
+          price: () => this.extractPrice(root),
+          listPrice: () => this.extractListPrice(root),
+          pricePerUnit: () => this.extractPricePerUnit(root),
+          reviews: () => this.extractReviews(root)
+        }
+      );
+
+      const data = {
+        site: 'target',
+        url: url,
+        ...fields,
+        pricing: buildPriceModel({
+          price: fields.price,
+          listPrice: fields.listPrice,
+          unitPrice: fields.pricePerUnit
+        }),
+        // Seals and third-party certifications (each claim records its own source)
+        certifications: detectCertifications(fields, {
+          structured: jsonLd?.certifications,
+          imageAlt: extractImageAltText(root)
+        }),
+        provenance
+      };
+
+      console.log('Shop Well: Target data extracted:', data);
+      return data;
+
+    } catch (error) {
+      console.error('Shop Well: Target parsing error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract product title
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractTitle(root = document) {
+    const titleSelectors = [
+      'h1[data-test="product-title"]',
+      '#pdp-product-title-id',
+      'h1'
+    ];
+
+    const title = getText(titleSelectors, root);
+    console.log('Shop Well: Target title:', title);
+    return title;
+  }
+
+  /**
+   * Extract product highlight bullets
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string[]}
+   */
+  static extractBullets(root = document) {
+    const bulletSelectors = [
+      '[data-test="@web/ProductDetailPageHighlights"] li',
+      '[data-test="product-highlights"] li',
+      '[data-test="item-details-highlights"] li'
+    ];
+
+    const bullets = getTextArray(bulletSelectors, 10, root);
+    console.log('Shop Well: Target bullets:', bullets);
+    return bullets;
+  }
+
+  /**
+   * Extract product description
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractDescription(root = document) {
+    const descriptionSelectors = [
+      '[data-test="item-details-description"]',
+      '[data-test="product-description"]',
+      '#product-details-tabs [data-test="item-details-description"]'
+    ];
+
+    const description = getText(descriptionSelectors, root);
+    console.log('Shop Well: Target description length:', description.length);
+    return description.substring(0, 1000); // Limit for AI processing
+  }
+
+  /**
+   * Extract ingredients from the "Label info" section
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractIngredients(root = document) {
+    const ingredientSelectors = [
+      '[data-test="item-details-ingredients"]',
+      '[data-test="productDetailTabs-ingredients"]',
+      '[data-test="item-details-label-info"] [data-test="ingredients"]'
+    ];
+
+    let ingredients = getText(ingredientSelectors, root);
+    if (ingredients) {
+      console.log('Shop Well: Target ingredients found via specific selectors');
+      return ingredients;
+    }
+
+    // Label info renders "Ingredients:" as a heading followed by the list
+    ingredients = extractIngredients(root);
+    if (ingredients) {
+      console.log('Shop Well: Target ingredients found via generic extractor');
+      return ingredients;
+    }
+
+    console.log('Shop Well: Target ingredients NOT found');
+    return '';
+  }
+
+  /**
+   * Extract the Nutrition Facts panel (sodium, sugars, etc. with % DV)
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {Object|null}
+   */
+  static extractNutrition(root = document) {
+    const nutrition = extractNutritionFacts(root);
+    console.log('Shop Well: Target nutrition facts:', nutrition ? 'found' : 'not found');
+    return nutrition;
+  }
+
+  /**
+   * Extract product gallery image URLs (label photos are read when the page has no ingredient text)
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string[]}
+   */
+  static extractImages(root = document) {
+    const imageSelectors = [
+      '[data-test="image-gallery-item-0"] img',
+      '[data-test^="image-gallery-item"] img',
+      '[data-test="product-image"] img',
+      'section[aria-label*="image gallery" i] img'
+    ];
+
+    // Scene7 renders at the wid/hei in the query string; ask for a size the label text is legible at
+    const images = [...new Set(extractImageUrls(imageSelectors, root, 20).map(url => url.split('?')[0]))]
+      .slice(0, 10)
+      .map(url => `${url}?wid=1200&hei=1200&qlt=80&fmt=webp`);
+    console.log('Shop Well: Target gallery images:', images.length);
+    return images;
+  }
+
+  /**
+   * Extract product price
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractPrice(root = document) {
+    const priceSelectors = [
+      '[data-test="product-price"]',
+      '[data-test="product-price-sale"]',
+      '[data-test="product-price-reg"]'
+    ];
+
+    const price = extractPrice(priceSelectors, root);
+    console.log('Shop Well: Target price:', price);
+    return price;
+  }
+
+  /**
+   * Extract the regular price shown struck through next to a sale price
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractListPrice(root = document) {
+    const listPriceSelectors = [
+      '[data-test="product-regular-price"]',
+      '[data-test="product-price-reg"]'
+    ];
+    return extractPrice(listPriceSelectors, root);
+  }
+
+  /**
+   * Extract price per unit (e.g., "$0.25/ounce")
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractPricePerUnit(root = document) {
+    const unitPriceSelectors = [
+      '[data-test="product-unit-price"]',
+      '[data-test="unit-price"]',
+      '[data-test="product-price"] + span',
+      '[data-test="@web/Price/PriceFull"]'
+    ];
+
+    for (const selector of unitPriceSelectors) {
+      try {
+        const text = root.querySelector(selector)?.textContent?.trim();
+        if (!text) continue;
+
+        // Target renders unit prices as "($0.25/ounce)"
+        const unitPriceMatch = text.match(/\$(\d+\.?\d*)\s*\/\s*([\w\s]+)/i);
+        if (unitPriceMatch) {
+          const unitPrice = `$${unitPriceMatch[1]}/${unitPriceMatch[2].trim()}`;
+          console.log('Shop Well: Target unit price:', unitPrice);
+          return unitPrice;
+        }
+      } catch (error) {
+        console.warn('Shop Well: Invalid unit price selector:', selector, error);
+      }
+    }
+
+    console.log('Shop Well: Target unit price not found');
+    return '';
+  }
+
+  /**
+   * Extract sample reviews (for sentiment/themes)
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string[]}
+   */
+  static extractReviews(root = document) {
+    const reviewSelectors = [
+      '[data-test="review-card--text"]',
+      '[data-test="reviews-list"] [data-test="review-text"]',
+      '.h-text-md[data-test="review-card--text"]'
+    ];
+
+    const reviews = getTextArray(reviewSelectors, 5, root);
+    console.log('Shop Well: Target reviews found:', reviews.length);
+    return reviews;
+  }
+
+  /**
+   * Get debugging information about found elements
+   * @returns {Object}
+   */
+  static getDebugInfo() {
+    return {
+      title: !!this.extractTitle(),
+      bullets: this.extractBullets().length,
+      description: !!this.extractDescription(),
+      ingredients: !!this.extractIngredients(),
+      nutrition: !!this.extractNutrition(),
+      price: !!this.extractPrice(),
+      reviews: this.extractReviews().length,
+      url: window.location.href
+    };
+  }
+
+  /**
+   * Extract product cards from Target search/category page
+   * @param {Document|Element} root - Root to search (default: current document)
+   * @returns {Array} Array of product objects with basic info
+   */
+  static extractSearchProducts(root = document) {
+    const products = [];
+
+    try {
+      const productCards = root.querySelectorAll('[data-test="@web/site-top-of-funnel/ProductCardWrapper"]');
+      console.log(`Shop Well: Found ${productCards.length} Target product cards`);
+
+      productCards.forEach((card, index) => {
+        try {
+          const link = card.querySelector('a[data-test="product-title"]') ||
+                       card.querySelector('a[href*="/A-"]');
+          const linkHref = link?.href || null;
+
+          // Target item id (TCIN) lives in the product URL: /p/name/-/A-12345678
+          const tcin = linkHref?.match(/\/A-(\d+)/)?.[1];
+
+          const title = link?.getAttribute('aria-label') ||
+                        link?.textContent?.trim() ||
+                        card.querySelector('[data-test="product-title"]')?.textContent?.trim();
+
+          // Main price ("$3.99" or "$3.99 - $5.49" for multi-size items)
+          let price = '';
+          const priceText = card.querySelector('[data-test="current-price"]')?.textContent?.trim() || '';
+          const priceMatch = priceText.match(/\$[\d,]+\.?\d*/);
+          if (priceMatch) {
+            price = priceMatch[0];
+          }
+
+          // Unit price ("($0.25/ounce)")
+          let pricePerUnit = '';
+          const unitMatch = card.textContent?.match(/\(\$(\d+\.?\d*)\s*\/\s*([\w\s]+?)\)/);
+          if (unitMatch) {
+            pricePerUnit = `$${unitMatch[1]}/${unitMatch[2].trim()}`;
+          }
+
+          const image = card.querySelector('img')?.src;
+
+          const ratingEl = card.querySelector('[data-test="ratings"], [aria-label*="out of 5"]');
+          const rating = ratingEl?.getAttribute('aria-label')?.match(/[\d.]+/)?.[0] ||
+                         ratingEl?.textContent?.match(/[\d.]+/)?.[0];
+
+          if (tcin && title) {
+            products.push({
+              id: tcin,
+              title: title,
+              price: price,
+              pricePerUnit: pricePerUnit,
+              pricing: buildPriceModel({ price, unitPrice: pricePerUnit }),
+              image: image,
+              url: linkHref || `https://www.target.com/p/-/A-${tcin}`,
+              rating: rating,
+              position: index,
+              source: 'target_search',
+              _cardElement: card  // Store DOM element reference for badge injection
+            });
+          } else {
+            console.warn(`Shop Well: Target card ${index} missing TCIN or title`);
+          }
+        } catch (err) {
+          console.warn('Shop Well: Failed to extract Target product card:', err);
+        }
+      });
+
+      console.log(`Shop Well: Successfully extracted ${products.length} Target products`);
+    } catch (error) {
+      console.error('Shop Well: Target search extraction failed:', error);
+    }
+
+    return products;
+  }
+}
+
+/**
+ * Click Target "See more" expanders in a background tab before extraction.
+ * Injected via chrome.scripting, so it must stay self-contained (no imports or outer variables).
+ * @returns {number} - Number of elements clicked
+ */
+function expandTargetSections() {
+  // Target-specific expandable selectors
+  const selectors = [
+    // "Show more" under Details / Highlights
+    'button[data-test="toggleContentButton"]',
+    '[data-test="item-details-show-more"]',
+
+    // Specifications, Label info (ingredients + nutrition) accordions
+    'button[aria-expanded="false"][aria-controls*="Specifications"]',
+    'button[aria-expanded="false"][aria-controls*="Label"]',
+    '[data-test="item-details-label-info"] button[aria-expanded="false"]'
+  ];
+
+  let clickCount = 0;
+  selectors.forEach(selector => {
+    const elements = document.querySelectorAll(selector);
+    elements.forEach(el => {
+      try {
+        if (el.offsetParent !== null) {
+          el.click();
+          clickCount++;
+        }
+      } catch (err) {
+        console.warn('Failed to click element:', selector, err);
+      }
+    });
+  });
+
+  console.log(`Target: Clicked ${clickCount} expandable elements`);
+  return clickCount;
+}
+
+/**
+ * Extract Target product content from a fully expanded background tab.
+ * Injected via chrome.scripting, so it must stay self-contained (no imports or outer variables).
+ * @returns {Object} - Product data
+ */
+function extractTargetContent() {
+  const getText = (selectors) => {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of selectorArray) {
+      const el = document.querySelector(selector);
+      if (el && el.textContent) {
+        return el.textContent.trim();
+      }
+    }
+    return '';
+  };
+
+  const getTextArray = (selectors, limit = 10) => {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of selectorArray) {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length > 0) {
+        return Array.from(elements)
+          .map(el => el.textContent?.trim())
+          .filter(text => text && text.length > 3)
+          .slice(0, limit);
+      }
+    }
+    return [];
+  };
+
+  // Label info renders "Ingredients:" as a heading followed by the list
+  const getIngredientsByLabel = () => {
+    const headings = document.querySelectorAll('[data-test="item-details-label-info"] *, h4, b, strong');
+    for (const heading of headings) {
+      if (/^ingredients:?$/i.test(heading.textContent?.trim() || '')) {
+        const text = heading.nextElementSibling?.textContent?.trim() || '';
+        if (text.length > 10) return text;
+      }
+    }
+    return '';
+  };
+
+  return {
+    site: 'target',
+    url: window.location.href,
+    title: getText([
+      'h1[data-test="product-title"]',
+      '#pdp-product-title-id',
+      'h1'
+    ]),
+    bullets: getTextArray([
+      '[data-test="@web/ProductDetailPageHighlights"] li',
+      '[data-test="product-highlights"] li'
+    ]),
+    description: getText([
+      '[data-test="item-details-description"]',
+      '[data-test="product-description"]'
+    ]),
+    ingredients: getText([
+      '[data-test="item-details-ingredients"]',
+      '[data-test="productDetailTabs-ingredients"]'
+    ]) || getIngredientsByLabel(),
+    specifications: getTextArray([
+      '[data-test="item-details-specifications"] div'
+    ], 20),
+    price: getText([
+      '[data-test="product-price"]'
+    ]),
+    reviews: getTextArray([
+      '[data-test="review-card--text"]'
+    ], 5)
+  };
+}
+
+registerRetailer({
+  site: 'target',
+  name: 'Target',
+  hostPatterns: [/(^|\.)target\.com$/],
+  parser: TargetParser,
+  cardSelector: '[data-test="@web/site-top-of-funnel/ProductCardWrapper"]',
+  expandScript: expandTargetSections,
+  extractionScript: extractTargetContent,
+  buildSearchUrl: (query) => `https://www.target.com/s?searchTerm=${encodeURIComponent(query)}`
+});
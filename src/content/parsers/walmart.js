@@ -1,8 +1,23 @@
 // Walmart Product Page Parser
 
-import { getText, getTextArray, extractPrice, extractIngredients } from '../utils/dom.js';
+import { getText, getTextArray, cleanText, extractPrice, extractIngredients, extractNutritionFacts, extractImageUrls, extractImageAltText } from '../utils/dom.js';
+import { registerRetailer } from './registry.js';
+import { detectCertifications } from '../utils/certifications.js';
+import { buildPriceModel } from '../utils/price.js';
+import { createVariantDimension } from '../utils/variants.js';
+import { extractJsonLdProduct, extractNextDataProduct, resolveProductFields } from '../utils/structured-data.js';
 
 export class WalmartParser {
+  /**
+   * Get the Walmart product id (item id) from a product URL (/ip/product-name/142558029)
+   * @param {string} url - Product URL (default: current page URL)
+   * @returns {string|null}
+   */
+  static getProductId(url = window.location.href) {
+    const match = url.match(/\/ip\/(?:[^/]+\/)?(\d+)/);
+    return match ? match[1] : null;
+  }
+
   /**
    * Check if current page is a Walmart Product Detail Page
    * @returns {boolean}
@@ -53,24 +68,62 @@ export class WalmartParser {
     return isSearch;
   }
 
+  /**
+   * Check if current page is the Walmart cart
+   * @returns {boolean}
+   */
+  static isCartPage() {
+    const pathname = window.location.pathname;
+    return pathname === '/cart' || pathname.startsWith('/cart/');
+  }
+
   /**
    * Extract product data from Walmart PDP
+   * @param {Document} root - Document to parse (default: the live page; the side panel passes fetched HTML)
+   * @param {string} url - Product URL (default: current page URL)
    * @returns {Object|null} Parsed product data or null if extraction fails
    */
-  static parse() {
+  static parse(root = document, url = window.location.href) {
     try {
       console.log('Shop Well: Parsing Walmart product page...');
 
+      // Embedded __NEXT_DATA__ state and JSON-LD first, selector chains only for missing fields
+      const jsonLd = extractJsonLdProduct(root);
+      const { fields, provenance } = resolveProductFields(
+        [
+          { source: 'next-data', data: extractNextDataProduct(root, url) },
+          { source: 'json-ld', data: jsonLd }
+        ],
+        {
+          title: () => this.extractTitle(root),
+          bullets: () => this.extractBullets(root),
+          description: () => this.extractDescription(root),
+          ingredients: () => this.extractIngredients(root),
+          nutrition: () => this.extractNutrition(root),
+          images: () => this.extractImages(root),
+          price: () => this.extractPrice(root),
+          listPrice: () => this.extractListPrice(root),
+          pricePerUnit: () => this.extractPricePerUnit(root),
+          reviews: () => this.extractReviews(root),
+          variants: () => this.extractVariants(root, url)
+        }
+      );
+
       const data = {
         site: 'walmart',
-        url: window.location.href,
-        title: this.extractTitle(),
-        bullets: this.extractBullets(),
-        description: this.extractDescription(),
-        ingredients: this.extractIngredients(),
-        price: this.extractPrice(),
-        pricePerUnit: this.extractPricePerUnit(),
-        reviews: this.extractReviews()
+        url: url,
+        ...fields,
+        pricing: buildPriceModel({
+          price: fields.price,
+          listPrice: fields.listPrice,
+          unitPrice: fields.pricePerUnit
+        }),
+        // Seals and third-party certifications (each claim records its own source)
+        certifications: detectCertifications(fields, {
+          structured: jsonLd?.certifications,
+          imageAlt: extractImageAltText(root)
+        }),
+        provenance
       };
 
       console.log('Shop Well: Walmart data extracted:', data);
@@ -84,9 +137,10 @@ export class WalmartParser {
 
   /**
    * Extract product title
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractTitle() {
+  static extractTitle(root = document) {
     const titleSelectors = [
       'h1[data-automation-id="product-title"]',
       'h1[itemprop="name"]',
@@ -96,16 +150,17 @@ export class WalmartParser {
       '[data-testid="product-title"]'
     ];
 
-    const title = getText(titleSelectors);
+    const title = getText(titleSelectors, root);
     console.log('Shop Well: Walmart title:', title);
     return title;
   }
 
   /**
    * Extract product highlights/features
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string[]}
    */
-  static extractBullets() {
+  static extractBullets(root = document) {
     const bulletSelectors = [
       '[data-testid="product-highlights"] li',
       '[data-automation-id="product-highlights"] li',
@@ -115,16 +170,17 @@ export class WalmartParser {
       '[data-testid="product-features"] li'
     ];
 
-    const bullets = getTextArray(bulletSelectors, 10);
+    const bullets = getTextArray(bulletSelectors, 10, root);
     console.log('Shop Well: Walmart bullets:', bullets);
     return bullets;
   }
 
   /**
    * Extract product description
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractDescription() {
+  static extractDescription(root = document) {
     const descriptionSelectors = [
       '[data-testid="product-description"]',
       '[data-automation-id="product-description"]',
@@ -134,16 +190,17 @@ export class WalmartParser {
       '.expandable-text'
     ];
 
-    const description = getText(descriptionSelectors);
+    const description = getText(descriptionSelectors, root);
     console.log('Shop Well: Walmart description length:', description.length);
     return description.substring(0, 1000); // Limit for AI processing
   }
 
   /**
    * Extract ingredients (critical for allergen detection)
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractIngredients() {
+  static extractIngredients(root = document) {
     // Walmart-specific ingredient selectors (valid CSS only)
     // Updated to match current Walmart DOM structure (as of 2025)
     const ingredientSelectors = [
@@ -174,7 +231,7 @@ export class WalmartParser {
     // Try Walmart-specific selectors with content validation
     for (const selector of ingredientSelectors) {
       try {
-        const elements = document.querySelectorAll(selector);
+        const elements = root.querySelectorAll(selector);
         for (const element of elements) {
           const text = element.textContent?.trim();
           // Accept any substantial text that looks like an ingredient list
@@ -191,14 +248,14 @@ export class WalmartParser {
     }
 
     // Fallback to generic extractor
-    let ingredients = extractIngredients();
+    let ingredients = extractIngredients(root);
     if (ingredients) {
       console.log('Shop Well: Walmart ingredients found via generic extractor');
       return ingredients;
     }
 
     // Final fallback: Search for table/list structures containing "Ingredients" label
-    ingredients = this.extractIngredientsFromTable();
+    ingredients = this.extractIngredientsFromTable(root);
     if (ingredients) {
       console.log('Shop Well: Walmart ingredients found in table/list');
       return ingredients;
@@ -210,12 +267,13 @@ export class WalmartParser {
 
   /**
    * Extract ingredients from specification tables or lists
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractIngredientsFromTable() {
+  static extractIngredientsFromTable(root = document) {
     try {
       // Look for tables in specifications sections
-      const tables = document.querySelectorAll(
+      const tables = root.querySelectorAll(
         '.specifications-container table, ' +
         '.product-details table, ' +
         '.product-specifications table, ' +
@@ -242,7 +300,7 @@ export class WalmartParser {
       }
 
       // Also check for definition lists (dl/dt/dd structure)
-      const definitionLists = document.querySelectorAll(
+      const definitionLists = root.querySelectorAll(
         '.specifications-container dl, ' +
         '.product-details dl'
       );
@@ -269,11 +327,42 @@ export class WalmartParser {
     return '';
   }
 
+  /**
+   * Extract the Nutrition Facts panel (sodium, sugars, etc. with % DV)
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {Object|null}
+   */
+  static extractNutrition(root = document) {
+    const nutrition = extractNutritionFacts(root);
+    console.log('Shop Well: Walmart nutrition facts:', nutrition ? 'found' : 'not found');
+    return nutrition;
+  }
+
+  /**
+   * Extract product gallery image URLs (label photos are read when the page has no ingredient text)
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string[]}
+   */
+  static extractImages(root = document) {
+    const imageSelectors = [
+      '[data-testid="hero-image-container"] img',
+      '[data-testid="vertical-carousel-container"] img',
+      '[data-testid="media-thumbnail"] img',
+      '[data-seo-id="hero-image"]'
+    ];
+
+    // Thumbnails carry their render size in the query string ("?odnHeight=80&odnWidth=80")
+    const images = [...new Set(extractImageUrls(imageSelectors, root, 20).map(url => url.split('?')[0]))].slice(0, 10);
+    console.log('Shop Well: Walmart gallery images:', images.length);
+    return images;
+  }
+
   /**
    * Extract product price
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractPrice() {
+  static extractPrice(root = document) {
     const priceSelectors = [
       '[itemprop="price"]',
       '.price-now',
@@ -284,16 +373,32 @@ export class WalmartParser {
       '.price-group .price'
     ];
 
-    const price = extractPrice(priceSelectors);
+    const price = extractPrice(priceSelectors, root);
     console.log('Shop Well: Walmart price:', price);
     return price;
   }
 
+  /**
+   * Extract the regular price shown struck through next to a sale price
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @returns {string}
+   */
+  static extractListPrice(root = document) {
+    const listPriceSelectors = [
+      '[data-testid="list-price"]',
+      '[data-automation-id="strikethrough-price"]',
+      '[itemprop="price"] ~ .strike',
+      '.was-price'
+    ];
+    return extractPrice(listPriceSelectors, root);
+  }
+
   /**
    * Extract price per unit (e.g., "2.3 ¢/fl oz")
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string}
    */
-  static extractPricePerUnit() {
+  static extractPricePerUnit(root = document) {
     // Selectors that target the unit price element specifically
     const unitPriceSelectors = [
       '[class*="unit-price"]',
@@ -315,7 +420,7 @@ export class WalmartParser {
           continue;
         }
 
-        const elements = document.querySelectorAll(selector);
+        const elements = root.querySelectorAll(selector);
         for (const element of elements) {
           const text = element.textContent?.trim();
           if (!text) continue;
@@ -339,7 +444,7 @@ export class WalmartParser {
 
     // Fallback: scan all elements for unit price pattern (more expensive)
     try {
-      const allElements = document.querySelectorAll('[data-automation-id="product-price"] *');
+      const allElements = root.querySelectorAll('[data-automation-id="product-price"] *');
       for (const element of allElements) {
         const text = element.textContent?.trim();
         if (!text || text.length > 50) continue; // Skip long text blocks
@@ -364,9 +469,10 @@ export class WalmartParser {
 
   /**
    * Extract sample reviews (for sentiment/themes)
+   * @param {Document|Element} root - Root element to search within (default: document)
    * @returns {string[]}
    */
-  static extractReviews() {
+  static extractReviews(root = document) {
     const reviewSelectors = [
       '[data-testid="review-text"]',
       '.review-text',
@@ -376,11 +482,57 @@ export class WalmartParser {
       '.customer-review-text'
     ];
 
-    const reviews = getTextArray(reviewSelectors, 5);
+    const reviews = getTextArray(reviewSelectors, 5, root);
     console.log('Shop Well: Walmart reviews found:', reviews.length);
     return reviews;
   }
 
+  /**
+   * Enumerate variant selector options (flavor, size, count) from the rendered variant tiles.
+   * Used when __NEXT_DATA__ has no variantCriteria (see structured-data.js).
+   * @param {Document|Element} root - Root element to search within (default: document)
+   * @param {string} url - Product URL, used to resolve option links (default: current page URL)
+   * @returns {Array<Object>} - [{ dimension, label, options: [{ label, id, url, selected, available }] }]
+   */
+  static extractVariants(root = document, url = window.location.href) {
+    const variants = [];
+
+    try {
+      const groups = root.querySelectorAll('[data-testid*="variant-group"], [data-testid*="variant-section"]');
+
+      for (const group of groups) {
+        // Group heading reads e.g. "Flavor: Lemon Lime"
+        const heading = cleanText(group.querySelector('label, h3, span')?.textContent || '');
+        const name = heading.split(':')[0];
+
+        const options = Array.from(group.querySelectorAll('a[href*="/ip/"], [role="radio"], input[type="radio"]')).map(tile => {
+          const href = tile.getAttribute('href');
+          const optionUrl = href ? new URL(href, url).href : null;
+          return {
+            label: cleanText(tile.getAttribute('aria-label') || tile.getAttribute('value') || tile.textContent || '')
+              .replace(/,?\s*(selected|unavailable|out of stock).*$/i, ''),
+            id: optionUrl?.match(/\/ip\/(?:[^/]+\/)?(\d+)/)?.[1] || null,
+            url: optionUrl,
+            selected: tile.getAttribute('aria-checked') === 'true' ||
+              tile.getAttribute('aria-current') === 'true' ||
+              tile.checked === true,
+            available: tile.getAttribute('aria-disabled') !== 'true' && !/unavailable|out of stock/i.test(tile.getAttribute('aria-label') || '')
+          };
+        });
+
+        const dimension = createVariantDimension(name, options);
+        if (dimension) {
+          variants.push(dimension);
+        }
+      }
+    } catch (error) {
+      console.warn('Shop Well: Error extracting Walmart variants:', error);
+    }
+
+    console.log('Shop Well: Walmart variant dimensions found:', variants.map(variant => `${variant.dimension} (${variant.options.length})`));
+    return variants;
+  }
+
   /**
    * Get debugging information about found elements
    * @returns {Object}
@@ -391,6 +543,7 @@ export class WalmartParser {
       bullets: this.extractBullets().length,
       description: !!this.extractDescription(),
       ingredients: !!this.extractIngredients(),
+      nutrition: !!this.extractNutrition(),
       price: !!this.extractPrice(),
       reviews: this.extractReviews().length,
       url: window.location.href
@@ -399,14 +552,15 @@ export class WalmartParser {
 
   /**
    * Extract product cards from Walmart search/listing page
+   * @param {Document|Element} root - Root to search (default: current document)
    * @returns {Array} Array of product objects with basic info
    */
-  static extractSearchProducts() {
+  static extractSearchProducts(root = document) {
     const products = [];
 
     try {
       // Walmart search results use data-item-id attribute
-      const productCards = document.querySelectorAll('[data-item-id]');
+      const productCards = root.querySelectorAll('[data-item-id]');
       console.log(`Shop Well: Found ${productCards.length} Walmart product cards`);
 
       productCards.forEach((card, index) => {
@@ -532,6 +686,7 @@ export class WalmartParser {
               title: title,
               price: price,
               pricePerUnit: pricePerUnit,
+              pricing: buildPriceModel({ price, unitPrice: pricePerUnit }),
               image: image,
               url: productUrl,
               rating: rating,
@@ -552,4 +707,220 @@ export class WalmartParser {
 
     return products;
   }
-}
\ No newline at end of file
+
+  /**
+   * Extract line items from the Walmart cart. The cart is client-rendered without stable
+   * row markup, so items are found by their product links and read from the nearest row.
+   * @param {Document|Element} root - Root to search (default: current document)
+   * @returns {Array} Array of { id, title, url, price, pricing, quantity }
+   */
+  static extractCartItems(root = document) {
+    const items = [];
+
+    try {
+      const cart = root.querySelector('[data-testid="cart-items"], [data-automation-id="cart-items"], main') || root;
+      const links = cart.querySelectorAll('a[href*="/ip/"]');
+      console.log(`Shop Well: Found ${links.length} Walmart cart product links`);
+
+      links.forEach(link => {
+        const itemId = this.getProductId(link.href);
+        if (!itemId || items.some(item => item.id === itemId)) return;
+
+        // Closest ancestor that holds this item only (one product link) and a price
+        let row = link;
+        while (row.parentElement && row.parentElement !== cart &&
+               new Set([...row.parentElement.querySelectorAll('a[href*="/ip/"]')]
+                 .map(other => this.getProductId(other.href))).size === 1) {
+          row = row.parentElement;
+        }
+
+        const title = cleanText(link.textContent) ||
+          link.getAttribute('aria-label') ||
+          row.querySelector('img[alt]')?.getAttribute('alt') ||
+          '';
+        const price = row.querySelector('[data-testid="line-price"], [itemprop="price"]')?.textContent?.match(/\$\d{1,3}(?:,\d{3})*(?:\.\d{2})?/)?.[0] ||
+          row.textContent.match(/\$\d{1,3}(?:,\d{3})*\.\d{2}/)?.[0] ||
+          null;
+        const quantity = row.querySelector('[data-testid="quantity-label"], [aria-label*="Quantity"]')
+          ?.textContent?.match(/\d+/)?.[0];
+
+        items.push({
+          id: itemId,
+          title: title || 'Unknown Product',
+          url: link.href,
+          price,
+          pricing: buildPriceModel({ price }),
+          quantity: parseInt(quantity, 10) || 1
+        });
+      });
+
+      console.log(`Shop Well: Extracted ${items.length} Walmart cart items`);
+    } catch (error) {
+      console.error('Shop Well: Walmart cart extraction failed:', error);
+    }
+
+    return items;
+  }
+
+  /**
+   * Extract previously bought products from the Walmart purchase history page
+   * @param {Document|Element} root - Root to search (default: current document)
+   * @returns {Array} Array of { id, title, url }
+   */
+  static extractOrderHistoryItems(root = document) {
+    const items = [];
+
+    try {
+      root.querySelectorAll('a[href*="/ip/"]').forEach(link => {
+        const itemId = this.getProductId(link.href);
+        if (!itemId) return;
+
+        const title = cleanText(link.textContent) || link.querySelector('img[alt]')?.getAttribute('alt') || '';
+        const existing = items.find(item => item.id === itemId);
+        if (existing) {
+          existing.title = existing.title || title;
+          return;
+        }
+
+        items.push({ id: itemId, title, url: `https://www.walmart.com/ip/${itemId}` });
+      });
+
+      console.log(`Shop Well: Extracted ${items.length} Walmart previously bought products`);
+    } catch (error) {
+      console.error('Shop Well: Walmart order history extraction failed:', error);
+    }
+
+    return items;
+  }
+}
+
+/**
+ * Click Walmart "See more" expanders in a background tab before extraction.
+ * Injected via chrome.scripting, so it must stay self-contained (no imports or outer variables).
+ * @returns {number} - Number of elements clicked
+ */
+function expandWalmartSections() {
+  // Walmart-specific expandable selectors
+  const selectors = [
+    // Description "Show More" button
+    'button[data-automation-id="product-description-show-more"]',
+    '.show-more-button',
+    '[aria-label*="Show more"]',
+
+    // Product details accordions
+    '.product-details-accordion button',
+    '[data-testid="accordion-header"]',
+
+    // Nutrition facts / Ingredients
+    'button[data-testid="nutrition-button"]',
+    '[aria-label*="Nutrition"]',
+    '[aria-label*="Ingredients"]'
+  ];
+
+  let clickCount = 0;
+  selectors.forEach(selector => {
+    const elements = document.querySelectorAll(selector);
+    elements.forEach(el => {
+      try {
+        // Check if element is visible and clickable
+        if (el.offsetParent !== null) {
+          el.click();
+          clickCount++;
+        }
+      } catch (err) {
+        console.warn('Failed to click element:', selector, err);
+      }
+    });
+  });
+
+  console.log(`Walmart: Clicked ${clickCount} expandable elements`);
+  return clickCount;
+}
+
+/**
+ * Extract Walmart product content from a fully expanded background tab.
+ * Injected via chrome.scripting, so it must stay self-contained (no imports or outer variables).
+ * @returns {Object} - Product data
+ */
+function extractWalmartContent() {
+  // Helper to get text from selectors
+  const getText = (selectors) => {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of selectorArray) {
+      const el = document.querySelector(selector);
+      if (el && el.textContent) {
+        return el.textContent.trim();
+      }
+    }
+    return '';
+  };
+
+  const getTextArray = (selectors, limit = 10) => {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    for (const selector of selectorArray) {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length > 0) {
+        return Array.from(elements)
+          .map(el => el.textContent?.trim())
+          .filter(text => text && text.length > 3)
+          .slice(0, limit);
+      }
+    }
+    return [];
+  };
+
+  return {
+    site: 'walmart',
+    url: window.location.href,
+    title: getText([
+      'h1[itemprop="name"]',
+      'h1[data-automation-id="product-title"]',
+      'h1'
+    ]),
+    bullets: getTextArray([
+      '[data-testid="product-highlights"] li',
+      '.product-highlights li',
+      '[itemprop="description"] li'
+    ]),
+    description: getText([
+      '[data-testid="product-description"]',
+      '[itemprop="description"]',
+      '.about-product-description',
+      '.product-description'
+    ]),
+    ingredients: getText([
+      '[data-testid="ingredients"]',
+      '.prod-ProductIngredients',
+      '.nutrition-facts .ingredients',
+      '[aria-label*="Ingredients"]',
+      '*:contains("Ingredients:")'
+    ]),
+    specifications: getTextArray([
+      '.product-specification tr',
+      '[data-testid="specification"] tr',
+      '.product-details tr'
+    ], 20),
+    price: getText([
+      '[itemprop="price"]',
+      '[data-automation-id="product-price"]',
+      '.price-characteristic'
+    ]),
+    reviews: getTextArray([
+      '[data-testid="review-text"]',
+      '.review-text'
+    ], 5)
+  };
+}
+
+registerRetailer({
+  site: 'walmart',
+  name: 'Walmart',
+  hostPatterns: [/(^|\.)walmart\.com$/],
+  parser: WalmartParser,
+  cardSelector: '[data-item-id]',
+  variantSelector: '[data-testid*="variant-group"], [data-testid*="variant-section"]',
+  expandScript: expandWalmartSections,
+  extractionScript: extractWalmartContent,
+  buildSearchUrl: (query) => `https://www.walmart.com/search?q=${encodeURIComponent(query)}`,
+  buildOrderHistoryUrl: () => 'https://www.walmart.com/orders'
+});
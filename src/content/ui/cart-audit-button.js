@@ -0,0 +1,108 @@
+// Shop Well Cart Audit Button - Floating "Audit cart" action shown on supported cart pages
+
+const DEFAULT_LABEL = '🛒 Audit cart with Shop Well';
+
+export class CartAuditButton {
+  /**
+   * @param {Function} onClick - Called when the shopper asks for a cart audit
+   */
+  constructor(onClick) {
+    this.button = null;
+    this.onClick = onClick;
+  }
+
+  // Create and inject the button
+  create() {
+    if (this.button) return this.button;
+
+    console.log('Shop Well: Creating cart audit button...');
+    this.injectStyles();
+
+    this.button = document.createElement('button');
+    this.button.id = 'shop-well-cart-audit';
+    this.button.type = 'button';
+    this.button.textContent = DEFAULT_LABEL;
+    this.button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (!this.button.disabled) {
+        this.onClick?.();
+      }
+    });
+
+    document.body.appendChild(this.button);
+    return this.button;
+  }
+
+  /**
+   * Show progress on the button and block repeat clicks
+   * @param {string} label - Button text while busy
+   */
+  setBusy(label) {
+    if (!this.button) return;
+    this.button.disabled = true;
+    this.button.textContent = label;
+  }
+
+  /**
+   * Restore the default label, optionally after showing a short message
+   * @param {string} message - Message to show first (e.g., "No items found")
+   */
+  reset(message = '') {
+    if (!this.button) return;
+    this.button.disabled = false;
+    this.button.textContent = message || DEFAULT_LABEL;
+    if (message) {
+      setTimeout(() => {
+        if (this.button && !this.button.disabled) {
+          this.button.textContent = DEFAULT_LABEL;
+        }
+      }, 3000);
+    }
+  }
+
+  destroy() {
+    this.button?.remove();
+    this.button = null;
+  }
+
+  injectStyles() {
+    if (document.getElementById('shop-well-cart-audit-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'shop-well-cart-audit-styles';
+    style.textContent = `
+      #shop-well-cart-audit {
+        position: fixed !important;
+        bottom: 16px;
+        right: 16px;
+        z-index: 2147483647 !important;
+        padding: 10px 18px;
+        background: #E9DFC9;
+        color: #3D3D3D;
+        border: 2px solid #776B63;
+        border-radius: 14px;
+        box-shadow: 0 4px 14px rgba(0,0,0,0.15);
+        font-size: 14px;
+        font-weight: 600;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        cursor: pointer;
+        transition: all 0.25s ease;
+      }
+
+      #shop-well-cart-audit:hover:not(:disabled) {
+        background: linear-gradient(135deg, #6BAF7A, #65AEDD);
+        color: white;
+        border-color: #6BAF7A;
+      }
+
+      #shop-well-cart-audit:disabled {
+        cursor: wait;
+        opacity: 0.85;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
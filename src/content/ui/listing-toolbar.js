@@ -0,0 +1,248 @@
+// Shop Well Listing Toolbar - Filters and re-sorts search results using pre-scan results
+
+const TOOLBAR_STORAGE_KEY = 'listingToolbar';
+
+/**
+ * What to do with cards whose pre-scan found one of the user's allergens
+ */
+const FLAGGED_MODES = {
+  show: 'Show',
+  dim: 'Dim',
+  bottom: 'Move to bottom',
+  hide: 'Hide'
+};
+
+export class ListingToolbar {
+  /**
+   * @param {Function} onChange - Called when the shopper changes a toolbar option
+   */
+  constructor(onChange) {
+    this.toolbar = null;
+    this.onChange = onChange;
+    this.options = { flaggedMode: 'show', sortByFit: false };
+    this.styledItems = new Set(); // Grid items we changed, so they can be restored
+  }
+
+  // Create and inject the toolbar, restoring the shopper's last options
+  async create() {
+    if (this.toolbar) return this.toolbar;
+
+    console.log('Shop Well: Creating listing toolbar...');
+
+    try {
+      const result = await chrome.storage.local.get([TOOLBAR_STORAGE_KEY]);
+      this.options = { ...this.options, ...result[TOOLBAR_STORAGE_KEY] };
+    } catch (error) {
+      console.warn('Shop Well: Could not load toolbar options:', error);
+    }
+
+    this.injectStyles();
+
+    this.toolbar = document.createElement('div');
+    this.toolbar.id = 'shop-well-listing-toolbar';
+    this.toolbar.setAttribute('role', 'toolbar');
+    this.toolbar.setAttribute('aria-label', 'Shop Well search results filter');
+    this.toolbar.innerHTML = `
+      <span class="sw-toolbar-logo">🌿 Shop Well</span>
+      <label class="sw-toolbar-field">
+        Allergen matches
+        <select class="sw-toolbar-flagged">
+          ${Object.entries(FLAGGED_MODES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <label class="sw-toolbar-field">
+        <input type="checkbox" class="sw-toolbar-sort">
+        Best fit first
+      </label>
+      <span class="sw-toolbar-status" aria-live="polite"></span>
+    `;
+
+    const flaggedSelect = this.toolbar.querySelector('.sw-toolbar-flagged');
+    const sortCheckbox = this.toolbar.querySelector('.sw-toolbar-sort');
+    flaggedSelect.value = this.options.flaggedMode;
+    sortCheckbox.checked = this.options.sortByFit;
+
+    flaggedSelect.addEventListener('change', () => this.setOptions({ flaggedMode: flaggedSelect.value }));
+    sortCheckbox.addEventListener('change', () => this.setOptions({ sortByFit: sortCheckbox.checked }));
+
+    document.body.appendChild(this.toolbar);
+    return this.toolbar;
+  }
+
+  async setOptions(changes) {
+    this.options = { ...this.options, ...changes };
+    try {
+      await chrome.storage.local.set({ [TOOLBAR_STORAGE_KEY]: this.options });
+    } catch (error) {
+      console.warn('Shop Well: Could not save toolbar options:', error);
+    }
+    this.onChange?.();
+  }
+
+  /**
+   * Apply the toolbar options to the listing cards
+   * @param {Array<Object>} products - Listing products (with _cardElement) from extractSearchProducts()
+   * @param {Map<string, Object>} results - Product id → pre-scan result ({ status, allergens, score })
+   */
+  apply(products, results) {
+    if (!this.toolbar) return;
+
+    const { flaggedMode, sortByFit } = this.options;
+    let flaggedCount = 0;
+    let screenedCount = 0;
+
+    this.styledItems.forEach(item => this.resetItem(item));
+    this.styledItems.clear();
+
+    products.forEach(product => {
+      const card = product._cardElement;
+      if (!card?.isConnected) return;
+
+      const result = results.get(product.id);
+      if (!result || result.status === 'pending') return;
+      screenedCount++;
+
+      const item = this.getGridItem(card);
+      const isFlagged = result.allergens.length > 0;
+      if (isFlagged) flaggedCount++;
+
+      // Flex/grid `order` moves cards visually without touching the retailer's DOM
+      if (sortByFit) {
+        item.style.setProperty('order', String(100 - result.score), 'important');
+      }
+
+      if (isFlagged && flaggedMode === 'hide') {
+        item.classList.add('shop-well-hidden');
+      } else if (isFlagged && flaggedMode === 'dim') {
+        item.classList.add('shop-well-dimmed');
+      }
+      if (isFlagged && flaggedMode === 'bottom') {
+        item.style.setProperty('order', String(1000 + (100 - result.score)), 'important');
+      }
+
+      this.styledItems.add(item);
+    });
+
+    // Not-yet-screened cards sort as an average fit; without sorting every other card keeps order 0
+    if (sortByFit) {
+      products.forEach(product => {
+        const card = product._cardElement;
+        if (!card?.isConnected) return;
+        const item = this.getGridItem(card);
+        if (this.styledItems.has(item)) return;
+        item.style.setProperty('order', '50', 'important');
+        this.styledItems.add(item);
+      });
+    }
+
+    const status = this.toolbar.querySelector('.sw-toolbar-status');
+    status.textContent = `${screenedCount}/${products.length} checked · ${flaggedCount} with your allergens` +
+      (flaggedMode === 'hide' && flaggedCount > 0 ? ' (hidden)' : '');
+  }
+
+  /**
+   * Find the element that is the direct child of the results flex/grid container,
+   * since `order` only works there (the card selector often matches an inner element)
+   * @param {Element} card - Product card element
+   * @returns {Element}
+   */
+  getGridItem(card) {
+    let item = card;
+    for (let depth = 0; depth < 5 && item.parentElement && item.parentElement !== document.body; depth++) {
+      const display = window.getComputedStyle(item.parentElement).display;
+      if (display.includes('flex') || display.includes('grid')) {
+        return item;
+      }
+      item = item.parentElement;
+    }
+    return card;
+  }
+
+  resetItem(item) {
+    item.classList.remove('shop-well-hidden', 'shop-well-dimmed');
+    item.style.removeProperty('order');
+  }
+
+  // Remove the toolbar and restore every card
+  destroy() {
+    this.styledItems.forEach(item => this.resetItem(item));
+    this.styledItems.clear();
+    this.toolbar?.remove();
+    this.toolbar = null;
+  }
+
+  injectStyles() {
+    if (document.getElementById('shop-well-toolbar-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'shop-well-toolbar-styles';
+    style.textContent = `
+      #shop-well-listing-toolbar {
+        position: fixed !important;
+        bottom: 16px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 2147483647 !important;
+        display: flex;
+        align-items: center;
+        gap: 14px;
+        padding: 8px 16px;
+        background: #E9DFC9;
+        color: #3D3D3D;
+        border: 2px solid #776B63;
+        border-radius: 14px;
+        box-shadow: 0 4px 14px rgba(0,0,0,0.15);
+        font-size: 13px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      }
+
+      #shop-well-listing-toolbar .sw-toolbar-logo {
+        font-weight: 700;
+        color: #4A9D5F;
+      }
+
+      #shop-well-listing-toolbar .sw-toolbar-field {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 0;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      #shop-well-listing-toolbar select {
+        padding: 2px 6px;
+        border: 1px solid #776B63;
+        border-radius: 8px;
+        background: white;
+        font-size: 13px;
+      }
+
+      #shop-well-listing-toolbar input[type="checkbox"] {
+        margin: 0;
+        accent-color: #6BAF7A;
+      }
+
+      #shop-well-listing-toolbar .sw-toolbar-status {
+        color: #776B63;
+        font-size: 12px;
+      }
+
+      .shop-well-hidden {
+        display: none !important;
+      }
+
+      .shop-well-dimmed {
+        opacity: 0.35 !important;
+        transition: opacity 0.2s ease;
+      }
+
+      .shop-well-dimmed:hover {
+        opacity: 1 !important;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
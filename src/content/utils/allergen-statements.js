@@ -0,0 +1,249 @@
+// Shop Well Allergen Statements
+// Parses the allergen statements printed next to ingredient lists ("Contains: milk, soy",
+// "May contain traces of peanuts", "Made in a facility that also processes tree nuts",
+// "Produced on shared equipment with wheat") so cross-contact warnings are not treated
+// the same as allergens that are actual ingredients.
+
+import { getAllergen, findAllergens } from './allergens.js';
+
+/**
+ * Statement types, most specific first (a "may contain" sentence often also says "contain")
+ */
+const STATEMENT_PATTERNS = [
+  {
+    type: 'may_contain',
+    pattern: /\b(may (also )?contain|might contain|may have (come into )?contact|may be present|traces? of|cross[- ]?contact|cross[- ]?contamination)\b/i
+  },
+  {
+    type: 'facility',
+    pattern: /\b((manufactured|processed|produced|made|packaged|packed|prepared) (in|on|at)\b.*\b(facility|plant|factory|premises|equipment|lines?)|shared (equipment|facility|lines?|plant)|same (equipment|facility|production line|line)|(facility|plant|factory|equipment) (that|which) (also )?(process|handle|use|manufacture|produce|package))/i
+  },
+  {
+    type: 'contains',
+    // At the start of a sentence or after a ";" (also inside parentheses), optionally after a label prefix
+    // ("Allergen info: contains almonds", "Allergy advice: contains milk")
+    pattern: /(?:^|;)\W*((allerg(en|y|ies)s?|food allergy)( info(rmation)?| warnings?| statements?| declarations?| advice)?\s*:\s*(contains?\b\s*:?)?|contains?\b\s*:?)/i
+  }
+];
+
+/**
+ * Statements that say an allergen is absent ("Made in a peanut-free facility", "Contains no milk")
+ */
+const NEGATION_PATTERN = /\b(free (from|of)\b|[a-z]+[- ]free (facility|plant|factory|environment|kitchen|bakery)|does not contain|doesn't contain|contains no\b|not (made|manufactured|processed|produced|packaged) (in|on|with))/i;
+
+/**
+ * How each statement type rates an allergen, by the severity set for that allergen
+ */
+const TIER_VERDICTS = {
+  high: { contains: 'bad', may_contain: 'bad', facility: 'warning' },
+  medium: { contains: 'bad', may_contain: 'warning', facility: 'warning' },
+  low: { contains: 'bad', may_contain: 'warning', facility: 'good' }
+};
+
+/**
+ * Split label text into sentences, keeping parenthesized asides like "(may contain almonds)" whole
+ * @param {string} text - Label text
+ * @returns {Array<Object>} - { start, end } character ranges
+ */
+function splitSentences(text) {
+  const ranges = [];
+  let start = 0;
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '(' || char === '[') depth++;
+    if ((char === ')' || char === ']') && depth > 0) depth--;
+
+    // A period followed by a digit is a decimal ("2.5%"), not a sentence end
+    const isEnd = char === '\n' ||
+      (depth === 0 && (char === ';' || char === '!' || (char === '.' && !/\d/.test(text[i + 1] || ''))));
+    if (isEnd) {
+      if (i > start) ranges.push({ start, end: i });
+      start = i + 1;
+    }
+  }
+  if (start < text.length) ranges.push({ start, end: text.length });
+
+  return ranges;
+}
+
+/**
+ * Find where a statement starts inside a sentence and where it ends: at the end of the
+ * sentence, or at the closing parenthesis when the statement is an aside inside an ingredient list
+ * @param {string} sentence - Sentence text
+ * @param {number} index - Position of the statement trigger in the sentence
+ * @returns {Object} - { start, end } within the sentence
+ */
+function getStatementRange(sentence, index) {
+  const openParen = sentence.lastIndexOf('(', index);
+  if (openParen !== -1 && sentence.lastIndexOf(')', index) < openParen) {
+    const closeParen = sentence.indexOf(')', index);
+    return { start: openParen, end: closeParen === -1 ? sentence.length : closeParen + 1 };
+  }
+  return { start: index, end: sentence.length };
+}
+
+/**
+ * Locate the allergen statements in label text
+ * @param {string} text - Label text
+ * @returns {Array<Object>} - { type, start, end } character ranges in the text
+ */
+function findStatements(text) {
+  const found = [];
+
+  for (const sentence of splitSentences(text)) {
+    const sentenceText = text.slice(sentence.start, sentence.end);
+    for (const { type, pattern } of STATEMENT_PATTERNS) {
+      const match = sentenceText.match(pattern);
+      if (!match) continue;
+
+      const range = getStatementRange(sentenceText, match.index);
+      const start = sentence.start + range.start;
+      const end = sentence.start + range.end;
+      if (!NEGATION_PATTERN.test(text.slice(start, end))) {
+        found.push({ type, start, end });
+      }
+      break;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Find the allergen statements in label text
+ * @param {string} text - Ingredient list, bullets and description text
+ * @returns {Object} - { contains, may_contain, facility: string[] allergen ids,
+ *   statements: [{ type, text }] } (statement text is kept for matching custom allergies)
+ */
+export function parseAllergenStatements(text) {
+  const result = { contains: [], may_contain: [], facility: [], statements: [] };
+  if (!text) return result;
+
+  for (const { type, start, end } of findStatements(text)) {
+    const statement = text.slice(start, end).trim();
+    result.statements.push({ type, text: statement });
+    findAllergens(statement).forEach(allergen => {
+      if (!result[type].includes(allergen)) result[type].push(allergen);
+    });
+  }
+
+  // An allergen the label says it contains is not also a cross-contact risk
+  result.may_contain = result.may_contain.filter(allergen => !result.contains.includes(allergen));
+  result.facility = result.facility.filter(allergen =>
+    !result.contains.includes(allergen) && !result.may_contain.includes(allergen));
+
+  return result;
+}
+
+/**
+ * Remove "may contain" and facility statements from label text, so keyword matching
+ * only sees real ingredients
+ * @param {string} text - Label text
+ * @returns {string} - Text without cross-contact statements
+ */
+export function stripAdvisoryStatements(text) {
+  if (!text) return '';
+
+  return findStatements(text)
+    .filter(({ type }) => type !== 'contains')
+    .reverse()
+    .reduce((stripped, { start, end }) => stripped.slice(0, start) + stripped.slice(end), text);
+}
+
+/**
+ * Blank out "may contain" and facility statements with spaces, so keyword matches keep their
+ * character offsets in the original text
+ * @param {string} text - Label text
+ * @returns {string} - Text of the same length without cross-contact statements
+ */
+export function maskAdvisoryStatements(text) {
+  if (!text) return '';
+
+  return findStatements(text)
+    .filter(({ type }) => type !== 'contains')
+    .reduce((masked, { start, end }) => masked.slice(0, start) + ' '.repeat(end - start) + masked.slice(end), text);
+}
+
+/**
+ * Find how a label's allergen statements mention one of the user's allergies
+ * @param {string} allergy - User allergy (id like 'tree-nuts' or custom free text)
+ * @param {Object} allergenStatements - Result of parseAllergenStatements()
+ * @returns {string|null} - 'contains', 'may_contain', 'facility' or null when not mentioned
+ */
+export function getAllergenStatementTier(allergy, allergenStatements) {
+  if (!allergenStatements) return null;
+
+  const allergen = getAllergen(allergy);
+  for (const tier of ['contains', 'may_contain', 'facility']) {
+    const listed = Boolean(allergen) && allergenStatements[tier].includes(allergen.id);
+    // Custom allergies outside the knowledge base (and non-food sensitivities) are looked up in the statement text
+    const named = (!allergen || allergen.food === false) && allergenStatements.statements
+      .some(statement => statement.type === tier && findAllergens(statement.text, [allergy]).length > 0);
+    if (listed || named) return tier;
+  }
+  return null;
+}
+
+/**
+ * Severity and cross-contact setting used for allergies the user has not set one for
+ */
+export const DEFAULT_ALLERGY_SETTING = { severity: 'medium', crossContact: true };
+
+/**
+ * Severity levels offered in the options page
+ */
+export const ALLERGY_SEVERITY_LABELS = {
+  low: 'Mild intolerance',
+  medium: 'Moderate',
+  high: 'Severe / anaphylactic'
+};
+
+/**
+ * Look up the user's setting for an allergy (names are matched case-insensitively)
+ * @param {Object} allergySettings - Allergy → { severity, crossContact } from storage
+ * @param {string} allergy - User allergy
+ * @returns {Object} - { severity: 'low'|'medium'|'high', crossContact: boolean }
+ */
+export function getAllergySetting(allergySettings = {}, allergy) {
+  const key = Object.keys(allergySettings).find(name => name.toLowerCase() === allergy.toLowerCase());
+  return { ...DEFAULT_ALLERGY_SETTING, ...(key ? allergySettings[key] : {}) };
+}
+
+/**
+ * Rate an allergen statement for an allergy with the given setting
+ * @param {string} tier - 'contains', 'may_contain' or 'facility'
+ * @param {Object} setting - { severity, crossContact } from getAllergySetting()
+ * @returns {string} - 'bad', 'warning' or 'good'
+ */
+export function getAllergenTierVerdict(tier, { severity, crossContact } = DEFAULT_ALLERGY_SETTING) {
+  if (tier !== 'contains' && crossContact === false) return 'good';
+  return (TIER_VERDICTS[severity] || TIER_VERDICTS.medium)[tier] || 'bad';
+}
+
+/**
+ * Rate an allergy the label only names in a "may contain" or shared facility statement
+ * @param {string} allergy - User allergy
+ * @param {Object} allergenStatements - Result of parseAllergenStatements()
+ * @param {Object} allergySettings - Allergy → { severity, crossContact } from storage
+ * @returns {Object|null} - { tier, verdict, brief_reason }, or null without a cross-contact statement
+ */
+export function rateCrossContact(allergy, allergenStatements, allergySettings = {}) {
+  const tier = getAllergenStatementTier(allergy, allergenStatements);
+  if (tier !== 'may_contain' && tier !== 'facility') return null;
+
+  const setting = getAllergySetting(allergySettings, allergy);
+  const statement = tier === 'may_contain'
+    ? 'Label says it may contain traces'
+    : 'Made in a facility or on equipment that also handles this allergen';
+
+  let reason = `${statement} (cross-contact risk, not an ingredient)`;
+  if (setting.crossContact === false) {
+    reason = `${statement} - you marked cross-contact as not a concern`;
+  } else if (setting.severity === 'high') {
+    reason = `${statement} - a risk for a severe allergy`;
+  }
+
+  return { tier, verdict: getAllergenTierVerdict(tier, setting), brief_reason: reason };
+}
@@ -0,0 +1,361 @@
+// Shop Well Allergen Knowledge Base
+// One list of allergen names, synonyms and derivatives used by every allergen check in the
+// extension: the FDA major food allergens (milk, eggs, fish, crustacean shellfish, tree nuts,
+// peanuts, wheat, soy, sesame) plus the rest of the EU's 14 (cereals containing gluten, celery,
+// mustard, lupin, molluscs, sulphites), and the non-food sensitivities offered in the settings.
+// Terms match whole words (plurals included), so "butternut" or "buckwheat" never match; phrases
+// like "coconut milk", free-from claims ("peanut-free") and "non-dairy" are skipped.
+
+/**
+ * Allergen id → definition
+ *   name: display name
+ *   tag: stem for profile tags (contains_<tag>, may_contain_<tag>, <tag>_free)
+ *   food: false for sensitivities that are not food allergens (not reported unless asked for)
+ *   aliases: other names users type for it (custom allergies are resolved through these)
+ *   terms: label words that mean the product contains it
+ *   falsePositives: phrases that contain a term but not the allergen
+ *   freeFromTerm: search phrase for products without it
+ */
+export const ALLERGENS = {
+  'peanuts': {
+    name: 'Peanuts',
+    tag: 'peanut',
+    aliases: ['peanut', 'groundnuts'],
+    terms: ['peanut', 'groundnut', 'arachis', 'arachis oil', 'monkey nut', 'goober', 'beer nut', 'mandelona'],
+    falsePositives: [],
+    freeFromTerm: 'peanut free'
+  },
+  'tree-nuts': {
+    name: 'Tree Nuts',
+    tag: 'tree_nut',
+    aliases: ['tree nuts', 'tree nut', 'nuts'],
+    terms: [
+      'tree nut', 'nut', 'almond', 'walnut', 'pecan', 'cashew', 'hazelnut', 'filbert', 'pistachio',
+      'macadamia', 'brazil nut', 'pine nut', 'pignoli', 'chestnut', 'praline', 'marzipan', 'gianduja',
+      'frangipane', 'nut butter', 'nut meal', 'nut oil', 'nut paste', 'amaretto'
+    ],
+    falsePositives: ['water chestnut'],
+    freeFromTerm: 'nut free'
+  },
+  'milk': {
+    name: 'Milk',
+    tag: 'milk',
+    aliases: ['dairy', 'milk/dairy', 'lactose', 'casein'],
+    terms: [
+      'milk', 'dairy', 'cheese', 'butter', 'buttermilk', 'butterfat', 'cream', 'whey', 'casein', 'caseinate',
+      'ghee', 'lactose', 'lactalbumin', 'lactoglobulin', 'lactoferrin', 'curd', 'yogurt', 'yoghurt', 'kefir',
+      'custard', 'milkfat', 'milk fat', 'milk solids', 'nonfat dry milk', 'paneer', 'ricotta', 'mozzarella',
+      'parmesan', 'cheddar', 'half-and-half', 'recaldent', 'galactooligosaccharide'
+    ],
+    falsePositives: [
+      'coconut milk', 'almond milk', 'oat milk', 'rice milk', 'soy milk', 'soymilk', 'cashew milk', 'hemp milk',
+      'pea milk', 'milk thistle', 'milkweed', 'peanut butter', 'cocoa butter', 'cacao butter', 'shea butter',
+      'nut butter', 'almond butter', 'cashew butter', 'apple butter', 'sunflower butter', 'seed butter',
+      'mango butter', 'coconut cream', 'cream of coconut', 'cream of tartar', 'bean curd'
+    ],
+    freeFromTerm: 'dairy free'
+  },
+  'eggs': {
+    name: 'Eggs',
+    tag: 'egg',
+    aliases: ['egg'],
+    terms: [
+      'egg', 'egg white', 'egg yolk', 'albumin', 'albumen', 'ovalbumin', 'ovomucoid', 'ovomucin', 'ovoglobulin',
+      'ovovitellin', 'ovotransferrin', 'livetin', 'lysozyme', 'mayonnaise', 'meringue', 'eggnog'
+    ],
+    falsePositives: ['egg replacer', 'egg substitute'],
+    freeFromTerm: 'egg free'
+  },
+  'wheat': {
+    name: 'Wheat',
+    tag: 'wheat',
+    aliases: ['wheat/gluten'],
+    terms: [
+      'wheat', 'flour', 'enriched flour', 'semolina', 'durum', 'spelt', 'kamut', 'khorasan', 'farina', 'farro',
+      'einkorn', 'emmer', 'bulgur', 'couscous', 'seitan', 'graham', 'triticale', 'atta', 'maida', 'wheatberry',
+      'breadcrumb', 'bread crumb', 'panko', 'vital wheat gluten'
+    ],
+    falsePositives: [
+      'rice flour', 'almond flour', 'coconut flour', 'corn flour', 'cornflour', 'tapioca flour',
+      'potato flour', 'chickpea flour', 'gram flour', 'oat flour', 'buckwheat flour', 'sorghum flour',
+      'cassava flour', 'banana flour', 'quinoa flour', 'teff flour', 'millet flour', 'arrowroot flour',
+      'soy flour', 'peanut flour', 'lupin flour', 'mustard flour', 'gluten-free flour'
+    ],
+    freeFromTerm: 'gluten free'
+  },
+  'gluten': {
+    name: 'Cereals containing gluten',
+    tag: 'gluten',
+    aliases: ['gluten', 'celiac', 'coeliac'],
+    terms: [
+      'gluten', 'wheat', 'barley', 'rye', 'oat', 'spelt', 'kamut', 'khorasan', 'triticale', 'malt',
+      'malt extract', 'malt vinegar', 'malted', 'semolina', 'durum', 'farina', 'farro', 'einkorn', 'emmer',
+      'bulgur', 'couscous', 'seitan', 'graham', 'brewer\'s yeast', 'freekeh'
+    ],
+    falsePositives: ['gluten-free oat'],
+    freeFromTerm: 'gluten free'
+  },
+  'soy': {
+    name: 'Soy',
+    tag: 'soy',
+    aliases: ['soya', 'soybeans'],
+    terms: [
+      'soy', 'soya', 'soybean', 'soy lecithin', 'edamame', 'tofu', 'tempeh', 'miso', 'natto', 'shoyu',
+      'tamari', 'textured vegetable protein', 'tvp', 'okara', 'yuba'
+    ],
+    falsePositives: [],
+    freeFromTerm: 'soy free'
+  },
+  'fish': {
+    name: 'Fish',
+    tag: 'fish',
+    aliases: [],
+    terms: [
+      'fish', 'fish sauce', 'fish oil', 'fish gelatin', 'anchovy', 'anchovies', 'cod', 'salmon', 'tuna',
+      'tilapia', 'trout', 'halibut', 'haddock', 'pollock', 'pollack', 'sardine', 'mackerel', 'herring',
+      'catfish', 'flounder', 'bass', 'snapper', 'swordfish', 'bonito', 'surimi', 'caviar', 'roe',
+      'worcestershire sauce'
+    ],
+    falsePositives: ['fish-shaped'],
+    freeFromTerm: 'fish free'
+  },
+  'shellfish': {
+    name: 'Crustacean shellfish',
+    tag: 'shellfish',
+    aliases: ['crustaceans', 'crustacean', 'crustacean shellfish'],
+    terms: [
+      'shellfish', 'crustacean', 'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'crawfish', 'langoustine',
+      'krill', 'scampi'
+    ],
+    falsePositives: ['crab apple', 'crabapple'],
+    freeFromTerm: 'shellfish free'
+  },
+  'sesame': {
+    name: 'Sesame',
+    tag: 'sesame',
+    aliases: ['sesame seeds'],
+    terms: ['sesame', 'sesame oil', 'tahini', 'tahina', 'gomasio', 'halvah', 'halva', 'benne', 'sesamol'],
+    falsePositives: [],
+    freeFromTerm: 'sesame free'
+  },
+  'celery': {
+    name: 'Celery',
+    tag: 'celery',
+    aliases: ['celeriac'],
+    terms: ['celery', 'celeriac', 'celery seed', 'celery salt', 'celery powder'],
+    falsePositives: [],
+    freeFromTerm: null
+  },
+  'mustard': {
+    name: 'Mustard',
+    tag: 'mustard',
+    aliases: ['mustard seed'],
+    terms: ['mustard', 'mustard seed', 'mustard flour', 'mustard oil', 'dijon'],
+    falsePositives: [],
+    freeFromTerm: null
+  },
+  'lupin': {
+    name: 'Lupin',
+    tag: 'lupin',
+    aliases: ['lupine', 'lupini'],
+    terms: ['lupin', 'lupine', 'lupini', 'lupin flour'],
+    falsePositives: [],
+    freeFromTerm: null
+  },
+  'molluscs': {
+    name: 'Molluscs',
+    tag: 'mollusc',
+    aliases: ['mollusc', 'mollusks', 'mollusk'],
+    terms: [
+      'mollusc', 'mollusk', 'clam', 'mussel', 'oyster', 'oyster sauce', 'scallop', 'squid', 'calamari',
+      'octopus', 'cuttlefish', 'snail', 'escargot', 'abalone', 'whelk', 'cockle', 'conch'
+    ],
+    falsePositives: ['oyster mushroom'],
+    freeFromTerm: null
+  },
+  'sulphites': {
+    name: 'Sulphites',
+    tag: 'sulfite',
+    aliases: ['sulphite', 'sulfites', 'sulfite', 'sulfur dioxide', 'sulphur dioxide'],
+    terms: [
+      'sulphite', 'sulfite', 'sulphur dioxide', 'sulfur dioxide', 'metabisulphite', 'metabisulfite',
+      'bisulphite', 'bisulfite', 'e220', 'e221', 'e222', 'e223', 'e224', 'e226', 'e227', 'e228'
+    ],
+    falsePositives: ['no added sulphites', 'no added sulfites', 'no sulfites added', 'no sulphites added'],
+    freeFromTerm: 'sulfite free'
+  },
+  'fragrance': {
+    name: 'Fragrance',
+    tag: 'fragrance',
+    food: false,
+    aliases: ['perfume', 'scent', 'fragrances'],
+    terms: ['fragrance', 'parfum', 'perfume'],
+    falsePositives: [],
+    freeFromTerm: 'fragrance free'
+  },
+  'latex': {
+    name: 'Latex',
+    tag: 'latex',
+    food: false,
+    aliases: ['natural rubber'],
+    terms: ['latex', 'natural rubber', 'natural rubber latex'],
+    falsePositives: [],
+    freeFromTerm: 'latex free'
+  },
+  'nickel': {
+    name: 'Nickel',
+    tag: 'nickel',
+    food: false,
+    aliases: [],
+    terms: ['nickel'],
+    falsePositives: [],
+    freeFromTerm: 'nickel free'
+  }
+};
+
+/**
+ * A term directly followed by "-free" / " free" is a free-from claim, and "non-" in front
+ * negates it ("non-dairy"); neither means the product contains the allergen
+ */
+const FREE_FROM_SUFFIX = /^[- ]free\b/i;
+const NEGATING_PREFIX = /\bnon[- ]?$/i;
+
+// Allergen id → { terms: RegExp, falsePositives: RegExp|null }, built on first use
+const compiledPatterns = new Map();
+
+/**
+ * Escape a term for use in a regular expression
+ * @param {string} term - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a whole-word pattern for a list of phrases, allowing plural endings
+ * @param {string[]} phrases - Terms or false-positive phrases
+ * @returns {RegExp|null} - Global, case-insensitive pattern (longest phrases first)
+ */
+function buildWordPattern(phrases) {
+  if (phrases.length === 0) return null;
+  const alternatives = [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map(phrase => escapeRegExp(phrase).replace(/[- ]/g, '[- ]?'));
+  return new RegExp(`\\b(${alternatives.join('|')})(s|es)?\\b`, 'gi');
+}
+
+/**
+ * Get the compiled patterns for an allergen
+ * @param {string} id - Allergen id
+ * @returns {Object} - { terms: RegExp, falsePositives: RegExp|null }
+ */
+function getPatterns(id) {
+  if (!compiledPatterns.has(id)) {
+    const { terms, falsePositives } = ALLERGENS[id];
+    compiledPatterns.set(id, { terms: buildWordPattern(terms), falsePositives: buildWordPattern(falsePositives) });
+  }
+  return compiledPatterns.get(id);
+}
+
+/**
+ * Look up an allergen by id, name or alias ('tree nuts', 'Dairy', 'sulfites')
+ * @param {string} allergy - User allergy or allergen name
+ * @returns {Object|null} - { id, ...definition } or null for allergens outside the knowledge base
+ */
+export function getAllergen(allergy) {
+  if (!allergy) return null;
+
+  const key = allergy.toLowerCase().trim();
+  const id = ALLERGENS[key] ? key : Object.keys(ALLERGENS).find(candidate => {
+    const { name, aliases } = ALLERGENS[candidate];
+    return name.toLowerCase() === key || aliases.includes(key) || candidate === key.replace(/\s+/g, '-');
+  });
+  return id ? { id, ...ALLERGENS[id] } : null;
+}
+
+/**
+ * Find where an allergen appears in text, skipping false positives and free-from claims
+ * @param {string} text - Ingredient list or label text
+ * @param {string} id - Allergen id
+ * @returns {Array<Object>} - { term, start, end } for every match, in order
+ */
+function matchAllergen(text, id) {
+  const { terms, falsePositives } = getPatterns(id);
+
+  // Blank out false positives (keeping positions) so the terms inside them do not match
+  const masked = falsePositives ? text.replace(falsePositives, match => ' '.repeat(match.length)) : text;
+
+  return [...masked.matchAll(terms)]
+    .map(match => ({ term: match[0], start: match.index, end: match.index + match[0].length }))
+    .filter(({ start, end }) => !FREE_FROM_SUFFIX.test(masked.slice(end)) && !NEGATING_PREFIX.test(masked.slice(0, start)));
+}
+
+/**
+ * Find the words in text that name an allergy, with their character offsets
+ * @param {string} text - Ingredient list or label text
+ * @param {string} allergy - User allergy (id, name or custom free text)
+ * @returns {Array<Object>} - { term, start, end } for every match, in order
+ */
+export function findAllergenMatches(text, allergy) {
+  if (!text || !allergy) return [];
+
+  const allergen = getAllergen(allergy);
+  if (allergen) return matchAllergen(text, allergen.id);
+
+  // Custom allergies outside the knowledge base are matched as typed
+  const textLower = text.toLowerCase();
+  const needle = allergy.toLowerCase().trim();
+  const matches = [];
+  for (let start = textLower.indexOf(needle); needle && start !== -1; start = textLower.indexOf(needle, start + needle.length)) {
+    matches.push({ term: text.slice(start, start + needle.length), start, end: start + needle.length });
+  }
+  return matches;
+}
+
+/**
+ * Find which allergens appear in text
+ * @param {string} text - Ingredient list or label text
+ * @param {string[]} [allergies] - User allergies to look for (ids, names or custom free text);
+ *   without it, every food allergen in the knowledge base is checked
+ * @returns {string[]} - The allergies found (as passed in), or the allergen ids found
+ */
+export function findAllergens(text, allergies) {
+  if (!text) return [];
+
+  if (!allergies) {
+    return Object.keys(ALLERGENS)
+      .filter(id => ALLERGENS[id].food !== false && matchAllergen(text, id).length > 0);
+  }
+  return allergies.filter(allergy => findAllergenMatches(text, allergy).length > 0);
+}
+
+/**
+ * Find which of the user's allergies appear in an ingredient list
+ * @param {string} ingredients - Ingredient list text
+ * @param {string[]} allergies - User allergies (ids like 'peanuts' and custom free text)
+ * @returns {string[]} - Allergies found in the ingredients
+ */
+export function findAllergensInIngredients(ingredients, allergies) {
+  return findAllergens(ingredients || '', allergies);
+}
+
+/**
+ * Search phrase for products free of an allergen ('peanut free')
+ * @param {string} allergy - User allergy
+ * @returns {string|null} - Phrase, or null when retailers have no common free-from claim for it
+ */
+export function getFreeFromTerm(allergy) {
+  return getAllergen(allergy)?.freeFromTerm || null;
+}
+
+/**
+ * Tag stem for an allergy (contains_<stem>, may_contain_<stem>, <stem>_free); custom allergies
+ * outside the knowledge base use a slug of their name
+ * @param {string} allergy - Allergy id or custom free text
+ * @returns {string} - Stem like 'tree_nut' or 'sunflower_seeds'
+ */
+export function getAllergenTag(allergy) {
+  return getAllergen(allergy)?.tag ||
+    allergy.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
@@ -0,0 +1,82 @@
+// Shop Well Safer Alternatives
+// Builds a same-retailer search for products like the one analyzed, and ranks the
+// screened results so the side panel can suggest options without the flagged allergens.
+
+import { compareUnitValue } from './price.js';
+import { getFreeFromTerm } from './allergens.js';
+
+/**
+ * Search terms that steer results away from a flagged condition
+ */
+const CONDITION_TERMS = [
+  [/celiac|coeliac|gluten/i, 'gluten free'],
+  [/hypertension|blood pressure|heart|kidney/i, 'low sodium'],
+  [/diabet|blood sugar|insulin/i, 'sugar free']
+];
+
+/**
+ * Title words that describe the listing rather than the product type
+ */
+const NOISE_WORDS = /\b(\d+(?:\.\d+)?\s*(?:oz|fl|ounces?|lbs?|pounds?|g|grams?|kg|ml|l|liters?|ct|count|pack|pk|pieces?|servings?|sticks?|bars?)\b|pack of \d+|\d+[- ]?(?:pack|count|ct)|value|bulk|new|original)\b/gi;
+
+/**
+ * Build the search query for safer alternatives
+ * @param {Object} productData - Product that was flagged
+ * @param {string} category - Category from detectProductCategory() (e.g., 'food', 'personal-care')
+ * @param {Object} flagged - { allergies: string[], conditions: string[] } with a "bad" verdict
+ * @returns {string} - Search query (e.g., "electrolyte drink mix dairy free")
+ */
+export function buildAlternativesQuery(productData, category, { allergies = [], conditions = [] }) {
+  // "Brand Product Type, Flavor, 12 Count" → "Brand Product Type"
+  const segment = (productData.title || '')
+    .split(/\s[-–|]\s|,/)[0]
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(NOISE_WORDS, ' ')
+    .replace(/[^\p{L}\p{N}\s'&-]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Drop the leading brand word on longer titles so other brands come back
+  const words = segment.length >= 4 ? segment.slice(1) : segment;
+  const terms = [words.slice(0, 6).join(' ')];
+
+  // Free-from terms only make sense for things people eat or put on their skin
+  if (['food', 'supplement', 'personal-care', 'household', 'general'].includes(category)) {
+    allergies.forEach(allergy => {
+      const term = getFreeFromTerm(allergy);
+      if (term && !terms.includes(term)) terms.push(term);
+    });
+  }
+  conditions.forEach(condition => {
+    const term = CONDITION_TERMS.find(([pattern]) => pattern.test(condition))?.[1];
+    if (term && !terms.includes(term)) terms.push(term);
+  });
+
+  return terms.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pick the alternatives worth showing: those whose ingredient list was checked and passed every
+ * allergen check, best screen score first, then best unit value relative to the original
+ * @param {Array<Object>} candidates - { product, productData, screen } (listing product, parsed page, screen result)
+ * @param {Object} original - Product data of the flagged product (for price comparison)
+ * @param {number} limit - Most alternatives to return (default: 3)
+ * @returns {Array<Object>} - Candidates with { priceDiff, unitValueDiff } added
+ */
+export function rankAlternatives(candidates, original, limit = 3) {
+  return candidates
+    .filter(({ productData, screen }) => productData?.ingredients && screen.allergens.length === 0 && screen.status !== 'red')
+    .map(candidate => {
+      const pricing = candidate.productData.pricing || candidate.product.pricing;
+      return {
+        ...candidate,
+        pricing,
+        priceDiff: pricing && original.pricing && pricing.currency === original.pricing.currency
+          ? Math.round((pricing.amount - original.pricing.amount) * 100) / 100
+          : null,
+        unitValueDiff: compareUnitValue(pricing, original.pricing)
+      };
+    })
+    .sort((a, b) => b.screen.score - a.screen.score || (a.unitValueDiff ?? 0) - (b.unitValueDiff ?? 0))
+    .slice(0, limit);
+}
@@ -0,0 +1,194 @@
+// Shop Well Analysis Cache
+// Persists facts + verdicts in chrome.storage.local so reopening a product renders instantly.
+// Entries are keyed by site + product id and only reused while the extracted product data
+// and the user's health profile hash to the same values they had when the verdict was generated.
+
+const CACHE_STORAGE_KEY = 'analysisCache';
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CACHE_MAX_ENTRIES = 100;
+const CACHE_MAX_BYTES = 2 * 1024 * 1024; // Stay well under chrome.storage.local's 10 MB quota
+
+/**
+ * Hash any JSON-serializable value (FNV-1a, 32-bit)
+ * @param {*} value - Value to hash (object keys are sorted so order doesn't matter)
+ * @returns {string} - 8-character hex hash
+ */
+export function hashValue(value) {
+  const text = stableStringify(value);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash the product fields the analysis is based on (price and reviews change too often to matter)
+ * @param {Object} productData - Extracted product data
+ * @returns {string}
+ */
+export function getProductDataHash(productData) {
+  return hashValue({
+    title: productData.title || '',
+    bullets: productData.bullets || [],
+    description: productData.description || '',
+    ingredients: productData.ingredients || '',
+    nutrition: productData.nutrition || null
+  });
+}
+
+/**
+ * Hash the parts of the health profile that shape a verdict
+ * @param {Object} profile - { conditions, allergies, allergySettings, firstName, language }
+ * @returns {string}
+ */
+export function getProfileHash({ conditions = [], allergies = [], allergySettings = {}, firstName = '', language = 'en' }) {
+  return hashValue({
+    conditions: [...conditions].sort(),
+    allergies: [...allergies].sort(),
+    allergySettings,
+    firstName,
+    language
+  });
+}
+
+/**
+ * Look up a cached analysis
+ * @param {Object} key - { site, productId, dataHash, profileHash }
+ * @returns {Promise<Object|null>} - { facts, verdict, labelImage, createdAt } or null on a miss
+ */
+export async function getCachedAnalysis(key) {
+  try {
+    const cache = await readCache();
+    const entry = cache[getEntryId(key)];
+
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() - entry.createdAt > CACHE_TTL_MS) {
+      console.log('Shop Well: Cached analysis expired for', getEntryId(key));
+      return null;
+    }
+
+    if (entry.dataHash !== key.dataHash || entry.profileHash !== key.profileHash) {
+      console.log('Shop Well: Cached analysis is stale for', getEntryId(key),
+        entry.dataHash !== key.dataHash ? '(product data changed)' : '(health profile changed)');
+      return null;
+    }
+
+    // Touch for LRU eviction
+    entry.lastAccessedAt = Date.now();
+    await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: cache });
+
+    console.log('Shop Well: Analysis cache hit for', getEntryId(key));
+    return { facts: entry.facts, verdict: entry.verdict, labelImage: entry.labelImage || null, createdAt: entry.createdAt };
+  } catch (error) {
+    console.warn('Shop Well: Analysis cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store an analysis, evicting expired and least recently used entries to stay within limits
+ * @param {Object} key - { site, productId, dataHash, profileHash }
+ * @param {Object} analysis - { title, facts, verdict, labelImage } (labelImage: label text read from
+ *   the gallery photos, reapplied to the product data on a hit)
+ * @returns {Promise<void>}
+ */
+export async function setCachedAnalysis(key, { title = '', facts, verdict, labelImage = null }) {
+  try {
+    const cache = await readCache();
+    const now = Date.now();
+
+    cache[getEntryId(key)] = {
+      site: key.site,
+      productId: key.productId,
+      dataHash: key.dataHash,
+      profileHash: key.profileHash,
+      title,
+      facts,
+      verdict,
+      labelImage,
+      createdAt: now,
+      lastAccessedAt: now
+    };
+
+    await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: evictEntries(cache, now) });
+    console.log('Shop Well: Analysis cached for', getEntryId(key));
+  } catch (error) {
+    console.warn('Shop Well: Analysis cache write failed:', error);
+  }
+}
+
+/**
+ * Remove every cached analysis
+ * @returns {Promise<void>}
+ */
+export async function clearAnalysisCache() {
+  await chrome.storage.local.remove(CACHE_STORAGE_KEY);
+  console.log('Shop Well: Analysis cache cleared');
+}
+
+/**
+ * Read the cache object from storage
+ * @returns {Promise<Object>} - Entry id → entry
+ */
+async function readCache() {
+  const result = await chrome.storage.local.get([CACHE_STORAGE_KEY]);
+  return result[CACHE_STORAGE_KEY] || {};
+}
+
+/**
+ * Storage id for a product ("amazon:B00I8GQUAC")
+ * @param {Object} key - { site, productId }
+ * @returns {string}
+ */
+function getEntryId({ site, productId }) {
+  return `${site}:${productId}`;
+}
+
+/**
+ * Drop expired entries, then least recently used ones until under the count and size limits
+ * @param {Object} cache - Entry id → entry
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - Pruned cache
+ */
+function evictEntries(cache, now) {
+  const entries = Object.entries(cache)
+    .filter(([, entry]) => now - entry.createdAt <= CACHE_TTL_MS)
+    .sort(([, a], [, b]) => b.lastAccessedAt - a.lastAccessedAt);
+
+  const kept = {};
+  let totalBytes = 0;
+
+  for (const [id, entry] of entries) {
+    const entryBytes = JSON.stringify(entry).length;
+    if (Object.keys(kept).length >= CACHE_MAX_ENTRIES || totalBytes + entryBytes > CACHE_MAX_BYTES) {
+      console.log('Shop Well: Evicting cached analysis', id);
+      continue;
+    }
+    kept[id] = entry;
+    totalBytes += entryBytes;
+  }
+
+  return kept;
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
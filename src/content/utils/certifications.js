@@ -0,0 +1,221 @@
+// Shop Well Certifications
+// Recognizes third-party certifications and seals (GFCO, Celiac Support Association, the Allergen
+// Control Group's GFCP, Kosher / Pareve, USDA Organic, Non-GMO Project, NSF Certified for Sport)
+// and "Top 8 free" allergen claims in label text, JSON-LD and image alt text. Each match becomes a
+// structured claim, so a certified gluten-free seal can count for more than a "gluten-free" slogan.
+
+/**
+ * Known certifications, most specific first. kind is 'certification' for a third-party program
+ * and 'claim' for a label claim with no certifying body. replaces lists less specific entries
+ * to drop when this one matches (a GFCO seal makes "certified gluten-free" redundant).
+ */
+const CERTIFICATIONS = [
+  {
+    id: 'gfco',
+    name: 'Certified Gluten-Free (GFCO)',
+    issuer: 'Gluten-Free Certification Organization',
+    kind: 'certification',
+    tags: ['certified_gluten_free', 'gluten_free'],
+    pattern: /\bGFCO\b|\bgluten[- ]free certification organi[sz]ation\b/i,
+    replaces: ['certified-gluten-free']
+  },
+  {
+    id: 'csa',
+    name: 'Celiac Support Association Seal',
+    issuer: 'Celiac Support Association',
+    kind: 'certification',
+    tags: ['certified_gluten_free', 'gluten_free'],
+    pattern: /\bceliac (support|sprue) association\b|\bCSA[- ](certified|seal|recognized)\b/i,
+    replaces: ['certified-gluten-free']
+  },
+  {
+    id: 'gfcp',
+    name: 'Gluten-Free Certification Program (GFCP)',
+    issuer: 'Allergen Control Group',
+    kind: 'certification',
+    tags: ['certified_gluten_free', 'gluten_free'],
+    pattern: /\ballergen control group\b|\bgluten[- ]free certification program\b|\bGFCP\b/i,
+    replaces: ['certified-gluten-free']
+  },
+  {
+    // No certifying body named - anyone can print "certified gluten-free", so it counts as a claim
+    id: 'certified-gluten-free',
+    name: 'Certified Gluten-Free',
+    issuer: null,
+    kind: 'claim',
+    tags: ['gluten_free'],
+    pattern: /\bcertified gluten[- ]free\b|\bgluten[- ]free certified\b/i
+  },
+  {
+    id: 'kosher-pareve',
+    name: 'Kosher Pareve',
+    issuer: null,
+    kind: 'certification',
+    tags: ['kosher', 'kosher_pareve'],
+    pattern: /\bpar(e)?ve\b/i,
+    replaces: ['kosher']
+  },
+  {
+    id: 'kosher-dairy',
+    name: 'Kosher Dairy',
+    issuer: null,
+    kind: 'certification',
+    tags: ['kosher', 'kosher_dairy'],
+    pattern: /\b[Kk]osher[- ][Dd]airy\b|\bOU[- ]D\b/, // OU-D is case-sensitive
+    replaces: ['kosher']
+  },
+  {
+    id: 'kosher',
+    name: 'Kosher',
+    issuer: null,
+    kind: 'certification',
+    tags: ['kosher'],
+    // Needs a certification context: "kosher" alone is usually a style ("kosher salt", "kosher dill
+    // pickles"). Agency marks are case-sensitive so "ok" and "crc" in running text don't match.
+    pattern: /\b[Cc]ertified [Kk]osher\b(?![- ](salt|dill|style))|\b[Kk]osher[- ]certifi(ed|cation)\b|\b[Kk]osher (seal|symbol|supervision)\b|\brabbinic(al)? supervision\b|\b(OU|OK|Star-K|STAR-K|cRc)[- ]([Kk]osher|[Cc]ertified)\b|\bOU\b(?![- ]?D\b)|\bStar-K\b|\bcRc\b/
+  },
+  {
+    id: 'usda-organic',
+    name: 'USDA Organic',
+    issuer: 'U.S. Department of Agriculture',
+    kind: 'certification',
+    tags: ['usda_organic', 'organic'],
+    pattern: /\bUSDA[- ]?(certified[- ])?organic\b/i
+  },
+  {
+    id: 'non-gmo-project',
+    name: 'Non-GMO Project Verified',
+    issuer: 'Non-GMO Project',
+    kind: 'certification',
+    tags: ['non_gmo_verified', 'non_gmo'],
+    pattern: /\bnon[- ]?gmo project\b/i
+  },
+  {
+    id: 'nsf-sport',
+    name: 'NSF Certified for Sport',
+    issuer: 'NSF',
+    kind: 'certification',
+    tags: ['nsf_certified_for_sport', 'third_party_tested'],
+    pattern: /\b(NSF[- ])?certified for sport\b/i
+  },
+  {
+    id: 'top-9-free',
+    name: 'Top 9 Allergen Free',
+    issuer: null,
+    kind: 'claim',
+    tags: ['peanut_free', 'tree_nut_free', 'milk_free', 'egg_free', 'wheat_free', 'soy_free', 'fish_free', 'shellfish_free', 'sesame_free'],
+    pattern: /\btop[- ]?(9|nine|12|twelve|14|fourteen)[- ](major[- ])?(allergens?[- ])?free\b|\bfree (from|of) (the )?top[- ]?(9|nine|12|twelve|14|fourteen)( major)? allergens\b/i,
+    replaces: ['top-8-free']
+  },
+  {
+    id: 'top-8-free',
+    name: 'Top 8 Allergen Free',
+    issuer: null,
+    kind: 'claim',
+    tags: ['peanut_free', 'tree_nut_free', 'milk_free', 'egg_free', 'wheat_free', 'soy_free', 'fish_free', 'shellfish_free'],
+    pattern: /\btop[- ]?(8|eight)[- ](major[- ])?(allergens?[- ])?free\b|\bfree (from|of) (the )?top[- ]?(8|eight)( major)? allergens\b/i
+  }
+];
+
+/**
+ * Sources in the order their evidence is preferred
+ */
+const SOURCE_ORDER = ['json-ld', 'text', 'image-alt', 'image'];
+
+/**
+ * Wording just before a match that negates it ("not certified gluten-free", "no USDA organic seal")
+ */
+const NEGATION_BEFORE = /\b(not|no|non|never|without|isn't|aren't|is not|are not)\b\W+(\w+\W+)?$/i;
+
+/**
+ * Check whether the claim matched at a position is negated by the words before it
+ * @param {string} text - Text the claim was matched in
+ * @param {number} index - Position of the match
+ * @returns {boolean}
+ */
+export function isNegatedClaim(text, index) {
+  return NEGATION_BEFORE.test(text.slice(Math.max(0, index - 30), index));
+}
+
+/**
+ * Find the certifications and seals named in a block of text
+ * @param {string} text - Label text, JSON-LD certification names or image alt text
+ * @param {string} source - Where the text came from ('text', 'json-ld', 'image-alt', 'image')
+ * @returns {Array<Object>} - Claims: { id, name, issuer, kind, tags, source, evidence }
+ *   (evidence is the matched wording)
+ */
+export function findCertifications(text, source = 'text') {
+  if (!text) return [];
+
+  const found = [];
+  for (const certification of CERTIFICATIONS) {
+    const pattern = new RegExp(certification.pattern.source, `${certification.pattern.flags}g`);
+    const match = [...text.matchAll(pattern)].find(candidate => !isNegatedClaim(text, candidate.index));
+    if (!match) continue;
+
+    const { id, name, issuer, kind, tags } = certification;
+    found.push({ id, name, issuer, kind, tags: [...tags], source, evidence: match[0] });
+  }
+  return dropReplaced(found);
+}
+
+/**
+ * Remove less specific claims that a more specific match covers
+ * @param {Array<Object>} claims - Claims from findCertifications()
+ * @returns {Array<Object>}
+ */
+function dropReplaced(claims) {
+  const replaced = new Set(claims.flatMap(claim =>
+    CERTIFICATIONS.find(certification => certification.id === claim.id)?.replaces || []));
+  return claims.filter(claim => !replaced.has(claim.id));
+}
+
+/**
+ * Detect a product's certifications from its text fields, structured data and image alt text
+ * @param {Object} productData - Product data (title, bullets, description)
+ * @param {Object} sources - Extra text to search
+ * @param {string[]} sources.structured - Certification / award names from JSON-LD
+ * @param {string[]} sources.imageAlt - Alt text of the page's images (seals are often logo images)
+ * @returns {Array<Object>} - Claims (one per certification, best source first), see findCertifications()
+ */
+export function detectCertifications(productData, { structured = [], imageAlt = [] } = {}) {
+  // Not the ingredient list: "kosher salt" or "organic cane sugar" there is an ingredient, not a seal
+  const text = [productData.title, ...(productData.bullets || []), productData.description]
+    .filter(Boolean)
+    .join('\n');
+
+  const claims = [
+    ...structured.flatMap(name => findCertifications(name, 'json-ld')),
+    ...findCertifications(text, 'text'),
+    ...imageAlt.flatMap(alt => findCertifications(alt, 'image-alt'))
+  ].sort((a, b) => SOURCE_ORDER.indexOf(a.source) - SOURCE_ORDER.indexOf(b.source));
+
+  const unique = claims.filter((claim, index) => claims.findIndex(other => other.id === claim.id) === index);
+  const result = dropReplaced(unique);
+  if (result.length > 0) {
+    console.log('Shop Well: Certifications found:', result.map(claim => `${claim.name} (${claim.source})`).join(', '));
+  }
+  return result;
+}
+
+/**
+ * Check for a gluten-free seal from a named certifying body (GFCO, CSA, GFCP). Only these are
+ * trusted over gluten grains in the ingredient list (certified products may use gluten-removed wheat starch).
+ * @param {Array<Object>} certifications - Claims from detectCertifications()
+ * @returns {boolean}
+ */
+export function hasGlutenFreeSeal(certifications) {
+  return (certifications || []).some(claim =>
+    claim.kind === 'certification' && claim.issuer && claim.tags.includes('certified_gluten_free'));
+}
+
+/**
+ * Describe a claim for prompts and the side panel ("USDA Organic (seal image)")
+ * @param {Object} claim - Claim from detectCertifications()
+ * @returns {string}
+ */
+export function describeCertification(claim) {
+  const sourceLabels = { 'json-ld': 'structured data', 'text': 'label text', 'image-alt': 'seal image', 'image': 'label photo' };
+  const kind = claim.kind === 'claim' ? 'label claim' : sourceLabels[claim.source] || claim.source;
+  return `${claim.name} (${kind})`;
+}
@@ -0,0 +1,151 @@
+// Shop Well Product Comparison
+// Pinned analyses (up to four) for the side panel's side-by-side comparison view.
+// Pins live in chrome.storage.local so they survive closing the side panel.
+
+import { compareUnitValue } from './price.js';
+import { NUTRITION_LABELS } from './dom.js';
+
+const PINS_STORAGE_KEY = 'pinnedAnalyses';
+
+/**
+ * Most products that can be compared at once (the side panel is narrow)
+ */
+export const MAX_PINNED = 4;
+
+/**
+ * Snapshot a completed analysis for comparison
+ * @param {Object} productData - Product data the analysis was based on
+ * @param {Object} facts - Extracted facts
+ * @param {Object} verdict - Validated verdict ({ conditions, allergies, insights, caveat })
+ * @param {Object} identity - { site, productId }
+ * @returns {Object} - Pin
+ */
+export function createPin(productData, facts, verdict, { site, productId }) {
+  return {
+    id: productId ? `${site}:${productId}` : `${site}:${productData.url}`,
+    site,
+    title: productData.title || 'Unknown product',
+    url: productData.url,
+    price: productData.price || null,
+    pricing: productData.pricing || null,
+    nutrition: facts.nutrition || null,
+    facts: {
+      sodium_level: facts.sodium_level,
+      sugar_level: facts.sugar_level,
+      gluten_free: facts.gluten_free,
+      allergen_warnings: facts.allergen_warnings || [],
+      dietary_claims: facts.dietary_claims || []
+    },
+    verdict: {
+      conditions: verdict.conditions || [],
+      allergies: verdict.allergies || [],
+      insights: verdict.insights || '',
+      caveat: verdict.caveat || ''
+    },
+    pinnedAt: Date.now()
+  };
+}
+
+/**
+ * Read the pinned analyses
+ * @returns {Promise<Array<Object>>} - Pins in the order they were pinned
+ */
+export async function getPinnedAnalyses() {
+  try {
+    const result = await chrome.storage.local.get([PINS_STORAGE_KEY]);
+    return result[PINS_STORAGE_KEY] || [];
+  } catch (error) {
+    console.warn('Shop Well: Reading pinned analyses failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Pin an analysis (re-pinning the same product replaces the older snapshot)
+ * @param {Object} pin - Pin from createPin()
+ * @returns {Promise<boolean>} - False when MAX_PINNED other products are already pinned
+ */
+export async function pinAnalysis(pin) {
+  const pins = await getPinnedAnalyses();
+  const index = pins.findIndex(existing => existing.id === pin.id);
+
+  if (index >= 0) {
+    pins[index] = pin;
+  } else if (pins.length >= MAX_PINNED) {
+    console.log('Shop Well: Comparison is full, not pinning', pin.id);
+    return false;
+  } else {
+    pins.push(pin);
+  }
+
+  await chrome.storage.local.set({ [PINS_STORAGE_KEY]: pins });
+  console.log('Shop Well: Pinned for comparison:', pin.id);
+  return true;
+}
+
+/**
+ * Unpin an analysis
+ * @param {string} id - Pin id
+ * @returns {Promise<void>}
+ */
+export async function unpinAnalysis(id) {
+  const pins = await getPinnedAnalyses();
+  await chrome.storage.local.set({ [PINS_STORAGE_KEY]: pins.filter(pin => pin.id !== id) });
+  console.log('Shop Well: Unpinned', id);
+}
+
+/**
+ * Line up pinned analyses for the comparison table
+ * @param {Array<Object>} pins - Pinned analyses
+ * @returns {Object} - { conditions, allergies, nutrients, unitValue }
+ *   conditions / allergies: names appearing in any pin (first-seen order)
+ *   nutrients: nutrient fields (calories, then NUTRITION_LABELS order) present in any pin
+ *   unitValue: pin id → percent vs. the cheapest comparable pin (0 = best value), absent when not comparable
+ */
+export function buildComparison(pins) {
+  const conditions = uniqueNames(pins.flatMap(pin => pin.verdict.conditions));
+  const allergies = uniqueNames(pins.flatMap(pin => pin.verdict.allergies));
+
+  // Known nutrient fields only - the nutrition object also carries servingSize and its sources
+  const nutrients = ['calories', ...Object.keys(NUTRITION_LABELS)].filter(field =>
+    pins.some(pin => pin.nutrition?.[field] !== null && pin.nutrition?.[field] !== undefined));
+
+  // Cheapest per 100 g / 100 ml / item among pins that share a unit and currency with it
+  const unitValue = {};
+  const comparable = pins.filter(pin => pin.pricing?.unitPrice?.normalized);
+  for (const pin of comparable) {
+    const peers = comparable.filter(other => compareUnitValue(pin.pricing, other.pricing) !== null);
+    if (peers.length > 1) {
+      const cheapest = peers.reduce((best, other) =>
+        other.pricing.unitPrice.normalized.amount < best.pricing.unitPrice.normalized.amount ? other : best);
+      unitValue[pin.id] = compareUnitValue(pin.pricing, cheapest.pricing);
+    }
+  }
+
+  return { conditions, allergies, nutrients, unitValue };
+}
+
+/**
+ * Get a pin's verdict entry by name (case-insensitive)
+ * @param {Array<Object>} entries - verdict.conditions or verdict.allergies
+ * @param {string} name - Condition or allergen name
+ * @returns {Object|null} - { name, verdict, brief_reason } or null
+ */
+export function findVerdictEntry(entries, name) {
+  return (entries || []).find(entry => entry.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Unique verdict entry names, case-insensitive, in first-seen order
+ * @param {Array<Object>} entries - Verdict entries
+ * @returns {Array<string>}
+ */
+function uniqueNames(entries) {
+  const seen = new Map();
+  for (const { name } of entries) {
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.set(name.toLowerCase(), name);
+    }
+  }
+  return [...seen.values()];
+}
@@ -73,13 +73,103 @@ export function cleanText(text) {
     .substring(0, 2000);  // Limit length for AI processing
 }
 
+/**
+ * Currency symbols and codes recognised in price text, mapped to ISO 4217 codes.
+ * "$" is resolved per locale (USD, or CAD on Canadian storefronts).
+ */
+const CURRENCY_SYMBOLS = {
+  'CDN$': 'CAD',
+  'C$': 'CAD',
+  'US$': 'USD',
+  '£': 'GBP',
+  'GBP': 'GBP',
+  '€': 'EUR',
+  'EUR': 'EUR',
+  '¥': 'JPY',
+  '￥': 'JPY',
+  '円': 'JPY'
+};
+
+// Currency before the amount ("$12.99", "£3.50", "EUR 12,99") or after it ("12,99 €", "1,280円")
+const PRICE_PATTERN = /(CDN\$|C\$|US\$|EUR|GBP|\$|£|€|¥|￥)\s?(\d[\d.,\s\u00a0]*\d|\d)|(\d[\d.,\s\u00a0]*\d|\d)\s?(€|EUR|円)/;
+
+// Words that mark a unit price ("$0.17/ounce", "2,49 € pro 100 g", "1 kg あたり")
+const UNIT_PRICE_PATTERN = /\/|per|\bpro\b|\bpar\b|\bpor\b|あたり/i;
+
+/**
+ * Parse a price out of localized text
+ * @param {string} text - Text containing a price (e.g., "$1,299.99", "12,99 €", "￥1,280")
+ * @param {string} locale - Page locale, used to resolve "$" (default: en-US)
+ * @returns {Object|null} - { amount, currency, display } or null if no price found
+ */
+export function parsePriceText(text, locale = 'en-US') {
+  const match = (text || '').match(PRICE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const symbol = match[1] || match[4];
+  const amount = parseLocalizedNumber(match[2] || match[3]);
+  if (isNaN(amount)) {
+    return null;
+  }
+
+  const currency = symbol === '$'
+    ? (/-CA$/i.test(locale) ? 'CAD' : 'USD')
+    : CURRENCY_SYMBOLS[symbol];
+
+  return { amount, currency, display: match[0].trim() };
+}
+
+/**
+ * Parse a number written with either "," or "." as the decimal separator
+ * "1,299.99" → 1299.99, "1.299,99" → 1299.99, "12,99" → 12.99, "1 280" → 1280, "1,280" → 1280
+ * @param {string} text - Number text
+ * @returns {number}
+ */
+export function parseLocalizedNumber(text) {
+  const compact = (text || '').replace(/[\s\u00a0]/g, '');
+  const lastComma = compact.lastIndexOf(',');
+  const lastDot = compact.lastIndexOf('.');
+
+  let decimalSeparator = null;
+  if (lastComma !== -1 && lastDot !== -1) {
+    decimalSeparator = lastComma > lastDot ? ',' : '.';
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const occurrences = compact.split(separator).length - 1;
+    const digitsAfter = compact.length - compact.lastIndexOf(separator) - 1;
+    // A single separator followed by 1-2 digits is a decimal point; 3 digits means thousands
+    if (occurrences === 1 && digitsAfter !== 3) {
+      decimalSeparator = separator;
+    }
+  }
+
+  const thousandsPattern = decimalSeparator === ',' ? /\./g : decimalSeparator === '.' ? /,/g : /[.,]/g;
+  const normalized = compact.replace(thousandsPattern, '').replace(',', '.');
+  return parseFloat(normalized);
+}
+
+/**
+ * Get the page locale from <html lang> (Amazon sets e.g. "de-de", "en-gb")
+ * @param {Document|Element} root - Root element
+ * @returns {string} - BCP 47 locale (default: en-US)
+ */
+export function getDocumentLocale(root = document) {
+  const doc = root.documentElement ? root : root.ownerDocument;
+  const lang = doc?.documentElement?.lang || '';
+  const [language, region] = lang.split(/[-_]/);
+  return language ? `${language.toLowerCase()}${region ? '-' + region.toUpperCase() : ''}` : 'en-US';
+}
+
 /**
  * Extract price from element text content
  * @param {string|string[]} selectors - CSS selector or array of fallback selectors
  * @param {Element} root - Root element to search within (default: document)
- * @returns {string} - Extracted price string or empty string
+ * @param {string} locale - Page locale (default: taken from <html lang>)
+ * @returns {string} - Extracted price string (e.g., "$12.99", "12,99 €") or empty string
  */
-export function extractPrice(selectors, root = document) {
+export function extractPrice(selectors, root = document, locale = getDocumentLocale(root)) {
   const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
 
   console.log('Shop Well: Attempting to extract price with', selectorArray.length, 'selectors');
@@ -113,25 +203,25 @@ export function extractPrice(selectors, root = document) {
         continue;
       }
 
-      // Skip if this looks like a unit price (contains "/" or "per")
-      // e.g., "($0.17/ounce)", "$1.50/count", "2.3 ¢ per fl oz"
-      if (priceText.includes('/') || priceText.toLowerCase().includes('per')) {
+      // Skip if this looks like a unit price (contains "/" or "per", or a localized equivalent)
+      // e.g., "($0.17/ounce)", "$1.50/count", "2.3 ¢ per fl oz", "2,49 € pro 100 g"
+      if (UNIT_PRICE_PATTERN.test(priceText)) {
         console.log(`Shop Well: Skipping - contains unit price indicator: "${priceText}"`);
         continue;
       }
 
-      // Extract price pattern like $12.99, $1,299.99, etc.
-      const priceMatch = priceText.match(/\$[\d,]+\.?\d*/);
-      if (!priceMatch) {
+      // Extract price pattern like $12.99, $1,299.99, 12,99 €, ￥1,280, etc.
+      const parsedPrice = parsePriceText(priceText, locale);
+      if (!parsedPrice) {
         console.log(`Shop Well: Skipping - no price pattern found in "${priceText}"`);
         continue;
       }
 
-      const extractedPrice = priceMatch[0];
-      console.log(`Shop Well: Extracted price: "${extractedPrice}"`);
+      const extractedPrice = parsedPrice.display;
+      console.log(`Shop Well: Extracted price: "${extractedPrice}" (${parsedPrice.currency})`);
 
       // Parse price value to check if it's suspiciously low (likely unit price)
-      const priceValue = parseFloat(extractedPrice.replace(/[$,]/g, ''));
+      const priceValue = parsedPrice.amount;
 
       // Skip prices under $0.99 - likely unit prices (e.g., "$0.23" per ounce)
       // Exception: if it's the LAST selector (broadest fallback), we might accept it
@@ -178,6 +268,91 @@ export function getAttribute(selectors, attribute, root = document) {
   return '';
 }
 
+/**
+ * Get the largest image URL an <img> offers: Amazon's data-old-hires / data-a-dynamic-image,
+ * the widest srcset candidate, then lazy-load attributes and src
+ * @param {Element} img - Image element
+ * @returns {string} - Image URL or empty string
+ */
+function getLargestImageUrl(img) {
+  const hiRes = img.getAttribute('data-old-hires');
+  if (hiRes) {
+    return hiRes;
+  }
+
+  // {"https://...jpg": [width, height], ...}
+  const dynamic = img.getAttribute('data-a-dynamic-image');
+  if (dynamic) {
+    try {
+      const sizes = Object.entries(JSON.parse(dynamic));
+      if (sizes.length > 0) {
+        sizes.sort(([, a], [, b]) => (b[0] * b[1]) - (a[0] * a[1]));
+        return sizes[0][0];
+      }
+    } catch (error) {
+      // Fall through to srcset / src
+    }
+  }
+
+  const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset');
+  if (srcset) {
+    const candidates = srcset.split(',')
+      .map(candidate => candidate.trim().split(/\s+/))
+      .map(([url, descriptor = '1x']) => ({ url, size: parseFloat(descriptor) || 1 }))
+      .filter(({ url }) => url);
+    if (candidates.length > 0) {
+      candidates.sort((a, b) => b.size - a.size);
+      return candidates[0].url;
+    }
+  }
+
+  return img.getAttribute('data-src') || img.getAttribute('src') || '';
+}
+
+/**
+ * Collect product gallery image URLs (the largest rendition of each image, in gallery order)
+ * @param {string|string[]} selectors - CSS selector or array of selectors for gallery <img> elements
+ * @param {Element} root - Root element to search within (default: document)
+ * @param {number} limit - Maximum number of URLs (default: 10)
+ * @returns {string[]} - Absolute http(s) image URLs without duplicates
+ */
+export function extractImageUrls(selectors, root = document, limit = 10) {
+  const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+  const urls = [];
+
+  for (const selector of selectorArray) {
+    try {
+      for (const img of root.querySelectorAll(selector)) {
+        const url = getLargestImageUrl(img);
+        // Skip inline placeholders, spinners and video thumbnails' play-button sprites
+        if (/^https?:\/\//i.test(url) && !/\.gif(\?|$)/i.test(url) && !urls.includes(url)) {
+          urls.push(url);
+        }
+        if (urls.length >= limit) {
+          return urls;
+        }
+      }
+    } catch (error) {
+      console.warn('Shop Well: Invalid image selector:', selector, error);
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Collect the alt text of the page's images (certification seals are usually logo images)
+ * @param {Element} root - Root element to search within (default: document)
+ * @param {number} limit - Maximum number of alt texts (default: 200)
+ * @returns {string[]} - Alt text without duplicates
+ */
+export function extractImageAltText(root = document, limit = 200) {
+  const alts = Array.from(root.querySelectorAll('img[alt]'))
+    .map(img => cleanText(img.getAttribute('alt') || ''))
+    .filter(Boolean);
+  return [...new Set(alts)].slice(0, limit);
+}
+
 /**
  * Check if any element matches the given selectors
  * @param {string|string[]} selectors - CSS selector or array of fallback selectors
@@ -201,36 +376,39 @@ export function elementExists(selectors, root = document) {
 }
 
 /**
- * Extract ingredients text from common ingredient selectors
- * @param {Element} root - Root element to search within (default: document)
- * @returns {string} - Ingredients text or empty string
+ * Common ingredient list selectors (checked in order, first substantial match wins)
  */
-export function extractIngredients(root = document) {
-  const ingredientSelectors = [
-    // Amazon selectors (valid CSS)
-    '[data-feature-name="ingredients"]',
-    '#ingredients',
-    '.ingredients',
-    '.a-expander-content',
-    '#important-information',
-    '#importantInformation',
-
-    // Walmart selectors (valid CSS) - Updated for 2025 structure
-    'div.pb2 > p.mid-gray',  // NEW: Primary Walmart ingredient paragraphs
-    '.pb2 p',                 // NEW: Paragraphs in .pb2 containers
-    'p.mid-gray',            // NEW: Gray text paragraphs
-    '[data-testid="nutrition-facts"] .ingredients',
-    '.nutrition-facts .ingredients',
-    '.product-ingredients',
-    '[aria-label*="Ingredients"]',
-
-    // Generic selectors (valid CSS)
-    '.ingredient-list',
-    '.ingredients-section'
-  ];
+const INGREDIENT_SELECTORS = [
+  // Amazon selectors (valid CSS)
+  '[data-feature-name="ingredients"]',
+  '#ingredients',
+  '.ingredients',
+  '.a-expander-content',
+  '#important-information',
+  '#importantInformation',
+
+  // Walmart selectors (valid CSS) - Updated for 2025 structure
+  'div.pb2 > p.mid-gray',  // NEW: Primary Walmart ingredient paragraphs
+  '.pb2 p',                 // NEW: Paragraphs in .pb2 containers
+  'p.mid-gray',            // NEW: Gray text paragraphs
+  '[data-testid="nutrition-facts"] .ingredients',
+  '.nutrition-facts .ingredients',
+  '.product-ingredients',
+  '[aria-label*="Ingredients"]',
+
+  // Generic selectors (valid CSS)
+  '.ingredient-list',
+  '.ingredients-section'
+];
 
+/**
+ * Find the element holding the ingredient list
+ * @param {Element} root - Root element to search within
+ * @returns {Object|null} - { element, text } or null
+ */
+function findIngredientsBlock(root) {
   // Try standard selectors with content validation
-  for (const selector of ingredientSelectors) {
+  for (const selector of INGREDIENT_SELECTORS) {
     try {
       const elements = root.querySelectorAll(selector);
       for (const element of elements) {
@@ -239,7 +417,7 @@ export function extractIngredients(root = document) {
         // Many products list ingredients without explicit labels
         if (text.length > 20) {
           console.log('Shop Well: Generic ingredient extractor found text (length:', text.length, ')');
-          return text;
+          return { element, text };
         }
       }
     } catch (error) {
@@ -247,22 +425,308 @@ export function extractIngredients(root = document) {
     }
   }
 
-  // Fallback: Search for "Ingredients" labels and extract adjacent content
-  const result = findTextByLabel('Ingredients', root);
-  if (result) {
-    return result;
+  // Fallback: Search for "Ingredients" labels (or the storefront's localized label) and extract adjacent content
+  for (const label of INGREDIENT_LABELS) {
+    const result = findElementByLabel(label, root);
+    if (result) {
+      return result;
+    }
   }
 
-  return '';
+  return null;
+}
+
+/**
+ * Extract ingredients text from common ingredient selectors
+ * @param {Element} root - Root element to search within (default: document)
+ * @returns {string} - Ingredients text or empty string
+ */
+export function extractIngredients(root = document) {
+  return findIngredientsBlock(root)?.text || '';
+}
+
+/**
+ * Find the element the ingredient list is shown in (for highlighting it on the page)
+ * @param {Element} root - Root element to search within (default: document)
+ * @returns {Element|null} - Ingredients element or null
+ */
+export function findIngredientsElement(root = document) {
+  return findIngredientsBlock(root)?.element || null;
+}
+
+/**
+ * Ingredient list labels used across supported storefronts
+ * (English, French, German, Spanish and Japanese Amazon sites)
+ */
+export const INGREDIENT_LABELS = ['Ingredients', 'Ingrédients', 'Zutaten', 'Ingredientes', '原材料名', '原材料'];
+
+/**
+ * Nutrient rows recognised on a Nutrition Facts panel.
+ * Keys become fields on the nutrition object; unit is the unit values are normalized to.
+ */
+const NUTRIENT_PATTERNS = {
+  sodium: { label: '(?:sodium|natrium|sodio|ナトリウム)', unit: 'mg' },
+  totalSugars: { label: '(?<!added\\s{1,3})(?:total\\s+)?(?:sugars?|zucker|sucres|azúcares|糖類)', unit: 'g' },
+  addedSugars: { label: 'added\\s+sugars?', unit: 'g' },
+  totalCarbohydrate: { label: '(?:(?:total\\s+)?carb(?:ohydrates?|s|\\.)?|kohlenhydrate|glucides|hidratos\\s+de\\s+carbono|炭水化物)', unit: 'g' },
+  dietaryFiber: { label: '(?:(?:dietary\\s+)?fib(?:er|re)s?(?:\\s+alimentaires)?|ballaststoffe|fibra(?:\\s+alimentaria)?|食物繊維)', unit: 'g' },
+  protein: { label: '(?:proteins?|eiwei(?:ß|ss)|protéines|proteínas|たんぱく質|タンパク質)', unit: 'g' },
+  potassium: { label: '(?:potassium|kalium|potasio)', unit: 'mg' },
+  phosphorus: { label: '(?:phosphorus|phosphore?|fósforo)', unit: 'mg' },
+  // EU and UK labels list salt instead of sodium
+  salt: { label: '(?:salt|salz|sel|sal|食塩相当量)', unit: 'g' }
+};
+
+/**
+ * Display labels for the nutrient fields (calories and servingSize are shown separately)
+ */
+export const NUTRITION_LABELS = {
+  sodium: 'Sodium',
+  totalSugars: 'Total sugars',
+  addedSugars: 'Added sugars',
+  totalCarbohydrate: 'Total carbohydrate',
+  dietaryFiber: 'Dietary fiber',
+  protein: 'Protein',
+  potassium: 'Potassium',
+  phosphorus: 'Phosphorus',
+  salt: 'Salt'
+};
+
+// Sodium is 40% of salt by weight: 1 g salt ≈ 400 mg sodium
+const SODIUM_MG_PER_GRAM_SALT = 400;
+
+const KILOJOULES_PER_KILOCALORIE = 4.184;
+
+/**
+ * Extract a structured Nutrition Facts panel from nutrition tables, panels and image alt text
+ * @param {Element} root - Root element to search within (default: document)
+ * @returns {Object|null} - Nutrition object ({servingSize, calories, sodium: {amount, unit, dailyValue}, ...}) or null if no panel found
+ */
+export function extractNutritionFacts(root = document) {
+  let candidates = [];
+  try {
+    candidates = [
+      ...getNutritionTableText(root).map(text => ({ text, source: 'table' })),
+      ...getNutritionPanelText(root).map(text => ({ text, source: 'panel' })),
+      ...getNutritionImageAltText(root).map(text => ({ text, source: 'image-alt' }))
+    ];
+  } catch (error) {
+    console.warn('Shop Well: Error extracting nutrition facts:', error);
+  }
+
+  const nutrition = mergeNutritionText(candidates);
+  if (!nutrition) {
+    console.log('Shop Well: No nutrition facts found');
+    return null;
+  }
+
+  console.log('Shop Well: Nutrition facts extracted from', nutrition.sources.join(', '), nutrition);
+  return nutrition;
+}
+
+/**
+ * Build a nutrition object from blocks of Nutrition Facts text (earlier blocks win per field)
+ * @param {Array<{text: string, source: string}>} candidates - Label text and where it was read from
+ * @returns {Object|null} - Nutrition object with the sources that contributed, or null if nothing parsed
+ */
+export function mergeNutritionText(candidates) {
+  const nutrition = {
+    servingSize: '',
+    calories: null,
+    sodium: null,
+    totalSugars: null,
+    addedSugars: null,
+    totalCarbohydrate: null,
+    dietaryFiber: null,
+    protein: null,
+    potassium: null,
+    phosphorus: null,
+    salt: null,
+    sources: []
+  };
+
+  try {
+    for (const { text, source } of candidates) {
+      const parsed = parseNutritionText(text);
+      let contributed = false;
+
+      for (const [field, value] of Object.entries(parsed)) {
+        if (value !== null && value !== '' && (nutrition[field] === null || nutrition[field] === '')) {
+          nutrition[field] = value;
+          contributed = true;
+        }
+      }
+
+      if (contributed && !nutrition.sources.includes(source)) {
+        nutrition.sources.push(source);
+      }
+    }
+  } catch (error) {
+    console.warn('Shop Well: Error parsing nutrition text:', error);
+  }
+
+  return nutrition.sources.length > 0 ? nutrition : null;
+}
+
+/**
+ * Parse nutrient values out of a block of Nutrition Facts text.
+ * Also understands metric EU/UK/JP labels ("Energie 1046 kJ / 250 kcal", "Salz 1,2 g", "per 100 g").
+ * @param {string} text - Text such as "Serving Size 1 bar (40g) Calories 190 Sodium 200mg 9% ..."
+ * @returns {Object} - Parsed fields (missing fields are null)
+ */
+export function parseNutritionText(text) {
+  const result = { servingSize: '', calories: null };
+  const normalized = (text || '')
+    .replace(/\s+/g, ' ')
+    // Thousands separators ("1,200mg") and decimal commas ("1,2 g") → plain decimals
+    .replace(/(\d)[,.](\d{3})(?!\d)/g, '$1$2')
+    .replace(/(\d),(\d{1,2})(?!\d)/g, '$1.$2');
+
+  const servingMatch = normalized.match(/serving\s+size\s*:?\s*(.{1,40}?)(?=\s+(?:servings?\b|amount\b|calories\b)|$)/i);
+  const per100Match = normalized.match(/(?:\b(?:per|pro|par|pour|por|je)\s+)100\s*(g|ml)\b|100\s*(g|ml)\s*(?:当たり|あたり)/i);
+  if (servingMatch) {
+    result.servingSize = servingMatch[1].trim();
+  } else if (per100Match) {
+    result.servingSize = `100 ${(per100Match[1] || per100Match[2]).toLowerCase()}`;
+  }
+
+  const caloriesMatch = normalized.match(/calories(?!\s+from)\s*:?\s*(\d+(?:\.\d+)?)/i) ||
+    normalized.match(/(\d+(?:\.\d+)?)\s*kcal\b/i);
+  const kilojoulesMatch = normalized.match(/(\d+(?:\.\d+)?)\s*kj\b/i);
+  if (caloriesMatch) {
+    result.calories = parseFloat(caloriesMatch[1]);
+  } else if (kilojoulesMatch) {
+    result.calories = Math.round(parseFloat(kilojoulesMatch[1]) / KILOJOULES_PER_KILOCALORIE);
+  }
+
+  for (const [field, { label, unit }] of Object.entries(NUTRIENT_PATTERNS)) {
+    result[field] = null;
+
+    // "Includes 10g Added Sugars 20%" puts the amount before the label
+    const patterns = field === 'addedSugars'
+      ? [new RegExp(`includes\\s+(\\d+(?:\\.\\d+)?)\\s*(mcg|mg|g)\\s+${label}\\s*(?:(\\d+(?:\\.\\d+)?)\\s*%)?`, 'i')]
+      : [];
+    patterns.push(new RegExp(`(?:^|[^a-z])${label}\\s*[:\\-]?\\s*<?\\s*(\\d+(?:\\.\\d+)?)\\s*(mcg|mg|g)\\b\\s*(?:\\(?\\s*(\\d+(?:\\.\\d+)?)\\s*%)?`, 'i'));
+
+    for (const pattern of patterns) {
+      const match = normalized.match(pattern);
+      if (match) {
+        result[field] = {
+          amount: convertNutrientUnit(parseFloat(match[1]), match[2].toLowerCase(), unit),
+          unit,
+          dailyValue: match[3] !== undefined ? parseFloat(match[3]) : null
+        };
+        break;
+      }
+    }
+  }
+
+  if (!result.sodium && result.salt) {
+    result.sodium = {
+      amount: Math.round(result.salt.amount * SODIUM_MG_PER_GRAM_SALT),
+      unit: 'mg',
+      dailyValue: null
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Convert a nutrient amount between mcg, mg and g
+ * @param {number} amount - Amount in the source unit
+ * @param {string} fromUnit - Source unit (mcg, mg, g)
+ * @param {string} toUnit - Target unit (mg, g)
+ * @returns {number} - Amount in the target unit, rounded to 2 decimals
+ */
+function convertNutrientUnit(amount, fromUnit, toUnit) {
+  const toMilligrams = { mcg: 0.001, mg: 1, g: 1000 };
+  const converted = amount * toMilligrams[fromUnit] / toMilligrams[toUnit];
+  return Math.round(converted * 100) / 100;
+}
+
+/**
+ * Collect "label value" text from table rows that look like nutrient rows
+ * @param {Element} root - Root element to search within
+ * @returns {string[]} - One string per matching table
+ */
+function getNutritionTableText(root) {
+  const results = [];
+  const labelPattern = /serving size|calories|kcal|sodium|sugars|carbohydrate|fib(er|re)|protein|potassium|phosphorus|salt|salz|natrium|zucker|kohlenhydrate|eiwei|sucres|glucides|protéines|azúcares|hidratos|proteínas|ナトリウム|食塩相当量|炭水化物|たんぱく質/i;
+
+  for (const table of root.querySelectorAll('table')) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .map(row => Array.from(row.querySelectorAll('th, td')).map(cell => cleanText(cell.textContent)).join(' '))
+      .filter(rowText => labelPattern.test(rowText));
+
+    if (rows.length > 0) {
+      results.push(rows.join(' '));
+    }
+  }
+
+  return results;
 }
 
 /**
- * Find text content by searching for a label and extracting adjacent/child content
+ * Collect text from Nutrition Facts panels (Walmart nutrition tab, Amazon nutrition sections)
+ * @param {Element} root - Root element to search within
+ * @returns {string[]} - Panel text with spaces between text nodes
+ */
+function getNutritionPanelText(root) {
+  const panelSelectors = [
+    '[data-testid="nutrition-facts"]',
+    '#nutrition-facts',
+    '.nutrition-facts',
+    '[id*="nutrition" i]',
+    '[class*="nutrition" i]',
+    '[data-testid*="nutrition" i]'
+  ];
+  const results = [];
+
+  for (const selector of panelSelectors) {
+    try {
+      for (const element of root.querySelectorAll(selector)) {
+        // Join individual text nodes so "Sodium</span><span>200mg" doesn't become "Sodium200mg"
+        const walker = (element.ownerDocument || document).createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const parts = [];
+        while (walker.nextNode()) {
+          const part = walker.currentNode.textContent.trim();
+          if (part) {
+            parts.push(part);
+          }
+        }
+        const text = parts.join(' ');
+
+        if (text && !results.includes(text)) {
+          results.push(text);
+        }
+      }
+    } catch (error) {
+      console.warn('Shop Well: Invalid nutrition selector:', selector, error);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Collect alt text from images that describe a nutrition label
+ * @param {Element} root - Root element to search within
+ * @returns {string[]} - Alt text strings
+ */
+function getNutritionImageAltText(root) {
+  return Array.from(root.querySelectorAll('img[alt]'))
+    .map(img => img.getAttribute('alt') || '')
+    .filter(alt => /nutrition|sodium|calories|nährwert|nutritionnelle|nutricional|栄養成分/i.test(alt));
+}
+
+/**
+ * Find content by searching for a label and extracting adjacent/child content
  * @param {string} labelText - The label to search for (e.g., "Ingredients")
  * @param {Element} root - Root element to search within
- * @returns {string} - Found text content or empty string
+ * @returns {Object|null} - { element, text } of the content, or null
  */
-function findTextByLabel(labelText, root = document) {
+function findElementByLabel(labelText, root = document) {
   try {
     // Get all text-containing elements
     const allElements = root.querySelectorAll('*');
@@ -273,8 +737,8 @@ function findTextByLabel(labelText, root = document) {
       const childrenText = Array.from(element.children).map(c => c.textContent).join('');
       const ownText = directText.replace(childrenText, '').trim();
 
-      // Check if this element is a label (contains "Ingredients:" or "INGREDIENTS:")
-      if (ownText.toLowerCase().includes(labelText.toLowerCase() + ':') ||
+      // Check if this element is a label (contains "Ingredients:", "INGREDIENTS:", "Ingrédients :" or "原材料：")
+      if (new RegExp(`${labelText}\\s?[:：]`, 'i').test(ownText) ||
           ownText.toLowerCase() === labelText.toLowerCase()) {
 
         // Strategy 1: Check next sibling
@@ -283,7 +747,7 @@ function findTextByLabel(labelText, root = document) {
           const siblingText = cleanText(nextSibling.textContent);
           if (siblingText && siblingText.length > 10) {
             console.log(`Shop Well: Found ${labelText} via next sibling`);
-            return siblingText;
+            return { element: nextSibling, text: siblingText };
           }
         }
 
@@ -294,7 +758,7 @@ function findTextByLabel(labelText, root = document) {
             const siblingText = cleanText(nextSibling.textContent);
             if (siblingText && siblingText.length > 10) {
               console.log(`Shop Well: Found ${labelText} via parent's next sibling`);
-              return siblingText;
+              return { element: nextSibling, text: siblingText };
             }
           }
         }
@@ -309,20 +773,20 @@ function findTextByLabel(labelText, root = document) {
             const nextText = cleanText(nextElement.textContent);
             if (nextText && nextText.length > 10) {
               console.log(`Shop Well: Found ${labelText} via parent children`);
-              return nextText;
+              return { element: nextElement, text: nextText };
             }
           }
         }
 
         // Strategy 4: Check if there's text after the label in the same element
         const fullText = element.textContent || '';
-        const labelPattern = new RegExp(`${labelText}:?\\s*(.+)`, 'i');
+        const labelPattern = new RegExp(`${labelText}\\s*[:：]?\\s*(.+)`, 'i');
         const match = fullText.match(labelPattern);
         if (match && match[1]) {
           const extractedText = cleanText(match[1]);
           if (extractedText.length > 10) {
             console.log(`Shop Well: Found ${labelText} in same element`);
-            return extractedText;
+            return { element, text: extractedText };
           }
         }
       }
@@ -337,7 +801,7 @@ function findTextByLabel(labelText, root = document) {
             const content = cleanText(contentCell.textContent);
             if (content && content.length > 10) {
               console.log(`Shop Well: Found ${labelText} in table row`);
-              return content;
+              return { element: contentCell, text: content };
             }
           }
         }
@@ -347,24 +811,114 @@ function findTextByLabel(labelText, root = document) {
     console.warn(`Shop Well: Error finding text by label "${labelText}":`, error);
   }
 
-  return '';
+  return null;
 }
 
 /**
- * Safe element highlighting for debugging (non-intrusive)
+ * Safe element highlighting (non-intrusive). Used with a border only while debugging; the side
+ * panel's "Show on page" also scrolls to the element and marks the terms that triggered a verdict.
  * @param {Element} element - Element to highlight
  * @param {string} color - Border color (default: red)
+ * @param {Object} options - Highlight options
+ * @param {string[]} options.terms - Words to mark inside the element (whole words, case-insensitive)
+ * @param {boolean} options.scroll - Open a collapsed section around the element and scroll it into view
+ * @param {number} options.duration - Milliseconds before the highlight is removed (default: 3000)
+ * @returns {number} - Number of terms marked
  */
-export function highlightElement(element, color = 'red') {
+export function highlightElement(element, color = 'red', { terms = [], scroll = false, duration = 3000 } = {}) {
   if (!element || typeof element.style === 'undefined') {
-    return;
+    return 0;
   }
 
   const originalBorder = element.style.border;
   element.style.border = `2px solid ${color}`;
 
-  // Remove highlight after 3 seconds
+  const marks = markTerms(element, terms);
+  if (scroll) {
+    revealElement(element);
+    (marks[0] || element).scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  // Remove highlight after the duration
   setTimeout(() => {
     element.style.border = originalBorder;
-  }, 3000);
-}
\ No newline at end of file
+    marks.forEach(mark => {
+      const parent = mark.parentNode;
+      if (!parent) return;
+      mark.replaceWith(document.createTextNode(mark.textContent));
+      parent.normalize();
+    });
+  }, duration);
+
+  return marks.length;
+}
+
+/**
+ * Wrap whole-word occurrences of terms inside an element in <mark> elements
+ * @param {Element} element - Element to search
+ * @param {string[]} terms - Words or phrases to mark
+ * @returns {Element[]} - The inserted marks, in document order
+ */
+function markTerms(element, terms) {
+  const phrases = terms
+    .filter(Boolean)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[- ]+/g, '[-\\s]+'))
+    .sort((a, b) => b.length - a.length);
+  if (phrases.length === 0) return [];
+
+  const pattern = new RegExp(`\\b(${phrases.join('|')})\\b`, 'gi');
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement?.closest('mark[data-shop-well-highlight]')) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+
+  const marks = [];
+  for (const node of textNodes) {
+    const text = node.textContent;
+    const matches = [...text.matchAll(pattern)];
+    if (matches.length === 0) continue;
+
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+    for (const match of matches) {
+      fragment.append(text.slice(position, match.index));
+      const mark = document.createElement('mark');
+      mark.dataset.shopWellHighlight = '';
+      mark.style.cssText = 'background: #F2C94C; color: #3D3D3D; padding: 0 2px; border-radius: 3px;';
+      mark.textContent = match[0];
+      fragment.append(mark);
+      marks.push(mark);
+      position = match.index + match[0].length;
+    }
+    fragment.append(text.slice(position));
+    node.replaceWith(fragment);
+  }
+
+  return marks;
+}
+
+/**
+ * Open the collapsed section an element sits in (a <details> element, Amazon's "See more"
+ * expanders, or an accordion toggled by an aria-expanded button) so it can be scrolled to
+ * @param {Element} element - Element to reveal
+ */
+function revealElement(element) {
+  const details = element.closest('details');
+  if (details && !details.open) {
+    details.open = true;
+  }
+
+  const expander = element.closest('.a-expander-container');
+  const expanderToggle = expander?.querySelector('[data-action="a-expander-toggle"], .a-expander-prompt');
+  if (expanderToggle && expander.querySelector('[aria-expanded="false"]')) {
+    expanderToggle.click();
+  }
+
+  if (element.getClientRects().length === 0) {
+    const accordion = element.closest('section, [data-testid], li, div[class*="accordion"]');
+    accordion?.querySelector('button[aria-expanded="false"]')?.click();
+  }
+}
@@ -0,0 +1,165 @@
+// Shop Well Analysis History
+// Keeps a record of completed analyses in chrome.storage.local for the side panel's History view.
+// One entry per product (re-analyzing moves it to the top), newest first.
+
+const HISTORY_STORAGE_KEY = 'analysisHistory';
+const HISTORY_MAX_ENTRIES = 200;
+const INGREDIENTS_SNIPPET_LENGTH = 160;
+
+/**
+ * Verdicts from most to least severe
+ */
+const VERDICT_SEVERITY = ['bad', 'warning', 'inconclusive', 'good'];
+
+/**
+ * Build a history entry from a completed analysis
+ * @param {Object} productData - Product data the analysis was based on
+ * @param {Object} facts - Extracted facts
+ * @param {Object} verdict - Validated verdict ({ conditions, allergies, insights, caveat })
+ * @param {Object} identity - { site, productId } (productId may be null for products without an id)
+ * @returns {Object} - History entry
+ */
+export function createHistoryEntry(productData, facts, verdict, { site, productId }) {
+  const ingredients = productData.ingredients || '';
+
+  return {
+    id: productId ? `${site}:${productId}` : `${site}:${productData.url}`,
+    site,
+    productId: productId || null,
+    title: productData.title || facts?.title || 'Unknown product',
+    url: productData.url,
+    price: productData.price || null,
+    pricing: productData.pricing || null,
+    ingredientsSnippet: ingredients.length > INGREDIENTS_SNIPPET_LENGTH
+      ? `${ingredients.slice(0, INGREDIENTS_SNIPPET_LENGTH).trim()}…`
+      : ingredients,
+    overall: getOverallVerdict(verdict),
+    conditions: (verdict.conditions || []).map(({ name, verdict }) => ({ name, verdict })),
+    allergies: (verdict.allergies || []).map(({ name, verdict }) => ({ name, verdict })),
+    analyzedAt: Date.now()
+  };
+}
+
+/**
+ * Most severe verdict across all conditions and allergies
+ * @param {Object} verdict - Validated verdict
+ * @returns {string} - 'bad', 'warning', 'inconclusive' or 'good'
+ */
+export function getOverallVerdict(verdict) {
+  const verdicts = [...(verdict.conditions || []), ...(verdict.allergies || [])].map(item => item.verdict);
+  if (verdicts.length === 0) {
+    return 'inconclusive';
+  }
+  return VERDICT_SEVERITY.find(severity => verdicts.includes(severity)) || 'inconclusive';
+}
+
+/**
+ * Read the full history
+ * @returns {Promise<Array<Object>>} - Entries, newest first
+ */
+export async function getHistory() {
+  try {
+    const result = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+    return result[HISTORY_STORAGE_KEY] || [];
+  } catch (error) {
+    console.warn('Shop Well: History read failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Add an entry, replacing any earlier analysis of the same product
+ * @param {Object} entry - Entry from createHistoryEntry()
+ * @returns {Promise<void>}
+ */
+export async function addHistoryEntry(entry) {
+  try {
+    const history = await getHistory();
+    const updated = [entry, ...history.filter(existing => existing.id !== entry.id)]
+      .slice(0, HISTORY_MAX_ENTRIES);
+
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: updated });
+    console.log('Shop Well: Added to history:', entry.id);
+  } catch (error) {
+    console.warn('Shop Well: History write failed:', error);
+  }
+}
+
+/**
+ * Remove one entry
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function removeHistoryEntry(id) {
+  const history = await getHistory();
+  await chrome.storage.local.set({
+    [HISTORY_STORAGE_KEY]: history.filter(entry => entry.id !== id)
+  });
+}
+
+/**
+ * Remove every entry
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+  console.log('Shop Well: History cleared');
+}
+
+/**
+ * Filter history entries
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} filters - Filters (empty values match everything)
+ * @param {string} filters.query - Text searched in title, ingredients and condition/allergen names
+ * @param {string} filters.verdict - Overall verdict
+ * @param {string} filters.allergen - Allergen flagged as 'bad' or 'warning'
+ * @param {string} filters.site - Retailer site id
+ * @returns {Array<Object>}
+ */
+export function filterHistory(entries, { query = '', verdict = '', allergen = '', site = '' } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries.filter(entry => {
+    if (verdict && entry.overall !== verdict) return false;
+    if (site && entry.site !== site) return false;
+
+    if (allergen && !entry.allergies.some(item =>
+      item.name.toLowerCase() === allergen.toLowerCase() && ['bad', 'warning'].includes(item.verdict))) {
+      return false;
+    }
+
+    if (terms.length > 0) {
+      const haystack = [
+        entry.title,
+        entry.ingredientsSnippet,
+        ...entry.conditions.map(item => item.name),
+        ...entry.allergies.map(item => item.name)
+      ].join(' ').toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Collect the values the History filters can offer
+ * @param {Array<Object>} entries - History entries
+ * @returns {Object} - { sites, allergens } (sorted, unique)
+ */
+export function getHistoryFacets(entries) {
+  const sites = new Set();
+  const allergens = new Set();
+
+  for (const entry of entries) {
+    sites.add(entry.site);
+    entry.allergies
+      .filter(item => ['bad', 'warning'].includes(item.verdict))
+      .forEach(item => allergens.add(item.name.toLowerCase()));
+  }
+
+  return {
+    sites: [...sites].sort(),
+    allergens: [...allergens].sort()
+  };
+}
@@ -0,0 +1,264 @@
+// Shop Well Label OCR
+// Many listings only show the ingredient list and Nutrition Facts panel in the product photos.
+// This reads the gallery images on-device - with the Prompt API's image input where the model
+// supports it, otherwise with the Shape Detection API's TextDetector - and pulls the ingredient
+// and nutrition text out of the first photos that show a label.
+
+import { INGREDIENT_LABELS, mergeNutritionText } from './dom.js';
+
+/**
+ * Headings that start a Nutrition Facts / Supplement Facts panel (English, German, French,
+ * Spanish and Japanese labels)
+ */
+const NUTRITION_HEADING = /(nutrition|supplement)\s+facts|nutrition(al)?\s+information|nährwert(angaben|e|tabelle)?|valeurs?\s+nutritionnelles|información\s+nutricional|栄養成分表示/i;
+
+/**
+ * Label sections that end an ingredient list
+ */
+const SECTION_END = /\b(directions|suggested use|storage|store in|keep refrigerated|distributed by|manufactured for|packed for|net (wt|weight|contents)|best before|warnings?:)/i;
+
+const PROMPT_READY_STATES = ['readily', 'available'];
+
+const MAX_LABEL_TEXT_LENGTH = 2000;
+
+const LABEL_PROMPT = `This is a photo from an online product listing. If it shows a printed ingredient list or a Nutrition Facts / Supplement Facts panel, copy that text exactly as printed.
+
+Rules:
+- Copy only text you can read in the image. Do NOT guess, complete or correct words you cannot read.
+- "ingredients" is the ingredient list, including any "Contains:" or "May contain" statement printed with it.
+- "nutrition" is the Nutrition Facts panel text (serving size, calories, nutrient rows with amounts).
+- Use an empty string for a section the image does not show.
+
+Return ONLY a JSON object (no other text):
+{"ingredients": "", "nutrition": ""}`;
+
+/**
+ * Check which on-device OCR paths this browser offers
+ * @returns {Promise<Object>} - { prompt: boolean, textDetector: boolean, available: boolean }
+ */
+export async function getLabelOcrSupport() {
+  const support = { prompt: false, textDetector: false, available: false };
+
+  if (typeof LanguageModel !== 'undefined') {
+    try {
+      const availability = await LanguageModel.availability({ expectedInputs: [{ type: 'image' }] });
+      support.prompt = PROMPT_READY_STATES.includes(availability);
+    } catch (error) {
+      // Older Chrome builds reject expectedInputs - no image input there
+      console.log('Shop Well: Prompt API image input not supported:', error.message);
+    }
+  }
+
+  support.textDetector = typeof TextDetector !== 'undefined';
+  support.available = support.prompt || support.textDetector;
+  return support;
+}
+
+/**
+ * Split OCR text from a label photo into its ingredient list and nutrition panel
+ * @param {string} text - Text read from the image
+ * @returns {Object} - { ingredients, nutritionText } (empty strings for sections not found)
+ */
+export function splitLabelText(text) {
+  const result = { ingredients: '', nutritionText: '' };
+  if (!text) return result;
+
+  const nutritionMatch = text.match(NUTRITION_HEADING);
+  const nutritionStart = nutritionMatch ? nutritionMatch.index : -1;
+
+  const labelPattern = new RegExp(`(${INGREDIENT_LABELS.join('|')})\\s*[:：]`, 'i');
+  const ingredientsMatch = text.match(labelPattern);
+
+  if (ingredientsMatch) {
+    const start = ingredientsMatch.index + ingredientsMatch[0].length;
+    let end = text.length;
+    if (nutritionStart > start) end = nutritionStart;
+
+    const endMatch = text.slice(start, end).match(SECTION_END);
+    if (endMatch) end = start + endMatch.index;
+
+    result.ingredients = cleanOcrText(text.slice(start, end));
+  }
+
+  if (nutritionStart !== -1) {
+    const end = ingredientsMatch && ingredientsMatch.index > nutritionStart ? ingredientsMatch.index : text.length;
+    result.nutritionText = cleanOcrText(text.slice(nutritionStart, end));
+  }
+
+  return result;
+}
+
+/**
+ * Collapse the line breaks and spacing OCR output comes with
+ * @param {string} text - OCR text
+ * @returns {string}
+ */
+function cleanOcrText(text) {
+  return (text || '')
+    .replace(/([a-z])-\n(?=[a-z])/gi, '$1') // Words hyphenated across lines
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_LABEL_TEXT_LENGTH);
+}
+
+/**
+ * Download a gallery image (for OCR here, and as an image input to the verdict prompt)
+ * @param {string} url - Image URL
+ * @returns {Promise<Blob|null>} - Image blob, or null if it could not be loaded
+ */
+export async function fetchProductImage(url) {
+  try {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+      console.warn('Shop Well: Gallery image request failed:', response.status, url);
+      return null;
+    }
+    const blob = await response.blob();
+    return blob.type.startsWith('image/') ? blob : null;
+  } catch (error) {
+    console.warn('Shop Well: Could not load gallery image:', url, error);
+    return null;
+  }
+}
+
+/**
+ * Read one image with the Prompt API
+ * @param {Object} session - LanguageModel session created with image input
+ * @param {Blob} image - Image to read
+ * @param {AbortSignal} signal - Stops the prompt (rejects with an AbortError)
+ * @returns {Promise<Object>} - { ingredients, nutritionText }
+ */
+async function readWithPrompt(session, image, signal) {
+  let imageSession = null;
+  try {
+    // Each photo gets a fresh copy of the session so earlier images don't fill its context
+    imageSession = await session.clone(signal ? { signal } : undefined);
+    const response = await imageSession.prompt([{
+      role: 'user',
+      content: [
+        { type: 'text', value: LABEL_PROMPT },
+        { type: 'image', value: image }
+      ]
+    }], signal ? { signal } : undefined);
+
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return { ingredients: '', nutritionText: '' };
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    // The model sometimes keeps the "Ingredients:" heading; strip it like splitLabelText() would
+    const ingredients = cleanOcrText(String(parsed.ingredients || ''))
+      .replace(new RegExp(`^(${INGREDIENT_LABELS.join('|')})\\s*[:：]\\s*`, 'i'), '');
+    return { ingredients, nutritionText: cleanOcrText(String(parsed.nutrition || '')) };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.warn('Shop Well: Could not parse label text from image:', error);
+    return { ingredients: '', nutritionText: '' };
+  } finally {
+    imageSession?.destroy();
+  }
+}
+
+/**
+ * Read one image with the Shape Detection API
+ * @param {Object} detector - TextDetector instance
+ * @param {Blob} image - Image to read
+ * @returns {Promise<Object>} - { ingredients, nutritionText }
+ */
+async function readWithTextDetector(detector, image) {
+  let bitmap = null;
+  try {
+    bitmap = await createImageBitmap(image);
+    const blocks = await detector.detect(bitmap);
+    // Detected blocks come back unordered; put them in reading order (top to bottom, then left to right)
+    const text = blocks
+      .sort((a, b) => (a.boundingBox.top - b.boundingBox.top) || (a.boundingBox.left - b.boundingBox.left))
+      .map(block => block.rawValue)
+      .join('\n');
+    return splitLabelText(text);
+  } catch (error) {
+    // E.g. a WebP / AVIF image the browser cannot decode into a bitmap - try the next photo
+    console.warn('Shop Well: Could not read label text from image:', error);
+    return { ingredients: '', nutritionText: '' };
+  } finally {
+    bitmap?.close();
+  }
+}
+
+/**
+ * Read the ingredient list and Nutrition Facts from product gallery images
+ * @param {string[]} imageUrls - Gallery image URLs in gallery order
+ * @param {Object} options - Read options
+ * @param {Object} options.support - Result of getLabelOcrSupport() (checked when omitted)
+ * @param {number} options.maxImages - Maximum number of images to read (default: 6)
+ * @param {Function} options.isCancelled - Returns true when the caller no longer needs the result
+ * @param {AbortSignal} options.signal - Stops reading (e.g. when the caller's timeout fires); the
+ *   model session is destroyed and the promise rejects with an AbortError
+ * @returns {Promise<Object|null>} - { ingredients, nutrition, images: string[] (the photos text came from),
+ *   method: 'prompt'|'text-detector' }, or null when no label was found
+ */
+export async function readLabelImages(imageUrls, { support = null, maxImages = 6, isCancelled = () => false, signal = null } = {}) {
+  if (!imageUrls || imageUrls.length === 0) return null;
+
+  const ocrSupport = support || await getLabelOcrSupport();
+  if (!ocrSupport.available) {
+    console.log('Shop Well: No on-device OCR available for label images');
+    return null;
+  }
+
+  const method = ocrSupport.prompt ? 'prompt' : 'text-detector';
+  let session = null;
+  let detector = null;
+  if (method === 'prompt') {
+    session = await LanguageModel.create({
+      expectedInputs: [{ type: 'text' }, { type: 'image' }],
+      temperature: 0.1, // Transcription, not generation
+      topK: 1,
+      ...(signal ? { signal } : {})
+    });
+  } else {
+    detector = new TextDetector();
+  }
+
+  let ingredients = '';
+  const nutritionTexts = [];
+  const sourceImages = [];
+
+  try {
+    for (const url of imageUrls.slice(0, maxImages)) {
+      if (isCancelled()) return null;
+      signal?.throwIfAborted();
+
+      const image = await fetchProductImage(url);
+      if (!image) continue;
+
+      const read = method === 'prompt'
+        ? await readWithPrompt(session, image, signal)
+        : await readWithTextDetector(detector, image);
+
+      let used = false;
+      // Short fragments are usually a claim badge ("No Sugar Added"), not the list
+      if (!ingredients && read.ingredients.length >= 10) {
+        ingredients = read.ingredients;
+        used = true;
+      }
+      if (read.nutritionText) {
+        nutritionTexts.push(read.nutritionText);
+        used = true;
+      }
+      if (used) sourceImages.push(url);
+
+      if (ingredients && nutritionTexts.length > 0) break;
+    }
+  } finally {
+    session?.destroy();
+  }
+
+  const nutrition = mergeNutritionText(nutritionTexts.map(text => ({ text, source: 'image' })));
+  if (!ingredients && !nutrition) {
+    console.log('Shop Well: No label text found in', Math.min(imageUrls.length, maxImages), 'gallery images');
+    return null;
+  }
+
+  console.log('Shop Well: Label read from gallery images via', method, { ingredients, nutrition });
+  return { ingredients, nutrition, images: sourceImages, method };
+}
@@ -0,0 +1,125 @@
+// Shop Well Partial JSON
+// Incremental parsing for streamed model output: turns the JSON generated so far (often inside a
+// ```json fence, sometimes with raw line breaks in strings) into a value that can be rendered
+// before the response is complete.
+
+/**
+ * Key added to objects that were still being generated when the text ended
+ */
+export const PARTIAL_KEY = '_partial';
+
+/**
+ * Escapes for control characters the model sometimes writes unescaped inside strings
+ */
+const STRING_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Parse the JSON object at the start of a (possibly truncated) response.
+ * Open strings, arrays and objects are closed; a value or key cut off mid-way is dropped, except
+ * a string value, which is kept as far as it got (so text can be shown as it types out).
+ * Objects closed this way get PARTIAL_KEY: true.
+ * @param {string} text - Response text so far
+ * @returns {Object|null} - Parsed value, or null if no object has started yet or it cannot be read
+ */
+export function parsePartialJson(text) {
+  const start = (text || '').indexOf('{');
+  if (start === -1) return null;
+
+  const stack = [];
+  let out = '';
+  let inString = false;
+  let stringIsKey = false;
+  let escaped = false;
+  let expectingKey = false;
+  // Longest prefix of out that is valid JSON once the containers open at that point are closed
+  let safe = { length: 0, stack: [] };
+  const markSafe = () => {
+    safe = { length: out.length, stack: [...stack] };
+  };
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+        out += char;
+      } else if (char === '\\') {
+        escaped = true;
+        out += char;
+      } else if (char === '"') {
+        inString = false;
+        out += char;
+        if (!stringIsKey) markSafe();
+      } else {
+        out += STRING_ESCAPES[char] || char;
+      }
+      continue;
+    }
+
+    out += char;
+    if (char === '"') {
+      inString = true;
+      stringIsKey = stack[stack.length - 1] === '{' && expectingKey;
+    } else if (char === '{' || char === '[') {
+      stack.push(char);
+      expectingKey = char === '{';
+      markSafe();
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      expectingKey = false;
+      if (stack.length === 0) {
+        // The whole object arrived
+        return tryParse(out);
+      }
+      markSafe();
+    } else if (char === ',') {
+      expectingKey = stack[stack.length - 1] === '{';
+    } else if (char === ':') {
+      expectingKey = false;
+    } else if (/[\w.+-]/.test(char) && !/[\w.+-]/.test(text[i + 1] || '')) {
+      // End of a number or true / false / null (only counts once the next character arrives)
+      if (i + 1 < text.length) markSafe();
+    }
+  }
+
+  // Text ended inside a string value: keep what there is of it
+  if (inString && !stringIsKey) {
+    const value = out.replace(escaped ? /\\$/ : /\\u[0-9a-fA-F]{0,3}$/, '');
+    return tryParse(closeContainers(value + '"', stack));
+  }
+
+  return safe.length > 0 ? tryParse(closeContainers(out.slice(0, safe.length), safe.stack)) : null;
+}
+
+/**
+ * Close the containers still open at the end of the text, flagging objects as partial
+ * @param {string} text - JSON text cut at a point where a value just ended
+ * @param {string[]} stack - Open containers ('{' or '['), outermost first
+ * @returns {string}
+ */
+function closeContainers(text, stack) {
+  let closed = text;
+  for (let i = stack.length - 1; i >= 0; i--) {
+    if (stack[i] === '[') {
+      closed += ']';
+    } else {
+      const empty = /\{\s*$/.test(closed);
+      closed += `${empty ? '' : ','}"${PARTIAL_KEY}":true}`;
+    }
+  }
+  return closed;
+}
+
+/**
+ * JSON.parse that returns null instead of throwing
+ * @param {string} text - JSON text
+ * @returns {*}
+ */
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
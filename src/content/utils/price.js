@@ -0,0 +1,178 @@
+// Shop Well Price Model
+// Turns the raw price strings scraped by the parsers ("$12.99", "2.3 ¢/fl oz", "2,49 € / 100 g")
+// into a normalized object the side panel can compare across products and sites
+
+import { parsePriceText, parseLocalizedNumber } from './dom.js';
+
+/**
+ * Unit spellings seen in unit prices, mapped to a canonical unit
+ */
+const UNIT_ALIASES = [
+  [/^(?:fl\.?\s*oz|fluid\s+ounces?)$/, 'fl oz'],
+  [/^(?:oz|ounces?)$/, 'oz'],
+  [/^(?:lbs?|pounds?)$/, 'lb'],
+  [/^(?:g|grams?|gramm|gramos|grammes?)$/, 'g'],
+  [/^(?:kg|kilograms?|kilogramm|kilos?)$/, 'kg'],
+  [/^(?:ml|milliliters?|millilitres?)$/, 'ml'],
+  [/^(?:l|liters?|litres?)$/, 'l'],
+  [/^(?:ct|count|each|ea|items?|pieces?|pcs?|units?|stück|stk|unités?|unidad(?:es)?)$/, 'count']
+];
+
+/**
+ * Canonical unit → base unit and size of one unit in that base.
+ * Weights compare per 100 g, volumes per 100 ml, counts per item.
+ */
+const UNIT_BASES = {
+  'oz': { base: 'g', factor: 28.3495 },
+  'lb': { base: 'g', factor: 453.592 },
+  'g': { base: 'g', factor: 1 },
+  'kg': { base: 'g', factor: 1000 },
+  'fl oz': { base: 'ml', factor: 29.5735 },
+  'ml': { base: 'ml', factor: 1 },
+  'l': { base: 'ml', factor: 1000 },
+  'count': { base: 'count', factor: 1 }
+};
+
+const NORMALIZED_QUANTITY = { g: 100, ml: 100, count: 1 };
+
+/**
+ * Build the normalized price model for a product
+ * @param {Object} prices - Raw price strings from a parser
+ * @param {string} prices.price - Current price (e.g., "$12.99")
+ * @param {string} prices.listPrice - Regular/strike-through price, if shown
+ * @param {string} prices.unitPrice - Unit price (e.g., "2.3 ¢/fl oz", "$0.25/ounce")
+ * @param {string} locale - Page locale (default: en-US)
+ * @returns {Object|null} - { amount, currency, listAmount, isSale, unitPrice } or null if there is no price
+ */
+export function buildPriceModel({ price, listPrice, unitPrice }, locale = 'en-US') {
+  const current = parsePriceText(price, locale);
+  if (!current) {
+    return null;
+  }
+
+  // A list price only counts when it is higher than what the shopper pays today
+  const list = parsePriceText(listPrice, locale);
+  const listAmount = list && list.currency === current.currency && list.amount > current.amount
+    ? list.amount
+    : null;
+
+  return {
+    amount: current.amount,
+    currency: current.currency,
+    listAmount,
+    isSale: listAmount !== null,
+    unitPrice: parseUnitPrice(unitPrice, locale)
+  };
+}
+
+/**
+ * Parse a unit price string
+ * @param {string} text - Unit price text (e.g., "2.3 ¢/fl oz", "($0.17 / Ounce)", "2,49 € pro 100 g")
+ * @param {string} locale - Page locale (default: en-US)
+ * @returns {Object|null} - { amount, currency, unit, quantity, normalized } or null if unparseable
+ */
+export function parseUnitPrice(text, locale = 'en-US') {
+  const cleaned = (text || '').replace(/[()]/g, ' ').replace(/\s+/g, ' ').trim();
+  const [pricePart, unitPart] = cleaned.split(/\s*(?:\/|\bper\b|\bpro\b|\bpar\b|\bpor\b)\s*/i);
+  if (!pricePart || !unitPart) {
+    return null;
+  }
+
+  // Walmart shows cheap unit prices in cents ("2.3 ¢/fl oz")
+  const centsMatch = pricePart.match(/(\d+(?:[.,]\d+)?)\s*¢/);
+  let price = null;
+  if (centsMatch) {
+    const dollars = parsePriceText(`$${centsMatch[1]}`, locale);
+    price = dollars && { amount: dollars.amount / 100, currency: dollars.currency };
+  } else {
+    price = parsePriceText(pricePart, locale);
+  }
+
+  const unitMatch = unitPart.toLowerCase().match(/^(\d+(?:[.,]\d+)?)?\s*(.+?)\.?$/);
+  const unit = unitMatch && UNIT_ALIASES.find(([pattern]) => pattern.test(unitMatch[2]))?.[1];
+  if (!price || !unit) {
+    return null;
+  }
+
+  const quantity = unitMatch[1] ? parseLocalizedNumber(unitMatch[1]) : 1;
+  const unitPrice = {
+    amount: price.amount,
+    currency: price.currency,
+    unit,
+    quantity
+  };
+
+  return { ...unitPrice, normalized: normalizeUnitPrice(unitPrice) };
+}
+
+/**
+ * Convert a unit price to its comparable base (per 100 g, per 100 ml or per item)
+ * @param {Object} unitPrice - { amount, unit, quantity }
+ * @returns {Object|null} - { amount, per } (e.g., { amount: 0.53, per: '100 g' })
+ */
+export function normalizeUnitPrice({ amount, unit, quantity }) {
+  const base = UNIT_BASES[unit];
+  if (!base || !quantity) {
+    return null;
+  }
+
+  const perBaseUnit = amount / (quantity * base.factor);
+  const per = NORMALIZED_QUANTITY[base.base];
+
+  return {
+    amount: Math.round(perBaseUnit * per * 10000) / 10000,
+    per: base.base === 'count' ? 'item' : `${per} ${base.base}`
+  };
+}
+
+/**
+ * Compare the unit value of two products
+ * @param {Object} pricingA - Price model of the first product
+ * @param {Object} pricingB - Price model of the second product
+ * @returns {number|null} - Percent difference of A relative to B (negative = A is cheaper per unit),
+ *   or null when the products aren't comparable (missing unit price, different units or currencies)
+ */
+export function compareUnitValue(pricingA, pricingB) {
+  const a = pricingA?.unitPrice;
+  const b = pricingB?.unitPrice;
+  if (!a?.normalized || !b?.normalized || a.currency !== b.currency ||
+      a.normalized.per !== b.normalized.per || !b.normalized.amount) {
+    return null;
+  }
+
+  return Math.round((a.normalized.amount / b.normalized.amount - 1) * 1000) / 10;
+}
+
+/**
+ * Format an amount of money for display
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @param {string} locale - Display locale (default: browser locale)
+ * @returns {string}
+ */
+export function formatMoney(amount, currency, locale = undefined) {
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: amount < 1 ? 3 : 2
+    }).format(amount);
+  } catch (error) {
+    return `${amount} ${currency}`;
+  }
+}
+
+/**
+ * Format the normalized unit price for display (e.g., "$0.53 / 100 g")
+ * @param {Object} pricing - Price model
+ * @param {string} locale - Display locale (default: browser locale)
+ * @returns {string} - Formatted unit value or empty string
+ */
+export function formatUnitValue(pricing, locale = undefined) {
+  const normalized = pricing?.unitPrice?.normalized;
+  if (!normalized) {
+    return '';
+  }
+
+  return `${formatMoney(normalized.amount, pricing.unitPrice.currency, locale)} / ${normalized.per}`;
+}
@@ -0,0 +1,257 @@
+// Shop Well Profile Store
+// Versioned storage for the user's health profile, following shop-well-profile-schema.md:
+// allergies_sensitivities[] and chronic_conditions[] entries with severity, seek/avoid tags,
+// notes and timestamps. Earlier versions kept flat keys (condition / customCondition, then
+// conditions / customConditions / allergies / customAllergies, then allergySettings);
+// loadProfile() migrates any of those layouts forward and removes the old keys.
+
+export const PROFILE_STORAGE_KEY = 'userProfile';
+export const PROFILE_VERSION = '1.0';
+
+/**
+ * Storage keys of the flat layouts that came before the structured profile
+ */
+const LEGACY_KEYS = ['condition', 'customCondition', 'conditions', 'customConditions', 'allergies', 'customAllergies', 'allergySettings'];
+
+/**
+ * Names and tags for the conditions and allergies offered in the welcome and options pages.
+ * Ids are the values the rest of the extension matches on; tags come from the schema doc's
+ * organized lists. Custom entries start without tags.
+ */
+const KNOWN_ALLERGIES = {
+  'peanuts': { name: 'Peanuts', seek_tags: ['peanut_free'], avoid_tags: ['contains_peanut', 'may_contain_peanut'] },
+  'tree-nuts': { name: 'Tree Nuts', seek_tags: ['tree_nut_free'], avoid_tags: ['contains_tree_nut', 'may_contain_tree_nut'] },
+  'milk': { name: 'Milk/Dairy', seek_tags: ['milk_free'], avoid_tags: ['contains_milk', 'may_contain_milk'] },
+  'eggs': { name: 'Eggs', seek_tags: ['egg_free'], avoid_tags: ['contains_egg', 'may_contain_egg'] },
+  'wheat': { name: 'Wheat/Gluten', seek_tags: ['wheat_free', 'gluten_free'], avoid_tags: ['contains_wheat', 'may_contain_wheat'] },
+  'soy': { name: 'Soy', seek_tags: ['soy_free'], avoid_tags: ['contains_soy', 'may_contain_soy'] },
+  'fish': { name: 'Fish', seek_tags: ['fish_free'], avoid_tags: ['contains_fish', 'may_contain_fish'] },
+  'shellfish': { name: 'Shellfish', seek_tags: ['shellfish_free'], avoid_tags: ['contains_shellfish', 'may_contain_shellfish'] },
+  'sesame': { name: 'Sesame', seek_tags: ['sesame_free'], avoid_tags: ['contains_sesame', 'may_contain_sesame'] },
+  'fragrance': { name: 'Fragrance', seek_tags: ['fragrance_free', 'unscented', 'low_voc'], avoid_tags: ['fragranced'] },
+  'latex': { name: 'Latex', seek_tags: ['latex_free'], avoid_tags: ['contains_latex'] },
+  'nickel': { name: 'Nickel', seek_tags: ['nickel_free'], avoid_tags: ['contains_nickel'] }
+};
+
+const KNOWN_CONDITIONS = {
+  'POTS': { name: 'POTS', seek_tags: ['electrolyte_support', 'compression_garments'], avoid_tags: [] },
+  'ME/CFS': { name: 'ME/CFS', seek_tags: ['electrolyte_support', 'low_intensity', 'easy_open'], avoid_tags: [] },
+  'Celiac Disease': { name: 'Celiac Disease', seek_tags: ['certified_gluten_free', 'gluten_free', 'dedicated_facility'], avoid_tags: ['contains_gluten'] },
+  'COPD': { name: 'COPD', seek_tags: ['fragrance_free', 'low_voc', 'hepa_filtered'], avoid_tags: ['fragranced', 'aerosol'] },
+  'Arthritis': { name: 'Arthritis', seek_tags: ['easy_open', 'ergonomic', 'lightweight'], avoid_tags: [] },
+  'Hypertension': { name: 'Hypertension', seek_tags: ['low_sodium', 'heart_healthy'], avoid_tags: ['high_sodium'] }
+};
+
+/**
+ * Older ids for the same allergy (the welcome page used to store "tree nuts")
+ */
+const ALLERGY_ID_ALIASES = {
+  'tree nuts': 'tree-nuts'
+};
+
+/**
+ * Forward migrations, keyed by the layout they upgrade from. Each returns { version, data }
+ * for the next layout; loadProfile() runs them until the data is at PROFILE_VERSION.
+ */
+const MIGRATIONS = {
+  // One condition picked from a dropdown, 'custom' meaning the free-text customCondition
+  'legacy-single-condition': (data) => {
+    const custom = data.condition === 'custom';
+    return {
+      version: 'legacy-flat',
+      data: {
+        ...data,
+        conditions: data.condition && !custom ? [data.condition] : [],
+        customConditions: custom && data.customCondition ? [data.customCondition] : []
+      }
+    };
+  },
+
+  // Flat string arrays, with severity / cross-contact per allergy in allergySettings
+  'legacy-flat': (data) => ({
+    version: '1.0',
+    data: updateProfileSelections(createEmptyProfile({ consentGiven: data.welcomeCompleted === true }), {
+      conditions: data.conditions || [],
+      customConditions: data.customConditions || [],
+      allergies: (data.allergies || []).map(allergy => ALLERGY_ID_ALIASES[allergy] || allergy),
+      customAllergies: data.customAllergies || [],
+      allergySettings: data.allergySettings || {}
+    })
+  })
+};
+
+/**
+ * Create a profile with no conditions or allergies
+ * @param {Object} options - Profile options
+ * @param {boolean} options.consentGiven - Whether the user finished onboarding
+ * @returns {Object} - Profile in the schema layout
+ */
+export function createEmptyProfile({ consentGiven = false } = {}) {
+  return {
+    user_id: crypto.randomUUID(),
+    consent_given: consentGiven,
+    profile_version: PROFILE_VERSION,
+    allergies_sensitivities: [],
+    chronic_conditions: [],
+    preferences: {}
+  };
+}
+
+/**
+ * Find which layout stored settings are in
+ * @param {Object} stored - Values of PROFILE_STORAGE_KEY and the legacy keys
+ * @returns {string|null} - Profile version, a legacy layout name, or null when nothing was saved yet
+ */
+function getStoredVersion(stored) {
+  if (stored[PROFILE_STORAGE_KEY]) return stored[PROFILE_STORAGE_KEY].profile_version;
+  if (stored.condition && !Array.isArray(stored.conditions)) return 'legacy-single-condition';
+  if (['conditions', 'customConditions', 'allergies', 'customAllergies'].some(key => Array.isArray(stored[key]))) {
+    return 'legacy-flat';
+  }
+  return null;
+}
+
+/**
+ * Bring stored settings forward to the current profile version
+ * @param {Object} stored - Values of PROFILE_STORAGE_KEY, the legacy keys and welcomeCompleted
+ * @returns {Object} - { profile, migrated: boolean }
+ */
+export function migrateProfile(stored) {
+  let version = getStoredVersion(stored);
+  if (!version) {
+    return { profile: createEmptyProfile({ consentGiven: stored.welcomeCompleted === true }), migrated: false };
+  }
+
+  let data = stored[PROFILE_STORAGE_KEY] || stored;
+  let migrated = false;
+  while (version !== PROFILE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      // Written by a newer version of the extension - use it as is rather than lose it
+      console.warn('Shop Well: Unknown profile version', version);
+      break;
+    }
+    console.log('Shop Well: Migrating profile from', version);
+    ({ version, data } = migrate(data));
+    migrated = true;
+  }
+
+  return { profile: data, migrated };
+}
+
+/**
+ * Load the health profile, migrating (and re-saving) older storage layouts
+ * @returns {Promise<Object>} - Profile in the schema layout
+ */
+export async function loadProfile() {
+  const stored = await chrome.storage.local.get([PROFILE_STORAGE_KEY, 'welcomeCompleted', ...LEGACY_KEYS]);
+  const { profile, migrated } = migrateProfile(stored);
+
+  if (migrated) {
+    await saveProfile(profile);
+    await chrome.storage.local.remove(LEGACY_KEYS);
+    console.log('Shop Well: Profile migrated to version', profile.profile_version);
+  }
+  return profile;
+}
+
+/**
+ * Save the health profile
+ * @param {Object} profile - Profile in the schema layout
+ * @returns {Promise<void>}
+ */
+export async function saveProfile(profile) {
+  await chrome.storage.local.set({ [PROFILE_STORAGE_KEY]: profile });
+}
+
+/**
+ * Apply the selections made in the welcome or options page to a profile.
+ * Entries that stay selected keep their notes and tags; last_updated changes only when an entry
+ * is added or its severity / cross-contact setting changes.
+ * @param {Object} profile - Current profile
+ * @param {Object} selections - { conditions, customConditions, allergies, customAllergies, allergySettings? }
+ *   (allergySettings: allergy → { severity, crossContact }; allergies left out keep their current setting)
+ * @returns {Object} - Updated profile (a new object)
+ */
+export function updateProfileSelections(profile, { conditions = [], customConditions = [], allergies = [], customAllergies = [], allergySettings = {} }) {
+  const now = new Date().toISOString();
+
+  const buildEntries = (existing, known, ids, customIds, getSettings = () => ({})) => [
+    ...ids.map(id => ({ id, custom: false })),
+    ...customIds.map(id => ({ id, custom: true }))
+  ].map(({ id, custom }) => {
+    const previous = existing.find(entry => entry.id === id);
+    const settings = getSettings(id, previous);
+    const entry = previous || {
+      id,
+      name: known[id]?.name || id,
+      custom,
+      severity: 'medium',
+      seek_tags: [...(known[id]?.seek_tags || [])],
+      avoid_tags: [...(known[id]?.avoid_tags || [])],
+      notes: '',
+      last_updated: now
+    };
+    const changed = Object.entries(settings).some(([key, value]) => entry[key] !== value);
+    return changed ? { ...entry, ...settings, last_updated: now } : entry;
+  });
+
+  return {
+    ...profile,
+    profile_version: PROFILE_VERSION,
+    chronic_conditions: buildEntries(profile.chronic_conditions, KNOWN_CONDITIONS, conditions, customConditions),
+    allergies_sensitivities: buildEntries(
+      profile.allergies_sensitivities, KNOWN_ALLERGIES, allergies, customAllergies,
+      (id, previous) => {
+        const setting = allergySettings[id];
+        return {
+          severity: setting?.severity || previous?.severity || 'medium',
+          cross_contact: setting?.crossContact ?? previous?.cross_contact ?? true
+        };
+      }
+    )
+  };
+}
+
+/**
+ * Flat view of a profile in the shape the analysis code uses
+ * @param {Object} profile - Profile in the schema layout
+ * @returns {Object} - { conditions, customConditions, allConditions, allergies, customAllergies,
+ *   allAllergies, allergySettings } (allergySettings: allergy → { severity, crossContact })
+ */
+export function getProfileSelections(profile) {
+  const ids = (entries, custom) => entries.filter(entry => entry.custom === custom).map(entry => entry.id);
+  const conditions = ids(profile.chronic_conditions, false);
+  const customConditions = ids(profile.chronic_conditions, true);
+  const allergies = ids(profile.allergies_sensitivities, false);
+  const customAllergies = ids(profile.allergies_sensitivities, true);
+
+  return {
+    conditions,
+    customConditions,
+    allConditions: [...conditions, ...customConditions],
+    allergies,
+    customAllergies,
+    allAllergies: [...allergies, ...customAllergies],
+    allergySettings: Object.fromEntries(profile.allergies_sensitivities.map(entry => [
+      entry.id,
+      { severity: entry.severity, crossContact: entry.cross_contact !== false }
+    ]))
+  };
+}
+
+/**
+ * Match product tags against the profile's seek/avoid tags (the schema doc's matching helper)
+ * @param {string[]} productTags - Tags derived from the product
+ * @param {Object} profile - Profile in the schema layout
+ * @returns {Object} - { safe, matchedAvoid: string[], matchedSeek: string[] }
+ */
+export function isProductSafe(productTags, profile) {
+  const entries = [...profile.allergies_sensitivities, ...profile.chronic_conditions];
+  const avoid = new Set(entries.flatMap(entry => entry.avoid_tags));
+  const seek = new Set(entries.flatMap(entry => entry.seek_tags));
+
+  const matchedAvoid = productTags.filter(tag => avoid.has(tag));
+  const matchedSeek = productTags.filter(tag => seek.has(tag));
+  return { safe: matchedAvoid.length === 0, matchedAvoid, matchedSeek };
+}
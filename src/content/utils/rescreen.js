@@ -0,0 +1,194 @@
+// Shop Well Re-screening
+// When an allergy or condition is added to the profile, re-checks products the user analyzed
+// before (and, optionally, products from their "Buy again" / order history) with the quick
+// screen, and reports the ones that are now a problem because of the addition.
+
+import { screenProduct, ScreenQueue } from './screen.js';
+
+const REPORT_STORAGE_KEY = 'rescreenReport';
+const PENDING_STORAGE_KEY = 'rescreenPending';
+
+/**
+ * Most products re-checked per run (each one is a product page fetch)
+ */
+const MAX_RESCREEN_PRODUCTS = 40;
+
+/**
+ * Find the allergies and conditions added between two saved profiles
+ * @param {Object} previous - Stored settings before saving ({ allergies, customAllergies, conditions, customConditions })
+ * @param {Object} next - Settings being saved (same shape)
+ * @returns {Object} - { allergies: string[], conditions: string[] } present in next but not in previous
+ */
+export function getProfileAdditions(previous, next) {
+  const added = (before, after) => {
+    const known = new Set(before.map(value => value.toLowerCase()));
+    return after.filter(value => !known.has(value.toLowerCase()));
+  };
+
+  return {
+    allergies: added(
+      [...(previous.allergies || []), ...(previous.customAllergies || [])],
+      [...(next.allergies || []), ...(next.customAllergies || [])]
+    ),
+    conditions: added(
+      [...(previous.conditions || []), ...(previous.customConditions || [])],
+      [...(next.conditions || []), ...(next.customConditions || [])]
+    )
+  };
+}
+
+/**
+ * Merge analysis history and previously bought products into one list to re-check.
+ * Previously bought products come first - they are the ones the user buys regularly.
+ * @param {Array<Object>} historyEntries - Analysis history entries ({ id, site, title, url })
+ * @param {Array<Object>} orderItems - Previously bought products ({ id, site, title, url })
+ * @returns {Array<Object>} - { key, site, title, url, sources: ('orders'|'history')[] }, at most MAX_RESCREEN_PRODUCTS
+ */
+export function collectRescreenProducts(historyEntries, orderItems = []) {
+  const products = new Map();
+
+  const add = (site, id, title, url, source) => {
+    const key = `${site}:${id || url}`;
+    const existing = products.get(key);
+    if (existing) {
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      existing.title = existing.title || title;
+      return;
+    }
+    products.set(key, { key, site, title, url, sources: [source] });
+  };
+
+  orderItems.forEach(item => add(item.site, item.id, item.title, item.url, 'orders'));
+  historyEntries
+    .filter(entry => entry.url)
+    .forEach(entry => add(entry.site, entry.productId, entry.title, entry.url, 'history'));
+
+  return [...products.values()].slice(0, MAX_RESCREEN_PRODUCTS);
+}
+
+/**
+ * Quick-screen products against the updated profile and keep those flagged for an added allergy or condition
+ * @param {Array<Object>} products - Products from collectRescreenProducts()
+ * @param {Object} profile - Full updated profile ({ allergies, conditions })
+ * @param {Object} additions - { allergies, conditions } from getProfileAdditions()
+ * @param {Object} options - Run options
+ * @param {Function} options.loadProduct - async (product) => product data parsed from its page, or null
+ * @param {Function} [options.onProgress] - (checked, total) => void, after each product
+ * @param {Function} [options.isCancelled] - Returns true to stop (remaining products are skipped)
+ * @returns {Promise<Object>} - { checked, flagged: [{ key, site, title, url, sources, status, reasons }] }
+ */
+export function rescreenProducts(products, profile, additions, { loadProduct, onProgress, isCancelled = () => false }) {
+  const addedAllergies = additions.allergies.map(allergy => allergy.toLowerCase());
+  const flagged = [];
+  let checked = 0;
+
+  return new Promise(resolve => {
+    if (products.length === 0) {
+      resolve({ checked, flagged });
+      return;
+    }
+
+    let remaining = products.length;
+    const queue = new ScreenQueue(async (product) => {
+      try {
+        if (isCancelled()) {
+          queue.clear();
+          return;
+        }
+
+        const productData = await loadProduct(product);
+        if (!productData) return;
+        checked++;
+
+        const result = screenProduct({ ...productData, title: productData.title || product.title }, profile);
+        const newAllergens = result.allergens.filter(allergen => addedAllergies.includes(allergen.toLowerCase()));
+        const reasons = [
+          ...(newAllergens.length > 0 ? [`Contains ${newAllergens.join(', ')}`] : []),
+          ...result.reasons.filter(reason => additions.conditions.some(condition => reason.startsWith(`${condition}:`)))
+        ];
+
+        if (reasons.length > 0) {
+          flagged.push({ ...product, title: productData.title || product.title, status: result.status, reasons });
+        }
+      } finally {
+        remaining--;
+        onProgress?.(checked, products.length);
+        if (remaining === 0 || isCancelled()) {
+          queue.clear();
+          resolve({ checked, flagged });
+        }
+      }
+    });
+
+    queue.enqueue(products);
+  });
+}
+
+/**
+ * Read the last re-screening report
+ * @returns {Promise<Object|null>} - { createdAt, additions, checked, flagged } or null
+ */
+export async function getRescreenReport() {
+  try {
+    const result = await chrome.storage.local.get([REPORT_STORAGE_KEY]);
+    return result[REPORT_STORAGE_KEY] || null;
+  } catch (error) {
+    console.warn('Shop Well: Reading re-screen report failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a re-screening report (replaces the previous one)
+ * @param {Object} report - { createdAt, additions, checked, flagged }
+ * @returns {Promise<void>}
+ */
+export async function saveRescreenReport(report) {
+  await chrome.storage.local.set({ [REPORT_STORAGE_KEY]: report });
+  console.log('Shop Well: Re-screen report saved:', report.flagged.length, 'flagged of', report.checked);
+}
+
+/**
+ * Read the additions still waiting to be re-checked (kept in storage, so closing the settings
+ * page before a re-check finishes does not lose them)
+ * @returns {Promise<Object>} - { allergies: string[], conditions: string[] }
+ */
+export async function getPendingRescreen() {
+  try {
+    const result = await chrome.storage.local.get([PENDING_STORAGE_KEY]);
+    return { allergies: [], conditions: [], ...result[PENDING_STORAGE_KEY] };
+  } catch (error) {
+    console.warn('Shop Well: Reading pending re-screen failed:', error);
+    return { allergies: [], conditions: [] };
+  }
+}
+
+/**
+ * Add allergies and conditions to the pending re-check
+ * @param {Object} additions - { allergies, conditions } from getProfileAdditions()
+ * @returns {Promise<Object>} - All pending additions
+ */
+export async function addPendingRescreen(additions) {
+  const pending = await getPendingRescreen();
+  const merged = {
+    allergies: [...new Set([...pending.allergies, ...additions.allergies])],
+    conditions: [...new Set([...pending.conditions, ...additions.conditions])]
+  };
+  await chrome.storage.local.set({ [PENDING_STORAGE_KEY]: merged });
+  return merged;
+}
+
+/**
+ * Remove re-checked additions from the pending re-check (additions queued meanwhile stay)
+ * @param {Object} additions - { allergies, conditions } that were re-checked
+ * @returns {Promise<void>}
+ */
+export async function clearPendingRescreen(additions) {
+  const pending = await getPendingRescreen();
+  await chrome.storage.local.set({
+    [PENDING_STORAGE_KEY]: {
+      allergies: pending.allergies.filter(allergy => !additions.allergies.includes(allergy)),
+      conditions: pending.conditions.filter(condition => !additions.conditions.includes(condition))
+    }
+  });
+}
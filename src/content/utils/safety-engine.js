@@ -0,0 +1,332 @@
+// Shop Well Safety Engine
+// Deterministic, rule-based product check. Derives tags from extracted facts (ingredients,
+// allergen statements, label claims, certifications and Nutrition Facts numbers), matches them
+// against each profile entry's seek_tags / avoid_tags and rates every entry. The result is shown
+// next to the AI verdict and cross-checked against it, so a missed allergen is visible even when
+// the model gets it wrong.
+
+import { stripAdvisoryStatements, maskAdvisoryStatements, getAllergenStatementTier, getAllergenTierVerdict } from './allergen-statements.js';
+import { findAllergensInIngredients, findAllergenMatches, getAllergenTag } from './allergens.js';
+import { isProductSafe } from './profile-store.js';
+import { detectCertifications, describeCertification, hasGlutenFreeSeal, isNegatedClaim } from './certifications.js';
+
+/**
+ * Label claims, matched against the title, bullets and description
+ * (third-party certifications come from certifications.js)
+ */
+const CLAIM_TAG_RULES = [
+  { tags: ['peanut_free'], pattern: /\bpeanut[- ]free\b/i },
+  { tags: ['tree_nut_free'], pattern: /\btree[- ]nut[- ]free\b/i },
+  { tags: ['peanut_free', 'tree_nut_free'], pattern: /(?<!tree[- ])\bnut[- ]free\b/i },
+  { tags: ['milk_free'], pattern: /\b(dairy|milk|lactose)[- ]free\b/i },
+  { tags: ['egg_free'], pattern: /\begg[- ]free\b/i },
+  { tags: ['milk_free', 'egg_free', 'fish_free', 'shellfish_free'], pattern: /\b(certified )?vegan\b/i },
+  { tags: ['soy_free'], pattern: /\bsoy[- ]free\b/i },
+  { tags: ['sesame_free'], pattern: /\bsesame[- ]free\b/i },
+  { tags: ['wheat_free'], pattern: /\bwheat[- ]free\b/i },
+  { tags: ['gluten_free'], pattern: /\bgluten[- ]free\b/i },
+  { tags: ['dedicated_facility'], pattern: /\bdedicated\b.{0,30}\b(facility|plant|bakery|kitchen)\b|\b(gluten|allergen|nut|peanut)[- ]free (facility|plant|bakery|kitchen)\b/i },
+  { tags: ['fragrance_free'], pattern: /\b(fragrance|perfume|scent)[- ]free\b/i },
+  { tags: ['unscented'], pattern: /\bunscented\b/i },
+  { tags: ['low_voc'], pattern: /\b(low|zero|no)[- ]voc\b/i },
+  { tags: ['hepa_filtered'], pattern: /\bhepa\b/i },
+  { tags: ['latex_free'], pattern: /\blatex[- ]free\b/i },
+  { tags: ['nickel_free'], pattern: /\bnickel[- ]free\b/i },
+  { tags: ['low_sodium'], pattern: /\b(low|reduced|no|zero)[- ](sodium|salt)\b|\b(sodium|salt)[- ]free\b|\bunsalted\b/i },
+  { tags: ['heart_healthy'], pattern: /\bheart[- ]healthy\b|\bheart[- ]check\b/i },
+  { tags: ['electrolyte_support'], pattern: /\belectrolytes?\b/i },
+  { tags: ['compression_garments'], pattern: /\bcompression (socks?|stockings?|sleeves?|garments?|leggings?|tights|wear)\b/i },
+  { tags: ['easy_open'], pattern: /\beasy[- ](open|grip|pour|to open)\b/i },
+  { tags: ['ergonomic'], pattern: /\bergonomic/i },
+  { tags: ['lightweight'], pattern: /\blight[- ]?weight\b/i },
+  { tags: ['aerosol'], pattern: /\baerosol\b/i }
+];
+
+/**
+ * Tags for ingredients and materials that are problems on their own, by allergen knowledge base id
+ */
+const INGREDIENT_TAGS = {
+  'fragrance': 'fragranced',
+  'latex': 'contains_latex',
+  'nickel': 'contains_nickel',
+  'gluten': 'contains_gluten'
+};
+
+/**
+ * Order used to pick the worst verdict across matched tags
+ */
+const VERDICT_RANK = { good: 0, warning: 1, bad: 2 };
+
+/**
+ * Whether a verdict entry name refers to a profile entry (by id or display name,
+ * ignoring case and spaces vs hyphens: 'tree nuts' is 'tree-nuts')
+ * @param {Object} entry - Profile entry or rated entry ({ id, name })
+ * @param {string} name - Verdict entry name
+ * @returns {boolean}
+ */
+function isSameEntry(entry, name) {
+  const normalize = value => (value || '').toLowerCase().trim().replace(/\s+/g, '-');
+  return [normalize(entry.id), normalize(entry.name)].includes(normalize(name));
+}
+
+/**
+ * Seek / avoid tags used for an entry. Custom allergies have no tags of their own, so they get
+ * the contains / may contain tags for their name.
+ * @param {Object} entry - Profile entry
+ * @param {string} kind - 'allergy' or 'condition'
+ * @returns {Object} - { seek_tags, avoid_tags }
+ */
+function getEntryTags(entry, kind) {
+  if (kind === 'allergy' && entry.custom && entry.avoid_tags.length === 0) {
+    const stem = getAllergenTag(entry.id);
+    return { seek_tags: [`${stem}_free`], avoid_tags: [`contains_${stem}`, `may_contain_${stem}`] };
+  }
+  return { seek_tags: entry.seek_tags || [], avoid_tags: entry.avoid_tags || [] };
+}
+
+/**
+ * Derive tags from a product's extracted facts
+ * @param {Object} productData - Product data (title, bullets, description, ingredients, nutrition,
+ *   certifications - detected from the text when the parser didn't record them)
+ * @param {Object} facts - Extracted facts (allergen_warnings, allergen_statements, gluten_status, dietary_claims,
+ *   sodium_level, sugar_level, compression_garment, lightweight, ergonomic_design)
+ * @param {Object} profile - Profile in the schema layout (custom allergies get their own tags)
+ * @returns {Object} - { tags: string[], evidence: tag → { source, detail, tier? } }
+ *   tier is the allergen statement tier ('contains', 'may_contain', 'facility') for allergen tags
+ */
+export function deriveProductTags(productData, facts, profile) {
+  const evidence = {};
+  const add = (tag, source, detail, tier) => {
+    if (!evidence[tag]) evidence[tag] = { source, detail, ...(tier ? { tier } : {}) };
+  };
+
+  const claimText = [productData.title, ...(productData.bullets || []), productData.description].filter(Boolean).join('\n');
+  const ingredients = stripAdvisoryStatements(productData.ingredients || '');
+  const statements = facts.allergen_statements;
+
+  // Allergens: ingredient list first, then the label's "contains" / "may contain" / facility statements
+  (facts.allergen_warnings || []).forEach(warning => {
+    add(`contains_${getAllergenTag(warning)}`, 'ingredients', `${warning} in the ingredients`, 'contains');
+  });
+  if (statements) {
+    statements.contains.forEach(allergen => {
+      add(`contains_${getAllergenTag(allergen)}`, 'statement', `"Contains" statement lists ${allergen}`, 'contains');
+    });
+    statements.may_contain.forEach(allergen => {
+      add(`may_contain_${getAllergenTag(allergen)}`, 'statement', `Label says it may contain ${allergen}`, 'may_contain');
+    });
+    statements.facility.forEach(allergen => {
+      add(`may_contain_${getAllergenTag(allergen)}`, 'statement', `Made in a facility that also handles ${allergen}`, 'facility');
+    });
+  }
+
+  // Custom allergies are matched by name
+  (profile?.allergies_sensitivities || []).filter(entry => entry.custom).forEach(entry => {
+    const stem = getAllergenTag(entry.id);
+    if (findAllergensInIngredients(ingredients, [entry.id]).length > 0) {
+      add(`contains_${stem}`, 'ingredients', `${entry.name} in the ingredients`, 'contains');
+    }
+    const tier = getAllergenStatementTier(entry.id, statements);
+    if (tier === 'contains') {
+      add(`contains_${stem}`, 'statement', `"Contains" statement lists ${entry.name}`, 'contains');
+    } else if (tier) {
+      add(`may_contain_${stem}`, 'statement', `Cross-contact statement names ${entry.name}`, tier);
+    }
+  });
+
+  // Nutrition Facts numbers (label values when parsed, the extracted level otherwise) come before
+  // marketing claims, so the evidence shows the number
+  const nutrition = facts.nutrition || productData.nutrition;
+  const sodiumDetail = nutrition?.sodium ? `${nutrition.sodium.amount}mg sodium per serving` : 'Estimated sodium level';
+  if (facts.sodium_level === 'none' || facts.sodium_level === 'low') add('low_sodium', 'nutrition', sodiumDetail);
+  if (facts.sodium_level === 'high') add('high_sodium', 'nutrition', sodiumDetail);
+
+  const sugar = nutrition?.totalSugars || nutrition?.addedSugars;
+  const sugarDetail = sugar ? `${sugar.amount}g sugar per serving` : 'Estimated sugar level';
+  if (facts.sugar_level === 'none' || facts.sugar_level === 'low') add('low_sugar', 'nutrition', sugarDetail);
+  if (facts.sugar_level === 'high') add('high_sugar', 'nutrition', sugarDetail);
+  if (nutrition?.addedSugars?.amount === 0) add('no_added_sugar', 'nutrition', '0g added sugars');
+
+  // Third-party certifications outrank the same wording as a plain marketing claim
+  const certifications = productData.certifications || detectCertifications(productData);
+  certifications.forEach(claim => {
+    const source = claim.kind === 'certification' ? 'certification' : 'claim';
+    claim.tags.forEach(tag => add(tag, source, describeCertification(claim)));
+  });
+
+  if ((facts.dietary_claims || []).includes('naturally gluten-free')) {
+    add('gluten_free', 'ingredients', 'Naturally gluten-free food');
+  }
+
+  for (const { tags, pattern } of CLAIM_TAG_RULES) {
+    const match = [...claimText.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))]
+      .find(candidate => !isNegatedClaim(claimText, candidate.index));
+    if (match) tags.forEach(tag => add(tag, 'claim', `Label claim "${match[0]}"`));
+  }
+
+  if (facts.gluten_status === 'gluten-free') add('gluten_free', 'claim', 'Gluten-free');
+  if (facts.compression_garment) add('compression_garments', 'claim', 'Compression garment');
+  if (facts.lightweight) add('lightweight', 'claim', 'Lightweight');
+  if (facts.ergonomic_design) add('ergonomic', 'claim', 'Ergonomic design');
+
+  findAllergensInIngredients(ingredients, Object.keys(INGREDIENT_TAGS)).forEach(allergen => {
+    add(INGREDIENT_TAGS[allergen], 'ingredients', `${allergen.charAt(0).toUpperCase() + allergen.slice(1)} in the ingredients`);
+  });
+  if (facts.gluten_status === 'contains-gluten' || evidence.contains_wheat) {
+    add('contains_gluten', 'ingredients', 'Gluten grains in the ingredients');
+  }
+
+  // What the product contains outweighs what its marketing claims - except a gluten-free seal
+  // from a named certifying body, since certified products may use gluten-removed wheat starch
+  if (hasGlutenFreeSeal(certifications)) {
+    delete evidence.contains_gluten;
+  }
+  Object.keys(evidence)
+    .filter(tag => tag.startsWith('contains_'))
+    .forEach(tag => delete evidence[`${tag.slice('contains_'.length)}_free`]);
+  if (evidence.fragranced) {
+    delete evidence.fragrance_free;
+    delete evidence.unscented;
+  }
+  if (evidence.high_sodium) delete evidence.low_sodium;
+
+  return { tags: Object.keys(evidence), evidence };
+}
+
+/**
+ * Rate one profile entry from the product's tags
+ * @param {Object} entry - Profile entry
+ * @param {string} kind - 'allergy' or 'condition'
+ * @param {Object} derived - Result of deriveProductTags()
+ * @param {boolean} hasIngredients - Whether the product has an ingredient list
+ * @returns {Object} - { id, name, kind, verdict, matchedAvoid, matchedSeek, brief_reason }
+ */
+function rateEntry(entry, kind, { tags, evidence }, hasIngredients) {
+  const { seek_tags, avoid_tags } = getEntryTags(entry, kind);
+  const matchedAvoid = tags.filter(tag => avoid_tags.includes(tag));
+  const matchedSeek = tags.filter(tag => seek_tags.includes(tag));
+  const result = { id: entry.id, name: entry.name, kind, matchedAvoid, matchedSeek };
+
+  if (matchedAvoid.length > 0) {
+    // Cross-contact tags count as much as the allergy's severity and cross-contact settings say
+    const setting = { severity: entry.severity, crossContact: entry.cross_contact !== false };
+    const verdict = matchedAvoid
+      .map(tag => (kind === 'allergy' && evidence[tag].tier ? getAllergenTierVerdict(evidence[tag].tier, setting) : 'bad'))
+      .reduce((worst, current) => (VERDICT_RANK[current] > VERDICT_RANK[worst] ? current : worst), 'good');
+    return { ...result, verdict, brief_reason: matchedAvoid.map(tag => evidence[tag].detail).join('; ') };
+  }
+
+  if (matchedSeek.length > 0) {
+    // One seal can carry several tags (certified_gluten_free and gluten_free)
+    const reason = [...new Set(matchedSeek.map(tag => evidence[tag].detail))].join('; ');
+    // An entry that seeks the certified form of a claim ('certified_gluten_free' for Celiac)
+    // only gets a caution from the bare marketing claim
+    const uncertified = matchedSeek.every(tag => evidence[tag].source === 'claim' && seek_tags.includes(`certified_${tag}`));
+    if (uncertified) {
+      return { ...result, verdict: 'warning', brief_reason: `${reason} - not third-party certified` };
+    }
+    return { ...result, verdict: 'good', brief_reason: reason };
+  }
+
+  // An allergy missing from a full ingredient list is a pass; anything else has no rule signal
+  if (kind === 'allergy' && hasIngredients) {
+    return { ...result, verdict: 'good', brief_reason: 'Not found in the ingredient list' };
+  }
+  return { ...result, verdict: 'inconclusive', brief_reason: 'No rule matched this product' };
+}
+
+/**
+ * Run the rule-based check for a product against the profile
+ * @param {Object} productData - Product data from a parser
+ * @param {Object} facts - Extracted facts
+ * @param {Object} profile - Profile in the schema layout
+ * @returns {Object} - { tags, evidence, allergies: [...], conditions: [...], safe, matchedAvoid, matchedSeek }
+ *   (allergies / conditions: results of rating each profile entry)
+ */
+export function evaluateProductSafety(productData, facts, profile) {
+  const derived = deriveProductTags(productData, facts, profile);
+  const hasIngredients = Boolean(productData.ingredients);
+
+  const matchingProfile = {
+    ...profile,
+    allergies_sensitivities: profile.allergies_sensitivities.map(entry => ({ ...entry, ...getEntryTags(entry, 'allergy') }))
+  };
+
+  return {
+    ...derived,
+    ...isProductSafe(derived.tags, matchingProfile),
+    allergies: profile.allergies_sensitivities.map(entry => rateEntry(entry, 'allergy', derived, hasIngredients)),
+    conditions: profile.chronic_conditions.map(entry => rateEntry(entry, 'condition', derived, hasIngredients))
+  };
+}
+
+/**
+ * Compare the rule-based result with the AI verdict. Entries disagree when either side says
+ * 'bad' and the other does not, or when the rules are stricter than the AI; inconclusive
+ * results on either side are not compared.
+ * @param {Object} safety - Result of evaluateProductSafety()
+ * @param {Object} verdict - AI verdict ({ conditions, allergies })
+ * @returns {Array<Object>} - { id, name, kind, rule, ai, brief_reason } per disagreement
+ */
+export function crossCheckVerdict(safety, verdict) {
+  const findAiEntry = (entries, entry) => (entries || []).find(candidate => isSameEntry(entry, candidate.name));
+
+  return [
+    ...safety.allergies.map(entry => ({ entry, ai: findAiEntry(verdict.allergies, entry) })),
+    ...safety.conditions.map(entry => ({ entry, ai: findAiEntry(verdict.conditions, entry) }))
+  ]
+    .filter(({ entry, ai }) => {
+      if (!ai || !(entry.verdict in VERDICT_RANK) || !(ai.verdict in VERDICT_RANK)) return false;
+      if (entry.verdict === ai.verdict) return false;
+      return entry.verdict === 'bad' || ai.verdict === 'bad' || VERDICT_RANK[entry.verdict] > VERDICT_RANK[ai.verdict];
+    })
+    .map(({ entry, ai }) => ({
+      id: entry.id,
+      name: entry.name,
+      kind: entry.kind,
+      rule: entry.verdict,
+      ai: ai.verdict,
+      brief_reason: entry.brief_reason
+    }));
+}
+
+/**
+ * Find the ingredient words behind each allergy and condition in the profile, with their
+ * character offsets in the ingredient list. Words in "may contain" / facility statements are
+ * skipped; conditions are matched through the allergens behind their avoid tags (gluten for
+ * celiac disease, fragrance for COPD).
+ * @param {string} ingredients - Ingredient list text
+ * @param {Object} profile - Profile in the schema layout
+ * @returns {Array<Object>} - { id, name, kind, matches: [{ term, start, end }] } for entries with a match
+ */
+export function findIngredientHits(ingredients, profile) {
+  const text = maskAdvisoryStatements(ingredients || '');
+  if (!text.trim() || !profile) return [];
+
+  const conditionAllergens = entry => Object.keys(INGREDIENT_TAGS)
+    .filter(allergen => entry.avoid_tags.includes(INGREDIENT_TAGS[allergen]));
+
+  return [
+    ...profile.allergies_sensitivities.map(entry => ({ entry, kind: 'allergy', allergens: [entry.id] })),
+    ...profile.chronic_conditions.map(entry => ({ entry, kind: 'condition', allergens: conditionAllergens(entry) }))
+  ]
+    .map(({ entry, kind, allergens }) => ({
+      id: entry.id,
+      name: entry.name,
+      kind,
+      matches: allergens
+        .flatMap(allergen => findAllergenMatches(text, allergen))
+        .sort((a, b) => a.start - b.start)
+    }))
+    .filter(hit => hit.matches.length > 0);
+}
+
+/**
+ * Get the ingredient hit for a verdict entry
+ * @param {Array<Object>} hits - Result of findIngredientHits()
+ * @param {string} name - Verdict entry name (allergy or condition)
+ * @returns {Object|null} - { id, name, kind, matches } or null
+ */
+export function findIngredientHit(hits, name) {
+  return hits.find(hit => isSameEntry(hit, name)) || null;
+}
@@ -0,0 +1,212 @@
+// Shop Well Quick Screen
+// Fast, AI-free allergen + condition check used to pre-scan search results.
+// Works only from label data (ingredient list, Nutrition Facts, title/bullets), so it
+// flags obvious problems; the full side panel analysis remains the source of truth.
+
+import { parseAllergenStatements, stripAdvisoryStatements, getAllergenStatementTier, rateCrossContact } from './allergen-statements.js';
+import { findAllergens, findAllergensInIngredients } from './allergens.js';
+import { detectCertifications, hasGlutenFreeSeal } from './certifications.js';
+
+/**
+ * Condition checks the quick screen can make from label data. A rule whose label data is
+ * missing returns amber rather than passing the product. Conditions without a rule
+ * (e.g., POTS, COPD) are left to the full analysis.
+ */
+const CONDITION_RULES = [
+  {
+    pattern: /celiac|coeliac|gluten/i,
+    check: ({ ingredients, text, certifications }) => {
+      // Only a named certifier's seal outweighs gluten grains (gluten-removed wheat starch)
+      if (hasGlutenFreeSeal(certifications)) return null;
+      // Without an ingredient list, the title and bullets still catch "Whole Wheat Bread"
+      if (findAllergens(stripAdvisoryStatements(ingredients || text), ['gluten']).length > 0) {
+        return { status: 'red', reason: 'contains gluten grains' };
+      }
+      if (!ingredients) return { status: 'amber', reason: 'no ingredient list to check for gluten' };
+      return null;
+    }
+  },
+  {
+    pattern: /hypertension|blood pressure|heart|kidney/i,
+    check: ({ nutrition }) => {
+      if (!nutrition?.sodium) return { status: 'amber', reason: 'no sodium amount on the label' };
+      const level = classifySodiumLevel(nutrition.sodium.amount);
+      if (level === 'high') return { status: 'red', reason: `high sodium (${nutrition.sodium.amount}mg)` };
+      if (level === 'moderate') return { status: 'amber', reason: `moderate sodium (${nutrition.sodium.amount}mg)` };
+      return null;
+    }
+  },
+  {
+    pattern: /diabet|blood sugar|insulin/i,
+    check: ({ nutrition }) => {
+      const sugar = nutrition?.addedSugars || nutrition?.totalSugars;
+      if (!sugar) return { status: 'amber', reason: 'no sugar amount on the label' };
+      const level = classifySugarLevel(sugar.amount);
+      if (level === 'high') return { status: 'red', reason: `high sugar (${sugar.amount}g)` };
+      if (level === 'moderate') return { status: 'amber', reason: `moderate sugar (${sugar.amount}g)` };
+      return null;
+    }
+  }
+];
+
+/**
+ * Classify sodium per serving using the thresholds described to the verdict prompt
+ * @param {number} mg - Sodium per serving in milligrams
+ * @returns {string} - none, low, moderate or high
+ */
+export function classifySodiumLevel(mg) {
+  if (mg === 0) return 'none';
+  if (mg < 140) return 'low';
+  if (mg <= 400) return 'moderate';
+  return 'high';
+}
+
+/**
+ * Classify sugar per serving using the thresholds described to the verdict prompt
+ * @param {number} grams - Sugar per serving in grams
+ * @returns {string} - none, low, moderate or high
+ */
+export function classifySugarLevel(grams) {
+  if (grams === 0) return 'none';
+  if (grams < 5) return 'low';
+  if (grams <= 15) return 'moderate';
+  return 'high';
+}
+
+/**
+ * Quick-screen a product against the user's allergies and conditions
+ * @param {Object} productData - Product data from a parser (ingredients, nutrition, title, bullets)
+ * @param {Object} profile - { allergies: string[], conditions: string[], allergySettings?: Object }
+ *   allergySettings: allergy → { severity, crossContact }, which decides how cross-contact statements count
+ * @returns {Object} - { status: 'green'|'amber'|'red', reasons: string[], allergens: string[], score: number }
+ *   score: 0-100 profile fit (100 = nothing flagged), used to sort search results
+ */
+export function screenProduct(productData, { allergies = [], conditions = [], allergySettings = {} }) {
+  const ingredients = productData.ingredients || '';
+  const text = [productData.title, ...(productData.bullets || [])].join(' ');
+  const reasons = { red: [], amber: [] };
+  const certifications = productData.certifications || detectCertifications(productData);
+
+  // Allergens: the ingredient list is authoritative; without one, the title and bullets still catch
+  // obvious cases like "Peanut Butter Cups". "May contain" and facility statements are
+  // cross-contact risks, not ingredients, so they count as much as the allergy's severity setting says.
+  const statements = parseAllergenStatements([ingredients, ...(productData.bullets || [])].join('\n'));
+  const allergens = findAllergensInIngredients(stripAdvisoryStatements(ingredients || text), allergies);
+  allergies.forEach(allergy => {
+    if (!allergens.includes(allergy) && getAllergenStatementTier(allergy, statements) === 'contains') {
+      allergens.push(allergy);
+    }
+  });
+  if (allergens.length > 0) {
+    reasons.red.push(`Contains ${allergens.join(', ')}`);
+  }
+
+  allergies
+    .filter(allergy => !allergens.includes(allergy))
+    .forEach(allergy => {
+      const crossContact = rateCrossContact(allergy, statements, allergySettings);
+      if (!crossContact || crossContact.verdict === 'good') return;
+
+      const reason = crossContact.tier === 'may_contain'
+        ? `May contain ${allergy} (cross-contact)`
+        : `Made alongside ${allergy} (shared facility)`;
+      reasons[crossContact.verdict === 'bad' ? 'red' : 'amber'].push(reason);
+    });
+
+  for (const condition of conditions) {
+    const rule = CONDITION_RULES.find(candidate => candidate.pattern.test(condition));
+    const result = rule?.check({ ingredients, text, nutrition: productData.nutrition, certifications });
+    if (result) {
+      reasons[result.status].push(`${condition}: ${result.reason}`);
+    }
+  }
+
+  if (!ingredients && allergies.length > 0 && reasons.red.length === 0) {
+    reasons.amber.push('No ingredient list found - open the product to check');
+  }
+
+  const score = Math.max(0, 100 - reasons.red.length * 50 - reasons.amber.length * 20);
+
+  if (reasons.red.length > 0) {
+    return { status: 'red', reasons: [...reasons.red, ...reasons.amber], allergens, score };
+  }
+
+  if (reasons.amber.length > 0) {
+    return { status: 'amber', reasons: reasons.amber, allergens, score };
+  }
+
+  return {
+    status: 'green',
+    reasons: [allergies.length > 0 ? 'None of your allergens in the ingredient list' : 'No concerns found on the label'],
+    allergens,
+    score
+  };
+}
+
+/**
+ * Rate-limited, concurrency-capped work queue for background pre-scans
+ */
+export class ScreenQueue {
+  /**
+   * @param {Function} worker - async (item) => void, called once per item
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Most items in flight at once (default: 2)
+   * @param {number} options.interval - Minimum ms between starting two items (default: 1000)
+   */
+  constructor(worker, { concurrency = 2, interval = 1000 } = {}) {
+    this.worker = worker;
+    this.concurrency = concurrency;
+    this.interval = interval;
+    this.pending = [];
+    this.active = 0;
+    this.lastStart = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Add items to the end of the queue
+   * @param {Array} items - Items for the worker
+   */
+  enqueue(items) {
+    this.pending.push(...items);
+    this.pump();
+  }
+
+  /**
+   * Drop everything not yet started (items in flight finish on their own)
+   */
+  clear() {
+    this.pending = [];
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  pump() {
+    if (this.timer || this.active >= this.concurrency || this.pending.length === 0) {
+      return;
+    }
+
+    const wait = this.lastStart + this.interval - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, wait);
+      return;
+    }
+
+    const item = this.pending.shift();
+    this.active++;
+    this.lastStart = Date.now();
+
+    Promise.resolve()
+      .then(() => this.worker(item))
+      .catch(error => console.warn('Shop Well: Pre-scan item failed:', error))
+      .finally(() => {
+        this.active--;
+        this.pump();
+      });
+
+    this.pump();
+  }
+}
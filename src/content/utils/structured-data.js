@@ -0,0 +1,264 @@
+// Shop Well Structured Data Extraction
+// Reads JSON-LD Product schema and embedded page state before falling back to CSS selectors
+
+import { cleanText, getDocumentLocale } from './dom.js';
+import { createVariantDimension } from './variants.js';
+
+/**
+ * Extract a schema.org Product from application/ld+json scripts
+ * @param {Document|Element} root - Root element to search within (default: document)
+ * @returns {Object|null} - Normalized product fields or null if no Product schema found
+ */
+export function extractJsonLdProduct(root = document) {
+  try {
+    const scripts = root.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      let json;
+      try {
+        json = JSON.parse(script.textContent);
+      } catch (parseError) {
+        console.warn('Shop Well: Skipping malformed JSON-LD block');
+        continue;
+      }
+
+      const product = findJsonLdProduct(json);
+      if (!product) {
+        continue;
+      }
+
+      const offer = Array.isArray(product.offers) ? product.offers[0] : product.offers;
+      const amount = offer?.price ?? offer?.lowPrice;
+
+      const fields = {
+        title: cleanText(product.name || ''),
+        description: stripHtml(product.description || '').substring(0, 1000),
+        price: formatStructuredPrice(amount, offer?.priceCurrency, getDocumentLocale(root)),
+        certifications: extractJsonLdCertifications(product)
+      };
+
+      console.log('Shop Well: JSON-LD Product found:', fields.title);
+      return fields;
+    }
+  } catch (error) {
+    console.warn('Shop Well: JSON-LD extraction failed:', error);
+  }
+
+  return null;
+}
+
+/**
+ * Collect certification and award names from a schema.org Product (hasCertification, award)
+ * @param {Object} product - JSON-LD Product node
+ * @returns {string[]} - Names such as "Certified Gluten-Free GFCO"
+ */
+function extractJsonLdCertifications(product) {
+  const toArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  const certifications = toArray(product.hasCertification).map(certification => {
+    if (typeof certification === 'string') return certification;
+    const issuer = certification.issuedBy?.name || certification.certificationIdentification || '';
+    return [certification.name, issuer].filter(Boolean).join(' ');
+  });
+  const awards = toArray(product.award).filter(award => typeof award === 'string');
+
+  return [...certifications, ...awards].map(name => cleanText(name)).filter(Boolean);
+}
+
+/**
+ * Extract product fields from Walmart's __NEXT_DATA__ embedded state
+ * @param {Document|Element} root - Root element to search within (default: document)
+ * @param {string} url - Page URL, used to ignore state left over from client-side navigation
+ * @returns {Object|null} - Normalized product fields or null if no embedded product found
+ */
+export function extractNextDataProduct(root = document, url = window.location.href) {
+  try {
+    const script = root.querySelector('script#__NEXT_DATA__');
+    if (!script) {
+      return null;
+    }
+
+    const state = JSON.parse(script.textContent);
+    const data = state?.props?.pageProps?.initialData?.data;
+    const product = data?.product;
+    if (!product) {
+      return null;
+    }
+
+    // __NEXT_DATA__ isn't refreshed on SPA navigation, so it may describe the previous product
+    if (product.usItemId && !url.includes(product.usItemId)) {
+      console.log('Shop Well: Ignoring stale __NEXT_DATA__ for item', product.usItemId);
+      return null;
+    }
+
+    const idml = data.idml || {};
+    const shortDescription = product.shortDescription || '';
+
+    const fields = {
+      title: cleanText(product.name || ''),
+      bullets: extractListItems(shortDescription).slice(0, 10),
+      description: stripHtml(idml.longDescription || shortDescription).substring(0, 1000),
+      ingredients: cleanText(idml.ingredients?.ingredients?.value || ''),
+      images: (product.imageInfo?.allImages || [])
+        .map(image => image.url)
+        .filter(Boolean)
+        .slice(0, 10),
+      price: product.priceInfo?.currentPrice?.priceString ||
+        formatStructuredPrice(product.priceInfo?.currentPrice?.price, product.priceInfo?.currentPrice?.currencyUnit),
+      listPrice: product.priceInfo?.wasPrice?.priceString || '',
+      pricePerUnit: product.priceInfo?.unitPrice?.priceString || '',
+      reviews: (data.reviews?.customerReviews || [])
+        .map(review => cleanText(review.reviewText || ''))
+        .filter(Boolean)
+        .slice(0, 5),
+      variants: extractNextDataVariants(product, url)
+    };
+
+    console.log('Shop Well: __NEXT_DATA__ product found:', fields.title);
+    return fields;
+  } catch (error) {
+    console.warn('Shop Well: __NEXT_DATA__ extraction failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Build variant dimensions from Walmart's variantCriteria
+ * @param {Object} product - __NEXT_DATA__ product
+ * @param {string} url - Page URL, used to build option URLs
+ * @returns {Array<Object>} - [{ dimension, label, options: [{ label, id, url, selected, available }] }]
+ */
+function extractNextDataVariants(product, url) {
+  const criteria = product.variantCriteria || [];
+  const origin = new URL(url).origin;
+  const isSelected = option => option.isSelected ?? option.selected ?? false;
+
+  return criteria.map(criterion => {
+    const variantList = criterion.variantList || [];
+
+    // Items matching the selections in every other dimension, so "Lemon" links to Lemon in the current size
+    const otherSelections = criteria
+      .filter(other => other !== criterion)
+      .map(other => (other.variantList || []).find(isSelected)?.products || []);
+
+    const options = variantList.map(option => {
+      const products = option.products || [];
+      const usItemId = products.find(id => otherSelections.every(list => list.length === 0 || list.includes(id))) ||
+        products[0] || null;
+
+      return {
+        label: cleanText(option.name || ''),
+        id: usItemId,
+        url: usItemId ? `${origin}/ip/${usItemId}` : null,
+        selected: isSelected(option),
+        available: option.availabilityStatus ? option.availabilityStatus !== 'OUT_OF_STOCK' : option.isAvailable !== false
+      };
+    });
+
+    return createVariantDimension(criterion.name || criterion.id || '', options);
+  }).filter(Boolean);
+}
+
+/**
+ * Resolve product fields from structured sources first, then selector extractors.
+ * Records where each field came from so the side panel can show provenance.
+ * @param {Array<{source: string, data: Object|null}>} sources - Structured sources in priority order
+ * @param {Object<string, Function>} fallbacks - Field name → selector-based extractor (only called when needed)
+ * @returns {{fields: Object, provenance: Object}} - Field values and their source ('json-ld', 'next-data', 'selector', 'none')
+ */
+export function resolveProductFields(sources, fallbacks) {
+  const fields = {};
+  const provenance = {};
+
+  for (const [field, fallback] of Object.entries(fallbacks)) {
+    const structured = sources.find(({ data }) => hasValue(data?.[field]));
+
+    if (structured) {
+      fields[field] = structured.data[field];
+      provenance[field] = structured.source;
+      continue;
+    }
+
+    fields[field] = fallback();
+    provenance[field] = hasValue(fields[field]) ? 'selector' : 'none';
+  }
+
+  console.log('Shop Well: Field provenance:', provenance);
+  return { fields, provenance };
+}
+
+/**
+ * Find the first Product node in a JSON-LD document (handles arrays and @graph)
+ * @param {Object|Array} json - Parsed JSON-LD
+ * @returns {Object|null}
+ */
+function findJsonLdProduct(json) {
+  const nodes = Array.isArray(json) ? json : [json];
+
+  for (const node of nodes) {
+    if (!node || typeof node !== 'object') continue;
+
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    if (types.includes('Product')) {
+      return node;
+    }
+
+    if (node['@graph']) {
+      const nested = findJsonLdProduct(node['@graph']);
+      if (nested) return nested;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Format a numeric structured price the same way selector prices look (e.g. "$12.99", "12,99 €")
+ * @param {number|string} amount - Price amount
+ * @param {string} currency - ISO currency code (default: USD)
+ * @param {string} locale - Page locale (default: en-US)
+ * @returns {string} - Formatted price or empty string
+ */
+function formatStructuredPrice(amount, currency = 'USD', locale = 'en-US') {
+  const value = parseFloat(amount);
+  if (isNaN(value)) {
+    return '';
+  }
+
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: currency || 'USD' }).format(value);
+  } catch (error) {
+    return `$${value.toFixed(2)}`;
+  }
+}
+
+/**
+ * Extract <li> contents from an HTML fragment
+ * @param {string} html - HTML string
+ * @returns {string[]}
+ */
+function extractListItems(html) {
+  return Array.from(html.matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi))
+    .map(match => stripHtml(match[1]))
+    .filter(text => text.length > 3);
+}
+
+/**
+ * Strip tags from an HTML fragment and normalize whitespace
+ * @param {string} html - HTML string
+ * @returns {string}
+ */
+function stripHtml(html) {
+  return cleanText(html.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&'));
+}
+
+/**
+ * Check whether a field value is worth keeping
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return true;
+  return typeof value === 'string' ? value.trim().length > 0 : value !== null && value !== undefined;
+}
@@ -0,0 +1,120 @@
+// Shop Well Product Variants
+// Shared helpers for the variant (flavor/size/count) lists the parsers extract from PDP selectors
+
+import { cleanText } from './dom.js';
+
+/**
+ * Variant dimension names, mapped from the labels retailers use
+ */
+const DIMENSION_PATTERNS = [
+  [/flavou?r|geschmack|saveur|sabor|味/i, 'flavor'],
+  [/scent|fragrance|duft|parfum|aroma|香り/i, 'scent'],
+  [/count|pack|quantity|stück|unités|unidades|入数/i, 'count'],
+  [/size|weight|volume|capacity|größe|taille|tamaño|サイズ|容量/i, 'size'],
+  [/colou?r|farbe|couleur|カラー|色/i, 'color'],
+  [/style|pattern|stil|estilo|スタイル/i, 'style']
+];
+
+/**
+ * Map a retailer's variant label (e.g., "Flavor Name", "flavor_name", "Size:") to a dimension id
+ * @param {string} name - Label or key shown by the retailer
+ * @returns {string} - 'flavor', 'scent', 'count', 'size', 'color', 'style' or the cleaned label
+ */
+export function normalizeVariantDimension(name) {
+  const cleaned = cleanText((name || '').replace(/[_:]/g, ' '));
+  const match = DIMENSION_PATTERNS.find(([pattern]) => pattern.test(cleaned));
+  return match ? match[1] : cleaned.toLowerCase();
+}
+
+/**
+ * Build a variant dimension, dropping empty and duplicate options
+ * @param {string} name - Retailer label for the dimension
+ * @param {Array<Object>} options - { label, id, url, selected, available }
+ * @returns {Object|null} - { dimension, label, options } or null if fewer than two options
+ */
+export function createVariantDimension(name, options) {
+  const seen = new Set();
+  const unique = options.filter(option => {
+    if (!option.label || seen.has(option.label)) return false;
+    seen.add(option.label);
+    return true;
+  });
+
+  if (unique.length < 2) {
+    return null;
+  }
+
+  return {
+    dimension: normalizeVariantDimension(name),
+    label: cleanText((name || '').replace(/_/g, ' ').replace(/:$/, '')),
+    options: unique
+  };
+}
+
+/**
+ * Get the selected option label per dimension
+ * @param {Array<Object>} variants - Variant dimensions from a parser
+ * @returns {Object<string, string>} - e.g., { flavor: 'Lemon Lime', size: '20 fl oz' }
+ */
+export function getSelectedVariant(variants) {
+  const selected = {};
+  for (const { dimension, options } of variants || []) {
+    const option = options.find(candidate => candidate.selected);
+    if (option) {
+      selected[dimension] = option.label;
+    }
+  }
+  return selected;
+}
+
+/**
+ * Stable key for the selected variant, used to notice variant switches
+ * @param {Array<Object>} variants - Variant dimensions from a parser
+ * @returns {string} - e.g., "flavor=Lemon Lime|size=20 fl oz" (empty when there are no variants)
+ */
+export function getVariantKey(variants) {
+  return Object.entries(getSelectedVariant(variants))
+    .map(([dimension, label]) => `${dimension}=${label}`)
+    .join('|');
+}
+
+/**
+ * Human-readable selected variant (e.g., "Lemon Lime, 20 fl oz")
+ * @param {Array<Object>} variants - Variant dimensions from a parser
+ * @returns {string}
+ */
+export function describeVariant(variants) {
+  return Object.values(getSelectedVariant(variants)).join(', ');
+}
+
+/**
+ * Check whether two variant lists describe the same product family
+ * (same dimension with the same set of options), i.e. a variant switch rather than a new product
+ * @param {Array<Object>} previous - Variant dimensions before the change
+ * @param {Array<Object>} current - Variant dimensions after the change
+ * @returns {boolean}
+ */
+export function isSameVariantFamily(previous, current) {
+  return (previous || []).some(({ dimension, options }) => {
+    const match = (current || []).find(candidate => candidate.dimension === dimension);
+    if (!match || match.options.length !== options.length) {
+      return false;
+    }
+    const labels = new Set(options.map(option => option.label));
+    return match.options.every(option => labels.has(option.label));
+  });
+}
+
+/**
+ * Pick the dimension worth screening option by option (flavor/scent first, as they change ingredients)
+ * @param {Array<Object>} variants - Variant dimensions from a parser
+ * @returns {Object|null} - Variant dimension or null
+ */
+export function getScreenableDimension(variants) {
+  const priority = ['flavor', 'scent', 'style', 'size', 'count'];
+  for (const dimension of priority) {
+    const match = (variants || []).find(candidate => candidate.dimension === dimension);
+    if (match) return match;
+  }
+  return (variants || [])[0] || null;
+}
@@ -1,10 +1,29 @@
 // Shop Well Options Page JavaScript
 
+import { getRetailers, getOrderHistoryUrl, parseOrderHistoryDocument, parseProductDocument } from '../content/parsers/index.js';
+import { getHistory } from '../content/utils/history.js';
+import {
+  getProfileAdditions,
+  collectRescreenProducts,
+  rescreenProducts,
+  getRescreenReport,
+  saveRescreenReport,
+  getPendingRescreen,
+  addPendingRescreen,
+  clearPendingRescreen
+} from '../content/utils/rescreen.js';
+import { ALLERGY_SEVERITY_LABELS, getAllergySetting } from '../content/utils/allergen-statements.js';
+import { loadProfile, saveProfile, updateProfileSelections, getProfileSelections } from '../content/utils/profile-store.js';
+
+const RESCREEN_DELAY_MS = 3000; // Let a few checkbox clicks in a row settle into one re-check
+
 async function loadSettings() {
   try {
     const settings = await chrome.storage.local.get([
-      'firstName', 'email', 'emailOptIn', 'condition', 'conditions', 'customConditions', 'allergies', 'customAllergies', 'languagePreference'
+      'firstName', 'email', 'emailOptIn', 'languagePreference', 'listingPreScan', 'rescreenOrderHistory'
     ]);
+    // Conditions and allergies come from the profile store (which migrates older layouts)
+    const profile = getProfileSelections(await loadProfile());
 
     // Load first name
     const firstName = settings.firstName || '';
@@ -36,40 +55,45 @@ async function loadSettings() {
     const emailOptIn = settings.emailOptIn || false;
     document.getElementById('email-opt-in').checked = emailOptIn;
 
-    // Load language preference
-    const languagePreference = settings.languagePreference || 'auto';
-    document.getElementById('language-preference').value = languagePreference;
+    // Load search results pre-scan preference (opt-in)
+    document.getElementById('listing-prescan').checked = settings.listingPreScan === true;
 
-    // Load condition settings (with migration from old format)
-    let conditions = settings.conditions || [];
+    // Load order history re-check preference (opt-in) and the last re-check results
+    document.getElementById('rescreen-orders').checked = settings.rescreenOrderHistory === true;
+    renderRescreenReport(await getRescreenReport());
 
-    // Migration: Convert old single condition format to array
-    if (!settings.conditions && settings.condition) {
-      conditions = settings.condition === 'custom' ? [] : [settings.condition];
-      // Migrate to new format
-      await chrome.storage.local.set({ conditions });
+    // Finish a re-check the page was closed before (or while) running
+    const pending = await getPendingRescreen();
+    if (pending.allergies.length > 0 || pending.conditions.length > 0) {
+      clearTimeout(rescreenTimer);
+      rescreenTimer = setTimeout(runRescreen, RESCREEN_DELAY_MS);
     }
 
+    // Load language preference
+    const languagePreference = settings.languagePreference || 'auto';
+    document.getElementById('language-preference').value = languagePreference;
+
     // Check appropriate condition checkboxes
     const conditionCheckboxes = document.querySelectorAll('.condition-item input[type="checkbox"]');
     conditionCheckboxes.forEach(checkbox => {
-      checkbox.checked = conditions.includes(checkbox.value);
+      checkbox.checked = profile.conditions.includes(checkbox.value);
     });
 
     // Load custom conditions
-    const customConditions = settings.customConditions || [];
-    displayCustomConditions(customConditions);
+    displayCustomConditions(profile.customConditions);
 
     // Load common allergen selections
-    const allergies = settings.allergies || [];
     const allergenCheckboxes = document.querySelectorAll('.allergen-item input[type="checkbox"]');
     allergenCheckboxes.forEach(checkbox => {
-      checkbox.checked = allergies.includes(checkbox.value);
+      checkbox.checked = profile.allergies.includes(checkbox.value);
     });
 
     // Load custom allergies
-    const customAllergies = settings.customAllergies || [];
-    displayCustomAllergies(customAllergies);
+    displayCustomAllergies(profile.customAllergies);
+
+    // Load severity / cross-contact settings for the selected allergies
+    allergySettings = profile.allergySettings;
+    renderAllergySeverityList();
 
     // Migration: Initialize profileStatus for existing users
     const profileData = await chrome.storage.local.get(['profileStatus', 'healthProfile']);
@@ -89,6 +113,35 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Saves the search results pre-scan toggle on its own
+ * (it doesn't affect the health profile, so no profile regeneration)
+ */
+async function saveListingPreScan() {
+  try {
+    const listingPreScan = document.getElementById('listing-prescan').checked;
+    await chrome.storage.local.set({ listingPreScan });
+    showStatus(listingPreScan ? 'Search results pre-scan turned on' : 'Search results pre-scan turned off', 'success');
+  } catch (error) {
+    console.error('Error saving pre-scan setting:', error);
+    showStatus('Error saving settings', 'error');
+  }
+}
+
+/**
+ * Saves the order history re-check toggle on its own (no profile regeneration)
+ */
+async function saveRescreenOrderHistory() {
+  try {
+    const rescreenOrderHistory = document.getElementById('rescreen-orders').checked;
+    await chrome.storage.local.set({ rescreenOrderHistory });
+    showStatus(rescreenOrderHistory ? 'Order history will be re-checked when you add an allergy or condition' : 'Order history re-check turned off', 'success');
+  } catch (error) {
+    console.error('Error saving order history setting:', error);
+    showStatus('Error saving settings', 'error');
+  }
+}
+
 async function saveSettings() {
   try {
     const firstName = document.getElementById('first-name').value.trim();
@@ -124,14 +177,28 @@ async function saveSettings() {
     const customAllergies = Array.from(document.querySelectorAll('.custom-allergen-item'))
       .map(item => item.querySelector('span').textContent);
 
-    await chrome.storage.local.set({
-      firstName,
-      email,
-      emailOptIn,
+    // Drop severity settings of allergies that were removed, and list the newly selected ones
+    const allAllergies = [...allergies, ...customAllergies];
+    allergySettings = Object.fromEntries(
+      Object.entries(allergySettings).filter(([allergy]) => allAllergies.includes(allergy))
+    );
+    renderAllergySeverityList();
+
+    // Compare with the stored profile to re-check past products for anything newly added
+    const storedProfile = await loadProfile();
+    const additions = getProfileAdditions(getProfileSelections(storedProfile), { conditions, customConditions, allergies, customAllergies });
+
+    await saveProfile(updateProfileSelections(storedProfile, {
       conditions,
       customConditions,
       allergies,
       customAllergies,
+      allergySettings
+    }));
+    await chrome.storage.local.set({
+      firstName,
+      email,
+      emailOptIn,
       languagePreference
     });
 
@@ -232,12 +299,304 @@ async function saveSettings() {
     }
 
     showStatus(statusMessage, 'success');
+
+    if (additions.allergies.length > 0 || additions.conditions.length > 0) {
+      await scheduleRescreen(additions);
+    }
   } catch (error) {
     console.error('Error saving settings:', error);
     showStatus('Error saving settings', 'error');
   }
 }
 
+// ===================================
+// ALLERGY SEVERITY
+// ===================================
+
+// Allergy → { severity, crossContact }, edited in the list below the allergen grid
+let allergySettings = {};
+
+/**
+ * Get the allergies currently selected on the page (common checkboxes and custom entries)
+ * @returns {Array<Object>} - { value, label }
+ */
+function getSelectedAllergies() {
+  const common = Array.from(document.querySelectorAll('.allergen-item input[type="checkbox"]:checked'))
+    .map(checkbox => ({
+      value: checkbox.value,
+      label: document.querySelector(`label[for="${checkbox.id}"]`)?.textContent || checkbox.value
+    }));
+  const custom = Array.from(document.querySelectorAll('.custom-allergen-item span'))
+    .map(span => ({ value: span.textContent, label: span.textContent }));
+
+  return [...common, ...custom];
+}
+
+/**
+ * Show a severity picker and "cross-contact matters" toggle for every selected allergy
+ */
+function renderAllergySeverityList() {
+  const selected = getSelectedAllergies();
+  const list = document.getElementById('allergy-severity-list');
+  document.getElementById('allergy-severity-group').classList.toggle('hidden', selected.length === 0);
+  list.innerHTML = '';
+
+  selected.forEach(({ value, label }) => {
+    const setting = getAllergySetting(allergySettings, value);
+
+    const item = document.createElement('li');
+    item.className = `allergy-severity-item ${setting.severity}`;
+
+    const name = document.createElement('span');
+    name.className = 'allergy-severity-name';
+    name.textContent = label;
+
+    const severity = document.createElement('select');
+    severity.setAttribute('aria-label', `How severe is your ${label} allergy`);
+    Object.entries(ALLERGY_SEVERITY_LABELS).forEach(([level, text]) => severity.add(new Option(text, level)));
+    severity.value = setting.severity;
+
+    const crossContact = document.createElement('input');
+    crossContact.type = 'checkbox';
+    crossContact.checked = setting.crossContact;
+    const crossContactLabel = document.createElement('label');
+    crossContactLabel.title = 'Count "may contain" and shared facility warnings for this allergy';
+    crossContactLabel.append(crossContact, 'Cross-contact matters');
+
+    const update = () => {
+      allergySettings[value] = { severity: severity.value, crossContact: crossContact.checked };
+      item.className = `allergy-severity-item ${severity.value}`;
+      saveAllergySettings();
+    };
+    severity.addEventListener('change', update);
+    crossContact.addEventListener('change', update);
+
+    item.append(name, severity, crossContactLabel);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Saves the allergy severity settings on their own
+ * (verdicts read them directly, so no profile regeneration)
+ */
+async function saveAllergySettings() {
+  try {
+    const profile = await loadProfile();
+    await saveProfile(updateProfileSelections(profile, { ...getProfileSelections(profile), allergySettings }));
+    showStatus('Allergy severity saved', 'success');
+  } catch (error) {
+    console.error('Error saving allergy severity:', error);
+    showStatus('Error saving settings', 'error');
+  }
+}
+
+// ===================================
+// RE-CHECK PAST PRODUCTS AFTER PROFILE CHANGES
+// ===================================
+
+let rescreenTimer = null;
+let rescreenRun = 0;
+
+/**
+ * Queue a re-check of past products for newly added allergies/conditions.
+ * Additions are stored until a re-check covering them finishes, so saving and closing the page
+ * right away only postpones the re-check to the next visit. Additions made within
+ * RESCREEN_DELAY_MS are checked together; a re-check already running is replaced (its
+ * additions stay pending and are checked by the new one).
+ * @param {Object} additions - { allergies, conditions } from getProfileAdditions()
+ */
+async function scheduleRescreen(additions) {
+  await addPendingRescreen(additions);
+
+  clearTimeout(rescreenTimer);
+  rescreenTimer = setTimeout(runRescreen, RESCREEN_DELAY_MS);
+}
+
+/**
+ * Re-check analyzed (and optionally previously bought) products against the updated profile
+ * for the pending additions
+ */
+async function runRescreen() {
+  const run = ++rescreenRun;
+  const isCancelled = () => run !== rescreenRun;
+
+  try {
+    const additions = await getPendingRescreen();
+    const settings = await chrome.storage.local.get(['rescreenOrderHistory']);
+    const selections = getProfileSelections(await loadProfile());
+    const profile = {
+      allergies: selections.allAllergies,
+      conditions: selections.allConditions,
+      allergySettings: selections.allergySettings
+    };
+
+    // Only additions still in the profile (e.g., not unchecked again right away)
+    const stillAdded = {
+      allergies: additions.allergies.filter(allergy => profile.allergies.includes(allergy)),
+      conditions: additions.conditions.filter(condition => profile.conditions.includes(condition))
+    };
+    const addedNames = [...stillAdded.allergies, ...stillAdded.conditions];
+    if (addedNames.length === 0) {
+      await clearPendingRescreen(additions);
+      return;
+    }
+
+    const history = await getHistory();
+    const orderItems = settings.rescreenOrderHistory ? await loadOrderHistoryItems(history) : [];
+    const products = collectRescreenProducts(history, orderItems);
+    if (products.length === 0) {
+      console.log('Options: No past products to re-check');
+      await clearPendingRescreen(additions);
+      return;
+    }
+
+    console.log(`Options: Re-checking ${products.length} past products for`, addedNames);
+    renderRescreenProgress(`Re-checking ${products.length} past products for ${addedNames.join(', ')}...`);
+
+    const { checked, flagged } = await rescreenProducts(products, profile, stillAdded, {
+      loadProduct: loadRescreenProduct,
+      isCancelled,
+      onProgress: (done, total) => {
+        if (!isCancelled()) {
+          renderRescreenProgress(`Re-checking past products for ${addedNames.join(', ')}: ${done} of ${total}...`);
+        }
+      }
+    });
+    if (isCancelled()) return;
+
+    const report = { createdAt: Date.now(), additions: stillAdded, checked, flagged };
+    await saveRescreenReport(report);
+    await clearPendingRescreen(additions);
+    renderRescreenReport(report);
+    notifyRescreenResults(report);
+  } catch (error) {
+    console.warn('Options: Re-checking past products failed:', error);
+    renderRescreenProgress('Could not re-check your past products. They will be checked again the next time you open this page.');
+  }
+}
+
+/**
+ * Read previously bought products from each retailer's "Buy again" / order history page.
+ * These pages need the user's signed-in session, so they are fetched with cookies.
+ * @param {Array<Object>} history - Analysis history (used to pick each retailer's storefront)
+ * @returns {Promise<Array<Object>>} - { id, site, title, url }
+ */
+async function loadOrderHistoryItems(history) {
+  const items = [];
+
+  for (const retailer of getRetailers().filter(candidate => candidate.buildOrderHistoryUrl)) {
+    const storefrontUrl = history.find(entry => entry.site === retailer.site)?.url || `https://www.${retailer.site}.com/`;
+    const url = getOrderHistoryUrl(storefrontUrl);
+
+    try {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const found = parseOrderHistoryDocument(doc, response.url || url);
+      console.log(`Options: Found ${found.length} previously bought ${retailer.name} products`);
+      items.push(...found.map(item => ({ ...item, site: retailer.site })));
+    } catch (error) {
+      // Signed out or blocked - the analysis history is still checked
+      console.warn(`Options: Could not read ${retailer.name} order history:`, error);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Fetch and parse a past product's page (through the background worker, like listing pre-scans)
+ * @param {Object} product - Product from collectRescreenProducts()
+ * @returns {Promise<Object|null>} - Product data, or null if the page could not be loaded
+ */
+async function loadRescreenProduct(product) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'FETCH_PRODUCT_HTML', url: product.url });
+    if (!response?.ok) {
+      console.warn('Options: Could not fetch past product:', product.url, response?.error);
+      return null;
+    }
+
+    const doc = new DOMParser().parseFromString(response.html, 'text/html');
+    return parseProductDocument(doc, product.url);
+  } catch (error) {
+    console.warn('Options: Could not fetch past product:', product.url, error);
+    return null;
+  }
+}
+
+function renderRescreenProgress(message) {
+  const reportElement = document.getElementById('rescreen-report');
+  reportElement.classList.remove('hidden');
+  reportElement.querySelector('.rescreen-status').textContent = message;
+  reportElement.querySelector('.rescreen-list').replaceChildren();
+}
+
+/**
+ * Show the last re-check results (product titles come from retailer pages, so no innerHTML)
+ * @param {Object|null} report - { createdAt, additions, checked, flagged }
+ */
+function renderRescreenReport(report) {
+  const reportElement = document.getElementById('rescreen-report');
+  if (!report) {
+    reportElement.classList.add('hidden');
+    return;
+  }
+
+  const addedNames = [...report.additions.allergies, ...report.additions.conditions].join(', ');
+  reportElement.classList.remove('hidden');
+  reportElement.querySelector('.rescreen-status').textContent = report.flagged.length > 0
+    ? `${report.flagged.length} of ${report.checked} past products are now a problem for ${addedNames}:`
+    : `Checked ${report.checked} past products for ${addedNames} - none are affected.`;
+
+  const list = reportElement.querySelector('.rescreen-list');
+  list.replaceChildren(...report.flagged.map(product => {
+    const item = document.createElement('li');
+    item.className = `rescreen-item ${product.status}`;
+
+    const link = document.createElement('a');
+    link.href = product.url;
+    link.target = '_blank';
+    link.textContent = product.title || product.url;
+
+    const details = document.createElement('small');
+    details.textContent = [
+      product.sources.includes('orders') ? 'You bought this before' : 'From your analysis history',
+      ...product.reasons
+    ].join(' · ');
+
+    item.append(link, details);
+    return item;
+  }));
+}
+
+/**
+ * Show a desktop notification when past products are now a problem
+ * @param {Object} report - { additions, checked, flagged }
+ */
+function notifyRescreenResults(report) {
+  if (report.flagged.length === 0 || !chrome.notifications) return;
+
+  const addedNames = [...report.additions.allergies, ...report.additions.conditions].join(', ');
+  const regularBuys = report.flagged.filter(product => product.sources.includes('orders'));
+  const examples = (regularBuys.length > 0 ? regularBuys : report.flagged)
+    .slice(0, 3)
+    .map(product => product.title)
+    .join('; ');
+
+  chrome.notifications.create(`shop-well-rescreen-${report.createdAt}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/icon128.png'),
+    title: `${report.flagged.length} past product${report.flagged.length > 1 ? 's' : ''} now flagged for ${addedNames}`,
+    message: examples,
+    priority: 1
+  });
+}
+
 /**
  * Generates a personalized health profile using AI.
  * This profile is stored locally and used for product analysis.
@@ -576,6 +935,12 @@ document.addEventListener('DOMContentLoaded', () => {
   // Auto-save when email opt-in changes
   document.getElementById('email-opt-in').addEventListener('change', saveSettings);
 
+  // Save search results pre-scan toggle
+  document.getElementById('listing-prescan').addEventListener('change', saveListingPreScan);
+
+  // Save order history re-check toggle
+  document.getElementById('rescreen-orders').addEventListener('change', saveRescreenOrderHistory);
+
   // Auto-save when language preference changes
   document.getElementById('language-preference').addEventListener('change', saveSettings);
 
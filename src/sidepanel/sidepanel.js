@@ -1,5 +1,61 @@
 // Shop Well Side Panel - AI-Powered Wellness Analysis
-// All logic inline for compatibility (will be bundled later)
+// Bundled by esbuild (see scripts/build.mjs) so it can share the retailer parsers
+
+import {
+  parseProductDocument,
+  parseSearchDocument,
+  getSearchUrl,
+  getProductId,
+  getRetailerForUrl,
+  getRetailerBySite
+} from '../content/parsers/index.js';
+import { buildPriceModel, formatMoney, formatUnitValue } from '../content/utils/price.js';
+import { describeVariant, getScreenableDimension } from '../content/utils/variants.js';
+import {
+  getCachedAnalysis,
+  setCachedAnalysis,
+  getProductDataHash,
+  getProfileHash
+} from '../content/utils/analysis-cache.js';
+import {
+  createHistoryEntry,
+  addHistoryEntry,
+  getHistory,
+  removeHistoryEntry,
+  clearHistory,
+  filterHistory,
+  getHistoryFacets,
+  getOverallVerdict
+} from '../content/utils/history.js';
+import {
+  MAX_PINNED,
+  createPin,
+  getPinnedAnalyses,
+  pinAnalysis,
+  unpinAnalysis,
+  buildComparison,
+  findVerdictEntry
+} from '../content/utils/compare.js';
+import { NUTRITION_LABELS } from '../content/utils/dom.js';
+import { classifySodiumLevel, classifySugarLevel, screenProduct } from '../content/utils/screen.js';
+import { getAllergen, findAllergens, findAllergensInIngredients } from '../content/utils/allergens.js';
+import { buildAlternativesQuery, rankAlternatives } from '../content/utils/alternatives.js';
+import { loadProfile, getProfileSelections } from '../content/utils/profile-store.js';
+import { getLabelOcrSupport, readLabelImages, fetchProductImage } from '../content/utils/label-ocr.js';
+import { detectCertifications, hasGlutenFreeSeal, describeCertification } from '../content/utils/certifications.js';
+import {
+  evaluateProductSafety,
+  crossCheckVerdict,
+  findIngredientHits,
+  findIngredientHit
+} from '../content/utils/safety-engine.js';
+import {
+  parseAllergenStatements,
+  stripAdvisoryStatements,
+  getAllergenStatementTier,
+  rateCrossContact
+} from '../content/utils/allergen-statements.js';
+import { parsePartialJson, PARTIAL_KEY } from '../content/utils/partial-json.js';
 
 /* =============================================================================
    KNOWLEDGE BASE - Naturally Gluten-Free Foods
@@ -151,6 +207,26 @@ function getVerdictLabel(verdict) {
   return labelMap[verdict] || 'N/A';
 }
 
+/**
+ * Display name for an allergy verdict entry (allergies are stored lowercase)
+ * @param {Object} entry - Allergy verdict entry
+ * @returns {string}
+ */
+function formatAllergyName(entry) {
+  return entry.name.charAt(0).toUpperCase() + entry.name.slice(1);
+}
+
+/**
+ * Verdict entries from a streaming response that are complete enough to show
+ * @param {Array<Object>} entries - Conditions or allergies parsed so far
+ * @returns {Array<Object>} - Entries with a name and a verdict that are no longer being written
+ */
+function getStreamedVerdictEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries.filter(entry => entry && !entry[PARTIAL_KEY] &&
+    typeof entry.name === 'string' && entry.name && ['good', 'warning', 'bad', 'inconclusive'].includes(entry.verdict));
+}
+
 /* =============================================================================
    LANGUAGE UTILITIES
    ============================================================================= */
@@ -313,6 +389,43 @@ function formatInlineMarkdown(text) {
   return text;
 }
 
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats the part of an ingredient list around matched words, with the words marked.
+ * @param {string} text - Ingredient list text
+ * @param {Array<Object>} matches - { term, start, end } offsets in the text, in order
+ * @param {number} context - Characters to show before the first and after the last match
+ * @returns {string} HTML snippet (e.g., "…sugar, <mark>sodium caseinate</mark>, salt…")
+ */
+function formatMatchSnippet(text, matches, context = 40) {
+  // Keep the snippet short when the matches are spread over a long list
+  const shown = matches.filter(match => match.end <= matches[0].start + 200);
+  const from = Math.max(0, matches[0].start - context);
+  const to = Math.min(text.length, shown[shown.length - 1].end + context);
+
+  let html = from > 0 ? '…' : '';
+  let position = from;
+  for (const { start, end } of shown) {
+    if (start < position) continue; // Overlapping match
+    html += escapeHTML(text.slice(position, start)) + `<mark>${escapeHTML(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+  html += escapeHTML(text.slice(position, to)) + (to < text.length ? '…' : '');
+  return html;
+}
+
 /* =============================================================================
    TIMEOUT UTILITIES
    ============================================================================= */
@@ -348,6 +461,63 @@ function withTimeout(promise, timeoutMs, operation = 'Operation') {
   ]);
 }
 
+/**
+ * Prompt a language model session with promptStreaming(), reporting the response as it grows.
+ * The timeout restarts with every chunk, so a long answer that keeps coming is not cut off, and
+ * aborting the signal stops generation. Falls back to prompt() where streaming is missing.
+ *
+ * @param {Object} session - LanguageModel session
+ * @param {string|Array} input - Prompt text or messages
+ * @param {Object} options - Stream options
+ * @param {Function} options.onText - Called with the full response text so far after each chunk
+ * @param {AbortSignal} options.signal - Aborts the stream (rejects with an AbortError)
+ * @param {number} options.timeoutMs - Longest wait for the next chunk in milliseconds
+ * @param {string} options.operation - Description of the operation (for error messages)
+ * @returns {Promise<string>} The complete response
+ */
+async function streamPrompt(session, input, { onText = null, signal = null, timeoutMs = 60000, operation = 'Operation' } = {}) {
+  if (typeof session.promptStreaming !== 'function') {
+    const response = await withTimeout(session.prompt(input, signal ? { signal } : undefined), timeoutMs, operation);
+    onText?.(response);
+    return response;
+  }
+
+  signal?.throwIfAborted();
+  const controller = new AbortController();
+  const abortStream = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', abortStream, { once: true });
+
+  let timer = null;
+  let timedOut = false;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  let response = '';
+  try {
+    restartTimer();
+    for await (const chunk of session.promptStreaming(input, { signal: controller.signal })) {
+      // Older Chrome builds stream the whole response so far, newer ones only the new text
+      response = response && chunk.startsWith(response) ? chunk : response + chunk;
+      restartTimer();
+      onText?.(response);
+    }
+    return response;
+  } catch (error) {
+    if (timedOut) {
+      throw new TimeoutError(`${operation} timed out after ${timeoutMs}ms without output`, operation);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortStream);
+  }
+}
+
 /* =============================================================================
    AI AVAILABILITY DETECTION
    ============================================================================= */
@@ -357,6 +527,7 @@ async function checkAIAvailability() {
     available: false,
     summarizer: false,
     prompt: false,
+    imageInput: false,
     error: null,
     details: {}
   };
@@ -376,6 +547,22 @@ async function checkAIAvailability() {
         console.warn('Shop Well: LanguageModel availability check failed:', error);
         result.details.promptError = error.message;
       }
+
+      // Multimodal input: lets the verdict prompt see the product and label photos
+      if (result.prompt) {
+        try {
+          const imageAvailability = await LanguageModel.availability({
+            expectedInputs: [{ type: 'text' }, { type: 'image' }]
+          });
+          result.imageInput = imageAvailability === 'readily' || imageAvailability === 'available';
+          result.details.imageInput = { available: imageAvailability };
+          console.log('Shop Well: LanguageModel image input availability:', imageAvailability);
+        } catch (error) {
+          // Builds without multimodal support reject the image input type outright
+          console.log('Shop Well: LanguageModel image input not supported:', error.message);
+          result.details.imageInput = { available: 'no' };
+        }
+      }
     }
 
     // Check for Summarizer API - Use global object in extensions
@@ -518,6 +705,148 @@ function prepareInputText(productData) {
   return inputText;
 }
 
+/**
+ * Apply parsed Nutrition Facts to extracted facts.
+ * Label numbers always take precedence over AI or keyword estimates.
+ * @param {Object} facts - Facts object to update
+ * @param {Object|null} nutrition - Nutrition object from the product parser
+ * @returns {Object} - The updated facts
+ */
+function applyNutritionFacts(facts, nutrition) {
+  if (!nutrition) {
+    return facts;
+  }
+
+  facts.nutrition = nutrition;
+
+  if (nutrition.sodium) {
+    facts.sodium_level = classifySodiumLevel(nutrition.sodium.amount);
+  }
+
+  const sugar = nutrition.totalSugars || nutrition.addedSugars;
+  if (sugar) {
+    facts.sugar_level = classifySugarLevel(sugar.amount);
+  }
+
+  facts.high_sodium = facts.sodium_level === 'high';
+  facts.high_sugar = facts.sugar_level === 'high';
+
+  console.log('Shop Well: Nutrition levels from label:', {
+    sodium: facts.sodium_level,
+    sugar: facts.sugar_level
+  });
+  return facts;
+}
+
+/**
+ * Fill in the ingredients and Nutrition Facts read from the product's gallery photos.
+ * Fields the page itself provided are left alone; filled fields get the 'image' provenance.
+ * @param {Object} productData - Product data (updated in place)
+ * @param {Object|null} labelImage - Result of readLabelImages()
+ * @returns {Object} - The updated product data
+ */
+function applyLabelImageText(productData, labelImage) {
+  if (!labelImage) return productData;
+
+  productData.provenance = { ...(productData.provenance || {}) };
+  if (!productData.ingredients && labelImage.ingredients) {
+    productData.ingredients = labelImage.ingredients;
+    productData.provenance.ingredients = 'image';
+  }
+  if (!productData.nutrition && labelImage.nutrition) {
+    productData.nutrition = labelImage.nutrition;
+    productData.provenance.nutrition = 'image';
+  }
+  productData.labelImage = labelImage;
+
+  return productData;
+}
+
+/**
+ * Record the label's allergen statements on extracted facts.
+ * "Contains" statements name real ingredients and are added to allergen_warnings; allergens that
+ * are only named in "may contain" or facility statements are removed from it, so the verdict can
+ * rate them as cross-contact risks instead of ingredients.
+ * @param {Object} facts - Facts object to update
+ * @param {Object} productData - Product data (title, ingredients, bullets, description)
+ * @returns {Object} - The updated facts
+ */
+function applyAllergenStatements(facts, productData) {
+  const labelText = [productData.ingredients, ...(productData.bullets || []), productData.description]
+    .filter(Boolean)
+    .join('\n');
+  const statements = parseAllergenStatements(labelText);
+  facts.allergen_statements = statements;
+
+  statements.contains.forEach(allergen => {
+    if (!facts.allergen_warnings.includes(allergen)) {
+      facts.allergen_warnings.push(allergen);
+    }
+  });
+
+  const ingredientText = stripAdvisoryStatements([productData.title, productData.ingredients].filter(Boolean).join('\n'));
+  const advisoryOnly = [...statements.may_contain, ...statements.facility];
+  facts.allergen_warnings = facts.allergen_warnings.filter(warning => {
+    const allergen = getAllergen(warning)?.id || warning.toLowerCase();
+    return !advisoryOnly.includes(allergen) || findAllergensInIngredients(ingredientText, [allergen]).length > 0;
+  });
+
+  if (statements.statements.length > 0) {
+    console.log('Shop Well: Allergen statements on label:', {
+      contains: statements.contains,
+      may_contain: statements.may_contain,
+      facility: statements.facility
+    });
+  }
+  return facts;
+}
+
+/**
+ * Record the product's certifications and seals on extracted facts. A third-party gluten-free
+ * certification settles the gluten status; a plain "gluten-free" claim does not count as one.
+ * @param {Object} facts - Facts object to update
+ * @param {Object} productData - Product data (certifications from the parser, or the text to detect them in)
+ * @returns {Object} - The updated facts
+ */
+function applyCertifications(facts, productData) {
+  facts.certifications = productData.certifications || detectCertifications(productData);
+
+  // Only a seal from a named certifying body overrides what the ingredients and claims say
+  facts.gluten_certified = hasGlutenFreeSeal(facts.certifications);
+  if (facts.gluten_certified) {
+    facts.gluten_status = 'gluten-free';
+    if (!facts.dietary_claims.includes('certified gluten-free')) {
+      facts.dietary_claims.push('certified gluten-free');
+    }
+  }
+  return facts;
+}
+
+/**
+ * Format Nutrition Facts as a single line for prompts
+ * @param {Object|null} nutrition - Nutrition object from the product parser
+ * @returns {string} - e.g. "Serving size 1 bar (40g); Calories 190; Sodium 480mg (21% DV)" or empty string
+ */
+function formatNutritionFacts(nutrition) {
+  if (!nutrition) {
+    return '';
+  }
+
+  const parts = [];
+  if (nutrition.servingSize) parts.push(`Serving size ${nutrition.servingSize}`);
+  if (nutrition.calories !== null) parts.push(`Calories ${nutrition.calories}`);
+
+  for (const [field, label] of Object.entries(NUTRITION_LABELS)) {
+    const value = nutrition[field];
+    if (value) {
+      const dailyValue = value.dailyValue !== null ? ` (${value.dailyValue}% DV)` : '';
+      parts.push(`${label} ${value.amount}${value.unit}${dailyValue}`);
+    }
+  }
+
+  return parts.join('; ');
+}
+
 /**
  * Uses AI to extract structured nutritional facts from product data.
  * Replaces broken keyword matching with semantic understanding.
@@ -559,6 +888,7 @@ async function extractFactsWithAI(summary, productData) {
 PRODUCT DATA:
 Title: ${productData.title || 'Unknown'}
 Ingredients: ${productData.ingredients || 'Not listed'}
+Nutrition Facts: ${formatNutritionFacts(productData.nutrition) || 'Not listed'}
 Features: ${(productData.bullets || []).slice(0, 5).join('; ')}
 Summary: ${summary}
 
@@ -660,6 +990,15 @@ Return ONLY a JSON object with this structure (no other text):
     facts.data_quality = 'Fact extraction error';
   }
 
+  // Nutrition Facts label values override the AI's sodium/sugar estimates
+  applyNutritionFacts(facts, productData.nutrition);
+
+  // "Contains" vs "may contain" / facility statements from the label text
+  applyAllergenStatements(facts, productData);
+
+  // Third-party seals (GFCO, USDA Organic, ...) as structured claims
+  applyCertifications(facts, productData);
+
   // Step 3: Non-nutritional fact extraction (keep existing keyword logic for these)
   const summaryLower = summary.toLowerCase();
   const titleLower = (productData.title || '').toLowerCase();
@@ -708,7 +1047,9 @@ function parseStructuredFacts(summary, productData) {
   const summaryLower = summary.toLowerCase();
   const titleLower = (productData.title || '').toLowerCase();
   const bulletsText = (productData.bullets || []).join(' ').toLowerCase();
-  const ingredientsLower = (productData.ingredients || '').toLowerCase();
+  // Cross-contact statements ("may contain peanuts") are not ingredients
+  const ingredientsLower = stripAdvisoryStatements(productData.ingredients || '').toLowerCase();
+  const allergenSummaryLower = stripAdvisoryStatements(summary).toLowerCase();
 
   // Legacy keyword-based detection (⚠️ Known to cause false positives)
   // Only set to moderate/high if explicitly stated
@@ -724,6 +1065,9 @@ function parseStructuredFacts(summary, productData) {
     facts.sugar_level = 'none';
   }
 
+  // Numeric Nutrition Facts replace keyword guesses when the label was parsed
+  applyNutritionFacts(facts, productData.nutrition);
+
   if (summaryLower.includes('gluten-free') || summaryLower.includes('gluten free') ||
       titleLower.includes('gluten-free') || bulletsText.includes('gluten-free')) {
     facts.gluten_status = 'gluten-free';
@@ -746,27 +1090,10 @@ function parseStructuredFacts(summary, productData) {
     facts.ergonomic_design = true;
   }
 
-  // Allergen detection
-  const allergenPatterns = {
-    'peanuts': ['peanut', 'groundnut'],
-    'tree-nuts': ['almond', 'walnut', 'pecan', 'cashew', 'hazelnut'],
-    'milk': ['milk', 'dairy', 'cheese', 'whey', 'casein'],
-    'eggs': ['egg', 'albumin'],
-    'wheat': ['wheat', 'flour'],
-    'soy': ['soy', 'soybean'],
-    'fish': ['fish', 'salmon', 'tuna'],
-    'shellfish': ['shrimp', 'crab', 'lobster'],
-    'sesame': ['sesame', 'tahini']
-  };
-
-  for (const [allergen, patterns] of Object.entries(allergenPatterns)) {
-    for (const pattern of patterns) {
-      if (ingredientsLower.includes(pattern) || summaryLower.includes(pattern)) {
-        facts.allergen_warnings.push(allergen);
-        break;
-      }
-    }
-  }
+  // Allergen detection (shared allergen knowledge base)
+  facts.allergen_warnings.push(...findAllergens([ingredientsLower, allergenSummaryLower].join('\n')));
+  applyAllergenStatements(facts, productData);
+  applyCertifications(facts, productData);
 
   // Confidence assessment
   if (productData.ingredients || (productData.bullets && productData.bullets.length >= 3)) {
@@ -803,7 +1130,69 @@ function createFallbackFacts(productData) {
    AI PROMPT - Generate Wellness Verdict
    ============================================================================= */
 
-async function generateVerdict(facts, conditions, allergies = [], cachedLanguageModel = null, firstName = '', productData = null) {
+/**
+ * Most photos sent with a verdict prompt (each one adds to the prompt's token count)
+ */
+const MAX_VERDICT_IMAGES = 3;
+
+/**
+ * Added to the verdict prompt when product photos are attached
+ */
+const IMAGE_INPUT_INSTRUCTIONS = `
+PRODUCT PHOTOS:
+The attached images are photos of this product (the main listing photo first, then any label photos).
+- Use claims printed on the packaging as evidence: "gluten free" seals, allergen callouts ("Contains: milk", "peanut free"), certification logos (Certified Gluten-Free, vegan, kosher, organic)
+- Only count a claim or logo you can clearly read; ignore blurry or partly hidden text
+- If a photo contradicts the ingredient list above, trust the ingredient list and mention the conflict in brief_reason
+- Say in brief_reason when a verdict relies on something seen only in a photo`;
+
+/**
+ * Language model sessions created with image input (a text-only session rejects image prompts)
+ */
+const imageInputSessions = new WeakSet();
+
+/**
+ * Pick the product photos to send with the verdict prompt: the main image, then label photos
+ * @param {Object|null} productData - Product data (images from the parser, labelImage from label OCR)
+ * @returns {string[]} - Image URLs
+ */
+function getVerdictImageUrls(productData) {
+  if (!productData) return [];
+
+  const urls = [
+    productData.images?.[0] || productData.image,
+    ...(productData.labelImage?.images || [])
+  ].filter(Boolean);
+  return [...new Set(urls)].slice(0, MAX_VERDICT_IMAGES);
+}
+
+/**
+ * Download the product photos for the verdict prompt
+ * @param {Object|null} productData - Product data
+ * @returns {Promise<Blob[]>} - Images that loaded (may be empty)
+ */
+async function loadVerdictImages(productData) {
+  const images = await Promise.all(getVerdictImageUrls(productData).map(fetchProductImage));
+  return images.filter(Boolean);
+}
+
+/**
+ * Generate the verdict for the user's conditions and allergies with the Prompt API
+ * @param {Object} facts - Extracted product facts
+ * @param {string[]} conditions - User's health conditions
+ * @param {string[]} allergies - User's allergies
+ * @param {Object|null} cachedLanguageModel - Session to reuse
+ * @param {string} firstName - User's first name
+ * @param {Object|null} productData - Product data
+ * @param {Object} allergySettings - Allergy → { severity, crossContact } from storage
+ * @param {boolean} imageInput - Whether the model accepts image input
+ * @param {Object} options - Streaming options
+ * @param {AbortSignal} options.signal - Aborts generation
+ * @param {Function} options.onPartialVerdict - Called with the verdict JSON parsed so far while it streams
+ * @returns {Promise<Object>} - { verdict, languageModel }
+ */
+async function generateVerdict(facts, conditions, allergies = [], cachedLanguageModel = null, firstName = '', productData = null, allergySettings = {}, imageInput = false, { signal = null, onPartialVerdict = null } = {}) {
+  let session = cachedLanguageModel;
   try {
     console.log('Shop Well: Starting AI verdict generation...');
     console.log('Shop Well: Analyzing for conditions:', conditions);
@@ -844,7 +1233,12 @@ async function generateVerdict(facts, conditions, allergies = [], cachedLanguage
     const apiLanguage = getAPICompatibleLanguage(language.code);
 
     // Reuse cached language model or create new one
-    let session = cachedLanguageModel;
+    let textOnlySession = null;
+    if (session && imageInput && !imageInputSessions.has(session)) {
+      console.log('Shop Well: Cached language model session has no image input, replacing it');
+      textOnlySession = session;
+      session = null;
+    }
     if (!session) {
       console.log('Shop Well: Creating new language model session (first-time may take 60-90s)...');
       // Wrap AI calls with extended timeout (first-time can take 60-90s)
@@ -860,7 +1254,9 @@ async function generateVerdict(facts, conditions, allergies = [], cachedLanguage
             {
               type: "text",
               languages: [apiLanguage]
-            }
+            },
+            // Only request image input when the model supports it, or create() fails
+            ...(imageInput ? [{ type: "image" }] : [])
           ],
           expectedOutputs: [
             {
@@ -872,16 +1268,57 @@ async function generateVerdict(facts, conditions, allergies = [], cachedLanguage
         90000,
         'Language model session creation'
       );
+      if (imageInput) {
+        imageInputSessions.add(session);
+      }
+      textOnlySession?.destroy();
       console.log('Shop Well: Language model session created successfully');
     } else {
       console.log('Shop Well: Reusing cached language model session (fast path)');
     }
 
-    const response = await withTimeout(
-      session.prompt(userPrompt),
-      60000,
-      'Verdict generation'
-    );
+    // Stream the response so the side panel can show each verdict as soon as it is written
+    const validatedAllergies = new Map(); // Finished entries are validated once, not on every chunk
+    const streamOptions = {
+      signal,
+      onText: onPartialVerdict && (text => {
+        const partial = parsePartialJson(text);
+        if (!partial) return;
+        // Finished allergy cards get the same safety override and cross-contact rating as the final verdict
+        const allergies = getStreamedVerdictEntries(partial.allergies).map(entry => {
+          const key = `${entry.name}|${entry.verdict}|${entry.brief_reason}`;
+          if (!validatedAllergies.has(key)) {
+            validatedAllergies.set(key, validateAllergyEntry(entry, facts, allergySettings));
+          }
+          return validatedAllergies.get(key);
+        });
+        onPartialVerdict({ ...partial, allergies });
+      })
+    };
+
+    // Packaging claims and logos that only appear in the photos
+    const images = imageInput ? await loadVerdictImages(productData) : [];
+    let response;
+    if (images.length > 0) {
+      console.log('Shop Well: Sending', images.length, 'product photos with the verdict prompt');
+      try {
+        response = await streamPrompt(session, [{
+          role: 'user',
+          content: [
+            { type: 'text', value: userPrompt + IMAGE_INPUT_INSTRUCTIONS },
+            ...images.map(image => ({ type: 'image', value: image }))
+          ]
+        }], { ...streamOptions, timeoutMs: 90000, operation: 'Verdict generation with photos' });
+      } catch (error) {
+        if (error instanceof TimeoutError || error.name === 'AbortError') throw error;
+        // E.g. a cached session created before image input was available - retry with text only
+        console.warn('Shop Well: Verdict prompt with photos failed, retrying without them:', error);
+        images.length = 0;
+      }
+    }
+    if (response === undefined) {
+      response = await streamPrompt(session, userPrompt, { ...streamOptions, timeoutMs: 60000, operation: 'Verdict generation' });
+    }
     console.log('Shop Well: Raw AI response:', response);
     console.log('Shop Well: Response type:', typeof response);
     console.log('Shop Well: Response length:', response?.length || 0);
@@ -893,12 +1330,15 @@ async function generateVerdict(facts, conditions, allergies = [], cachedLanguage
       console.log('Shop Well: Falling back to basic verdict generation');
 
       // Fall back to basic verdict
-      const verdict = createFallbackVerdict(facts, allergies, conditions);
+      const verdict = createFallbackVerdict(facts, allergies, conditions, allergySettings);
       console.log('Shop Well: Generated fallback verdict:', verdict);
       return { verdict, languageModel: session };
     }
 
-    const verdict = parseVerdictResponse(response, facts, allergies, conditions);
+    const verdict = parseVerdictResponse(response, facts, allergies, conditions, allergySettings);
+    if (images.length > 0) {
+      verdict.image_inputs = images.length;
+    }
     console.log('Shop Well: Generated verdict:', verdict);
 
     return { verdict, languageModel: session };
@@ -907,10 +1347,96 @@ async function generateVerdict(facts, conditions, allergies = [], cachedLanguage
     if (error instanceof TimeoutError) {
       console.error('Shop Well: Verdict generation timed out:', error.operation);
       console.warn('Shop Well: AI models may still be downloading or Chrome needs restart');
+    } else if (error.name === 'AbortError') {
+      console.log('Shop Well: Verdict generation cancelled');
     } else {
       console.error('Shop Well: Verdict generation failed:', error);
     }
-    return { verdict: null, languageModel: cachedLanguageModel };
+    return { verdict: null, languageModel: session };
+  }
+}
+
+/**
+ * Ask the language model which pinned product fits the user's profile better
+ * @param {Array<Object>} pins - Pinned analyses (2-4)
+ * @param {Array<string>} conditions - User's health conditions
+ * @param {Array<string>} allergies - User's allergies
+ * @param {string} firstName - User's first name for personalization
+ * @returns {Promise<string|null>} - Summary text, or null if it could not be generated
+ */
+async function generateComparisonSummary(pins, conditions, allergies = [], firstName = '') {
+  // A session of its own: the cached verdict session carries the verdict JSON system prompt,
+  // and a comparison turn left in its context would skew later verdicts
+  let session = null;
+  try {
+    if (typeof LanguageModel === 'undefined') {
+      console.warn('Shop Well: Prompt API not available');
+      return null;
+    }
+
+    const language = await getUserLanguage();
+    const personalization = getPersonalization(firstName);
+    const conditionsList = conditions.join(', ') || 'general wellness';
+
+    const products = pins.map((pin, index) => {
+      const verdicts = [...pin.verdict.conditions, ...pin.verdict.allergies]
+        .map(entry => `${entry.name}: ${entry.verdict} (${entry.brief_reason})`)
+        .join('; ');
+      const unitValue = formatUnitValue(pin.pricing);
+
+      return `PRODUCT ${index + 1}: ${pin.title}
+- Price: ${pin.pricing ? formatMoney(pin.pricing.amount, pin.pricing.currency) : pin.price || 'unknown'}${unitValue ? ` (${unitValue})` : ''}
+- Verdicts: ${verdicts || 'none'}
+- Sodium level: ${pin.facts.sodium_level || 'unknown'}, sugar level: ${pin.facts.sugar_level || 'unknown'}
+${pin.nutrition ? `- Nutrition Facts (per serving): ${formatNutritionFacts(pin.nutrition)}` : ''}
+- Allergen warnings: ${pin.facts.allergen_warnings.join(', ') || 'none'}`;
+    }).join('\n\n');
+
+    const prompt = `You are a wellness shopping assistant helping someone with ${conditionsList}${allergies.length > 0 ? ` and allergies to ${allergies.join(', ')}` : ''}.
+
+Compare these ${pins.length} products:
+
+${products}
+
+CRITICAL RULES:
+- Say which product fits ${personalization.possessive} profile better and why, citing the verdicts and nutrition above
+- Any product with an allergen verdict of "bad" must NOT be recommended
+- Mention price per unit only if it separates otherwise similar products
+- ALWAYS address the user directly as "you/your"
+- Use supportive language like "may", "could", "consider"
+- Never provide medical advice or diagnosis
+- Keep the response under 120 words, plain text
+${getLanguageInstruction(language.code)}`;
+
+    console.log('Shop Well: Creating language model for comparison');
+    const apiLanguage = getAPICompatibleLanguage(language.code);
+    session = await withTimeout(
+      LanguageModel.create({
+        expectedInputs: [{ type: 'text', languages: [apiLanguage] }],
+        expectedOutputs: [{ type: 'text', languages: [apiLanguage] }]
+      }),
+      90000,
+      'Comparison language model creation'
+    );
+
+    const response = await withTimeout(
+      session.prompt(prompt),
+      60000,
+      'Comparison summary generation'
+    );
+    console.log('Shop Well: Comparison summary:', response);
+
+    return typeof response === 'string' ? response.trim() || null : null;
+
+  } catch (error) {
+    if (error instanceof TimeoutError) {
+      console.error('Shop Well: Comparison summary timed out:', error.operation);
+    } else {
+      console.error('Shop Well: Comparison summary failed:', error);
+    }
+    return null;
+  } finally {
+    session?.destroy();
   }
 }
 
@@ -1294,7 +1820,8 @@ CRITICAL RULES:
 - Example: "Plain eggs with high sodium" is INCORRECT - trust nutritional knowledge over extracted facts
 - For sodium levels: "none" = no sodium, "low" = <140mg, "moderate" = 140-400mg, "high" = >400mg, "unknown" = no data
 - For sugar levels: "none" = no sugar, "low" = <5g, "moderate" = 5-15g, "high" = >15g, "unknown" = no data
-- For gluten: "gluten-free" = safe for celiac, "contains-gluten" = has wheat/barley/rye, "unknown" = insufficient data
+- For gluten: "gluten-free" = no gluten grains found, "contains-gluten" = has wheat/barley/rye, "unknown" = insufficient data
+- A third-party gluten-free certification (GFCO, Celiac Support Association, GFCP) is stronger evidence than a "gluten-free" marketing claim: for celiac, rate a certified product "good", and a product with only an uncertified claim at most "warning" unless it is a naturally gluten-free food
 - If facts show "unknown", state "Unable to determine from product information" rather than making assumptions
 
 SODIUM GUIDANCE (CONDITION-SPECIFIC):
@@ -1376,9 +1903,13 @@ ${allergenList}
 Product nutritional profile:
 ${conditionsArray.some(c => c.toLowerCase().includes('pots')) ? `- Sodium level: ${facts.sodium_level || 'unknown'}` : ''}
 - Sugar level: ${facts.sugar_level || 'unknown'}
+${facts.nutrition ? `- Nutrition Facts (per serving): ${formatNutritionFacts(facts.nutrition)}` : ''}
 - Gluten status: ${facts.gluten_status || 'unknown'}
 - Allergen warnings: ${facts.allergen_warnings.join(', ') || 'none detected'}
+${facts.allergen_statements?.may_contain.length > 0 ? `- "May contain" (cross-contact, not an ingredient): ${facts.allergen_statements.may_contain.join(', ')}` : ''}
+${facts.allergen_statements?.facility.length > 0 ? `- Shared facility/equipment (cross-contact, not an ingredient): ${facts.allergen_statements.facility.join(', ')}` : ''}
 - Dietary claims: ${facts.dietary_claims.join(', ') || 'none'}
+- Certifications and seals: ${(facts.certifications || []).map(describeCertification).join(', ') || 'none found'}
 
 Product characteristics:
 - Compression garment: ${facts.compression_garment}
@@ -1436,6 +1967,7 @@ For EACH allergen in the allergies array, check if the product contains that all
 - If the PRODUCT NAME itself indicates it IS the allergen (e.g., "Milk", "Whole Milk", "Eggs", "Cheese", "Peanut Butter"): verdict is "bad"
 - If allergen is detected in ingredients: "bad"
 - If allergen is ABSENT from BOTH product name AND ingredients: "good"
+- If allergen appears ONLY in a "may contain" or shared facility/equipment statement: "warning" (cross-contact risk, not an ingredient)
 - If uncertain: "warning" or "inconclusive"
 
 CRITICAL: A product can BE an allergen itself. Examples:
@@ -1482,7 +2014,7 @@ function getConditionSpecificGuidance(conditions) {
 - Explain HOW each feature helps with energy management and PEM (post-exertional malaise) prevention`,
 
     'Celiac Disease': `Celiac Disease considerations:
-- Gluten-free certification: ONLY certified gluten-free products are safe (look for official seals)
+- Gluten-free certification: ONLY certified gluten-free products are safe (look for official seals - see "Certifications and seals" above; a label claim is not a certification)
 - Cross-contamination: Check manufacturing warnings about shared facilities with wheat/barley/rye
 - Hidden gluten: Watch for barley malt, wheat starch, or modified food starch in ingredients
 - Nutritional adequacy: Gluten-free products should provide adequate fiber, B vitamins, and iron
@@ -1608,9 +2140,10 @@ function fixLiteralControlChars(jsonStr) {
  * @param {Object} facts - Product facts
  * @param {Array} allergies - User allergies
  * @param {Array} conditions - User health conditions
+ * @param {Object} allergySettings - Allergy → { severity, crossContact } for cross-contact statements
  * @returns {Object} - Validated verdict object
  */
-function parseVerdictResponse(response, facts, allergies, conditions = []) {
+function parseVerdictResponse(response, facts, allergies, conditions = [], allergySettings = {}) {
   console.log('Shop Well: Parsing AI response (length:', response.length, 'chars)');
   console.log('Shop Well: Response preview:', response.substring(0, 200));
 
@@ -1634,7 +2167,7 @@ function parseVerdictResponse(response, facts, allergies, conditions = []) {
   try {
     const verdict = JSON.parse(fixedJSON);
     console.log('Shop Well: ✓ Successfully parsed AI response');
-    return validateVerdict(verdict, facts, allergies, conditions);
+    return validateVerdict(verdict, facts, allergies, conditions, allergySettings);
   } catch (e) {
     // Parsing failed - log detailed error and use fallback
     console.error('Shop Well: ✗ JSON parsing failed:', e.message);
@@ -1657,12 +2190,54 @@ function parseVerdictResponse(response, facts, allergies, conditions = []) {
     console.error('Problematic JSON (first 500 chars):', fixedJSON.substring(0, 500));
     console.error('Problematic JSON (last 200 chars):', fixedJSON.substring(fixedJSON.length - 200));
 
-    const verdict = createFallbackVerdict(facts, allergies, conditions);
-    return validateVerdict(verdict, facts, allergies, conditions);
+    const verdict = createFallbackVerdict(facts, allergies, conditions, allergySettings);
+    return validateVerdict(verdict, facts, allergies, conditions, allergySettings);
+  }
+}
+
+/**
+ * Validate one allergy entry from the AI verdict: allergens detected in the ingredients can't be
+ * "good", and cross-contact statements are rated by the allergy's severity setting
+ * @param {Object} entry - Allergy entry from the AI ({ name, verdict, brief_reason })
+ * @param {Object} facts - Extracted facts (allergen_warnings, allergen_statements)
+ * @param {Object} allergySettings - Allergy → { severity, crossContact } from storage
+ * @returns {Object} - { name, verdict, brief_reason }
+ */
+function validateAllergyEntry(entry, facts, allergySettings = {}) {
+  const allergenName = entry.name || 'Unknown';
+  let allergenVerdict = ['good', 'warning', 'bad', 'inconclusive'].includes(entry.verdict) ? entry.verdict : 'inconclusive';
+  let briefReason = typeof entry.brief_reason === 'string' ? entry.brief_reason : 'Analysis unavailable';
+
+  // SAFETY CHECK: Cross-check AI verdict against detected allergen warnings
+  // If allergen is in facts.allergen_warnings but AI said "good", override to "bad"
+  const allergenLower = allergenName.toLowerCase();
+  const detectedInWarnings = facts.allergen_warnings.some(warning =>
+    warning.toLowerCase().includes(allergenLower) ||
+    allergenLower.includes(warning.toLowerCase())
+  );
+
+  if (detectedInWarnings && allergenVerdict === 'good') {
+    console.warn(`Shop Well: SAFETY OVERRIDE - AI said "${allergenName}" is good, but it was detected in allergen warnings. Overriding to "bad".`);
+    allergenVerdict = 'bad';
+    briefReason = 'Allergen detected in product ingredients (safety override)';
+  }
+
+  // Cross-contact statements are rated by the allergy's severity setting, not by the AI's reading
+  const crossContact = detectedInWarnings ? null : rateCrossContact(allergenName, facts.allergen_statements, allergySettings);
+  if (crossContact && crossContact.verdict !== allergenVerdict) {
+    console.log(`Shop Well: "${allergenName}" only in a cross-contact statement - using "${crossContact.verdict}" instead of "${allergenVerdict}"`);
+    allergenVerdict = crossContact.verdict;
+    briefReason = crossContact.brief_reason;
   }
+
+  return {
+    name: allergenName,
+    verdict: allergenVerdict,
+    brief_reason: briefReason
+  };
 }
 
-function validateVerdict(verdict, facts, allergies, conditions = []) {
+function validateVerdict(verdict, facts, allergies, conditions = [], allergySettings = {}) {
   const sanitized = {
     conditions: [],
     allergies: [],
@@ -1688,31 +2263,7 @@ function validateVerdict(verdict, facts, allergies, conditions = []) {
 
   // Validate allergies array
   if (Array.isArray(verdict.allergies) && verdict.allergies.length > 0) {
-    sanitized.allergies = verdict.allergies.map(a => {
-      const allergenName = a.name || 'Unknown';
-      let allergenVerdict = ['good', 'warning', 'bad', 'inconclusive'].includes(a.verdict) ? a.verdict : 'inconclusive';
-      let briefReason = typeof a.brief_reason === 'string' ? a.brief_reason : 'Analysis unavailable';
-
-      // SAFETY CHECK: Cross-check AI verdict against detected allergen warnings
-      // If allergen is in facts.allergen_warnings but AI said "good", override to "bad"
-      const allergenLower = allergenName.toLowerCase();
-      const detectedInWarnings = facts.allergen_warnings.some(warning =>
-        warning.toLowerCase().includes(allergenLower) ||
-        allergenLower.includes(warning.toLowerCase())
-      );
-
-      if (detectedInWarnings && allergenVerdict === 'good') {
-        console.warn(`Shop Well: SAFETY OVERRIDE - AI said "${allergenName}" is good, but it was detected in allergen warnings. Overriding to "bad".`);
-        allergenVerdict = 'bad';
-        briefReason = 'Allergen detected in product ingredients (safety override)';
-      }
-
-      return {
-        name: allergenName,
-        verdict: allergenVerdict,
-        brief_reason: briefReason
-      };
-    });
+    sanitized.allergies = verdict.allergies.map(a => validateAllergyEntry(a, facts, allergySettings));
   } else {
     // If AI didn't return allergies, create fallback entries for each user allergen
     sanitized.allergies = allergies.map(name => {
@@ -1723,6 +2274,11 @@ function validateVerdict(verdict, facts, allergies, conditions = []) {
         allergenLower.includes(warning.toLowerCase())
       );
 
+      const crossContact = detected ? null : rateCrossContact(name, facts.allergen_statements, allergySettings);
+      if (crossContact) {
+        return { name, verdict: crossContact.verdict, brief_reason: crossContact.brief_reason };
+      }
+
       return {
         name,
         verdict: detected ? 'bad' : 'good',
@@ -1741,7 +2297,7 @@ function validateVerdict(verdict, facts, allergies, conditions = []) {
   return sanitized;
 }
 
-function createFallbackVerdict(facts, allergies = [], conditions = []) {
+function createFallbackVerdict(facts, allergies = [], conditions = [], allergySettings = {}) {
   console.log('Shop Well: Creating fallback verdict (no AI)');
 
   const caveat = 'AI analysis unavailable. Please verify details manually.';
@@ -1761,12 +2317,16 @@ function createFallbackVerdict(facts, allergies = [], conditions = []) {
       allergenLower.includes(warning.toLowerCase())
     );
 
+    const crossContact = detected ? null : rateCrossContact(allergen, facts.allergen_statements, allergySettings);
+
     if (detected) {
       return {
         name: allergen,
         verdict: 'bad',
         brief_reason: 'Allergen detected in product ingredients or warnings'
       };
+    } else if (crossContact) {
+      return { name: allergen, verdict: crossContact.verdict, brief_reason: crossContact.brief_reason };
     } else {
       return {
         name: allergen,
@@ -1907,129 +2467,8 @@ function parseProductHTML(html, url) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(html, 'text/html');
 
-    // Detect site from URL
-    const isAmazon = url.includes('amazon.com');
-    const isWalmart = url.includes('walmart.com');
-
-    if (!isAmazon && !isWalmart) {
-      console.warn('Shop Well: Unknown site, cannot parse');
-      return null;
-    }
-
-    // Helper function to get text from selectors (adapted from dom.js)
-    const getText = (selectors) => {
-      const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
-      for (const selector of selectorArray) {
-        const element = doc.querySelector(selector);
-        if (element && element.textContent) {
-          return element.textContent.trim();
-        }
-      }
-      return '';
-    };
-
-    // Helper function to get text array
-    const getTextArray = (selectors, limit = 10) => {
-      const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
-      for (const selector of selectorArray) {
-        const elements = doc.querySelectorAll(selector);
-        if (elements.length > 0) {
-          const texts = Array.from(elements)
-            .map(el => el.textContent?.trim())
-            .filter(text => text && text.length > 3)
-            .slice(0, limit);
-          if (texts.length > 0) return texts;
-        }
-      }
-      return [];
-    };
-
-    // Parse based on site
-    if (isAmazon) {
-      return {
-        site: 'amazon',
-        url: url,
-        title: getText([
-          '#productTitle',
-          'h1.a-size-large',
-          'h1[data-automation-id="product-title"]',
-          'h1'
-        ]),
-        bullets: getTextArray([
-          '#feature-bullets ul li span',
-          '#feature-bullets li',
-          '.a-unordered-list.a-vertical.a-spacing-mini li',
-          '[data-feature-name="featurebullets"] li'
-        ]),
-        description: getText([
-          '#productDescription p',
-          '#productDescription',
-          '#aplus_feature_div',
-          '[data-feature-name="productDescription"]'
-        ]).substring(0, 1000),
-        ingredients: getText([
-          '[data-feature-name="ingredients"]',
-          '#ingredients',
-          '.ingredients',
-          '#detailBullets_feature_div .ingredients'
-        ]),
-        price: getText([
-          '.a-price.a-text-price.a-size-medium.apexPriceToPay .a-offscreen',
-          '#corePrice_feature_div .a-price.a-text-price .a-offscreen',
-          '.a-price-whole',
-          '#priceblock_dealprice',
-          '#priceblock_ourprice',
-          '.a-price .a-offscreen'
-        ]),
-        reviews: getTextArray([
-          '[data-hook="review-body"] span',
-          '.review-text-content span',
-          '.cr-original-review-text'
-        ], 5)
-      };
-    } else if (isWalmart) {
-      return {
-        site: 'walmart',
-        url: url,
-        title: getText([
-          'h1[itemprop="name"]',
-          'h1[data-automation-id="product-title"]',
-          'h1.prod-ProductTitle',
-          'h1'
-        ]),
-        bullets: getTextArray([
-          '[data-testid="product-highlights"] li',
-          '.product-highlights li',
-          '[itemprop="description"] li'
-        ]),
-        description: getText([
-          '[data-testid="product-description"]',
-          '[itemprop="description"]',
-          '.about-product-description'
-        ]).substring(0, 1000),
-        ingredients: getText([
-          // NEW: Actual Walmart structure (2025)
-          'div.pb2 > p.mid-gray',
-          '.pb2 p',
-          'p.mid-gray',
-          // Existing selectors for backward compatibility
-          '[data-testid="ingredients"]',
-          '.prod-ProductIngredients',
-          '.nutrition-facts .ingredients'
-        ]),
-        price: getText([
-          '[itemprop="price"]',
-          '[data-automation-id="product-price"]',
-          '.price-characteristic'
-        ]),
-        reviews: getTextArray([
-          '[data-testid="review-text"]',
-          '.review-text'
-        ], 5)
-      };
-    }
-
-    return null;
+    // Same retailer parser the content script uses on the live page
+    return parseProductDocument(doc, url);
 
   } catch (error) {
     console.error('Shop Well: HTML parsing failed:', error);
@@ -2037,6 +2476,21 @@ function parseProductHTML(html, url) {
   }
 }
 
+/**
+ * Combine the automated extraction's fields with the retailer parser's result for the same page.
+ * Non-empty extracted fields win (they were read after expanding collapsed sections).
+ * @param {Object|null} parsedData - Result of parseProductHTML(), or null
+ * @param {Object} extractedData - Fields from the retailer's injected extraction script
+ * @returns {Object} - Product data
+ */
+function mergeExtractedProductData(parsedData, extractedData) {
+  if (!parsedData) return extractedData;
+
+  const extractedFields = Object.entries(extractedData)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0));
+  return { ...parsedData, ...Object.fromEntries(extractedFields) };
+}
+
 /* =============================================================================
    UI STATE MANAGEMENT
    ============================================================================= */
@@ -2046,6 +2500,7 @@ class SidePanelUI {
     this.currentState = 'welcome';
     this.aiCapabilities = null;
     this.settings = {};
+    this.profile = null; // Health profile in the schema layout, for the rule check
     this.currentProductData = null;
     this.isAnalyzing = false;
     this.messageReceivedTimer = null;
@@ -2055,15 +2510,27 @@ class SidePanelUI {
     this.cachedLanguageModel = null;
     this.hasSuccessfulAICall = false; // Track if we've had a successful call
 
+    // Streaming responses (aborted by the cancel button and cleanup())
+    this.analysisAbortController = null;
+    this.isStreamingVerdict = false; // Partial verdict on screen
+    this.chatAbortController = null;
+
     // Chat state
     this.chatHistory = [];
     this.currentFacts = null; // Store facts from analysis for chat context
 
+    // State to return to when leaving the History / Compare views
+    this.stateBeforeOverlay = null;
+    this.currentVerdict = null; // Verdict on screen, for pinning
+
     // Profile building state
     this.profilePollingInterval = null;
     this.profilePollingStartTime = null;
     this.pendingProductData = null; // Store product data to analyze after profile completes
 
+    // Cart audit state ({ id, cart, results, queue, running })
+    this.cartAudit = null;
+
     this.elements = {
       loading: document.querySelector('.shop-well-loading'),
       profileBuilding: document.querySelector('.shop-well-profile-building'),
@@ -2071,6 +2538,9 @@ class SidePanelUI {
       analysis: document.querySelector('.shop-well-analysis'),
       error: document.querySelector('.shop-well-error'),
       welcome: document.querySelector('.shop-well-welcome'),
+      history: document.querySelector('.shop-well-history'),
+      compare: document.querySelector('.shop-well-compare'),
+      cart: document.querySelector('.shop-well-cart'),
       // Chat elements
       chatMessages: document.getElementById('chatMessages'),
       chatInput: document.getElementById('chatInput'),
@@ -2084,31 +2554,14 @@ class SidePanelUI {
   async init() {
     console.log('Shop Well Side Panel initializing...');
 
-    // Load user settings
-    this.settings = await chrome.storage.local.get([
-      'firstName', 'email',
-      'condition', 'conditions', 'customConditions',
-      'allergies', 'customAllergies'
-    ]);
-    this.settings.firstName = this.settings.firstName || '';
-    this.settings.email = this.settings.email || '';
-
-    // === BACKWARD COMPATIBILITY: Migrate old single condition to array ===
-    if (!this.settings.conditions && this.settings.condition) {
-      this.settings.conditions = [this.settings.condition];
-      console.log('Side Panel: Migrated old condition to array:', this.settings.condition);
-    }
-    this.settings.conditions = this.settings.conditions || [];
-    this.settings.customConditions = this.settings.customConditions || [];
-
-    // Combine all conditions into single array for analysis
-    this.settings.allConditions = [
-      ...this.settings.conditions,
-      ...this.settings.customConditions
-    ];
-
-    this.settings.allergies = this.settings.allergies || [];
-    this.settings.customAllergies = this.settings.customAllergies || [];
+    // Load user settings (the profile store migrates older storage layouts)
+    const { firstName, email } = await chrome.storage.local.get(['firstName', 'email']);
+    this.profile = await loadProfile();
+    this.settings = {
+      firstName: firstName || '',
+      email: email || '',
+      ...getProfileSelections(this.profile)
+    };
 
     console.log('Side Panel: Loaded conditions:', this.settings.allConditions);
 
@@ -2122,6 +2575,7 @@ class SidePanelUI {
 
     // Setup event listeners
     this.setupEventListeners();
+    this.updateCompareControls();
 
     // Detect side panel close and perform comprehensive cleanup
     window.addEventListener('beforeunload', () => {
@@ -2198,7 +2652,9 @@ class SidePanelUI {
     // 2. Clear all product data
     this.currentProductData = null;
     this.currentFacts = null;
+    this.currentVerdict = null;
     this.pendingProductData = null;
+    this.stopCartAudit();
     console.log('Shop Well: Cleared product data');
 
     // 3. Clear all timers to prevent memory leaks
@@ -2221,7 +2677,11 @@ class SidePanelUI {
     // 4. Clear profile building state
     this.profilePollingStartTime = null;
 
-    // 5. Destroy cached AI sessions to free memory
+    // 5. Stop verdict and chat responses still streaming, then destroy cached AI sessions to free memory
+    this.analysisAbortController?.abort();
+    this.analysisAbortController = null;
+    this.chatAbortController?.abort();
+    this.chatAbortController = null;
     if (this.cachedSummarizer) {
       try {
         this.cachedSummarizer.destroy();
@@ -2284,51 +2744,172 @@ class SidePanelUI {
       });
     }
 
-    // Refresh analysis button
+    // Refresh analysis button (bypasses the saved analysis)
     const refreshButton = document.getElementById('refreshAnalysis');
     if (refreshButton) {
       refreshButton.addEventListener('click', () => {
         if (this.currentProductData) {
-          this.analyzeProduct(this.currentProductData);
+          this.analyzeProduct(this.currentProductData, { skipCache: true });
         }
       });
     }
 
-    // Cancel analysis button
-    const cancelButton = document.getElementById('cancelAnalysis');
-    if (cancelButton) {
-      cancelButton.addEventListener('click', () => {
-        this.cancelAnalysis();
+    // History view
+    const historyButton = document.getElementById('historyButton');
+    if (historyButton) {
+      historyButton.addEventListener('click', () => {
+        if (this.currentState === 'history') {
+          this.restoreState();
+        } else {
+          this.showHistory();
+        }
       });
     }
 
-    // Chat send button
-    if (this.elements.chatSendButton) {
-      this.elements.chatSendButton.addEventListener('click', () => {
-        this.handleChatSend();
+    const historyBackButton = document.getElementById('historyBack');
+    if (historyBackButton) {
+      historyBackButton.addEventListener('click', () => {
+        this.restoreState();
       });
     }
 
-    // Chat input - send on Enter key
-    if (this.elements.chatInput) {
-      this.elements.chatInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-          e.preventDefault();
-          this.handleChatSend();
+    ['historySearch', 'historyVerdict', 'historyAllergen', 'historySite'].forEach(id => {
+      const control = document.getElementById(id);
+      if (control) {
+        control.addEventListener(id === 'historySearch' ? 'input' : 'change', () => {
+          this.renderHistory();
+        });
+      }
+    });
+
+    const clearHistoryButton = document.getElementById('clearHistory');
+    if (clearHistoryButton) {
+      clearHistoryButton.addEventListener('click', async () => {
+        if (confirm('Remove all analyses from your history?')) {
+          await clearHistory();
+          this.renderHistory();
         }
       });
     }
 
-    // Listen for messages from content script/background
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.type === 'force-reset-state') {
-        // Force reset side panel to clean state for new analysis
-        console.log('Shop Well: Force resetting side panel state:', message.reason);
+    // Comparison - pin the analysis on screen, open the side-by-side view
+    const pinButton = document.getElementById('pinAnalysis');
+    if (pinButton) {
+      pinButton.addEventListener('click', () => {
+        this.togglePinCurrent();
+      });
+    }
 
-        // Cancel any ongoing analysis
-        if (this.isAnalyzing) {
-          console.log('Shop Well: Canceling ongoing analysis for reset');
-          this.cleanup(); // Cleanup but don't close panel
+    const compareButton = document.getElementById('compareButton');
+    if (compareButton) {
+      compareButton.addEventListener('click', () => {
+        if (this.currentState === 'compare') {
+          this.restoreState();
+        } else {
+          this.showCompare();
+        }
+      });
+    }
+
+    const compareBackButton = document.getElementById('compareBack');
+    if (compareBackButton) {
+      compareBackButton.addEventListener('click', () => {
+        this.restoreState();
+      });
+    }
+
+    // Cart audit - stop fetching/analyzing, or leave the report
+    const cartStopButton = document.getElementById('cartStop');
+    if (cartStopButton) {
+      cartStopButton.addEventListener('click', () => {
+        this.stopCartAudit();
+        this.renderCartReport();
+      });
+    }
+
+    const cartDoneButton = document.getElementById('cartDone');
+    if (cartDoneButton) {
+      cartDoneButton.addEventListener('click', () => {
+        this.stopCartAudit();
+        this.cartAudit = null;
+        this.showWelcome();
+      });
+    }
+
+    const compareSummaryButton = document.getElementById('compareSummary');
+    if (compareSummaryButton) {
+      compareSummaryButton.addEventListener('click', () => {
+        this.summarizeComparison();
+      });
+    }
+
+    // Variant switch banner - re-analyze the variant now shown on the page
+    const reanalyzeVariantButton = document.getElementById('reanalyzeVariant');
+    if (reanalyzeVariantButton) {
+      reanalyzeVariantButton.addEventListener('click', () => {
+        this.reanalyzeCurrentVariant();
+      });
+    }
+
+    // Safer alternatives for products with a "bad" verdict
+    const findAlternativesButton = document.getElementById('findAlternatives');
+    if (findAlternativesButton) {
+      findAlternativesButton.addEventListener('click', () => {
+        this.findSaferAlternatives();
+      });
+    }
+
+    // Screen every flavor/size for the user's allergies
+    const screenVariantsButton = document.getElementById('screenVariants');
+    if (screenVariantsButton) {
+      screenVariantsButton.addEventListener('click', () => {
+        this.screenAllVariants();
+      });
+    }
+
+    // Cancel analysis button
+    const cancelButton = document.getElementById('cancelAnalysis');
+    if (cancelButton) {
+      cancelButton.addEventListener('click', () => {
+        this.cancelAnalysis();
+      });
+    }
+
+    // Cancel button shown while the verdict streams in
+    const cancelStreamingButton = document.getElementById('cancelStreaming');
+    if (cancelStreamingButton) {
+      cancelStreamingButton.addEventListener('click', () => {
+        this.cancelAnalysis();
+      });
+    }
+
+    // Chat send button
+    if (this.elements.chatSendButton) {
+      this.elements.chatSendButton.addEventListener('click', () => {
+        this.handleChatSend();
+      });
+    }
+
+    // Chat input - send on Enter key
+    if (this.elements.chatInput) {
+      this.elements.chatInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          this.handleChatSend();
+        }
+      });
+    }
+
+    // Listen for messages from content script/background
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'force-reset-state') {
+        // Force reset side panel to clean state for new analysis
+        console.log('Shop Well: Force resetting side panel state:', message.reason);
+
+        // Cancel any ongoing analysis
+        if (this.isAnalyzing) {
+          console.log('Shop Well: Canceling ongoing analysis for reset');
+          this.cleanup(); // Cleanup but don't close panel
         }
 
         // Clear pending requests
@@ -2355,6 +2936,7 @@ class SidePanelUI {
       if (message.type === 'analyze-product') {
         // Force state transition to loading regardless of current state
         console.log('Shop Well: Analyze product request - forcing state transition');
+        this.stopCartAudit();
 
         // Cancel existing analysis if any
         if (this.isAnalyzing) {
@@ -2385,6 +2967,7 @@ class SidePanelUI {
       } else if (message.type === 'analyze-listing-product') {
         // Force state transition to loading regardless of current state
         console.log('Shop Well: Analyze listing product request - forcing state transition');
+        this.stopCartAudit();
 
         // Cancel existing analysis if any
         if (this.isAnalyzing) {
@@ -2412,6 +2995,24 @@ class SidePanelUI {
 
         this.analyzeListingProduct(message.productData);
         sendResponse({ success: true });
+      } else if (message.type === 'audit-cart') {
+        console.log('Shop Well: Cart audit request -', message.cart.items.length, 'items');
+
+        if (this.messageReceivedTimer) {
+          clearTimeout(this.messageReceivedTimer);
+          this.messageReceivedTimer = null;
+        }
+
+        this.startCartAudit(message.cart);
+        sendResponse({ success: true });
+      } else if (message.type === 'cart-audit-item') {
+        this.queueCartAuditItem(message);
+      } else if (message.type === 'cart-audit-fetched') {
+        console.log('Shop Well: Cart audit pages fetched for', message.auditId);
+      } else if (message.type === 'variant-changed') {
+        // Shopper picked another flavor/size on the PDP being analyzed
+        this.showVariantBanner(message);
+        sendResponse({ success: true });
       }
       return true;
     });
@@ -2427,7 +3028,10 @@ class SidePanelUI {
       this.elements.setup,
       this.elements.analysis,
       this.elements.error,
-      this.elements.welcome
+      this.elements.welcome,
+      this.elements.history,
+      this.elements.compare,
+      this.elements.cart
     ];
 
     stateContainers.forEach(el => {
@@ -2903,6 +3507,9 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
       productRating.textContent = '';
     }
 
+    this.renderProvenance(null);
+    this.renderCertifications([]);
+
     // Show loading indicator in place of insights
     const insightsList = this.elements.analysis.querySelector('.insights-list');
     if (insightsList) {
@@ -2939,12 +3546,84 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
     }
   }
 
+  /**
+   * Streaming options for generateVerdict(): a fresh abort signal for the cancel button, and
+   * rendering of the verdict as it is written
+   * @param {Object} productData - Product being analyzed
+   * @returns {Object} - { signal, onPartialVerdict }
+   */
+  startVerdictStream(productData) {
+    this.analysisAbortController?.abort();
+    this.analysisAbortController = new AbortController();
+    this.isStreamingVerdict = false;
+    return {
+      signal: this.analysisAbortController.signal,
+      onPartialVerdict: partial => this.renderPartialVerdict(productData, partial)
+    };
+  }
+
+  /**
+   * Show the verdict while it streams in: condition and allergy cards as each one is finished,
+   * and the insights as they type out. showAnalysis() replaces it with the final verdict.
+   * @param {Object} productData - Product being analyzed
+   * @param {Object} partial - Verdict JSON parsed so far (see parsePartialJson())
+   */
+  renderPartialVerdict(productData, partial) {
+    if (!this.isAnalyzing || !this.elements.analysis) return;
+    const analysis = this.elements.analysis;
+
+    if (!this.isStreamingVerdict) {
+      this.isStreamingVerdict = true;
+      this.showPreviewWithProgress(productData, '✍️ Writing your verdict...');
+      analysis.querySelector('.verdict-streaming')?.classList.remove('hidden');
+      analysis.querySelectorAll('.conditions-list, .allergies-list').forEach(list => {
+        list.innerHTML = '';
+      });
+      const insightsContent = analysis.querySelector('.insights-content');
+      if (insightsContent) {
+        insightsContent.textContent = '';
+        insightsContent.classList.add('streaming');
+      }
+    }
+
+    const lists = [
+      { section: '.conditions-section', list: '.conditions-list', entries: partial.conditions },
+      { section: '.allergies-section', list: '.allergies-list', entries: partial.allergies, formatName: formatAllergyName }
+    ];
+    lists.forEach(({ section, list, entries, formatName }) => {
+      const ready = getStreamedVerdictEntries(entries);
+      const listElement = analysis.querySelector(list);
+      // Only re-render when another card is finished, so a card the user opened stays open
+      if (!listElement || ready.length === listElement.children.length) return;
+
+      this.renderVerdictList(listElement, ready, productData, formatName);
+      analysis.querySelector(section)?.classList.remove('hidden');
+    });
+
+    const insightsContent = analysis.querySelector('.insights-content');
+    if (insightsContent && typeof partial.insights === 'string') {
+      // Plain text while typing (markdown is rendered with the final verdict)
+      insightsContent.textContent = partial.insights.replace(/\*+/g, '');
+    }
+  }
+
+  /**
+   * Hide the streaming status when the final verdict replaces the partial one
+   */
+  endVerdictStream() {
+    this.isStreamingVerdict = false;
+    this.elements.analysis?.querySelector('.verdict-streaming')?.classList.add('hidden');
+    this.elements.analysis?.querySelector('.insights-content')?.classList.remove('streaming');
+  }
+
   showAnalysis(productData, facts, verdict) {
     this.hideAllStates();
     if (!this.elements.analysis) return;
+    this.endVerdictStream();
 
-    // Store facts for chat context
+    // Store facts for chat context (and the verdict for pinning)
     this.currentFacts = facts;
+    this.currentVerdict = verdict;
 
     // Clear chat history for new product
     this.chatHistory = [];
@@ -2954,35 +3633,14 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
 
     this.elements.analysis.classList.remove('hidden');
 
+    // Ingredient words behind each verdict, with their offsets (for the snippet and "Show on page")
+    this.attachIngredientMatches(productData, verdict);
+
     // Update conditions verdicts list
     const conditionsList = this.elements.analysis.querySelector('.conditions-list');
     const conditionsSection = this.elements.analysis.querySelector('.conditions-section');
     if (conditionsList && verdict.conditions && verdict.conditions.length > 0) {
-      conditionsList.innerHTML = verdict.conditions.map(c => `
-        <div class="verdict-item verdict-${c.verdict}">
-          <div class="verdict-item-header">
-            <div class="verdict-header-left">
-              <span class="verdict-chevron">▶</span>
-              <span class="verdict-name">${c.name}</span>
-            </div>
-            <span class="verdict-badge-inline">${getVerdictEmoji(c.verdict)} ${getVerdictLabel(c.verdict)}</span>
-          </div>
-          ${c.brief_reason ? `<div class="verdict-reason collapsed">${formatInlineMarkdown(c.brief_reason)}</div>` : ''}
-        </div>
-      `).join('');
-
-      // Add click handlers for accordion toggle
-      conditionsList.querySelectorAll('.verdict-item-header').forEach(header => {
-        header.addEventListener('click', () => {
-          const item = header.closest('.verdict-item');
-          const reason = item.querySelector('.verdict-reason');
-          if (reason) {
-            item.classList.toggle('expanded');
-            reason.classList.toggle('collapsed');
-          }
-        });
-      });
-
+      this.renderVerdictList(conditionsList, verdict.conditions, productData);
       if (conditionsSection) conditionsSection.classList.remove('hidden');
     } else {
       if (conditionsSection) conditionsSection.classList.add('hidden');
@@ -2992,31 +3650,7 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
     const allergiesList = this.elements.analysis.querySelector('.allergies-list');
     const allergiesSection = this.elements.analysis.querySelector('.allergies-section');
     if (allergiesList && verdict.allergies && verdict.allergies.length > 0) {
-      allergiesList.innerHTML = verdict.allergies.map(a => `
-        <div class="verdict-item verdict-${a.verdict}">
-          <div class="verdict-item-header">
-            <div class="verdict-header-left">
-              <span class="verdict-chevron">▶</span>
-              <span class="verdict-name">${a.name.charAt(0).toUpperCase() + a.name.slice(1)}</span>
-            </div>
-            <span class="verdict-badge-inline">${getVerdictEmoji(a.verdict)} ${getVerdictLabel(a.verdict)}</span>
-          </div>
-          ${a.brief_reason ? `<div class="verdict-reason collapsed">${formatInlineMarkdown(a.brief_reason)}</div>` : ''}
-        </div>
-      `).join('');
-
-      // Add click handlers for accordion toggle
-      allergiesList.querySelectorAll('.verdict-item-header').forEach(header => {
-        header.addEventListener('click', () => {
-          const item = header.closest('.verdict-item');
-          const reason = item.querySelector('.verdict-reason');
-          if (reason) {
-            item.classList.toggle('expanded');
-            reason.classList.toggle('collapsed');
-          }
-        });
-      });
-
+      this.renderVerdictList(allergiesList, verdict.allergies, productData, formatAllergyName);
       if (allergiesSection) allergiesSection.classList.remove('hidden');
     } else {
       if (allergiesSection) allergiesSection.classList.add('hidden');
@@ -3041,20 +3675,31 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
 
     const productPrice = this.elements.analysis.querySelector('.product-price');
     if (productPrice && productData.price) {
+      const pricing = productData.pricing; // Normalized price model (see content/utils/price.js)
       const mainPrice = productData.price; // e.g., "$2.97"
       const unitPrice = productData.pricePerUnit; // e.g., "2.3 ¢/fl oz"
+      const locale = productData.locale;
 
-      // Format: "$2.97 current price" with unit price below
+      // Format: "$2.97 sale price  $3.49" with unit price below
+      const listPriceHTML = pricing?.isSale
+        ? `<span style="font-size: 13px; color: var(--sw-taupe); text-decoration: line-through;">${formatMoney(pricing.listAmount, pricing.currency, locale)}</span>`
+        : '';
       let priceHTML = `
         <div style="display: flex; align-items: baseline; gap: 6px; margin-bottom: 4px;">
           <span style="font-size: 20px; font-weight: 700; color: var(--sw-green);">${mainPrice}</span>
-          <span style="font-size: 13px; color: var(--sw-taupe); font-weight: 400;">current price</span>
+          <span style="font-size: 13px; color: var(--sw-taupe); font-weight: 400;">${pricing?.isSale ? 'sale price' : 'current price'}</span>
+          ${listPriceHTML}
         </div>
       `;
 
-      if (unitPrice) {
+      // Show the normalized unit value (per 100 g / 100 ml / item) so products are comparable
+      const unitValue = formatUnitValue(pricing, locale);
+      const unitText = [unitPrice, unitValue && unitValue !== unitPrice ? `≈ ${unitValue}` : '']
+        .filter(Boolean)
+        .join(' · ');
+      if (unitText) {
         priceHTML += `
-          <span style="font-size: 12px; color: var(--sw-taupe); display: block;">${unitPrice}</span>
+          <span style="font-size: 12px; color: var(--sw-taupe); display: block;">${unitText}</span>
         `;
       }
 
@@ -3066,6 +3711,15 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
       productRating.textContent = `⭐ ${productData.rating}`;
     }
 
+    this.renderProvenance(productData.provenance, verdict.image_inputs);
+    this.renderCertifications(facts.certifications);
+    this.renderRuleCheck(productData, facts, verdict);
+    this.renderCachedNote(null);
+    this.hideVariantBanner();
+    this.renderVariantScreen(productData);
+    this.renderAlternatives(verdict);
+    this.updateCompareControls();
+
     // Update insights
     const insightsContent = this.elements.analysis.querySelector('.insights-content');
     if (insightsContent) {
@@ -3135,156 +3789,1510 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
     }
   }
 
-  cancelAnalysis() {
-    console.log('Shop Well: Analysis cancelled by user');
+  /**
+   * Add the ingredient words that triggered each verdict entry to the verdict
+   * @param {Object} productData - Analyzed product data
+   * @param {Object} verdict - Verdict being shown (entries get matches: [{ term, start, end }],
+   *   offsets into productData.ingredients)
+   */
+  attachIngredientMatches(productData, verdict) {
+    const hits = findIngredientHits(productData.ingredients, this.profile);
+    [...(verdict.conditions || []), ...(verdict.allergies || [])].forEach(entry => {
+      const hit = findIngredientHit(hits, entry.name);
+      // Only "problem" verdicts point at ingredients - a "good" verdict would contradict the marks
+      if (hit && (entry.verdict === 'bad' || entry.verdict === 'warning')) {
+        entry.matches = hit.matches;
+      } else {
+        delete entry.matches;
+      }
+    });
+  }
 
-    // Notify content script to revert badge to normal state
-    if (this.currentProductData && this.currentProductData.id) {
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'badge-analysis-cancelled',
-            productId: this.currentProductData.id
-          });
+  /**
+   * Fill a conditions or allergies list with verdict cards (reasons open on click)
+   * @param {Element} list - Conditions or allergies list
+   * @param {Array<Object>} entries - Verdict entries: { name, verdict, brief_reason, matches }
+   * @param {Object} productData - Analyzed product data
+   * @param {Function} formatName - Display name for an entry
+   */
+  renderVerdictList(list, entries, productData, formatName = entry => entry.name) {
+    list.innerHTML = entries.map(entry => `
+      <div class="verdict-item verdict-${entry.verdict}">
+        <div class="verdict-item-header">
+          <div class="verdict-header-left">
+            <span class="verdict-chevron">▶</span>
+            <span class="verdict-name">${formatName(entry)}</span>
+          </div>
+          <span class="verdict-badge-inline">${getVerdictEmoji(entry.verdict)} ${getVerdictLabel(entry.verdict)}</span>
+        </div>
+        ${this.renderVerdictReason(entry, productData.ingredients, productData.provenance?.ingredients === 'image')}
+      </div>
+    `).join('');
+
+    // Add click handlers for accordion toggle
+    list.querySelectorAll('.verdict-item-header').forEach(header => {
+      header.addEventListener('click', () => {
+        const item = header.closest('.verdict-item');
+        const reason = item.querySelector('.verdict-reason');
+        if (reason) {
+          item.classList.toggle('expanded');
+          reason.classList.toggle('collapsed');
         }
       });
-    }
+    });
 
-    // Perform comprehensive cleanup (clears all cache, timers, AI sessions)
-    this.cleanup();
+    this.bindShowOnPageButtons(list);
+  }
 
-    // Close the side panel
-    window.close();
+  /**
+   * Build the collapsible reason of a verdict entry, with the matched ingredient words
+   * @param {Object} entry - Verdict entry ({ brief_reason, matches? })
+   * @param {string} ingredients - Ingredient list the match offsets refer to
+   * @param {boolean} fromImage - Whether the ingredient list was read from a product photo
+   *   (there is no page text to highlight then)
+   * @returns {string} - HTML, or '' when there is nothing to show
+   */
+  renderVerdictReason(entry, ingredients, fromImage = false) {
+    const hasMatches = Boolean(ingredients && entry.matches?.length);
+    if (!entry.brief_reason && !hasMatches) return '';
+
+    const terms = [...new Set((entry.matches || []).map(match => match.term.toLowerCase()))];
+    const matchesHTML = hasMatches ? `
+      <div class="verdict-matches">
+        <p class="verdict-matches-label">Found in the ${fromImage ? 'label photo' : 'ingredients'}: ${terms.map(term => `<strong>${escapeHTML(term)}</strong>`).join(', ')}</p>
+        <p class="verdict-matches-snippet">${formatMatchSnippet(ingredients, entry.matches)}</p>
+        ${fromImage ? '' : `<button class="show-on-page-button" data-terms="${escapeHTML(JSON.stringify(terms))}">📍 Show on page</button>`}
+      </div>
+    ` : '';
+
+    return `<div class="verdict-reason collapsed">${entry.brief_reason ? formatInlineMarkdown(entry.brief_reason) : ''}${matchesHTML}</div>`;
   }
 
-  async analyzeProduct(productData) {
-    console.log('Shop Well: Starting product analysis...', productData);
+  /**
+   * Wire the "Show on page" buttons of a verdict list
+   * @param {Element} list - Conditions or allergies list
+   */
+  bindShowOnPageButtons(list) {
+    list.querySelectorAll('.show-on-page-button').forEach(button => {
+      button.addEventListener('click', () => this.showOnPage(JSON.parse(button.dataset.terms), button));
+    });
+  }
 
-    // Set analyzing state IMMEDIATELY (before any async operations)
-    this.isAnalyzing = true;
-    this.currentProductData = productData;
+  /**
+   * Scroll the product page to its ingredient list and highlight the matched words
+   * @param {string[]} terms - Ingredient words to highlight
+   * @param {HTMLButtonElement} button - Button to report the result on
+   */
+  showOnPage(terms, button) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
 
-    // Check profile status before starting analysis
-    const profileCheck = await this.checkProfileStatus();
+      chrome.tabs.sendMessage(tabs[0].id, { command: 'highlight-ingredients', terms }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          console.warn('Shop Well: Could not highlight ingredients:', chrome.runtime.lastError?.message || response?.error);
+          button.textContent = '📍 Open the product page to see this';
+          return;
+        }
 
-    if (profileCheck.status === 'building' || profileCheck.status === 'not-started') {
-      console.log('Shop Well: Health profile is still building or not started, waiting...');
-      this.pendingProductData = productData;
-      this.showProfileBuilding();
-      // Keep isAnalyzing = true during profile building
-      return;
-    } else if (profileCheck.status === 'error') {
-      console.log('Shop Well: Health profile generation failed');
-      this.isAnalyzing = false; // Reset flag on error
-      this.showError('Health profile generation failed. Please visit the Settings page to regenerate your profile.');
+        button.textContent = response.marked > 0
+          ? `📍 Highlighted ${response.marked} on the page`
+          : '📍 Ingredient list shown - words not found in it';
+      });
+    });
+  }
+
+  /**
+   * Show the certifications and seals found for the product; plain label claims are styled
+   * apart from third-party certifications
+   * @param {Array<Object>} certifications - Claims from detectCertifications()
+   */
+  renderCertifications(certifications) {
+    const list = this.elements.analysis?.querySelector('.product-certifications');
+    if (!list) return;
+
+    list.innerHTML = (certifications || []).map(claim => `
+      <li class="product-certification ${claim.kind === 'claim' ? 'claim' : ''}" title="${escapeHTML(describeCertification(claim))}">
+        ${claim.kind === 'claim' ? '' : '✔ '}${escapeHTML(claim.name)}
+      </li>
+    `).join('');
+    list.classList.toggle('hidden', !certifications || certifications.length === 0);
+  }
+
+  /**
+   * Show which extraction source each product field came from
+   * @param {Object|null} provenance - Field name → source ('json-ld', 'next-data', 'selector', 'image', 'none')
+   * @param {number} imageInputs - Number of product photos the verdict prompt was given
+   */
+  renderProvenance(provenance, imageInputs = 0) {
+    const provenanceEl = this.elements.analysis?.querySelector('.product-provenance');
+    if (!provenanceEl) return;
+
+    const sourceLabels = {
+      'json-ld': 'structured data',
+      'next-data': 'page data',
+      'selector': 'page text',
+      'image': 'from image'
+    };
+    const fieldLabels = {
+      title: 'title',
+      ingredients: 'ingredients',
+      nutrition: 'nutrition',
+      price: 'price',
+      description: 'description'
+    };
+
+    const parts = Object.entries(fieldLabels)
+      .filter(([field]) => provenance?.[field] && provenance[field] !== 'none')
+      .map(([field, label]) => `${label}: ${sourceLabels[provenance[field]] || provenance[field]}`);
+    if (imageInputs > 0) {
+      parts.push(`AI also read ${imageInputs} product photo${imageInputs === 1 ? '' : 's'}`);
+    }
+
+    if (parts.length === 0) {
+      provenanceEl.classList.add('hidden');
+      provenanceEl.textContent = '';
       return;
     }
 
-    // Profile is complete, proceed with analysis
-    this.showLoading();
+    // Text read from a photo can have OCR mistakes, so say so
+    const fromImage = Object.keys(fieldLabels).some(field => provenance?.[field] === 'image');
+    provenanceEl.textContent = `Sources — ${parts.join(' · ')}` +
+      (fromImage ? ' (read from a product photo - check the label if something looks off)' : '');
+    provenanceEl.classList.remove('hidden');
+  }
 
-    console.log('Shop Well: Profile ready, continuing with analysis...');
+  /**
+   * Show the rule-based check (product tags matched against the profile's seek/avoid tags)
+   * next to the AI verdict, flagging the entries where the two disagree
+   * @param {Object} productData - Analyzed product data
+   * @param {Object} facts - Extracted facts
+   * @param {Object} verdict - AI verdict
+   */
+  renderRuleCheck(productData, facts, verdict) {
+    const section = this.elements.analysis?.querySelector('.rule-check-section');
+    if (!section) return;
+
+    const list = section.querySelector('.rule-check-list');
+    const summary = section.querySelector('.rule-check-summary');
+    list.replaceChildren();
+
+    const hasEntries = this.profile &&
+      (this.profile.allergies_sensitivities.length > 0 || this.profile.chronic_conditions.length > 0);
+    if (!hasEntries) {
+      section.classList.add('hidden');
+      return;
+    }
 
-    // Clear all other "Look!" badges before analyzing new product
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, {
-          type: 'clear-all-active-badges'
-        });
+    const safety = evaluateProductSafety(productData, facts, this.profile);
+    const disagreements = crossCheckVerdict(safety, verdict);
+    console.log('Shop Well: Rule check:', { tags: safety.tags, safe: safety.safe, disagreements });
+
+    const rows = [...safety.allergies, ...safety.conditions].map(entry => {
+      const row = document.createElement('li');
+      row.className = `rule-check-item verdict-${entry.verdict}`;
+
+      const header = document.createElement('div');
+      header.className = 'rule-check-header';
+      const name = document.createElement('span');
+      name.className = 'rule-check-name';
+      name.textContent = entry.name;
+      const badge = document.createElement('span');
+      badge.className = 'rule-check-badge';
+      badge.textContent = `${getVerdictEmoji(entry.verdict)} ${getVerdictLabel(entry.verdict)}`;
+      header.append(name, badge);
+
+      const reason = document.createElement('p');
+      reason.className = 'rule-check-reason';
+      reason.textContent = entry.brief_reason;
+      row.append(header, reason);
+
+      const disagreement = disagreements.find(item => item.id === entry.id && item.kind === entry.kind);
+      if (disagreement) {
+        row.classList.add('disagrees');
+        const note = document.createElement('p');
+        note.className = 'rule-check-disagreement';
+        note.textContent = `AI verdict says ${getVerdictLabel(disagreement.ai)} - check the label yourself`;
+        row.append(note);
       }
+      return row;
     });
+    list.replaceChildren(...rows);
 
-    try {
-      // Re-check AI capabilities
-      this.aiCapabilities = await checkAIAvailability();
+    summary.textContent = disagreements.length > 0
+      ? `Rules and AI disagree on ${disagreements.length} ${disagreements.length === 1 ? 'item' : 'items'}.`
+      : 'Matches label tags against your profile, without AI.';
+    section.classList.toggle('disagrees', disagreements.length > 0);
+    section.classList.remove('hidden');
+  }
 
-      // Check if cancelled
-      if (!this.isAnalyzing) {
-        console.log('Shop Well: Analysis cancelled before AI check');
-        return;
-      }
+  /**
+   * Tell the user the page now shows a different variant than the one analyzed
+   * @param {Object} message - variant-changed message ({ productData, previousVariant, variant })
+   */
+  showVariantBanner(message) {
+    const banner = this.elements.analysis?.querySelector('.variant-banner');
+    if (!banner || !this.currentProductData || this.currentState !== 'analysis') {
+      return;
+    }
 
-      if (!canUseAIAnalysis(this.aiCapabilities)) {
-        this.showSetup();
-        this.isAnalyzing = false;
-        return;
-      }
+    // Ignore switches on a different tab/product than the one analyzed
+    const analyzedSite = this.currentProductData.site;
+    if (analyzedSite && message.productData?.site !== analyzedSite) {
+      return;
+    }
 
-      // Get all allergies
-      const allAllergies = [...this.settings.allergies, ...this.settings.customAllergies];
+    const text = banner.querySelector('.variant-banner-text');
+    if (text) {
+      // Variant names come from the page, so build the sentence with text nodes
+      const previous = document.createElement('strong');
+      previous.textContent = message.previousVariant || 'the previous option';
+      const current = document.createElement('strong');
+      current.textContent = message.variant;
+      text.replaceChildren(
+        'This analysis is for ', previous, '. The page now shows ', current,
+        ', which may have different ingredients.'
+      );
+    }
 
-      // Extract facts
-      let facts;
-      if (this.aiCapabilities.summarizer) {
-        console.log('Shop Well: Using AI for fact extraction...');
-        const result = await summarizeProduct(productData, this.cachedSummarizer);
-        facts = result.facts;
-        // Cache the summarizer for future use
-        if (result.summarizer) {
-          this.cachedSummarizer = result.summarizer;
-          console.log('Shop Well: Summarizer session cached for reuse');
-        }
-      }
+    banner.classList.remove('hidden');
+    console.log('Shop Well: Variant changed on page:', message.previousVariant, '→', message.variant);
+  }
 
-      // Check if cancelled
-      if (!this.isAnalyzing) {
-        console.log('Shop Well: Analysis cancelled during fact extraction');
-        return;
-      }
+  hideVariantBanner() {
+    this.elements.analysis?.querySelector('.variant-banner')?.classList.add('hidden');
+  }
 
-      if (!facts) {
-        console.log('Shop Well: Using fallback fact extraction...');
-        facts = createFallbackFacts(productData);
-      }
+  /**
+   * Re-extract the live page (now on the new variant) and analyze it
+   */
+  reanalyzeCurrentVariant() {
+    this.hideVariantBanner();
 
-      // Generate verdict
-      let verdict;
-      if (this.aiCapabilities.prompt) {
-        console.log('Shop Well: Using AI for verdict generation...');
-        const result = await generateVerdict(
-          facts,
-          this.settings.allConditions,
-          allAllergies,
-          this.cachedLanguageModel,
-          this.settings.firstName,
-          productData
-        );
-        verdict = result.verdict;
-        // Cache the language model for future use
-        if (result.languageModel) {
-          this.cachedLanguageModel = result.languageModel;
-          console.log('Shop Well: Language model session cached for reuse');
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
+
+      chrome.tabs.sendMessage(tabs[0].id, { command: 'extract-product-data' }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          console.warn('Shop Well: Could not re-extract variant:', chrome.runtime.lastError?.message || response?.error);
+          this.showError('Could not read the selected option from the page. Please try again.');
+          return;
         }
-      }
 
-      // Check if cancelled
-      if (!this.isAnalyzing) {
-        console.log('Shop Well: Analysis cancelled during verdict generation');
-        return;
-      }
+        this.analyzeProduct(response.productData);
+      });
+    });
+  }
 
-      if (!verdict) {
-        console.log('Shop Well: Using fallback verdict generation...');
-        verdict = createFallbackVerdict(facts, allAllergies, this.settings.allConditions);
-      }
+  /**
+   * Show the "check every flavor" section when the product has variants
+   * @param {Object} productData - Analyzed product data
+   */
+  renderVariantScreen(productData) {
+    const section = this.elements.analysis?.querySelector('.variant-screen');
+    if (!section) return;
 
-      // Mark that we've had at least one successful AI call
-      if (facts || verdict) {
-        this.hasSuccessfulAICall = true;
-      }
+    const dimension = getScreenableDimension(productData.variants);
+    const allergies = [...(this.settings.allergies || []), ...(this.settings.customAllergies || [])];
 
-      // Display results
-      this.isAnalyzing = false;
-      this.showAnalysis(productData, facts, verdict);
+    section.querySelector('.variant-screen-results').replaceChildren();
+    if (!dimension || allergies.length === 0) {
+      section.classList.add('hidden');
+      return;
+    }
 
-    } catch (error) {
-      this.isAnalyzing = false;
-      console.error('Shop Well: Analysis failed:', error);
+    const label = dimension.label || dimension.dimension;
+    section.querySelector('.variant-screen-title').textContent = `🧪 Every ${label}`;
+    section.querySelector('.variant-screen-current').textContent =
+      `Analyzed: ${describeVariant(productData.variants) || 'selected option'}. ${dimension.options.length} options available.`;
 
-      // Provide specific error messages for timeouts
-      if (error instanceof TimeoutError) {
-        this.showError(
-          'Analysis timed out after 90 seconds. ' +
+    const button = section.querySelector('#screenVariants');
+    button.disabled = false;
+    button.textContent = `Check all ${dimension.options.length} for my allergies`;
+
+    section.classList.remove('hidden');
+  }
+
+  /**
+   * Fetch each option of the screenable dimension and check its ingredients against the user's allergies
+   */
+  async screenAllVariants() {
+    const productData = this.currentProductData;
+    const dimension = getScreenableDimension(productData?.variants);
+    const section = this.elements.analysis?.querySelector('.variant-screen');
+    if (!dimension || !section) return;
+
+    const allergies = [...(this.settings.allergies || []), ...(this.settings.customAllergies || [])];
+    const results = section.querySelector('.variant-screen-results');
+    const button = section.querySelector('#screenVariants');
+    button.disabled = true;
+    button.textContent = 'Checking...';
+
+    const rows = dimension.options.map(option => {
+      const row = document.createElement('li');
+      row.className = 'variant-result pending';
+      const name = document.createElement('span');
+      name.className = 'variant-result-name';
+      name.textContent = option.label;
+      const status = document.createElement('span');
+      status.className = 'variant-result-status';
+      status.textContent = 'Waiting...';
+      row.append(name, status);
+      return row;
+    });
+    results.replaceChildren(...rows);
+
+    // One option at a time to stay gentle on the retailer
+    for (const [index, option] of dimension.options.entries()) {
+      if (this.currentProductData !== productData) {
+        console.log('Shop Well: Variant screening stopped - a new analysis started');
+        return;
+      }
+
+      const row = rows[index];
+      const status = row.querySelector('.variant-result-status');
+      status.textContent = 'Checking...';
+
+      let ingredients = '';
+      if (option.selected) {
+        ingredients = productData.ingredients;
+      } else if (option.url) {
+        try {
+          const { html } = await fetchProductHTMLFallback(option.url);
+          ingredients = parseProductHTML(html, option.url)?.ingredients || '';
+        } catch (error) {
+          console.warn('Shop Well: Variant fetch failed:', option.label, error);
+        }
+      }
+
+      // "May contain" / facility statements are cross-contact warnings, not ingredients
+      const statements = parseAllergenStatements(ingredients);
+      const found = ingredients
+        ? allergies.filter(allergy => findAllergensInIngredients(stripAdvisoryStatements(ingredients), [allergy]).length > 0 ||
+          getAllergenStatementTier(allergy, statements) === 'contains')
+        : [];
+      // Rated by each allergy's severity and cross-contact setting, like the main verdict
+      const crossContact = allergies
+        .filter(allergy => !found.includes(allergy))
+        .map(allergy => ({ allergy, rating: rateCrossContact(allergy, statements, this.settings.allergySettings) }))
+        .filter(({ rating }) => rating && rating.verdict !== 'good');
+      const mayContain = crossContact.map(({ allergy }) => allergy);
+      const crossContactBad = crossContact.some(({ rating }) => rating.verdict === 'bad');
+      const outcome = !ingredients ? 'unknown'
+        : found.length > 0 || crossContactBad ? 'bad'
+        : crossContact.length > 0 ? 'warning' : 'good';
+      row.className = `variant-result verdict-${outcome}`;
+      status.textContent = {
+        good: '✅ No listed allergens',
+        bad: `⚠️ ${[
+          found.length > 0 ? `Contains ${found.join(', ')}` : '',
+          mayContain.length > 0 ? `May contain ${mayContain.join(', ')}` : ''
+        ].filter(Boolean).join('; ')}`,
+        warning: `⚠️ May contain ${mayContain.join(', ')}`,
+        unknown: option.available === false ? '— Unavailable' : '❔ No ingredient list'
+      }[outcome];
+    }
+
+    button.textContent = 'Check again';
+    button.disabled = false;
+  }
+
+  /* ===========================================================================
+     HISTORY VIEW
+     =========================================================================== */
+
+  /**
+   * Remember the visible state so the History and Compare views can return to it
+   */
+  rememberState() {
+    if (this.currentState !== 'history' && this.currentState !== 'compare') {
+      this.stateBeforeOverlay = {
+        state: this.currentState,
+        element: [
+          this.elements.loading,
+          this.elements.profileBuilding,
+          this.elements.setup,
+          this.elements.analysis,
+          this.elements.error,
+          this.elements.welcome,
+          this.elements.cart
+        ].find(el => el && !el.classList.contains('hidden'))
+      };
+    }
+  }
+
+  /**
+   * Leave the History or Compare view and return to the state shown before it
+   */
+  restoreState() {
+    const previous = this.stateBeforeOverlay;
+    this.stateBeforeOverlay = null;
+
+    if (!previous?.element) {
+      this.showWelcome();
+      return;
+    }
+
+    this.hideAllStates();
+    previous.element.classList.remove('hidden');
+    this.currentState = previous.state;
+  }
+
+  async showHistory() {
+    this.rememberState();
+    this.hideAllStates();
+    this.elements.history?.classList.remove('hidden');
+    this.currentState = 'history';
+    console.log('Shop Well: Showing history');
+
+    await this.renderHistory();
+  }
+
+  /**
+   * Render the history list with the current search text and filters
+   */
+  async renderHistory() {
+    const view = this.elements.history;
+    if (!view) return;
+
+    const entries = await getHistory();
+    const { sites, allergens } = getHistoryFacets(entries);
+    this.populateHistoryFilter('historyAllergen', 'All allergens', allergens,
+      allergen => allergen.charAt(0).toUpperCase() + allergen.slice(1));
+    this.populateHistoryFilter('historySite', 'All sites', sites,
+      site => getRetailerBySite(site)?.name || site);
+
+    const filtered = filterHistory(entries, {
+      query: document.getElementById('historySearch')?.value || '',
+      verdict: document.getElementById('historyVerdict')?.value || '',
+      allergen: document.getElementById('historyAllergen')?.value || '',
+      site: document.getElementById('historySite')?.value || ''
+    });
+
+    const empty = view.querySelector('.history-empty');
+    empty.textContent = entries.length === 0
+      ? 'No analyses yet. Analyze a product and it will show up here.'
+      : 'No analyses match your search.';
+    empty.classList.toggle('hidden', filtered.length > 0);
+    view.querySelector('#clearHistory').classList.toggle('hidden', entries.length === 0);
+
+    view.querySelector('.history-list').replaceChildren(...filtered.map(entry => this.createHistoryItem(entry)));
+  }
+
+  /**
+   * Fill a filter dropdown, keeping the current selection when it is still available
+   * @param {string} id - Select element id
+   * @param {string} allLabel - Label of the "no filter" option
+   * @param {Array<string>} values - Option values
+   * @param {Function} formatLabel - Value → display label
+   */
+  populateHistoryFilter(id, allLabel, values, formatLabel) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const selected = select.value;
+    const options = [new Option(allLabel, ''), ...values.map(value => new Option(formatLabel(value), value))];
+    select.replaceChildren(...options);
+    select.value = values.includes(selected) ? selected : '';
+  }
+
+  /**
+   * Build one history list item (product text comes from the retailer page, so no innerHTML)
+   * @param {Object} entry - History entry
+   * @returns {HTMLElement}
+   */
+  createHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = `history-item verdict-${entry.overall}`;
+
+    const header = document.createElement('div');
+    header.className = 'history-item-header';
+    const title = document.createElement('span');
+    title.className = 'history-item-title';
+    title.textContent = entry.title;
+    const badge = document.createElement('span');
+    badge.className = 'verdict-badge-inline';
+    badge.textContent = `${getVerdictEmoji(entry.overall)} ${getVerdictLabel(entry.overall)}`;
+    header.append(title, badge);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-item-meta';
+    meta.textContent = [
+      getRetailerBySite(entry.site)?.name || entry.site,
+      entry.pricing ? formatMoney(entry.pricing.amount, entry.pricing.currency) : entry.price,
+      new Date(entry.analyzedAt).toLocaleDateString()
+    ].filter(Boolean).join(' · ');
+
+    item.append(header, meta);
+
+    const flagged = [...entry.conditions, ...entry.allergies].filter(c => c.verdict !== 'good');
+    if (flagged.length > 0) {
+      const chips = document.createElement('div');
+      chips.className = 'history-item-chips';
+      flagged.forEach(({ name, verdict }) => {
+        const chip = document.createElement('span');
+        chip.className = `history-chip verdict-${verdict}`;
+        chip.textContent = `${getVerdictEmoji(verdict)} ${name}`;
+        chips.append(chip);
+      });
+      item.append(chips);
+    }
+
+    if (entry.ingredientsSnippet) {
+      const snippet = document.createElement('p');
+      snippet.className = 'history-item-ingredients';
+      snippet.textContent = entry.ingredientsSnippet;
+      item.append(snippet);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-item-actions';
+    const actionButtons = [
+      ['Open product', () => chrome.tabs.create({ url: entry.url })],
+      ['Re-analyze', () => this.reanalyzeHistoryEntry(entry)],
+      ['Remove', async () => {
+        await removeHistoryEntry(entry.id);
+        this.renderHistory();
+      }]
+    ];
+    actionButtons.forEach(([label, onClick]) => {
+      const button = document.createElement('button');
+      button.className = 'history-action';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      actions.append(button);
+    });
+    item.append(actions);
+
+    return item;
+  }
+
+  /**
+   * Fetch a product from history again and run a fresh analysis with the current profile
+   * @param {Object} entry - History entry
+   */
+  async reanalyzeHistoryEntry(entry) {
+    this.stateBeforeOverlay = null;
+    this.showLoadingWithMessage('Fetching product page...', entry.title);
+
+    try {
+      const { html } = await fetchProductHTMLFallback(entry.url);
+      const productData = parseProductHTML(html, entry.url);
+      if (!productData?.title) {
+        throw new Error('Could not read the product page');
+      }
+
+      this.currentProductData = { ...productData, url: entry.url };
+      await this.analyzeProduct(this.currentProductData, { skipCache: true });
+    } catch (error) {
+      console.error('Shop Well: Re-analyzing history entry failed:', error);
+      this.showError(`Couldn't re-analyze "${entry.title}". Open the product page and try again.`);
+    }
+  }
+
+  /* ===========================================================================
+     COMPARISON VIEW
+     =========================================================================== */
+
+  /**
+   * Sync the header Compare button and the analysis view's pin button with the stored pins
+   */
+  async updateCompareControls() {
+    const pins = await getPinnedAnalyses();
+
+    const compareButton = document.getElementById('compareButton');
+    if (compareButton) {
+      compareButton.textContent = `⚖️ Compare (${pins.length})`;
+      compareButton.classList.toggle('hidden', pins.length === 0);
+    }
+
+    const pinButton = document.getElementById('pinAnalysis');
+    if (pinButton && this.currentProductData) {
+      const { id } = createPin(this.currentProductData, this.currentFacts || {}, this.currentVerdict || {},
+        this.getProductIdentity(this.currentProductData));
+      const isPinned = pins.some(pin => pin.id === id);
+
+      pinButton.classList.toggle('pinned', isPinned);
+      pinButton.disabled = !isPinned && pins.length >= MAX_PINNED;
+      pinButton.textContent = isPinned ? '📌 Pinned (tap to unpin)' :
+        pins.length >= MAX_PINNED ? `Comparison full (${MAX_PINNED})` : '📌 Pin to compare';
+    }
+  }
+
+  /**
+   * Pin or unpin the analysis on screen
+   */
+  async togglePinCurrent() {
+    if (!this.currentProductData || !this.currentFacts || !this.currentVerdict) return;
+
+    const pin = createPin(this.currentProductData, this.currentFacts, this.currentVerdict,
+      this.getProductIdentity(this.currentProductData));
+    const pins = await getPinnedAnalyses();
+
+    if (pins.some(existing => existing.id === pin.id)) {
+      await unpinAnalysis(pin.id);
+    } else {
+      await pinAnalysis(pin);
+    }
+
+    await this.updateCompareControls();
+  }
+
+  async showCompare() {
+    this.rememberState();
+    this.hideAllStates();
+    this.elements.compare?.classList.remove('hidden');
+    this.currentState = 'compare';
+    console.log('Shop Well: Showing comparison');
+
+    await this.renderComparison();
+  }
+
+  /**
+   * Render pinned analyses in columns: verdicts, price, unit value, Nutrition Facts and caveats
+   */
+  async renderComparison() {
+    const view = this.elements.compare;
+    if (!view) return;
+
+    const pins = await getPinnedAnalyses();
+    const { conditions, allergies, nutrients, unitValue } = buildComparison(pins);
+
+    view.querySelector('.compare-empty').classList.toggle('hidden', pins.length >= 2);
+    view.querySelector('.compare-ai').classList.toggle('hidden', pins.length < 2);
+    view.querySelector('.compare-summary-text').textContent = '';
+
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const cell = (tag, text, className = '') => {
+      const element = document.createElement(tag);
+      element.textContent = text;
+      if (className) element.className = className;
+      return element;
+    };
+    const addRow = (label, cells) => {
+      const row = document.createElement('tr');
+      row.append(cell('th', label), ...cells);
+      table.append(row);
+    };
+    const addSection = (label) => {
+      const row = document.createElement('tr');
+      const heading = cell('th', label, 'compare-section');
+      heading.colSpan = pins.length + 1;
+      row.append(heading);
+      table.append(row);
+    };
+
+    // Product titles with unpin buttons
+    addRow('', pins.map(pin => {
+      const header = document.createElement('td');
+      header.className = 'compare-product';
+      const title = cell('a', pin.title, 'compare-product-title');
+      title.href = pin.url;
+      title.target = '_blank';
+      const remove = cell('button', '✕', 'compare-unpin');
+      remove.title = 'Remove from comparison';
+      remove.addEventListener('click', async () => {
+        await unpinAnalysis(pin.id);
+        await this.updateCompareControls();
+        this.renderComparison();
+      });
+      header.append(title, remove);
+      return header;
+    }));
+
+    addRow('Price', pins.map(pin =>
+      cell('td', pin.pricing ? formatMoney(pin.pricing.amount, pin.pricing.currency) : pin.price || '—')));
+
+    addRow('Unit value', pins.map(pin => {
+      const diff = unitValue[pin.id];
+      const value = formatUnitValue(pin.pricing) || '—';
+      if (diff === undefined) return cell('td', value);
+      return cell('td', diff === 0 ? `${value} · best value` : `${value} · +${diff}%`, diff === 0 ? 'verdict-good' : '');
+    }));
+
+    const addVerdictRows = (label, names, key) => {
+      if (names.length === 0) return;
+      addSection(label);
+      names.forEach(name => addRow(name, pins.map(pin => {
+        const entry = findVerdictEntry(pin.verdict[key], name);
+        if (!entry) return cell('td', '—');
+        const verdictCell = cell('td', `${getVerdictEmoji(entry.verdict)} ${getVerdictLabel(entry.verdict)}`,
+          `verdict-${entry.verdict}`);
+        verdictCell.title = entry.brief_reason || '';
+        return verdictCell;
+      })));
+    };
+    addVerdictRows('⚖️ Your Conditions', conditions, 'conditions');
+    addVerdictRows('🚫 Allergies & Sensitivities', allergies, 'allergies');
+
+    if (nutrients.length > 0) {
+      addSection('🥗 Nutrition Facts (per serving)');
+      if (pins.some(pin => pin.nutrition?.servingSize)) {
+        addRow('Serving size', pins.map(pin => cell('td', pin.nutrition?.servingSize || '—')));
+      }
+      nutrients.forEach(field => addRow(field === 'calories' ? 'Calories' : NUTRITION_LABELS[field] || field,
+        pins.map(pin => {
+          const value = pin.nutrition?.[field];
+          if (value === null || value === undefined) return cell('td', '—');
+          if (typeof value !== 'object') return cell('td', String(value));
+          return cell('td', `${value.amount}${value.unit}${value.dailyValue !== null ? ` (${value.dailyValue}% DV)` : ''}`);
+        })));
+    }
+
+    if (pins.some(pin => pin.verdict.caveat)) {
+      addSection('⚠️ Important');
+      addRow('Caveat', pins.map(pin => cell('td', pin.verdict.caveat || '—', 'compare-caveat')));
+    }
+
+    view.querySelector('.compare-table-wrapper').replaceChildren(...(pins.length > 0 ? [table] : []));
+  }
+
+  /**
+   * Ask the language model which pinned product fits the user's profile better
+   */
+  async summarizeComparison() {
+    const view = this.elements.compare;
+    const pins = await getPinnedAnalyses();
+    if (!view || pins.length < 2) return;
+
+    const button = view.querySelector('#compareSummary');
+    const summaryText = view.querySelector('.compare-summary-text');
+
+    if (!this.aiCapabilities || !this.aiCapabilities.prompt) {
+      summaryText.textContent = 'The comparison summary requires Chrome AI. Please ensure AI is enabled.';
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Comparing...';
+    summaryText.textContent = '';
+
+    const summary = await generateComparisonSummary(
+      pins,
+      this.settings.allConditions,
+      [...this.settings.allergies, ...this.settings.customAllergies],
+      this.settings.firstName
+    );
+
+    if (summary) {
+      summaryText.textContent = summary.replace(/\*\*?([^*]+)\*\*?/g, '$1');
+    } else {
+      summaryText.textContent = 'Could not generate a comparison right now. Please try again.';
+    }
+
+    button.disabled = false;
+    button.textContent = '✨ Which fits me better?';
+  }
+
+  /* ===========================================================================
+     CART AUDIT
+     =========================================================================== */
+
+  /**
+   * Start auditing a cart: the background worker fetches each line item's product page,
+   * and items are analyzed here one at a time as their pages arrive
+   * @param {Object} cart - { site, url, items } from the content script
+   */
+  async startCartAudit(cart) {
+    this.stopCartAudit();
+
+    const profileCheck = await this.checkProfileStatus();
+    if (profileCheck.status === 'error') {
+      this.showError('Health profile generation failed. Please visit the Settings page to regenerate your profile.');
+      return;
+    }
+    if (profileCheck.status !== 'complete') {
+      this.showError('Your health profile is still being prepared. Please try the cart audit again in a minute.');
+      return;
+    }
+
+    this.aiCapabilities = await checkAIAvailability();
+    if (!canUseAIAnalysis(this.aiCapabilities)) {
+      this.showSetup();
+      return;
+    }
+
+    this.cartAudit = {
+      id: `cart-${Date.now()}`,
+      cart,
+      results: cart.items.map(item => ({ item, status: 'pending' })),
+      queue: Promise.resolve(),
+      running: true
+    };
+
+    this.hideAllStates();
+    this.elements.cart?.classList.remove('hidden');
+    this.currentState = 'cart';
+    this.renderCartReport();
+
+    chrome.runtime.sendMessage({
+      type: 'START_CART_AUDIT',
+      auditId: this.cartAudit.id,
+      items: cart.items
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error('Shop Well: Could not start cart audit:', chrome.runtime.lastError?.message);
+        this.stopCartAudit();
+        this.renderCartSummary('Could not load your cart items. Please try again.');
+      }
+    });
+  }
+
+  /**
+   * Stop the running cart audit (results so far stay on screen)
+   */
+  stopCartAudit() {
+    if (!this.cartAudit?.running) return;
+
+    this.cartAudit.running = false;
+    chrome.runtime.sendMessage({ type: 'CANCEL_CART_AUDIT', auditId: this.cartAudit.id });
+    this.cartAudit.results
+      .filter(result => result.status === 'pending')
+      .forEach(result => { result.status = 'skipped'; });
+    console.log('Shop Well: Cart audit stopped');
+  }
+
+  /**
+   * Analyze a fetched line item after the ones before it (AI sessions handle one prompt at a time)
+   * @param {Object} message - { auditId, index, ok, html, error } from the background worker
+   */
+  queueCartAuditItem(message) {
+    const audit = this.cartAudit;
+    if (!audit?.running || audit.id !== message.auditId) return;
+
+    audit.queue = audit.queue
+      .then(() => this.auditCartItem(audit, message))
+      .catch(error => {
+        console.error('Shop Well: Cart item analysis failed:', error);
+        audit.results[message.index].status = 'failed';
+      })
+      .finally(() => {
+        if (this.cartAudit === audit) {
+          this.renderCartReport();
+        }
+      });
+  }
+
+  /**
+   * Parse and analyze one cart line item (reusing a cached analysis when there is one)
+   * @param {Object} audit - Audit the item belongs to
+   * @param {Object} message - { index, ok, html, error } from the background worker
+   */
+  async auditCartItem(audit, { index, ok, html, error }) {
+    const result = audit.results[index];
+    if (!audit.running || result.status !== 'pending') return;
+
+    if (!ok) {
+      console.warn('Shop Well: Cart item page unavailable:', result.item.url, error);
+      result.status = 'failed';
+      return;
+    }
+
+    const { item } = result;
+    const parsed = parseProductHTML(html, item.url);
+    const productData = {
+      ...(parsed || {}),
+      site: parsed?.site || audit.cart.site,
+      url: item.url,
+      title: parsed?.title || item.title,
+      price: parsed?.price || item.price,
+      pricing: parsed?.pricing || item.pricing
+    };
+
+    result.status = 'analyzing';
+    this.renderCartReport();
+
+    // Pages blocked by a robot check carry only the cart title - analyze, but don't cache
+    const hasFullData = !!(parsed && (parsed.ingredients || parsed.bullets?.length));
+    const cacheKey = hasFullData ? await this.getAnalysisCacheKey(productData) : null;
+    const cached = cacheKey ? await getCachedAnalysis(cacheKey) : null;
+
+    const analysis = cached || await this.generateFactsAndVerdict(productData, () => !audit.running);
+    if (!analysis) return;
+
+    if (!cached) {
+      await this.recordAnalysis(productData, analysis.facts, analysis.verdict, cacheKey);
+    }
+
+    Object.assign(result, {
+      status: 'done',
+      productData,
+      verdict: analysis.verdict,
+      overall: getOverallVerdict(analysis.verdict),
+      limitedData: !hasFullData
+    });
+  }
+
+  /**
+   * Render the cart report: flagged items first once the audit finishes, in cart order while it runs
+   */
+  renderCartReport() {
+    const audit = this.cartAudit;
+    const view = this.elements.cart;
+    if (!audit || !view) return;
+
+    const done = audit.results.every(result => !['pending', 'analyzing'].includes(result.status));
+    if (done && audit.running) {
+      audit.running = false;
+      console.log('Shop Well: Cart audit complete');
+    }
+
+    const order = ['bad', 'warning', 'inconclusive', 'good'];
+    const rank = result => result.status === 'done' ? order.indexOf(result.overall) : order.length;
+    const results = done
+      ? [...audit.results].sort((a, b) => rank(a) - rank(b))
+      : audit.results;
+
+    view.querySelector('.cart-list').replaceChildren(...results.map(result => this.createCartItem(result)));
+    view.querySelector('#cartStop').classList.toggle('hidden', !audit.running);
+    this.renderCartSummary();
+  }
+
+  /**
+   * Update the cart audit progress line and verdict counts
+   * @param {string} message - Message to show instead of the progress (e.g., an error)
+   */
+  renderCartSummary(message = '') {
+    const audit = this.cartAudit;
+    const view = this.elements.cart;
+    if (!audit || !view) return;
+
+    const count = status => audit.results.filter(result => result.status === 'done' && result.overall === status).length;
+    const finished = audit.results.filter(result => !['pending', 'analyzing'].includes(result.status)).length;
+    const total = audit.results.length;
+    const retailerName = getRetailerBySite(audit.cart.site)?.name || audit.cart.site;
+
+    view.querySelector('.cart-progress').textContent = message || (audit.running
+      ? `Checking ${retailerName} cart: ${finished} of ${total} items...`
+      : `${retailerName} cart: ${finished} of ${total} items checked.`);
+
+    view.querySelector('.cart-summary').textContent = [
+      `${getVerdictEmoji('bad')} ${count('bad')} avoid`,
+      `${getVerdictEmoji('warning')} ${count('warning')} caution`,
+      `${getVerdictEmoji('good')} ${count('good')} good`
+    ].join(' · ');
+    view.querySelector('#cartStop').classList.toggle('hidden', !audit.running);
+  }
+
+  /**
+   * Build one cart report item (titles come from the retailer page, so no innerHTML)
+   * @param {Object} result - { item, status, productData, verdict, overall, limitedData }
+   * @returns {HTMLElement}
+   */
+  createCartItem(result) {
+    const { item, status, verdict, overall } = result;
+    const element = document.createElement('li');
+    element.className = `history-item cart-item verdict-${status === 'done' ? overall : 'inconclusive'}`;
+
+    const header = document.createElement('div');
+    header.className = 'history-item-header';
+    const title = document.createElement('span');
+    title.className = 'history-item-title';
+    title.textContent = result.productData?.title || item.title;
+    const badge = document.createElement('span');
+    badge.className = 'verdict-badge-inline';
+    badge.textContent = {
+      pending: '⏳ Waiting',
+      analyzing: '🔍 Analyzing',
+      failed: '⚠️ Not checked',
+      skipped: '⏹️ Stopped',
+      done: `${getVerdictEmoji(overall)} ${getVerdictLabel(overall)}`
+    }[status];
+    header.append(title, badge);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-item-meta';
+    meta.textContent = [
+      item.pricing ? formatMoney(item.pricing.amount, item.pricing.currency) : item.price,
+      item.quantity > 1 ? `Qty ${item.quantity}` : '',
+      status === 'failed' ? 'Product page could not be loaded' : '',
+      result.limitedData ? 'Limited product details' : ''
+    ].filter(Boolean).join(' · ');
+
+    element.append(header, meta);
+
+    // Flagged conditions and allergies with the reason, so the report reads without opening each product
+    const flagged = status === 'done'
+      ? [...verdict.allergies, ...verdict.conditions].filter(entry => ['bad', 'warning'].includes(entry.verdict))
+      : [];
+    if (flagged.length > 0) {
+      const reasons = document.createElement('ul');
+      reasons.className = 'cart-item-reasons';
+      flagged.forEach(entry => {
+        const reason = document.createElement('li');
+        reason.className = `history-chip verdict-${entry.verdict}`;
+        reason.textContent = `${getVerdictEmoji(entry.verdict)} ${entry.name}: ${entry.brief_reason}`;
+        reasons.append(reason);
+      });
+      element.append(reasons);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-item-actions';
+    const openButton = document.createElement('button');
+    openButton.className = 'history-action';
+    openButton.textContent = 'Open product';
+    openButton.addEventListener('click', () => chrome.tabs.create({ url: item.url }));
+    actions.append(openButton);
+    element.append(actions);
+
+    return element;
+  }
+
+  /* ===========================================================================
+     SAFER ALTERNATIVES
+     =========================================================================== */
+
+  /**
+   * Offer the alternatives search when any condition or allergy got a "bad" verdict
+   * @param {Object} verdict - Verdict on screen
+   */
+  renderAlternatives(verdict) {
+    const section = this.elements.analysis?.querySelector('.alternatives-section');
+    if (!section) return;
+
+    const hasBadVerdict = [...(verdict.conditions || []), ...(verdict.allergies || [])]
+      .some(entry => entry.verdict === 'bad');
+
+    section.querySelector('.alternatives-status').textContent = '';
+    section.querySelector('.alternatives-list').replaceChildren();
+    const button = section.querySelector('#findAlternatives');
+    button.disabled = false;
+    button.textContent = 'Find safer alternatives';
+    const canSearch = Boolean(this.currentProductData?.url && getRetailerForUrl(this.currentProductData.url)?.buildSearchUrl);
+    section.classList.toggle('hidden', !hasBadVerdict || !canSearch);
+  }
+
+  /**
+   * Search the same retailer for similar products, screen them and list the ones that pass every allergen check
+   */
+  async findSaferAlternatives() {
+    const productData = this.currentProductData;
+    const facts = this.currentFacts;
+    const verdict = this.currentVerdict;
+    const section = this.elements.analysis?.querySelector('.alternatives-section');
+    if (!productData || !facts || !verdict || !section) return;
+
+    const status = section.querySelector('.alternatives-status');
+    const list = section.querySelector('.alternatives-list');
+    const button = section.querySelector('#findAlternatives');
+    button.disabled = true;
+    list.replaceChildren();
+
+    const flagged = {
+      allergies: verdict.allergies.filter(entry => entry.verdict === 'bad').map(entry => entry.name),
+      conditions: verdict.conditions.filter(entry => entry.verdict === 'bad').map(entry => entry.name)
+    };
+    const query = buildAlternativesQuery(productData, detectProductCategory(productData, facts), flagged);
+    const searchUrl = getSearchUrl(productData.url, query);
+    const retailerName = getRetailerForUrl(productData.url)?.name || 'the store';
+    const { productId } = this.getProductIdentity(productData);
+    const profile = {
+      allergies: [...this.settings.allergies, ...this.settings.customAllergies],
+      conditions: this.settings.allConditions,
+      allergySettings: this.settings.allergySettings
+    };
+
+    status.textContent = `Searching ${retailerName} for "${query}"...`;
+
+    let listingProducts = [];
+    try {
+      const { html } = await fetchProductHTMLFallback(searchUrl);
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      listingProducts = parseSearchDocument(doc, searchUrl)
+        .filter(product => product.url && getProductId(product.url) !== productId)
+        .slice(0, 8);
+    } catch (error) {
+      console.warn('Shop Well: Alternatives search failed:', error);
+    }
+
+    if (listingProducts.length === 0) {
+      status.textContent = `Couldn't read ${retailerName} search results. Try searching for "${query}" on the site.`;
+      button.disabled = false;
+      button.textContent = 'Try again';
+      return;
+    }
+
+    // Same screen as the search results pre-scan, one product page at a time
+    const candidates = [];
+    for (const [index, product] of listingProducts.entries()) {
+      if (this.currentProductData !== productData) {
+        console.log('Shop Well: Alternatives search stopped - a new analysis started');
+        return;
+      }
+
+      status.textContent = `Checking ${index + 1} of ${listingProducts.length} results for your allergens...`;
+      try {
+        const { html } = await fetchProductHTMLFallback(product.url);
+        const candidateData = parseProductHTML(html, product.url);
+        if (candidateData) {
+          candidates.push({ product, productData: candidateData, screen: screenProduct(candidateData, profile) });
+        }
+      } catch (error) {
+        console.warn('Shop Well: Alternative fetch failed:', product.url, error);
+      }
+    }
+
+    const alternatives = rankAlternatives(candidates, productData);
+    list.replaceChildren(...alternatives.map(alternative => this.createAlternativeItem(alternative)));
+    status.textContent = alternatives.length > 0
+      ? `${alternatives.length} of ${listingProducts.length} similar products passed all your allergen checks (label check - analyze to confirm):`
+      : `None of the top ${listingProducts.length} results for "${query}" passed all your allergen checks.`;
+
+    button.disabled = false;
+    button.textContent = 'Search again';
+  }
+
+  /**
+   * Build one alternatives list item (product text comes from the retailer page, so no innerHTML)
+   * @param {Object} alternative - Ranked alternative from rankAlternatives()
+   * @returns {HTMLElement}
+   */
+  createAlternativeItem({ product, productData, screen, pricing, priceDiff, unitValueDiff }) {
+    const item = document.createElement('li');
+    item.className = `alternative-item verdict-${screen.status === 'green' ? 'good' : 'warning'}`;
+
+    const title = document.createElement('a');
+    title.className = 'alternative-title';
+    title.href = product.url;
+    title.target = '_blank';
+    title.textContent = productData.title || product.title;
+
+    const price = document.createElement('div');
+    price.className = 'alternative-price';
+    const parts = [];
+    if (pricing) {
+      parts.push(formatMoney(pricing.amount, pricing.currency));
+    } else if (productData.price || product.price) {
+      parts.push(productData.price || product.price);
+    }
+    if (priceDiff) {
+      parts.push(`${formatMoney(Math.abs(priceDiff), pricing.currency)} ${priceDiff < 0 ? 'less' : 'more'}`);
+    }
+    if (unitValueDiff !== null && unitValueDiff !== 0) {
+      parts.push(`${Math.abs(unitValueDiff)}% ${unitValueDiff < 0 ? 'cheaper' : 'pricier'} per ${pricing.unitPrice.normalized.per}`);
+    }
+    price.textContent = parts.join(' · ');
+
+    const reason = document.createElement('div');
+    reason.className = 'alternative-reason';
+    reason.textContent = `${screen.status === 'green' ? '✅' : '⚠️'} ${screen.reasons.join('; ')}`;
+
+    item.append(title, price, reason);
+    return item;
+  }
+
+  cancelAnalysis() {
+    console.log('Shop Well: Analysis cancelled by user');
+
+    // Notify content script to revert badge to normal state
+    if (this.currentProductData && this.currentProductData.id) {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (tabs[0]) {
+          chrome.tabs.sendMessage(tabs[0].id, {
+            type: 'badge-analysis-cancelled',
+            productId: this.currentProductData.id
+          });
+        }
+      });
+    }
+
+    // Perform comprehensive cleanup (clears all cache, timers, AI sessions)
+    this.cleanup();
+
+    // Close the side panel
+    window.close();
+  }
+
+  /**
+   * Identify the retailer and retailer product id (ASIN, Walmart item id, TCIN) of a product
+   * @param {Object} productData - Extracted product data
+   * @returns {Object} - { site, productId } (either may be null)
+   */
+  getProductIdentity(productData) {
+    const url = productData.url || '';
+    const productId = getProductId(url) || productData.id;
+    return {
+      site: productData.site || getRetailerForUrl(url)?.site || null,
+      productId: productId ? String(productId) : null
+    };
+  }
+
+  /**
+   * Save a completed analysis to the analysis cache and the history
+   * @param {Object} productData - Product data the analysis was based on
+   * @param {Object} facts - Extracted facts
+   * @param {Object} verdict - Validated verdict
+   * @param {Object|null} cacheKey - Key from getAnalysisCacheKey(), or null to skip caching
+   */
+  async recordAnalysis(productData, facts, verdict, cacheKey) {
+    if (cacheKey) {
+      await setCachedAnalysis(cacheKey, { title: productData.title, facts, verdict, labelImage: productData.labelImage || null });
+    }
+
+    const identity = this.getProductIdentity(productData);
+    if (identity.site && productData.url) {
+      await addHistoryEntry(createHistoryEntry(productData, facts, verdict, identity));
+    }
+  }
+
+  /**
+   * Build the persistent cache key for a product and the current health profile
+   * @param {Object} productData - Extracted product data
+   * @returns {Promise<Object|null>} - { site, productId, dataHash, profileHash } or null if the product has no id
+   */
+  async getAnalysisCacheKey(productData) {
+    const { site, productId } = this.getProductIdentity(productData);
+    if (!site || !productId) {
+      return null;
+    }
+
+    const language = await getUserLanguage();
+    return {
+      site,
+      productId,
+      dataHash: getProductDataHash(productData),
+      profileHash: getProfileHash({
+        conditions: this.settings.allConditions,
+        allergies: [...this.settings.allergies, ...this.settings.customAllergies],
+        allergySettings: this.settings.allergySettings,
+        firstName: this.settings.firstName,
+        language: language.code
+      })
+    };
+  }
+
+  /**
+   * Show when the analysis on screen was loaded from the cache
+   * @param {number|null} cachedAt - When the cached analysis was generated (ms), or null for a fresh analysis
+   */
+  renderCachedNote(cachedAt) {
+    const note = this.elements.analysis?.querySelector('.analysis-cached-note');
+    if (!note) return;
+
+    if (!cachedAt) {
+      note.classList.add('hidden');
+      return;
+    }
+
+    const minutes = Math.round((Date.now() - cachedAt) / 60000);
+    const age = minutes < 60 ? `${Math.max(minutes, 1)} min` :
+      minutes < 1440 ? `${Math.round(minutes / 60)} h` : `${Math.round(minutes / 1440)} d`;
+    note.querySelector('.analysis-cached-text').textContent = `Saved analysis from ${age} ago`;
+    note.classList.remove('hidden');
+  }
+
+  /**
+   * Read the ingredient list and Nutrition Facts from the gallery photos when the page has no
+   * ingredient text (on-device OCR; see content/utils/label-ocr.js)
+   * @param {Object} productData - Product data (updated in place)
+   * @param {Function} isCancelled - Returns true when the caller no longer needs the result
+   * @returns {Promise<void>}
+   */
+  async readLabelFromImages(productData, isCancelled) {
+    if (productData.ingredients || productData.labelImage || !productData.images?.length) {
+      return;
+    }
+
+    const support = await getLabelOcrSupport();
+    if (!support.available) {
+      return;
+    }
+
+    if (this.currentState === 'loading') {
+      this.showLoadingWithMessage('Reading the label from product photos...', 'No ingredient list on the page');
+    }
+
+    // Stops the reading (and frees the on-device model for the verdict) when the timeout fires
+    const controller = new AbortController();
+    try {
+      const labelImage = await withTimeout(
+        readLabelImages(productData.images, { support, isCancelled, signal: controller.signal }),
+        60000,
+        'Label image reading'
+      );
+      applyLabelImageText(productData, labelImage);
+    } catch (error) {
+      // Carry on with the text the page had - the verdict just has less to go on
+      console.warn('Shop Well: Reading label images failed:', error);
+    } finally {
+      controller.abort();
+    }
+
+    if (this.currentState === 'loading') {
+      this.showLoadingWithMessage('Analyzing product...', 'This may take a few seconds');
+    }
+  }
+
+  /**
+   * Extract facts and generate the verdict for a product (AI when available, fallbacks otherwise)
+   * @param {Object} productData - Product data to analyze
+   * @param {Function} isCancelled - Returns true when the caller no longer needs the result
+   * @param {Object} streamOptions - { signal, onPartialVerdict } passed to generateVerdict()
+   * @returns {Promise<Object|null>} - { facts, verdict }, or null if cancelled
+   */
+  async generateFactsAndVerdict(productData, isCancelled, streamOptions = {}) {
+    // Listings that only show the label in their photos: read it before extracting facts
+    await this.readLabelFromImages(productData, isCancelled);
+    if (isCancelled()) {
+      console.log('Shop Well: Analysis cancelled while reading label images');
+      return null;
+    }
+
+    // Get all allergies
+    const allAllergies = [...this.settings.allergies, ...this.settings.customAllergies];
+
+    // Extract facts
+    let facts;
+    if (this.aiCapabilities.summarizer) {
+      console.log('Shop Well: Using AI for fact extraction...');
+      const result = await summarizeProduct(productData, this.cachedSummarizer);
+      facts = result.facts;
+      // Cache the summarizer for future use
+      if (result.summarizer) {
+        this.cachedSummarizer = result.summarizer;
+        console.log('Shop Well: Summarizer session cached for reuse');
+      }
+    }
+
+    // Check if cancelled
+    if (isCancelled()) {
+      console.log('Shop Well: Analysis cancelled during fact extraction');
+      return null;
+    }
+
+    if (!facts) {
+      console.log('Shop Well: Using fallback fact extraction...');
+      facts = createFallbackFacts(productData);
+    }
+
+    // Generate verdict
+    let verdict;
+    if (this.aiCapabilities.prompt) {
+      console.log('Shop Well: Using AI for verdict generation...');
+      const result = await generateVerdict(
+        facts,
+        this.settings.allConditions,
+        allAllergies,
+        this.cachedLanguageModel,
+        this.settings.firstName,
+        productData,
+        this.settings.allergySettings,
+        this.aiCapabilities.imageInput,
+        streamOptions
+      );
+      verdict = result.verdict;
+      // Cache the language model for future use
+      if (result.languageModel) {
+        this.cachedLanguageModel = result.languageModel;
+        console.log('Shop Well: Language model session cached for reuse');
+      }
+    }
+
+    // Check if cancelled
+    if (isCancelled()) {
+      console.log('Shop Well: Analysis cancelled during verdict generation');
+      return null;
+    }
+
+    if (!verdict) {
+      console.log('Shop Well: Using fallback verdict generation...');
+      verdict = createFallbackVerdict(facts, allAllergies, this.settings.allConditions, this.settings.allergySettings);
+    }
+
+    // Mark that we've had at least one successful AI call
+    if (facts || verdict) {
+      this.hasSuccessfulAICall = true;
+    }
+
+    return { facts, verdict };
+  }
+
+  async analyzeProduct(productData, { skipCache = false } = {}) {
+    console.log('Shop Well: Starting product analysis...', productData);
+
+    // Set analyzing state IMMEDIATELY (before any async operations)
+    this.isAnalyzing = true;
+    this.currentProductData = productData;
+
+    // Check profile status before starting analysis
+    const profileCheck = await this.checkProfileStatus();
+
+    if (profileCheck.status === 'building' || profileCheck.status === 'not-started') {
+      console.log('Shop Well: Health profile is still building or not started, waiting...');
+      this.pendingProductData = productData;
+      this.showProfileBuilding();
+      // Keep isAnalyzing = true during profile building
+      return;
+    } else if (profileCheck.status === 'error') {
+      console.log('Shop Well: Health profile generation failed');
+      this.isAnalyzing = false; // Reset flag on error
+      this.showError('Health profile generation failed. Please visit the Settings page to regenerate your profile.');
+      return;
+    }
+
+    // Profile is complete, proceed with analysis
+    this.showLoading();
+
+    console.log('Shop Well: Profile ready, continuing with analysis...');
+
+    // Clear all other "Look!" badges before analyzing new product
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]) {
+        chrome.tabs.sendMessage(tabs[0].id, {
+          type: 'clear-all-active-badges'
+        });
+      }
+    });
+
+    try {
+      // Reuse the saved analysis when neither the product nor the health profile changed
+      const cacheKey = await this.getAnalysisCacheKey(productData);
+      const cached = cacheKey && !skipCache ? await getCachedAnalysis(cacheKey) : null;
+      if (cached && this.isAnalyzing) {
+        this.isAnalyzing = false;
+        applyLabelImageText(productData, cached.labelImage);
+        this.showAnalysis(productData, cached.facts, cached.verdict);
+        this.renderCachedNote(cached.createdAt);
+        return;
+      }
+
+      // Re-check AI capabilities
+      this.aiCapabilities = await checkAIAvailability();
+
+      // Check if cancelled
+      if (!this.isAnalyzing) {
+        console.log('Shop Well: Analysis cancelled before AI check');
+        return;
+      }
+
+      if (!canUseAIAnalysis(this.aiCapabilities)) {
+        this.showSetup();
+        this.isAnalyzing = false;
+        return;
+      }
+
+      const analysis = await this.generateFactsAndVerdict(productData, () => !this.isAnalyzing, this.startVerdictStream(productData));
+      if (!analysis) {
+        return;
+      }
+      const { facts, verdict } = analysis;
+
+      await this.recordAnalysis(productData, facts, verdict, cacheKey);
+
+      // Display results
+      this.isAnalyzing = false;
+      this.showAnalysis(productData, facts, verdict);
+
+    } catch (error) {
+      this.isAnalyzing = false;
+      console.error('Shop Well: Analysis failed:', error);
+
+      // Provide specific error messages for timeouts
+      if (error instanceof TimeoutError) {
+        this.showError(
+          'Analysis timed out after 90 seconds. ' +
           'Chrome AI models may still be downloading. ' +
           'Check chrome://on-device-internals and restart Chrome if needed.'
         );
@@ -3339,30 +5347,11 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
       // ===================================================================
       this.showLoading();
 
-      const titleLower = (productData.title || '').toLowerCase();
+      // "(May contain nuts)" in a title is a cross-contact note, not an ingredient
+      const titleLower = stripAdvisoryStatements(productData.title || '').toLowerCase();
 
       // Quick allergen detection from title
-      const allergenWarnings = [];
-      const allergenPatterns = {
-        'peanuts': ['peanut', 'groundnut'],
-        'tree-nuts': ['almond', 'walnut', 'pecan', 'cashew', 'hazelnut', 'pistachio'],
-        'milk': ['milk', 'dairy', 'cheese', 'whey', 'casein', 'butter'],
-        'eggs': ['egg'],
-        'wheat': ['wheat', 'flour'],
-        'soy': ['soy', 'soybean', 'tofu'],
-        'fish': ['fish', 'salmon', 'tuna', 'cod'],
-        'shellfish': ['shrimp', 'crab', 'lobster', 'shellfish'],
-        'sesame': ['sesame', 'tahini']
-      };
-
-      for (const [allergen, patterns] of Object.entries(allergenPatterns)) {
-        for (const pattern of patterns) {
-          if (titleLower.includes(pattern)) {
-            allergenWarnings.push(allergen);
-            break;
-          }
-        }
-      }
+      const allergenWarnings = findAllergens(titleLower);
 
       // Show preview with quick allergen info
       const previewFacts = {
@@ -3408,8 +5397,11 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
         // If automated extraction provided structured data, use it directly
         if (fetchResult.extractedData) {
           this.updateProgressMessage('📋 Processing extracted product data...');
-          console.log('Shop Well: Using automated extraction data (skipping HTML parsing)');
-          fullProductData = fetchResult.extractedData;
+          console.log('Shop Well: Using automated extraction data');
+          // The injected script reads the text sections; the retailer parser on the same expanded
+          // page adds what it does not (Nutrition Facts, gallery images, certifications)
+          const parsedData = fetchResult.html ? parseProductHTML(fetchResult.html, productData.url) : null;
+          fullProductData = mergeExtractedProductData(parsedData, fetchResult.extractedData);
 
           // Log what data we got
           console.log('Shop Well: Automated extraction results:', {
@@ -3418,7 +5410,8 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
             ingredientsLength: fullProductData.ingredients?.length || 0,
             bulletCount: fullProductData.bullets?.length || 0,
             descriptionLength: fullProductData.description?.length || 0,
-            hasSpecifications: fullProductData.specifications?.length > 0
+            hasSpecifications: fullProductData.specifications?.length > 0,
+            hasNutrition: !!fullProductData.nutrition
           });
         } else {
           // Fall back to HTML parsing
@@ -3452,12 +5445,31 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
             // Only preserve pricePerUnit if extracted data didn't provide one
             pricePerUnit: fullProductData.pricePerUnit || productData.pricePerUnit
           };
+          fullProductData.pricing = buildPriceModel({
+            price: fullProductData.price,
+            listPrice: fullProductData.listPrice,
+            unitPrice: fullProductData.pricePerUnit
+          }, fullProductData.locale) || productData.pricing;
         }
       } else {
         // Use search card data only
         fullProductData = productData;
       }
 
+      // Reuse the saved analysis when neither the product nor the health profile changed
+      // (title-only data is too thin to cache)
+      const hasFullData = fullProductData.ingredients || fullProductData.bullets?.length > 0;
+      const cacheKey = hasFullData ? await this.getAnalysisCacheKey(fullProductData) : null;
+      const cached = cacheKey ? await getCachedAnalysis(cacheKey) : null;
+      if (cached && this.isAnalyzing) {
+        this.isAnalyzing = false;
+        this.currentProductData = fullProductData;
+        applyLabelImageText(fullProductData, cached.labelImage);
+        this.showAnalysis(fullProductData, cached.facts, cached.verdict);
+        this.renderCachedNote(cached.createdAt);
+        return;
+      }
+
       // ===================================================================
       // PHASE 4: Run full AI analysis
       // ===================================================================
@@ -3466,61 +5478,29 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
       let facts;
       let verdict;
 
-      // If we have full product data, run complete analysis
-      if (fullProductData.ingredients || (fullProductData.bullets && fullProductData.bullets.length > 0)) {
-        console.log('Shop Well: Running full AI analysis with complete product data');
-
-        // Use summarizer to extract facts
-        if (this.aiCapabilities && this.aiCapabilities.summarizer) {
-          const summaryResult = await summarizeProduct(fullProductData, this.cachedSummarizer);
-          facts = summaryResult.facts;
-          if (summaryResult.summarizer) {
-            this.cachedSummarizer = summaryResult.summarizer;
-          }
-        }
-
-        // Abort check: Stop if panel was closed during fact extraction
+      // A page without label text may still show the label in its photos
+      if (!hasFullData) {
+        await this.readLabelFromImages(fullProductData, () => !this.isAnalyzing);
         if (!this.isAnalyzing) {
-          console.log('Shop Well: Analysis aborted after fact extraction (panel closed)');
+          console.log('Shop Well: Analysis aborted while reading label images (panel closed)');
           return;
         }
+      }
 
-        // Create facts if summarizer didn't work
-        if (!facts) {
-          facts = createFallbackFacts(fullProductData);
-        }
-
-        // Generate verdict with AI
-        if (this.aiCapabilities && this.aiCapabilities.prompt) {
-          const verdictResult = await generateVerdict(
-            facts,
-            this.settings.allConditions,
-            allAllergies,
-            this.cachedLanguageModel,
-            this.settings.firstName,
-            fullProductData
-          );
-          verdict = verdictResult.verdict;
-          if (verdictResult.languageModel) {
-            this.cachedLanguageModel = verdictResult.languageModel;
-          }
-        }
+      // If we have full product data, run the same analysis as a product page
+      if (fullProductData.ingredients || fullProductData.bullets?.length > 0) {
+        console.log('Shop Well: Running full AI analysis with complete product data');
 
-        // Abort check: Stop if panel was closed during verdict generation
-        if (!this.isAnalyzing) {
-          console.log('Shop Well: Analysis aborted after verdict generation (panel closed)');
+        const analysis = await this.generateFactsAndVerdict(
+          fullProductData,
+          () => !this.isAnalyzing,
+          this.startVerdictStream(fullProductData)
+        );
+        if (!analysis) {
+          console.log('Shop Well: Analysis aborted (panel closed)');
           return;
         }
-
-        if (!verdict) {
-          verdict = createFallbackVerdict(facts, allAllergies, this.settings.allConditions);
-        }
-
-        // Mark that we've had a successful AI call
-        if (facts || verdict) {
-          this.hasSuccessfulAICall = true;
-        }
-
+        ({ facts, verdict } = analysis);
       } else {
         // Fallback: Title-only analysis
         console.log('Shop Well: Using title-only analysis (no full data available)');
@@ -3531,11 +5511,12 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
           allergen_warnings: allergenWarnings,
           dietary_claims: [],
           gluten_free: /gluten.?free/i.test(titleLower),
-          high_sodium: /electrolyte|sodium|salt/i.test(titleLower),
-          high_sugar: /sugar|sweet|candy|chocolate/i.test(titleLower),
+          sodium_level: 'unknown',
+          sugar_level: 'unknown',
           confidence: 'low',
           summary_text: `Analysis from product title only.`
         };
+        applyAllergenStatements(facts, fullProductData);
 
         if (this.aiCapabilities && this.aiCapabilities.prompt) {
           const verdictResult = await generateVerdict(
@@ -3544,7 +5525,10 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
             allAllergies,
             this.cachedLanguageModel,
             this.settings.firstName,
-            fullProductData
+            fullProductData,
+            this.settings.allergySettings,
+            this.aiCapabilities.imageInput,
+            this.startVerdictStream(fullProductData)
           );
           verdict = verdictResult.verdict;
           if (verdictResult.languageModel) {
@@ -3553,12 +5537,14 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
         }
 
         if (!verdict) {
-          verdict = createFallbackVerdict(facts, allAllergies, this.settings.allConditions);
+          verdict = createFallbackVerdict(facts, allAllergies, this.settings.allConditions, this.settings.allergySettings);
         }
 
         verdict.caveat = `Limited data available. ${verdict.caveat || 'Visit product page for complete details.'}`;
       }
 
+      await this.recordAnalysis(fullProductData, facts, verdict, cacheKey);
+
       // ===================================================================
       // PHASE 5: Display final results
       // ===================================================================
@@ -3633,8 +5619,9 @@ Write 300-400 words in a clear, factual tone. Focus on actionable insights that
 
 PRODUCT CONTEXT:
 - Product: ${this.currentProductData.title || 'Unknown'}
-- High sodium: ${this.currentFacts.high_sodium || false}
-- High sugar: ${this.currentFacts.high_sugar || false}
+- Sodium level: ${this.currentFacts.sodium_level || 'unknown'}
+- Sugar level: ${this.currentFacts.sugar_level || 'unknown'}
+${this.currentFacts.nutrition ? `- Nutrition Facts (per serving): ${formatNutritionFacts(this.currentFacts.nutrition)}` : ''}
 - Gluten-free: ${this.currentFacts.gluten_free || false}
 - Allergen warnings: ${this.currentFacts.allergen_warnings?.join(', ') || 'none'}
 
@@ -3672,19 +5659,38 @@ Provide a helpful, informative response addressing the user directly with "you/y
         this.cachedLanguageModel = result.languageModel;
       }
 
-      // Get AI response
-      const aiResponse = await withTimeout(
-        result.languageModel.prompt(contextPrompt),
-        60000,
-        'Chat response generation'
-      );
+      // Stream the AI response into its bubble as it is written
+      this.chatAbortController = new AbortController();
+      let bubble = null;
+      const aiResponse = await streamPrompt(result.languageModel, contextPrompt, {
+        signal: this.chatAbortController.signal,
+        timeoutMs: 60000,
+        operation: 'Chat response generation',
+        onText: text => {
+          if (!bubble) {
+            this.elements.chatLoading?.classList.add('hidden');
+            bubble = this.createChatBubble('ai');
+          }
+          this.setChatBubbleText(bubble, text.trim(), 'ai');
+        }
+      });
 
       console.log('Shop Well: Chat AI response:', aiResponse);
 
       // Add AI response to chat
-      this.addChatMessage(aiResponse.trim(), 'ai');
+      if (bubble) {
+        this.setChatBubbleText(bubble, aiResponse.trim(), 'ai');
+        this.chatHistory.push({ message: aiResponse.trim(), type: 'ai', timestamp: Date.now() });
+      } else {
+        this.addChatMessage(aiResponse.trim(), 'ai');
+      }
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // The panel was reset while the answer was streaming
+        console.log('Shop Well: Chat response cancelled');
+        return;
+      }
       console.error('Shop Well: Chat failed:', error);
       if (error instanceof TimeoutError) {
         this.addChatMessage('Response timed out. Please try again or ask a simpler question.', 'ai');
@@ -3692,6 +5698,8 @@ Provide a helpful, informative response addressing the user directly with "you/y
         this.addChatMessage('Sorry, I encountered an error. Please try again.', 'ai');
       }
     } finally {
+      this.chatAbortController = null;
+
       // Hide loading indicator
       if (this.elements.chatLoading) {
         this.elements.chatLoading.classList.add('hidden');
@@ -3707,7 +5715,22 @@ Provide a helpful, informative response addressing the user directly with "you/y
   }
 
   addChatMessage(message, type) {
-    if (!this.elements.chatMessages) return;
+    const bubble = this.createChatBubble(type);
+    if (!bubble) return;
+
+    this.setChatBubbleText(bubble, message, type);
+
+    // Store in history
+    this.chatHistory.push({ message, type, timestamp: Date.now() });
+  }
+
+  /**
+   * Add an empty message bubble to the chat
+   * @param {string} type - 'user' or 'ai'
+   * @returns {HTMLElement|null} - The bubble, or null without a chat
+   */
+  createChatBubble(type) {
+    if (!this.elements.chatMessages) return null;
 
     const messageDiv = document.createElement('div');
     messageDiv.className = `chat-message chat-message-${type}`;
@@ -3715,19 +5738,25 @@ Provide a helpful, informative response addressing the user directly with "you/y
     const bubble = document.createElement('div');
     bubble.className = `chat-bubble chat-bubble-${type}`;
 
+    messageDiv.appendChild(bubble);
+    this.elements.chatMessages.appendChild(messageDiv);
+    return bubble;
+  }
+
+  /**
+   * Set the text of a chat bubble (called repeatedly while an AI answer streams in)
+   * @param {HTMLElement} bubble - Bubble from createChatBubble()
+   * @param {string} message - Message text so far
+   * @param {string} type - 'user' or 'ai'
+   */
+  setChatBubbleText(bubble, message, type) {
     // For AI responses, parse markdown and handle line breaks
     if (type === 'ai') {
-      // Try to detect and parse JSON responses
+      // Detect JSON responses (possibly still being written) and show their text
       let processedMessage = message;
-      try {
-        const jsonMatch = message.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const parsed = JSON.parse(jsonMatch[0]);
-          // Extract text content from JSON structure
-          processedMessage = parsed.response || parsed.answer || parsed.text || message;
-        }
-      } catch (e) {
-        // Not JSON or invalid JSON, use original message
+      const parsed = parsePartialJson(message);
+      if (parsed) {
+        processedMessage = parsed.response || parsed.answer || parsed.text || message;
       }
 
       // Apply markdown formatting (bold, italic)
@@ -3742,12 +5771,6 @@ Provide a helpful, informative response addressing the user directly with "you/y
       bubble.textContent = message;
     }
 
-    messageDiv.appendChild(bubble);
-    this.elements.chatMessages.appendChild(messageDiv);
-
-    // Store in history
-    this.chatHistory.push({ message, type, timestamp: Date.now() });
-
     // Scroll to bottom
     this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
   }
@@ -1,5 +1,8 @@
 // Shop Well Welcome/Onboarding Page JavaScript
 // 3-Step Simplified Onboarding Flow
+// Bundled by esbuild (see scripts/build.mjs) so it can share the profile store
+
+import { loadProfile, saveProfile, updateProfileSelections, getProfileSelections } from '../content/utils/profile-store.js';
 
 // ===================================
 // STATE MANAGEMENT
@@ -243,14 +246,19 @@ async function saveSettings() {
   try {
     // STEP 1: Always save to Chrome local storage (privacy-first)
     if (typeof chrome !== 'undefined' && chrome.storage) {
+      // Conditions and allergies go to the structured profile (keeping any severity already set)
+      const profile = updateProfileSelections(await loadProfile(), {
+        conditions,
+        customConditions,
+        allergies,
+        customAllergies
+      });
+      await saveProfile({ ...profile, consent_given: true });
+
       await chrome.storage.local.set({
         firstName,
         email,
         emailOptIn,          // Store opt-in preference
-        conditions,           // Array of standard conditions
-        customConditions,     // Array of custom conditions
-        allergies,           // Array of standard allergens
-        customAllergies,     // Array of custom allergens
         welcomeCompleted: true,
         setupDate: new Date().toISOString()
       });
@@ -977,12 +985,7 @@ async function loadExistingSettings() {
       return;
     }
 
-    const result = await chrome.storage.local.get([
-      'welcomeCompleted',
-      'firstName', 'email',
-      'condition', 'conditions', 'customConditions',
-      'allergies', 'customAllergies'
-    ]);
+    const result = await chrome.storage.local.get(['welcomeCompleted', 'firstName', 'email']);
 
     // Only load settings if user has completed onboarding before
     if (!result.welcomeCompleted) {
@@ -1014,12 +1017,9 @@ async function loadExistingSettings() {
       }
     }
 
-    // === BACKWARD COMPATIBILITY: Migrate old single condition to array ===
-    let conditionsToLoad = result.conditions || [];
-    if (!conditionsToLoad.length && result.condition) {
-      conditionsToLoad = [result.condition];
-      console.log('Welcome: Migrated old condition to array:', result.condition);
-    }
+    // Conditions and allergies come from the profile store (which migrates older layouts)
+    Object.assign(result, getProfileSelections(await loadProfile()));
+    const conditionsToLoad = result.conditions;
 
     // Load standard conditions (checkboxes)
     if (conditionsToLoad.length > 0) {